@@ -0,0 +1,125 @@
+#!/usr/bin/env -S node --disable-warning=MODULE_TYPELESS_PACKAGE_JSON
+/**
+ * ethno-batch: analyze a folder of recordings from the command line with the same
+ * rhythm, spectral, scale and genre pipeline as the Analyze Music tab.
+ *
+ *   npm run batch -- recordings/ --recursive --format csv --out results.csv
+ *   npm run batch -- recordings/ --recursive --format csv --out results.csv --resume
+ *
+ * One row per file is written as soon as it is analyzed; --resume skips files already
+ * in the output file and retries the ones that failed.
+ */
+
+import { parseArgs } from 'node:util';
+import { existsSync, statSync } from 'node:fs';
+import { AudioAnalyzer } from '../src/audioAnalyzer.js';
+import { CHANNEL_MODES } from '../src/stereoAnalysis.js';
+import { BATCH_FEATURES, DEFAULT_FEATURES, analyzeFiles, collectAudioFiles, parseFeatureList } from '../src/batchAnalyzer.js';
+
+const USAGE = `Usage: ethno-batch [options] <file or directory>...
+
+Options:
+  -f, --features <list>  Comma-separated feature groups, or "all" (default: ${DEFAULT_FEATURES.join(',')})
+  -r, --recursive        Also analyze audio files in subdirectories
+  -c, --channel <mode>   Signal to analyze: downmix, left, right, mid or side (default: downmix)
+  -e, --embeddings <dir> MAEST embeddings per recording (<name>.npy or <name>.json, from Essentia's
+                         TensorflowPredictMAEST); the genre group then reports the Discogs style
+      --format <type>    json (one JSON object per line) or csv (default: json)
+  -o, --out <file>       Output file (default: standard output)
+      --resume           Continue an interrupted run: keep finished rows in --out, skip those files
+      --overwrite        Replace an existing --out file
+  -v, --verbose          Show the analyzer's own log output
+  -h, --help             Show this help
+
+Feature groups:
+${Object.entries(BATCH_FEATURES).map(([id, feature]) => `  ${id.padEnd(14)} ${feature.label}`).join('\n')}
+`;
+
+function fail(message) {
+    process.stderr.write(`ethno-batch: ${message}\n`);
+    process.exit(2);
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                features: { type: 'string', short: 'f' },
+                recursive: { type: 'boolean', short: 'r', default: false },
+                channel: { type: 'string', short: 'c', default: 'downmix' },
+                embeddings: { type: 'string', short: 'e' },
+                format: { type: 'string', default: 'json' },
+                out: { type: 'string', short: 'o' },
+                resume: { type: 'boolean', default: false },
+                overwrite: { type: 'boolean', default: false },
+                verbose: { type: 'boolean', short: 'v', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        fail(`${error.message}\n\n${USAGE}`);
+    }
+    const { values: args, positionals } = parsed;
+
+    if (args.help || positionals.length === 0) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!['json', 'csv'].includes(args.format)) fail(`unknown --format "${args.format}" (use json or csv)`);
+    if (!CHANNEL_MODES[args.channel]) fail(`unknown --channel "${args.channel}" (use ${Object.keys(CHANNEL_MODES).join(', ')})`);
+    if (args.resume && !args.out) fail('--resume needs --out');
+    if (args.embeddings && !(existsSync(args.embeddings) && statSync(args.embeddings).isDirectory())) {
+        fail(`--embeddings ${args.embeddings} is not a directory`);
+    }
+    if (args.out && !args.resume && !args.overwrite && existsSync(args.out) && statSync(args.out).size > 0) {
+        fail(`${args.out} already exists; pass --resume to continue it or --overwrite to replace it`);
+    }
+
+    let features;
+    try {
+        features = parseFeatureList(args.features);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const files = await collectAudioFiles(positionals, { recursive: args.recursive });
+    if (files.length === 0) fail('no audio files found (use --recursive to include subdirectories)');
+
+    // The analyzer logs every stage; keep the terminal to one progress line per file
+    if (!args.verbose) {
+        console.log = console.info = console.debug = console.warn = () => {};
+    }
+
+    process.stderr.write(`Analyzing ${files.length} file(s): ${features.join(', ')}\n`);
+    const analyzer = new AudioAnalyzer();
+    await analyzer.initialize();
+
+    const counts = await analyzeFiles(files, {
+        features,
+        format: args.format,
+        output: args.out || null,
+        stream: process.stdout,
+        resume: args.resume,
+        channelMode: args.channel,
+        embeddingsDir: args.embeddings || null,
+        analyzer,
+        onFile: ({ index, total, file, row, skipped, seconds }) => {
+            const status = skipped ? 'skipped (already done)'
+                : row.status === 'ok' ? `ok (${seconds.toFixed(1)}s)` : `error: ${row.error}`;
+            process.stderr.write(`[${index + 1}/${total}] ${file} ${status}\n`);
+        }
+    });
+
+    process.stderr.write(`Done: ${counts.analyzed} analyzed, ${counts.failed} failed, ${counts.skipped} skipped\n`);
+    process.exitCode = counts.failed > 0 ? 1 : 0;
+}
+
+main().then(() => {
+    // Model loaders may leave timers behind; the results are already written
+    process.exit(process.exitCode ?? 0);
+}, (error) => {
+    process.stderr.write(`ethno-batch: ${error?.stack || error}\n`);
+    process.exit(2);
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env -S node --disable-warning=MODULE_TYPELESS_PACKAGE_JSON
+/**
+ * ethno-genre-eval: measure the genre classifier against a labelled corpus and compare
+ * the result with a stored baseline.
+ *
+ *   npm run eval:genre
+ *   npm run eval:genre -- corpus/manifest.json --ml
+ *   npm run eval:genre -- --update-baseline
+ *
+ * Exits with 1 when any metric falls below the baseline.
+ */
+
+import { parseArgs } from 'node:util';
+import { existsSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { baselineFromMetrics, compareToBaseline, evaluateGenreCorpus, formatEvaluationReport, loadManifest } from '../src/genreEvaluation.js';
+
+const DEFAULT_MANIFEST = 'tests/fixtures/genre/manifest.json';
+
+const USAGE = `Usage: ethno-genre-eval [options] [manifest]
+
+Runs classifyGenre over every entry of the manifest (default: ${DEFAULT_MANIFEST})
+and reports top-1 / top-3 accuracy, a confusion matrix and per-genre precision and recall.
+
+Options:
+  -b, --baseline <file>  Baseline to compare with (default: baseline.json next to the manifest)
+      --update-baseline  Write this run's metrics as the new baseline
+      --ml               Load Essentia and the ML genre models and pass fixture Essentia features
+                         and the entries' MAEST embeddings files
+      --json             Print predictions, metrics and the comparison as JSON
+  -v, --verbose          Show the analyzer's own log output
+  -h, --help             Show this help
+`;
+
+function fail(message) {
+    process.stderr.write(`ethno-genre-eval: ${message}\n`);
+    process.exit(2);
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                baseline: { type: 'string', short: 'b' },
+                'update-baseline': { type: 'boolean', default: false },
+                ml: { type: 'boolean', default: false },
+                json: { type: 'boolean', default: false },
+                verbose: { type: 'boolean', short: 'v', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        fail(`${error.message}\n\n${USAGE}`);
+    }
+    const { values: args, positionals } = parsed;
+
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (positionals.length > 1) fail('give one manifest');
+    const manifestPath = positionals[0] || DEFAULT_MANIFEST;
+    if (!existsSync(manifestPath)) fail(`${manifestPath} not found`);
+    const baselinePath = args.baseline || path.join(path.dirname(manifestPath), 'baseline.json');
+
+    let manifest;
+    try {
+        manifest = await loadManifest(manifestPath);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    // The classifier logs every step; keep the terminal to one progress line per entry
+    if (!args.verbose) {
+        console.log = console.info = console.debug = console.warn = console.error = () => {};
+    }
+
+    const evaluation = await evaluateGenreCorpus(manifest, {
+        ml: args.ml,
+        onEntry: ({ index, total, entry, predicted, error }) => {
+            const outcome = error ? `error: ${error}` : `${predicted[0] === entry.genre ? 'ok' : 'miss'} (${predicted.slice(0, 3).join(' > ')})`;
+            process.stderr.write(`[${index + 1}/${total}] ${entry.id} ${outcome}\n`);
+        }
+    });
+
+    if (args['update-baseline']) {
+        await writeFile(baselinePath, JSON.stringify(baselineFromMetrics(evaluation.metrics), null, 2) + '\n');
+        process.stderr.write(`Baseline written to ${baselinePath}\n`);
+    }
+
+    const comparison = existsSync(baselinePath)
+        ? compareToBaseline(evaluation.metrics, JSON.parse(await readFile(baselinePath, 'utf8')))
+        : null;
+    if (!comparison) process.stderr.write(`No baseline at ${baselinePath}; pass --update-baseline to create one\n`);
+
+    process.stdout.write(args.json
+        ? JSON.stringify({ ...evaluation, comparison }, null, 2) + '\n'
+        : formatEvaluationReport(evaluation, comparison) + '\n');
+    process.exitCode = comparison && comparison.regressions.length > 0 ? 1 : 0;
+}
+
+main().then(() => {
+    // Model loaders may leave timers behind; the report is already written
+    process.exit(process.exitCode ?? 0);
+}, (error) => {
+    process.stderr.write(`ethno-genre-eval: ${error?.stack || error}\n`);
+    process.exit(2);
+});
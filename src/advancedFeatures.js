@@ -160,13 +160,21 @@ export class Visualizer3D {
         this.ctx.stroke();
     }
 
-    drawRhythmCircle(beats, currentBeat) {
+    /**
+     * Rhythm cycle as dots around a circle, starting at the top
+     * @param {Array<boolean|Object>} beats - One entry per pulse: on/off, or { weight (0-1), offset (pulses, + late), accent (0-1) }
+     *   to place each dot away from its metronomic tick by its mean timing
+     * @param {number} currentBeat - Pulse to highlight, -1 for none
+     * @param {Object} options - { pulsesPerBeat: longer ticks and numbers on every beat }
+     */
+    drawRhythmCircle(beats, currentBeat, options = {}) {
         this.ctx.fillStyle = '#000';
         this.ctx.fillRect(0, 0, this.width, this.height);
 
         const centerX = this.width / 2;
         const centerY = this.height / 2;
         const radius = Math.min(this.width, this.height) / 3;
+        const angleOf = (position) => (position / beats.length) * Math.PI * 2 - Math.PI / 2;
 
         // Draw circle
         this.ctx.strokeStyle = '#444';
@@ -175,15 +183,46 @@ export class Visualizer3D {
         this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
         this.ctx.stroke();
 
+        // Metronomic ticks, longer and numbered on the beats
+        const { pulsesPerBeat } = options;
+        if (pulsesPerBeat) {
+            this.ctx.font = '11px sans-serif';
+            this.ctx.textAlign = 'center';
+            beats.forEach((_, i) => {
+                const angle = angleOf(i);
+                const onBeat = i % pulsesPerBeat === 0;
+                const inner = radius - (onBeat ? 14 : 7);
+                this.ctx.strokeStyle = onBeat ? '#888' : '#555';
+                this.ctx.lineWidth = 1;
+                this.ctx.beginPath();
+                this.ctx.moveTo(centerX + Math.cos(angle) * inner, centerY + Math.sin(angle) * inner);
+                this.ctx.lineTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+                this.ctx.stroke();
+                if (onBeat) {
+                    this.ctx.fillStyle = '#aaa';
+                    this.ctx.fillText(String(i / pulsesPerBeat + 1), centerX + Math.cos(angle) * (radius + 24), centerY + Math.sin(angle) * (radius + 24) + 4);
+                }
+            });
+            this.ctx.textAlign = 'start';
+        }
+
         // Draw beats
         beats.forEach((beat, i) => {
-            const angle = (i / beats.length) * Math.PI * 2 - Math.PI / 2;
+            const slot = typeof beat === 'object' && beat !== null;
+            if (slot && !(beat.weight > 0)) return;
+            const angle = angleOf(i + (slot ? beat.offset || 0 : 0));
             const x = centerX + Math.cos(angle) * radius;
             const y = centerY + Math.sin(angle) * radius;
 
-            this.ctx.fillStyle = i === currentBeat ? '#00ff00' : (beat ? '#fff' : '#333');
+            if (i === currentBeat) {
+                this.ctx.fillStyle = '#00ff00';
+            } else if (slot) {
+                this.ctx.fillStyle = `hsl(${40 - 40 * (beat.accent || 0)}, 100%, ${35 + 30 * (beat.accent || 0)}%)`;
+            } else {
+                this.ctx.fillStyle = beat ? '#fff' : '#333';
+            }
             this.ctx.beginPath();
-            this.ctx.arc(x, y, 10, 0, Math.PI * 2);
+            this.ctx.arc(x, y, slot ? 4 + 8 * beat.weight : 10, 0, Math.PI * 2);
             this.ctx.fill();
         });
     }
@@ -572,7 +611,9 @@ function showCultureDetail(culture) {
     }
 }
 
-// Make functions globally available
-window.initializeWorldMap = initializeWorldMap;
-window.displayGlossary = displayGlossary;
-window.displayCultures = displayCultures;
+// Make functions globally available (not in workers or Node, which import the visualizer only)
+if (typeof window !== 'undefined') {
+    window.initializeWorldMap = initializeWorldMap;
+    window.displayGlossary = displayGlossary;
+    window.displayCultures = displayCultures;
+}
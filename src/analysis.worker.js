@@ -0,0 +1,71 @@
+/**
+ * Analysis Worker
+ * Runs runAnalysisPipeline (rhythm, Essentia/MFCC features, genre classification,
+ * pitch and the rest) off the main thread so the page stays responsive on long files.
+ *
+ * Protocol, every message carries the job id:
+ *   main → worker  { type: 'analyze', id, fileName, sampleRate, channels: Float32Array[], options }
+ *                  { type: 'cancel', id }
+ *   worker → main  { type: 'progress', id, stage, label, index, total, progress }
+ *                  { type: 'result', id, result, channels, components: { harmonic, percussive } | null }
+ *                  { type: 'cancelled', id }
+ *                  { type: 'error', id, message }
+ * The channel buffers are transferred in both directions (back with the result, for
+ * the waveform), never copied; so are the separated harmonic and percussive signals. A cancel is seen between stages; the client terminates
+ * the worker if a stage does not finish within its grace period.
+ */
+
+import { AudioAnalyzer, runAnalysisPipeline, AnalysisCancelledError } from './audioAnalyzer.js';
+
+// Essentia and the genre models load once per worker and are reused for every file
+let analyzerReady = null;
+const jobs = new Map();
+
+function getAnalyzer() {
+    if (!analyzerReady) {
+        const analyzer = new AudioAnalyzer();
+        analyzerReady = analyzer.initialize().then(() => analyzer);
+    }
+    return analyzerReady;
+}
+
+self.onmessage = async (event) => {
+    const message = event.data || {};
+    if (message.type === 'cancel') {
+        jobs.get(message.id)?.abort();
+        return;
+    }
+    if (message.type !== 'analyze') return;
+
+    const { id, fileName, sampleRate, channels, options = {} } = message;
+    const controller = new AbortController();
+    jobs.set(id, controller);
+    const onProgress = (progress) => self.postMessage({ type: 'progress', id, ...progress });
+
+    try {
+        onProgress({ stage: 'init', label: 'Loading analysis models', index: 0, total: 0, progress: 0 });
+        const analyzer = await getAnalyzer();
+        analyzer.audioContext = { sampleRate };
+        // options.channelMode picks the analyzed signal; the stereo field uses every channel
+        let components = null;
+        const result = await runAnalysisPipeline(channels, sampleRate, fileName, {
+            ...options,
+            analyzer,
+            signal: controller.signal,
+            onProgress,
+            onComponents: (separated) => { components = separated; }
+        });
+        const transfer = channels.map(channel => channel.buffer);
+        if (components) transfer.push(components.harmonic.buffer, components.percussive.buffer);
+        self.postMessage({ type: 'result', id, result, channels, components }, transfer);
+    } catch (error) {
+        if (error instanceof AnalysisCancelledError) {
+            self.postMessage({ type: 'cancelled', id });
+        } else {
+            console.error('❌ Worker analysis failed:', error);
+            self.postMessage({ type: 'error', id, message: error?.message || String(error) });
+        }
+    } finally {
+        jobs.delete(id);
+    }
+};
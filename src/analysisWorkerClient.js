@@ -0,0 +1,146 @@
+/**
+ * Analysis Worker Client
+ * Main-thread side of the analysis.worker.js protocol: sends PCM to the worker
+ * (transferred, not copied), relays staged progress and cancels for real. A cancel
+ * settles the analysis immediately; the worker gets a short grace period to stop at
+ * the next stage boundary and is terminated if it is still busy inside a stage.
+ */
+
+import { AnalysisCancelledError } from './audioAnalyzer.js';
+
+/**
+ * The worker itself failed (script did not load, crashed); callers can fall back to the main thread
+ */
+export class AnalysisWorkerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AnalysisWorkerError';
+    }
+}
+
+export class AnalysisWorkerClient {
+    /**
+     * @param {Function} createWorker - Returns a new Worker running analysis.worker.js
+     * @param {Object} options - { cancelGraceMs: how long a cancelled worker may take to stop before it is terminated }
+     */
+    constructor(createWorker, options = {}) {
+        this.createWorker = createWorker;
+        this.cancelGraceMs = options.cancelGraceMs ?? 250;
+        this.worker = null;
+        this.pending = null;
+        this.cancelTimer = null;
+        this.nextId = 0;
+    }
+
+    ensureWorker() {
+        if (this.worker) return this.worker;
+        const worker = this.createWorker();
+        worker.onmessage = (event) => this.handleMessage(worker, event.data || {});
+        worker.onerror = (event) => {
+            if (event?.preventDefault) event.preventDefault();
+            this.discardWorker(worker);
+            this.settle(null, new AnalysisWorkerError(`Analysis worker failed: ${event?.message || 'unknown error'}`));
+        };
+        this.worker = worker;
+        return worker;
+    }
+
+    handleMessage(worker, message) {
+        const job = this.pending;
+        if (!job || message.id !== job.id) {
+            // A job cancelled earlier has wound down; the worker is idle again
+            if (message.type === 'cancelled' && this.cancelTimer && worker === this.worker) {
+                clearTimeout(this.cancelTimer);
+                this.cancelTimer = null;
+            }
+            return;
+        }
+        if (message.type === 'progress') {
+            if (job.onProgress) job.onProgress(message);
+        } else if (message.type === 'result') {
+            this.settle({ result: message.result, channels: message.channels, components: message.components });
+        } else if (message.type === 'cancelled') {
+            this.settle(null, new AnalysisCancelledError());
+        } else if (message.type === 'error') {
+            this.settle(null, new Error(message.message));
+        }
+    }
+
+    settle(value, error = null) {
+        const job = this.pending;
+        if (!job) return;
+        this.pending = null;
+        if (job.signal && job.onAbort) job.signal.removeEventListener('abort', job.onAbort);
+        if (error) job.reject(error);
+        else job.resolve(value);
+    }
+
+    discardWorker(worker) {
+        if (!worker) return;
+        worker.terminate();
+        if (this.worker === worker) this.worker = null;
+    }
+
+    /**
+     * Analyze decoded PCM in the worker
+     * @param {Float32Array[]} channels - One array per channel; their buffers are transferred to the worker
+     * @param {number} sampleRate - Sample rate
+     * @param {string} fileName - File name recorded in the result
+     * @param {Object} options - { onProgress, signal (AbortSignal) } plus runAnalysisPipeline options (timeline, windowSeconds, ...)
+     * @returns {Promise<{result: Object, channels: Float32Array[], components: Object|null}>} Analysis result, the PCM
+     *   transferred back and the separated { harmonic, percussive } signals
+     */
+    analyze(channels, sampleRate, fileName, options = {}) {
+        const { onProgress = null, signal = null, ...pipelineOptions } = options;
+        if (this.pending) this.cancel();
+        if (signal?.aborted) return Promise.reject(new AnalysisCancelledError());
+        // A worker still winding down a cancelled job would delay this one; start a fresh worker
+        if (this.cancelTimer) {
+            clearTimeout(this.cancelTimer);
+            this.cancelTimer = null;
+            this.discardWorker(this.worker);
+        }
+
+        const worker = this.ensureWorker();
+        const id = ++this.nextId;
+        return new Promise((resolve, reject) => {
+            this.pending = { id, resolve, reject, onProgress, signal, onAbort: null };
+            if (signal) {
+                this.pending.onAbort = () => this.cancel();
+                signal.addEventListener('abort', this.pending.onAbort);
+            }
+            worker.postMessage(
+                { type: 'analyze', id, fileName, sampleRate, channels, options: pipelineOptions },
+                channels.map(channel => channel.buffer)
+            );
+        });
+    }
+
+    /**
+     * Cancel the running analysis: it rejects with AnalysisCancelledError straight away,
+     * and the worker is terminated unless it stops within the grace period
+     */
+    cancel() {
+        const job = this.pending;
+        if (!job || !this.worker) return;
+        const worker = this.worker;
+        worker.postMessage({ type: 'cancel', id: job.id });
+        this.settle(null, new AnalysisCancelledError());
+
+        clearTimeout(this.cancelTimer);
+        this.cancelTimer = setTimeout(() => {
+            this.cancelTimer = null;
+            this.discardWorker(worker);
+        }, this.cancelGraceMs);
+    }
+
+    /**
+     * Stop the worker and reject anything still running
+     */
+    dispose() {
+        clearTimeout(this.cancelTimer);
+        this.cancelTimer = null;
+        this.settle(null, new AnalysisCancelledError());
+        this.discardWorker(this.worker);
+    }
+}
@@ -3,6 +3,26 @@ import MLTrainer from './mlTrainer.js';
 import IndigenousTrainer from './indigenousTrainer.js';
 import { genreMLClassifier } from './genreMLModel.js';
 import EssentiaGenreClassifier from './essentiaGenreClassifier.js';
+import { analyzeTuning as runTuningAnalysis } from './tuningAnalysis.js';
+import { recognizeMaqam as runMaqamRecognition } from './maqamRecognizer.js';
+import { detectCycle as runCycleDetection } from './cycleDetector.js';
+import { estimateTonic as runTonicEstimation } from './droneDetector.js';
+import { trackPitch, contourToPitchTrack } from './pitchTracker.js';
+import { analyzeOrnaments as runOrnamentAnalysis } from './ornamentAnalysis.js';
+import { transcribeNotes } from './melodyTranscriber.js';
+import { analyzeStereoField as runStereoFieldAnalysis, selectChannel, describePan, PAN_BANDS } from './stereoAnalysis.js';
+import { analyzeLoudness as runLoudnessAnalysis } from './loudness.js';
+import { separateHarmonicPercussive as runHarmonicPercussiveSeparation, describeSeparation, percussiveShare } from './sourceSeparation.js';
+import { encodeWav } from './utils/wavWriter.js';
+import { trackBeats as runBeatTracking } from './beatTracker.js';
+import { analyzeGroove as runGrooveAnalysis } from './grooveAnalysis.js';
+import { analyzePolyrhythm as runPolyrhythmAnalysis } from './polyrhythm.js';
+import { segmentStructure as runStructureSegmentation, extractStructureFeatures } from './structureSegmentation.js';
+import { GENRE_LABELS, GENRE_RULES, DERIVED_FEATURES } from './genreRules.js';
+import { applyRules, deriveFeatures } from './ruleEngine.js';
+import { explainGenreResults, CONTRIBUTION_SOURCES } from './genreExplanation.js';
+import { formatDiscogsLabel } from './discogsTaxonomy.js';
+import { Visualizer3D } from './advancedFeatures.js';
 
 export class AudioAnalyzer {
     constructor() {
@@ -27,7 +47,8 @@ export class AudioAnalyzer {
      * @returns {Object} Browser-specific settings
      */
     detectBrowserOptimizations() {
-        const ua = navigator.userAgent.toLowerCase();
+        // Node (batch CLI) before v21 has no navigator
+        const ua = (typeof navigator !== 'undefined' ? navigator.userAgent : '').toLowerCase();
         const isSafari = /safari/.test(ua) && !/chrome/.test(ua);
         
         return {
@@ -41,12 +62,16 @@ export class AudioAnalyzer {
     }
 
     async initialize() {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        this.analyzer = this.audioContext.createAnalyser();
-        // Use browser-optimized FFT size for consistency across Safari and Chrome
-        this.analyzer.fftSize = this.browserOptimizations.fftSize;
-        // Apply smoothing constant to stabilize frequency analysis
-        this.analyzer.smoothingTimeConstant = this.browserOptimizations.smoothingTimeConstant;
+        // Workers and Node have no Web Audio API; callers then set audioContext to { sampleRate }
+        const AudioContextClass = typeof window !== 'undefined' ? (window.AudioContext || window.webkitAudioContext) : null;
+        if (AudioContextClass) {
+            this.audioContext = new AudioContextClass();
+            this.analyzer = this.audioContext.createAnalyser();
+            // Use browser-optimized FFT size for consistency across Safari and Chrome
+            this.analyzer.fftSize = this.browserOptimizations.fftSize;
+            // Apply smoothing constant to stabilize frequency analysis
+            this.analyzer.smoothingTimeConstant = this.browserOptimizations.smoothingTimeConstant;
+        }
         
         // Initialize Essentia.js
         try {
@@ -460,7 +485,8 @@ export class AudioAnalyzer {
      * Detect rhythm patterns and tempo
      * @param {Float32Array} buffer - Audio buffer
      * @param {number} sampleRate - Optional sample rate (defaults to audioContext.sampleRate)
-     * @returns {Object} Rhythm analysis results
+     * @returns {Object} Rhythm analysis results: tempo from the tracked beats (or, with fewer than
+     *   four beats, from onset intervals), regularity of the onsets, beats, downbeats, tempo curve and groove
      */
     analyzeRhythm(buffer, sampleRate = null) {
         // Basic rhythm analysis
@@ -477,16 +503,61 @@ export class AudioAnalyzer {
         const avgInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
         // avgInterval is in samples. Convert to seconds, then to BPM
         // BPM = 60 / (interval in seconds) = 60 / (samples / sampleRate) = 60 * sampleRate / samples
-        const tempo = avgInterval > 0 ? (60 * sr) / avgInterval : 0;
+        const intervalTempo = avgInterval > 0 ? (60 * sr) / avgInterval : 0;
+        const beatTracking = this.trackBeats(buffer, sr);
+        const tracked = beatTracking.beats.length >= 4;
+        const tempo = tracked ? beatTracking.tempo : intervalTempo;
         
         return {
             tempo: Math.round(Math.max(0, tempo)),
+            tempoSource: tracked ? 'beats' : 'intervals',
             peakCount: peaks.length,
             regularity: this.calculateRegularity(intervals),
-            intervals: intervals
+            intervals: intervals,
+            beats: beatTracking.beats,
+            downbeats: beatTracking.downbeats,
+            beatsPerBar: beatTracking.beatsPerBar,
+            tempoCurve: beatTracking.tempoCurve,
+            beatConfidence: beatTracking.confidence,
+            groove: tracked ? this.analyzeGroove(beatTracking, beatTracking.onsets) : null
         };
     }
 
+    /**
+     * Groove profile: microtiming of every subdivision, swing ratio and uneven beat lengths
+     * @param {Object} rhythm - { beats, downbeats, beatsPerBar } in seconds
+     * @param {Array<{time: number, strength: number}>} onsets - Onsets in seconds
+     * @param {Object} options - { subdivisions, fitTolerance, evenTolerance }
+     * @returns {Object|null} Groove template, swing and beat/subdivision profiles
+     */
+    analyzeGroove(rhythm, onsets, options = {}) {
+        return runGrooveAnalysis(rhythm, onsets, options);
+    }
+
+    /**
+     * Beat tracking: onset-strength envelope, tempogram and dynamic-programming beat alignment
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} options - { minBPM, maxBPM, startBPM, tightness, meters, ... }
+     * @returns {Object} { tempo, beats, downbeats, beatsPerBar, downbeatStrength, tempoCurve, confidence, onsets }
+     */
+    trackBeats(buffer, sampleRate = null, options = {}) {
+        const sr = sampleRate || (this.audioContext ? this.audioContext.sampleRate : 44100);
+        return runBeatTracking(buffer, sr, options);
+    }
+
+    /**
+     * Detect the rhythmic cycle (tala, usul, timeline) and its sam
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} options - { maxSeconds, minBPM, maxBPM, library }
+     * @returns {Object} Cycle length in pulses, sam time and ranked cycle matches
+     */
+    detectCycle(buffer, sampleRate = null, options = {}) {
+        const sr = sampleRate || (this.audioContext ? this.audioContext.sampleRate : 44100);
+        return runCycleDetection(buffer, sr, options);
+    }
+
     /**
      * Detect onset events (note starts)
      * @param {Float32Array} buffer - Audio buffer
@@ -794,6 +865,42 @@ export class AudioAnalyzer {
         return { scale: label, score: best.score, confidence };
     }
 
+    /**
+     * Microtonal tuning analysis. Unlike identifyScale, pitches are not snapped
+     * to 12-TET: degrees come from a cents histogram and are matched against
+     * shruti, maqam, makam and gamelan tuning systems.
+     * @param {Array} pitches - Detected pitches in Hz, in time order
+     * @param {Object} options - See analyzeTuning in tuningAnalysis.js (tonicHz, stableOnly, resolution)
+     * @returns {Object} Degrees, 12-TET deviations and ranked tuning systems
+     */
+    analyzeTuning(pitches, options = {}) {
+        return runTuningAnalysis(pitches, options);
+    }
+
+    /**
+     * Rank maqamat (Rast, Bayati, Hijaz, Saba, ...) from the microtonal
+     * pitch-class profile, the Middle Eastern counterpart of the raga predictions
+     * @param {Array} pitches - Detected pitches in Hz, in time order
+     * @param {Object} options - { tonicHz, sigma, topN }
+     * @returns {Object} Tonic estimate and ranked maqamat with confidences
+     */
+    recognizeMaqam(pitches, options = {}) {
+        return runMaqamRecognition(pitches, options);
+    }
+
+    /**
+     * Drone and tonic (Sa) estimation over the whole file. When a drone is
+     * present the melody is re-tracked with the drone spectrum removed.
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} options - { pitchTrack } fallback melody when there is no drone
+     * @returns {Object} Tonic pitch, method ('drone' | 'melody'), drone details and melody track
+     */
+    estimateTonic(buffer, sampleRate = null, options = {}) {
+        const sr = sampleRate || (this.audioContext ? this.audioContext.sampleRate : 44100);
+        return runTonicEstimation(buffer, sr, options);
+    }
+
     /**
      * Convert frequency to MIDI note number
      * @param {number} frequency - Frequency in Hz
@@ -870,40 +977,42 @@ export class AudioAnalyzer {
     }
 
     /**
-     * Detect polyrhythmic patterns
-     * @param {Array} intervals - Beat intervals
-     * @returns {Object} Polyrhythm analysis
+     * Detect polyrhythmic patterns: pulse layers per frequency band on the beat grid and the
+     * cross-rhythm ratios between them
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} rhythm - Rhythm analysis with tracked beats and beatsPerBar
+     * @param {Object} options - { bands, minSalience, maxRatioTerm, ... }
+     * @returns {Object} { isPolyrhythmic, dominantRatio, bands, layers, ratios: [{ ratio, label, confidence, fast, slow }] }
      */
-    detectPolyrhythm(intervals) {
-        // Require enough onsets
-        if (intervals.length < 6) return { isPolyrhythmic: false, ratio: null };
-
-        // Stability check (CV): if too steady, don't flag polyrhythm
-        const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
-        const variance = intervals.reduce((s, v) => s + Math.pow(v - mean, 2), 0) / intervals.length;
-        const std = Math.sqrt(variance);
-        const cv = mean > 0 ? std / mean : 0;
-        if (cv < 0.25) return { isPolyrhythmic: false, ratio: null };
-
-        // Find GCD of intervals to detect subdivisions
-        const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
-        const roundedIntervals = intervals.map(i => Math.round(i));
-        let commonDivisor = roundedIntervals[0];
-        for (let i = 1; i < roundedIntervals.length; i++) {
-            commonDivisor = gcd(commonDivisor, roundedIntervals[i]);
-        }
-
-        // Check for multiple distinct interval ratios
-        const ratios = roundedIntervals.map(i => Math.round(i / commonDivisor));
-        const uniqueRatios = [...new Set(ratios)];
+    detectPolyrhythm(buffer, sampleRate = null, rhythm = null, options = {}) {
+        const sr = sampleRate || (this.audioContext ? this.audioContext.sampleRate : 44100);
+        return runPolyrhythmAnalysis(buffer, sr, rhythm || this.analyzeRhythm(buffer, sr), options);
+    }
 
-        const isPolyrhythmic = uniqueRatios.length > 3 && cv >= 0.25; // Require 4+ ratios and non-steady CV
+    /**
+     * Structural segmentation: section boundaries from the self-similarity of MFCC and chroma
+     * frames, repeated sections labelled A, B, A′ ..., each with its own tempo and key
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} rhythm - Rhythm analysis with tracked beats; sections are beat-tracked on their own without it
+     * @param {Object} options - { frameSize, hopSize, kernelSeconds, minSectionSeconds, sameThreshold, variantThreshold, ... }
+     * @returns {Object} { sections: [{ start, end, duration, label, group, variant, similarity, tempo, key }], boundaries, novelty, form }
+     */
+    segmentStructure(buffer, sampleRate = null, rhythm = null, options = {}) {
+        const sr = sampleRate || (this.audioContext ? this.audioContext.sampleRate : 44100);
+        const structure = runStructureSegmentation(extractStructureFeatures(buffer, sr, options), options);
 
-        return {
-            isPolyrhythmic,
-            ratio: uniqueRatios.length > 1 ? uniqueRatios.join(':') : null,
-            complexity: uniqueRatios.length
-        };
+        structure.sections.forEach(section => {
+            let beats = (rhythm?.beats || []).filter(time => time >= section.start && time < section.end);
+            if (!rhythm) {
+                const slice = buffer.subarray(Math.floor(section.start * sr), Math.floor(section.end * sr));
+                beats = this.trackBeats(slice, sr).beats;
+            }
+            const intervals = beats.slice(1).map((time, i) => time - beats[i]).sort((a, b) => a - b);
+            section.tempo = intervals.length >= 3 ? Math.round(60 / intervals[Math.floor(intervals.length / 2)]) : null;
+        });
+        return structure;
     }
 
     /**
@@ -942,6 +1051,176 @@ export class AudioAnalyzer {
         };
     }
 
+    /**
+     * Sample the fundamental at a fixed hop across a whole recording
+     * Frames without a clear pitch are skipped
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {number} sampleRate - Sample rate
+     * @param {number} hopSeconds - Time between pitch frames
+     * @param {number} frameSize - Samples per pitch frame
+     * @returns {Array<{time: number, frequency: number}>} Pitch samples
+     */
+    samplePitchTrack(buffer, sampleRate, hopSeconds = 0.5, frameSize = 2048) {
+        const track = [];
+        const hop = Math.max(1, Math.floor(sampleRate * hopSeconds));
+        for (let i = 0; i + frameSize <= buffer.length; i += hop) {
+            const frequency = this.detectPitch(buffer.subarray(i, i + frameSize));
+            if (frequency > 0 && Number.isFinite(frequency)) {
+                track.push({ time: i / sampleRate, frequency });
+            }
+        }
+        return track;
+    }
+
+    /**
+     * Continuous f0 contour (probabilistic YIN) with a voicing probability per frame
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} options - { minHz, maxHz, hopSeconds, maxFrames }
+     * @returns {Object} { hopSeconds, frames: [{ time, frequency, voicing, voiced }] }
+     */
+    trackPitchContour(buffer, sampleRate = null, options = {}) {
+        const sr = sampleRate || (this.audioContext ? this.audioContext.sampleRate : 44100);
+        return trackPitch(buffer, sr, options);
+    }
+
+    /**
+     * Segment a pitch contour into steady notes, glides, vibrato/gamaka and grace notes
+     * @param {Object} contour - Output of trackPitchContour
+     * @param {Object} options - { tonicHz } and threshold overrides
+     * @returns {Object} { reference, events: [{ type, start, end, duration, cents, frequency, parameters }], summary }
+     */
+    analyzeOrnaments(contour, options = {}) {
+        return runOrnamentAnalysis(contour, options);
+    }
+
+    /**
+     * Transcribe the melody into note events: energy onsets from detectOnsets split
+     * repeated notes inside the frame-wise pitch contour
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} options - { contour (reused when given), tonicHz, scaleDegrees } plus transcription thresholds
+     * @returns {Object} { reference, notes: [{ start, end, duration, cents, frequency, midi, note, degree, ... }], rests }
+     */
+    transcribeMelody(buffer, sampleRate = null, options = {}) {
+        const sr = sampleRate || (this.audioContext ? this.audioContext.sampleRate : 44100);
+        const { contour = null, ...transcriptionOptions } = options;
+        const pitchContour = contour || this.trackPitchContour(buffer, sr);
+        const onsets = this.detectOnsets(buffer).map(position => position / sr);
+        return transcribeNotes(pitchContour, onsets, transcriptionOptions);
+    }
+
+    /**
+     * Per-channel levels, mid/side balance, inter-channel correlation and panning over time
+     * @param {Float32Array[]} channels - Decoded channels
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} options - { windowSeconds, maxWindows, frameSize, framesPerWindow }
+     * @returns {Object} See stereoAnalysis.js; stereo fields are absent for mono
+     */
+    analyzeStereoField(channels, sampleRate = null, options = {}) {
+        const sr = sampleRate || (this.audioContext ? this.audioContext.sampleRate : 44100);
+        return runStereoFieldAnalysis(channels, sr, options);
+    }
+
+    /**
+     * BS.1770 loudness (integrated, short-term, momentary LUFS), loudness range, true peak,
+     * crest factor and a dynamics envelope over time
+     * @param {Float32Array[]} channels - Decoded channels
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} options - { blockSeconds, maxEnvelopePoints, absoluteGate, relativeGate, lraRelativeGate, truePeakTaps }
+     * @returns {Object} See loudness.js
+     */
+    analyzeLoudness(channels, sampleRate = null, options = {}) {
+        const sr = sampleRate || (this.audioContext ? this.audioContext.sampleRate : 44100);
+        return runLoudnessAnalysis(channels, sr, options);
+    }
+
+    /**
+     * Median-filtering harmonic/percussive separation (HPSS)
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} options - { frameSize, hopSize, harmonicKernel, percussiveKernel, maskPower }
+     * @returns {Object} { harmonic, percussive, frameSize, hopSize, harmonicKernel, percussiveKernel }
+     */
+    separateHarmonicPercussive(buffer, sampleRate = null, options = {}) {
+        const sr = sampleRate || (this.audioContext ? this.audioContext.sampleRate : 44100);
+        return runHarmonicPercussiveSeparation(buffer, sr, options);
+    }
+
+    /**
+     * Windowed analysis for long recordings that move through sections
+     * (alap/jor/jhala, verse/chorus). Runs rhythm, spectral, scale and genre
+     * analysis over sliding windows and returns a per-segment timeline.
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} options - { windowSeconds, hopSeconds, pitchHopSeconds, pitchTrack,
+     *   harmonic, percussive (separated components of buffer; rhythm is then measured on the percussive part
+     *   wherever it has onsets, and each window reports its percussiveShare) }
+     * @returns {Promise<Object>} Timeline with one entry per window
+     */
+    async analyzeTimeline(buffer, sampleRate, options = {}) {
+        const {
+            windowSeconds = 30,
+            hopSeconds = windowSeconds / 2,
+            pitchHopSeconds = 0.5,
+            pitchTrack: providedTrack = null,
+            harmonic = null,
+            percussive = null
+        } = options || {};
+
+        const duration = buffer.length / sampleRate;
+        const windowSize = Math.floor(windowSeconds * sampleRate);
+        const hopSize = Math.max(1, Math.floor(hopSeconds * sampleRate));
+        const segments = [];
+
+        // One pitch pass over the whole file (reused if the caller already has one); each window picks its own frames
+        const pitchTrack = providedTrack || this.samplePitchTrack(buffer, sampleRate, pitchHopSeconds);
+
+        // Spectral flux is measured between consecutive windows, not against a previous file
+        this.previousSpectrum = null;
+
+        for (let start = 0; start < buffer.length; start += hopSize) {
+            const end = Math.min(buffer.length, start + windowSize);
+            // Skip a trailing sliver that is already covered by the previous window
+            if (segments.length > 0 && end - start < windowSize / 2) break;
+
+            const slice = buffer.subarray(start, end);
+            const startTime = start / sampleRate;
+            const endTime = end / sampleRate;
+
+            let rhythm = percussive ? this.analyzeRhythm(percussive.subarray(start, end), sampleRate) : null;
+            if (!rhythm || rhythm.peakCount < 2) rhythm = this.analyzeRhythm(slice, sampleRate);
+            if (harmonic && percussive) rhythm.percussiveShare = percussiveShare(harmonic, percussive, start, end);
+            const spectral = this.analyzeSpectralFeatures(slice);
+            const pitches = pitchTrack
+                .filter(p => p.time >= startTime && p.time < endTime)
+                .map(p => p.frequency);
+            const scale = this.identifyScale(pitches);
+            const genres = await this.classifyGenre(rhythm, scale, spectral);
+
+            segments.push({
+                index: segments.length,
+                start: startTime,
+                end: endTime,
+                tempo: rhythm.tempo,
+                regularity: rhythm.regularity,
+                peakCount: rhythm.peakCount,
+                percussiveShare: rhythm.percussiveShare ?? null,
+                scale: scale.scale,
+                scaleConfidence: scale.confidence,
+                centroid: spectral.centroid,
+                brightness: spectral.brightness,
+                genre: genres[0]?.genre || 'Unknown',
+                genreConfidence: genres[0]?.confidence || 0,
+                topGenres: genres.slice(0, 3).map(g => ({ genre: g.genre, confidence: g.confidence }))
+            });
+
+            if (end >= buffer.length) break;
+        }
+
+        return { windowSeconds, hopSeconds, duration, segments };
+    }
+
     /**
      * Analyze timbre characteristics
      * @param {Float32Array} buffer - Audio buffer
@@ -1104,10 +1383,15 @@ export class AudioAnalyzer {
      * @param {Object} rhythmAnalysis - Rhythm analysis results
      * @param {Object} scaleAnalysis - Scale detection results
      * @param {Object} spectralAnalysis - Spectral features
-     * @returns {Promise<Array>} Sorted array of genre predictions with confidence scores (top 3-5 genres or blends)
+     * @param {Object} essentiaFeatures - From extractEssentiaGenreFeatures (optional)
+     * @param {Object} options - { mlWeight, tuning, runId, maestEmbeddings: MAEST embeddings for the ONNX
+     *   genre_discogs400 model (also read from essentiaFeatures.maestEmbeddings) }
+     * @returns {Promise<Array>} Sorted array of genre predictions with confidence scores (top 3-5 genres or blends);
+     *   predictions from the ONNX model also carry the Discogs style, parent and label
      */
     async classifyGenre(rhythmAnalysis, scaleAnalysis, spectralAnalysis, essentiaFeatures = null, options = {}) {
         const { mlWeight = 0.2 } = options || {};
+        const maestEmbeddings = options?.maestEmbeddings || essentiaFeatures?.maestEmbeddings || null;
         // Defensive helpers to handle undefined/NaN inputs
         const safeNum = (v, def = 0) => (Number.isFinite(v) ? v : def);
         const clamp01 = (v) => {
@@ -1115,23 +1399,7 @@ export class AudioAnalyzer {
             return Math.min(1, Math.max(0, n));
         };
 
-        const genres = {
-            'European Classical': 0,
-            'Indian Classical': 0,
-            'Jazz': 0,
-            'Rock': 0,
-            'Electronic': 0,
-            'Blues': 0,
-            'Folk': 0,
-            'Hip Hop': 0,
-            'Latin': 0,
-            'Metal': 0,
-            'Pop': 0,
-            'Reggae': 0,
-            'Country': 0,
-            'R&B/Soul': 0,
-            'World': 0
-        };
+        const genres = Object.fromEntries(GENRE_LABELS.map(label => [label, 0]));
 
         // Sanitize inputs with safe defaults
         let tempo = safeNum(rhythmAnalysis?.tempo, 0);
@@ -1141,7 +1409,6 @@ export class AudioAnalyzer {
         const complexity = clamp01(rhythmAnalysis?.temporalComplexity);
         const polyrhythmic = !!(rhythmAnalysis && rhythmAnalysis.polyrhythmic);
         const scale = typeof scaleAnalysis?.scale === 'string' ? scaleAnalysis.scale : '';
-        // Keep centroid if present for future rules (not currently used)
         const spectralCentroid = safeNum(spectralAnalysis?.centroid, 0);
         const tuning = (options && options.tuning) || 'stable';
 
@@ -1150,8 +1417,10 @@ export class AudioAnalyzer {
         // This is a quick pre-check: if tempo > 170 and looks like metal when everything else suggests slow genre
         let tempoOriginal = tempo;
         let tempoCorrectionApplied = null;
+        // A tempo read from tracked beats already has its metrical level chosen by the tempogram
+        const beatTracked = rhythmAnalysis?.tempoSource === 'beats';
         
-        if (tempo > 160) {
+        if (tempo > 160 && !beatTracked) {
             // Very high tempo - likely a doubling error. Test if half-tempo is more reasonable
             const halfTempo = tempo * 0.5;
             // Quick heuristic: if low percussiveness + low regularity + low complexity, probably should be slower
@@ -1172,478 +1441,27 @@ export class AudioAnalyzer {
         console.log('Polyrhythmic:', polyrhythmic);
         console.log('Scale:', scale || 'Unknown');
 
-        // Tempo-based scoring with stronger differentiation
-        if (tempo < 60) {
-            genres['European Classical'] += 0.5;
-            genres['Blues'] += 0.3;
-            // Penalize fast genres
-            genres['Metal'] -= 0.3;
-            genres['Electronic'] -= 0.3;
-            genres['Hip Hop'] -= 0.25;
-        } else if (tempo >= 60 && tempo < 90) {
-            genres['Blues'] += 0.4;
-            genres['Jazz'] += 0.3;
-            genres['R&B/Soul'] += 0.3;
-            genres['Reggae'] += 0.8;  // Strong boost - reggae is typically 60-90 BPM
-            genres['Folk'] += 0.25;
-            genres['World'] += 0.25;
-            // Penalize fast genres
-            genres['Metal'] -= 0.25;
-            genres['Electronic'] -= 0.2;
-        } else if (tempo >= 90 && tempo < 120) {
-            genres['Folk'] += 0.6;  // Folk typically 90-110 BPM
-            genres['Country'] += 0.6;  // Country similar to folk tempo
-            genres['World'] += 0.5;
-            genres['Latin'] += 0.4;
-            genres['Pop'] += 0.3;
-            genres['Rock'] += 0.3;
-            genres['Reggae'] += 0.3;
-            // Penalize very fast genres
-            genres['Metal'] -= 0.2;
-            genres['Electronic'] -= 0.15;
-        } else if (tempo >= 120 && tempo < 140) {
-            genres['Rock'] += 0.5;
-            genres['Pop'] += 0.4;
-            genres['Electronic'] += 0.3;
-            genres['Latin'] += 0.3;
-            genres['Hip Hop'] += 0.25;
-            // Penalize slow genres
-            genres['Blues'] -= 0.2;
-            genres['European Classical'] -= 0.2;
-            genres['Indian Classical'] -= 0.15;
-        } else if (tempo >= 140 && tempo < 170) {
-            genres['Electronic'] += 0.5;
-            genres['Metal'] += 0.4;
-            genres['Hip Hop'] += 0.3;
-            genres['Rock'] += 0.2;
-            // Penalize slow genres
-            genres['Blues'] -= 0.3;
-            genres['European Classical'] -= 0.3;
-            genres['Indian Classical'] -= 0.25;
-            genres['Folk'] -= 0.3;
-            genres['Country'] -= 0.3;
-        } else {
-            genres['Metal'] += 0.6;
-            genres['Electronic'] += 0.5;
-            genres['Hip Hop'] += 0.2;
-            // Penalize slow genres heavily
-            genres['Blues'] -= 0.4;
-            genres['European Classical'] -= 0.3;
-            genres['Indian Classical'] -= 0.2;
-            genres['Folk'] -= 0.4;
-            genres['Country'] -= 0.4;
-            genres['Jazz'] -= 0.3;
-        }
-
-        // Regularity-based scoring with stronger differentiation
-        if (regularity > 0.8) {
-            genres['Electronic'] += 0.6;
-            genres['Pop'] += 0.4;
-            genres['Hip Hop'] += 0.4;
-            genres['Reggae'] += 0.5;
-            // Penalize irregular genres
-            genres['Jazz'] -= 0.4;
-            genres['European Classical'] -= 0.3;
-            genres['Indian Classical'] -= 0.25;
-            genres['Folk'] -= 0.3;
-            genres['World'] -= 0.3;
-        } else if (regularity > 0.6) {
-            genres['R&B/Soul'] += 0.3;
-            genres['Pop'] += 0.25;
-            genres['Rock'] += 0.2;
-            // Penalize very irregular
-            genres['Jazz'] -= 0.2;
-            genres['Indian Classical'] -= 0.15;
-        } else if (regularity < 0.1) {
-            // Very low regularity - but check for reggae signature FIRST
-            // Reggae has characteristic off-beat that can read as low regularity
-            if (tempo >= 60 && tempo < 100 && percussiveness >= 0.015) {
-                // Strong reggae signature
-                genres['Reggae'] += 1.2;
-                genres['World'] += 0.2;
-                genres['Folk'] -= 0.3;  // Penalize folk when reggae signature present
-            } else {
-                // Not reggae - boost world/folk as before
-                genres['Folk'] += 0.6;
-                genres['World'] += 0.6;
-                genres['Indian Classical'] += 0.4;
-                genres['Jazz'] += 0.4;
-                // Penalize mechanical genres heavily
-                genres['Electronic'] -= 0.5;
-                genres['Pop'] -= 0.4;
-                genres['Hip Hop'] -= 0.4;
-            }
-        } else if (regularity < 0.5) {
-            // Moderate-low regularity
-            if (tempo >= 60 && tempo < 100) {
-                // Likely reggae in this range with moderate-low regularity
-                genres['Reggae'] += 0.6;
-            }
-            genres['World'] += 0.5;
-            genres['Folk'] += 0.4;
-            genres['Jazz'] += 0.4;
-            genres['European Classical'] += 0.25;
-            genres['Indian Classical'] += 0.2;
-            genres['Latin'] += 0.3;
-            // Penalize very regular genres
-            genres['Electronic'] -= 0.3;
-            genres['Hip Hop'] -= 0.2;
-        }
-
-        // Polyrhythmic patterns
-        if (polyrhythmic) {
-            genres['Jazz'] += 0.3;
-            genres['Latin'] += 0.4;
-            genres['World'] += 0.3;
-        }
-
-        // Percussiveness scoring with stronger differentiation
-        if (percussiveness > 0.15) {
-            genres['Hip Hop'] += 0.6;
-            genres['Electronic'] += 0.4;
-            genres['Metal'] += 0.4;
-            genres['Latin'] += 0.3;
-            // Penalize melodic genres
-            genres['European Classical'] -= 0.3;
-            genres['Indian Classical'] -= 0.2;
-            genres['Folk'] -= 0.4;
-            genres['Country'] -= 0.3;
-            genres['Jazz'] -= 0.2;
-        } else if (percussiveness < 0.05) {
-            genres['Folk'] += 0.6;  // Folk is melodic/vocal-driven
-            genres['European Classical'] += 0.5;
-            genres['Indian Classical'] += 0.3;
-            genres['Country'] += 0.5;  // Country is also melodic
-            genres['Jazz'] += 0.4;
-            genres['World'] += 0.4;  // World music often melodic
-            genres['R&B/Soul'] += 0.3;
-            // Penalize percussion-heavy genres
-            genres['Metal'] -= 0.4;
-            genres['Hip Hop'] -= 0.5;
-            genres['Electronic'] -= 0.3;
-            genres['Latin'] -= 0.2;
-        } else if (percussiveness >= 0.05 && percussiveness < 0.08) {
-            genres['Folk'] += 0.3;
-            genres['Country'] += 0.3;
-            genres['World'] += 0.25;
-            genres['European Classical'] += 0.15;
-        } else if (percussiveness >= 0.08 && percussiveness <= 0.15) {
-            genres['Pop'] += 0.3;
-            genres['Rock'] += 0.3;
-            genres['Country'] += 0.2;
-            genres['Latin'] += 0.2;
-        }
-
-        // Brightness/timbre scoring with stronger differentiation
-        if (brightness > 0.7) {
-            genres['Pop'] += 0.4;
-            genres['Electronic'] += 0.4;
-            genres['Metal'] += 0.3;
-            // Penalize warm/dark genres
-            genres['Blues'] -= 0.3;
-            genres['R&B/Soul'] -= 0.2;
-        } else if (brightness < 0.35) {
-            genres['Blues'] += 0.5;
-            genres['R&B/Soul'] += 0.4;
-            genres['Jazz'] += 0.3;
-            genres['European Classical'] += 0.2;
-            // Penalize bright genres
-            genres['Pop'] -= 0.3;
-            genres['Electronic'] -= 0.3;
-            genres['Metal'] -= 0.2;
-        } else if (brightness >= 0.35 && brightness < 0.5) {
-            // Warm acoustic instruments
-            genres['Folk'] += 0.5;
-            genres['Country'] += 0.5;
-            genres['World'] += 0.4;
-            genres['European Classical'] += 0.2;
-        } else if (brightness >= 0.5 && brightness <= 0.7) {
-            // Moderate brightness
-            genres['Rock'] += 0.3;
-            genres['Pop'] += 0.25;
-            genres['Latin'] += 0.2;
-        }
-
-        // Scale-based scoring
-        if (scale.includes('Pentatonic')) {
-            genres['Blues'] += 0.3;
-            genres['Rock'] += 0.2;
-            genres['Folk'] += 0.2;
-            genres['Country'] += 0.2;
-            genres['World'] += 0.2;
-        } else if (scale.includes('Blues')) {
-            genres['Blues'] += 0.5;
-            genres['Jazz'] += 0.3;
-            genres['Rock'] += 0.2;
-        } else if (scale.includes('Major')) {
-            genres['Pop'] += 0.2;
-            genres['Country'] += 0.2;
-            genres['Folk'] += 0.2;
-        } else if (scale.includes('Minor')) {
-            genres['Rock'] += 0.2;
-            genres['European Classical'] += 0.15;
-        } else if (scale.includes('Chromatic')) {
-            genres['Jazz'] += 0.3;
-            genres['European Classical'] += 0.2;
-            genres['Metal'] += 0.1;
-        } else if (scale.includes('Dorian') || scale.includes('Mixolydian') || scale.includes('Phrygian')) {
-            genres['Jazz'] += 0.3;
-            genres['Rock'] += 0.2;
-            genres['World'] += 0.2;
-        }
-
-        // Complexity scoring with stronger differentiation
-        if (complexity > 0.7) {
-            genres['Jazz'] += 0.6;
-            genres['European Classical'] += 0.4;
-            genres['Indian Classical'] += 0.3;
-            genres['Metal'] += 0.4;
-            // Penalize simple genres
-            genres['Pop'] -= 0.3;
-            genres['Country'] -= 0.3;
-            genres['Folk'] -= 0.3;
-        } else if (complexity < 0.3) {
-            genres['Folk'] += 0.6;  // Folk often simpler structures
-            genres['Country'] += 0.6;
-            genres['Pop'] += 0.4;
-            genres['Reggae'] += 0.3;
-            // Penalize complex genres
-            genres['Jazz'] -= 0.4;
-            genres['European Classical'] -= 0.2;
-            genres['Indian Classical'] -= 0.15;
-            genres['Metal'] -= 0.3;
-        } else if (complexity >= 0.3 && complexity <= 0.5) {
-            genres['Rock'] += 0.3;
-            genres['R&B/Soul'] += 0.3;
-            genres['Latin'] += 0.25;
-        }
-
-        // Additional cross-feature penalties for better separation
-        // Folk-specific signature: moderate tempo + low regularity + low percussiveness
-        if (tempo >= 90 && tempo < 120 && regularity < 0.5 && percussiveness < 0.08) {
-            genres['Folk'] += 0.4;
-            genres['World'] += 0.3;
-        }
-        
-        // Country-specific: moderate tempo + simpler structure + moderate brightness
-        if (tempo >= 90 && tempo < 120 && complexity < 0.4 && brightness >= 0.35 && brightness < 0.6) {
-            genres['Country'] += 0.4;
-        }
-        
-        // Electronic-specific: high regularity + high tempo
-        if (regularity > 0.7 && tempo > 120) {
-            genres['Electronic'] += 0.5;
-            genres['Folk'] -= 0.3;
-            genres['World'] -= 0.3;
-        }
-        
-        // Metal-specific: high tempo + high brightness + high complexity
-        if (tempo > 140 && brightness > 0.6 && complexity > 0.5) {
-            genres['Metal'] += 0.5;
-            genres['Folk'] -= 0.4;
-            genres['European Classical'] -= 0.3;
-            genres['Indian Classical'] -= 0.2;
-        }
-        
-        // Reggae-specific: slower tempo + characteristic off-beat rhythm (low-to-moderate regularity)
-        // Reggae: 60-90 BPM typical, can be up to 110, with distinctive syncopated feel
-        if (tempo >= 60 && tempo < 110 && regularity < 0.5) {
-            // Strong reggae signature
-            genres['Reggae'] += 1.0;
-            genres['Folk'] -= 0.5;  // Strong penalty to folk when reggae signature present
-            genres['World'] -= 0.2;
-            if (percussiveness >= 0.02 && percussiveness < 0.15) {
-                // Typical reggae percussion range
-                genres['Reggae'] += 0.5;
-            }
-        } else if (tempo >= 80 && tempo < 130 && regularity < 0.15 && brightness >= 0.35 && brightness <= 0.75) {
-            // Backup check for faster reggae variants
-            genres['Reggae'] += 0.8;
-            genres['Latin'] += 0.3;
-            genres['Folk'] -= 0.4;
-            genres['World'] -= 0.2;
-        }
-
-        // Raga-specific: extremely low regularity (ornamental/improvisational style)
-        // Detect raga patterns: regularity near zero OR Blues scale with low regularity
-        const ragaPattern = (regularity < 0.02 || (regularity < 0.06 && scale.includes('Blues')));
-
-        // Indigenous safety: penalize reggae boost for polyrhythmic pentatonic material with high centroid
-        const indigenousGuard = polyrhythmic && scale.includes('Pentatonic') && regularity < 0.08 && spectralCentroid > 8000;
-        
-        // Guard: if low-regularity but with some percussion in a mid-tempo range, bias to reggae instead of raga
-        // UNLESS it matches raga pattern (very low regularity or Blues scale)
-        if (!ragaPattern && !indigenousGuard && regularity < 0.06 && percussiveness > 0.015 && tempo >= 70 && tempo <= 130) {
-            genres['Reggae'] += 1.2;
-            genres['World'] -= 0.4;
-            genres['Indian Classical'] -= 0.2;
-            genres['European Classical'] -= 0.4;
-        } else if (regularity < 0.05 || ragaPattern) {
-            // Boost Indian Classical and Folk for improvisational/ornamental styles
-            genres['Indian Classical'] += 0.8;
-            genres['World'] += 0.6;
-            genres['Folk'] += 0.5;
-            genres['Jazz'] -= 0.5;
-            genres['Reggae'] -= 0.8;
-            genres['Rock'] -= 0.4;
-            genres['Metal'] -= 0.5;
-            genres['Electronic'] -= 0.3;
-            genres['Pop'] -= 0.2;
-        }
-
-        // Ornamental raga pattern: very fast + extremely low regularity + high complexity
-        // Prioritize Indian Classical & Folk over Jazz/World/Latin for true ornamental/improvisational pieces
-        if (tempo > 180 && regularity < 0.06 && complexity > 0.7) {
-            genres['Indian Classical'] += 1.4;
-            genres['Folk'] += 1.5;
-            genres['Jazz'] -= 1.8;
-            genres['World'] -= 1.2;
-            genres['Latin'] -= 1.0;
-            genres['Pop'] -= 0.3;
-        }
-
-        // Reggae vs Indigenous: Both can be polyrhythmic + pentatonic, so we use TEMPO as primary differentiator
-        // Reggae: VERY SPECIFIC tempo range (80-120 BPM, sweet spot 95-110)
-        // Indigenous: ANY tempo, can be much slower or faster
-        
-        const reggaeTempoSignature = (tempo >= 80 && tempo < 120);
-        const reggaeReggaeConditionMet = (reggaeTempoSignature && 
-                                          regularity < 0.12 && 
-                                          percussiveness >= 0.02 && percussiveness <= 0.08 && 
-                                          complexity < 0.74);
-        
-        // Indigenous: polyrhythmic + pentatonic + (high complexity OR high spectral diversity)
-        // This runs INDEPENDENTLY of reggae
-        const isIndigenousPattern = polyrhythmic && 
-                                    scale.includes('Pentatonic') && 
-                                    (complexity > 0.65 || spectralCentroid > 10000) &&
-                                    regularity < 0.12;
-        
-        // Indigenous detector to avoid misclassifying polyrhythmic pentatonic material as reggae
-        // BUT: exclude actual reggae from this guard
-        const indigenousStrong = (!reggaeTempoSignature) && polyrhythmic && scale.includes('Pentatonic') && regularity < 0.08 && spectralCentroid > 8000 && complexity >= 0.65;
-        
-        // DIFFERENTIATION: If BOTH reggae AND indigenous could match, use tempo as tiebreaker
-        // Reggae is tempo-specific, so tempo being in 80-120 range favors reggae
-        const reggaeConditionMet = reggaeReggaeConditionMet; // Now independent
-        
-        // EARLY INDIGENOUS BOOST - only if NOT in reggae tempo range
-        if (isIndigenousPattern && !reggaeTempoSignature) {
-            genres['World'] += 0.8;
-            genres['Folk'] += 0.5;
-            console.log('🌍 Indigenous pattern detected (outside reggae tempo range)');
-        }
-        
-
-        if (indigenousStrong) {
-            genres['World'] += 1.6;
-            genres['Folk'] += 0.8;
-            genres['Indian Classical'] += 0.4;
-            genres['Reggae'] -= 1.5;
-            genres['Jazz'] -= 0.4;
-        }
-        
-        if (reggaeConditionMet) {
-            genres['Reggae'] += 1.5;  // Increased from 1.2
-            genres['Folk'] -= 1.2;    // Increased from -1.0
-            genres['Country'] -= 0.8; // Increased from -0.6
-            genres['World'] -= 2.0;   // Increased from -1.5 for stronger reggae lock-in
-        }
-
-        // Country penalty for very low-regularity, lightly percussive, polyrhythmic material
-        if (regularity < 0.15 && percussiveness < 0.06 && polyrhythmic) {
-            genres['Country'] -= 0.6;
-        }
-
-        // Indigenous/World bias: lowered thresholds to catch samples with very low regularity
-        // Always-on for consistent world/folk bias on indigenous content
-        // Guard: skip if reggae conditions are met (to avoid conflicting boosts)
-        if (!reggaeConditionMet && polyrhythmic && percussiveness >= 0.03 && percussiveness <= 0.25 && regularity < 0.2) {
-            genres['World'] += 1.5;  // Increased from 1.2 to strengthen indigenous boost
-            genres['Folk'] += 0.8;   // Increased from 0.6
-            genres['Jazz'] -= 1.0;   // Increased from -0.8
-            genres['European Classical'] -= 0.4;
-            genres['Indian Classical'] -= 0.4;
-            genres['Reggae'] -= 0.8; // Increased from -0.4 to prevent reggae hijacking
-        }
-
-        // Indigenous guard: if World has been strongly boosted, further penalize Reggae/Classical types/Jazz
-        // This prevents these genres from appearing in top rankings for indigenous content
-        // BUT: Skip this entirely if reggae was detected - reggae should stay strong
-        if (!reggaeConditionMet && genres['World'] > 2.5) {
-            genres['Reggae'] -= 1.2;  // Increased from -0.8
-            genres['European Classical'] -= 0.6;
-            genres['Indian Classical'] -= 0.6;
-            genres['Jazz'] -= 0.9;    // Increased from -0.6
-            genres['Blues'] -= 0.3;   // Added to prevent blues hijacking
-        }
-
-        // Pentatonic/modal tie-breaker for percussive traditions
-        if (percussiveness >= 0.04) {
-            const modalScales = ['Pentatonic Major', 'Pentatonic Minor', 'Dorian', 'Mixolydian'];
-            const scaleMatches = modalScales.some(s => scale.includes(s));
-            if (scaleMatches) {
-                genres['World'] += 0.8;  // Increased from 0.6
-                genres['Jazz'] -= 0.6;   // Increased from -0.4
-                genres['Reggae'] -= 0.3; // Added
-            }
-        }
-
-        // Groove guard: prefer World over Jazz/Reggae in strongly percussive indigenous grooves
-        if (tempo >= 70 && tempo <= 110 && regularity < 0.2 && percussiveness >= 0.04) {
-            genres['World'] += 0.7;   // Increased from 0.5
-            genres['Jazz'] -= 0.7;    // Increased from -0.5
-            genres['Reggae'] -= 0.5;  // Increased from -0.2
-        }
+        // Rule-based scoring: thresholds, weights and guards live in genreRules.js
+        const ruleFeatures = deriveFeatures(DERIVED_FEATURES, {
+            tempo, regularity, brightness, percussiveness, complexity, polyrhythmic, scale, spectralCentroid, tuning
+        });
+        const firedRules = applyRules(GENRE_RULES, ruleFeatures, genres, DERIVED_FEATURES);
+        console.log('=== FIRED GENRE RULES ===');
+        firedRules.forEach(rule => {
+            const deltas = Object.entries(rule.scores).map(([g, d]) => `${g} ${d > 0 ? '+' : ''}${d}`).join(', ');
+            console.log(`  ${rule.id}: ${deltas}`);
+        });
 
-        // Experimental-only blocks
-        if (tuning === 'experimental') {
-            // Double-time correction for melodic/ornamental low-drum pieces (prevents fast genres from hijacking)
-            if (tempo > 180 && regularity < 0.1 && percussiveness < 0.05) {
-                const adjustedTempo = tempo * 0.5;
-                if (adjustedTempo >= 80 && adjustedTempo < 130 && brightness >= 0.3 && brightness <= 0.8) {
-                    genres['Reggae'] += 0.6;
-                    genres['Latin'] += 0.2;
-                }
-                genres['World'] += 0.6;
-                genres['European Classical'] += 0.3;
-                genres['Indian Classical'] += 0.2;
-                genres['Folk'] += 0.3;
-                genres['Rock'] -= 0.5;
-                genres['Metal'] -= 0.6;
-                genres['Electronic'] -= 0.5;
-                genres['Pop'] -= 0.2;
+        // Everything that moved a genre's score, for the "why this genre" view
+        const contributions = Object.fromEntries(GENRE_LABELS.map(label => [label, []]));
+        const contribute = (genre, delta, entry) => {
+            if (contributions[genre] && Number.isFinite(delta) && delta !== 0) {
+                contributions[genre].push({ ...entry, delta: Math.round(delta * 1000) / 1000 });
             }
-        }
-        
-        // Jazz-specific: low regularity + high complexity
-        if (regularity < 0.5 && complexity > 0.6) {
-            genres['Jazz'] += 0.4;
-            genres['Pop'] -= 0.3;
-        }
-        
-        // European Classical-specific: low percussiveness + high complexity + slow tempo
-        if (percussiveness < 0.05 && complexity > 0.6 && tempo < 100) {
-            genres['European Classical'] += 0.5;
-            genres['Hip Hop'] -= 0.5;
-            genres['Electronic'] -= 0.4;
-        }
-        
-        // Blues-specific: slow tempo + dark timbre
-        if (tempo < 90 && brightness < 0.4) {
-            genres['Blues'] += 0.4;
-            genres['Electronic'] -= 0.3;
-            genres['Metal'] -= 0.3;
-        }
-
-        // Correct over-regular, low-percussion false positives (common with sustained/acoustic audio)
-        if (regularity > 0.9 && percussiveness < 0.05) {
-            genres['Electronic'] -= 0.5;
-            genres['Pop'] -= 0.3;
-            genres['Hip Hop'] -= 0.3;
-            genres['European Classical'] += 0.15;
-            genres['Folk'] += 0.2;
-        }
+        };
+        firedRules.forEach(rule => Object.entries(rule.scores).forEach(([g, delta]) => {
+            contribute(g, delta, { source: 'rule', id: rule.id, description: rule.description, features: rule.features });
+        }));
 
         // ML-assisted adjustments using Essentia MFCC features (optional)
         if (essentiaFeatures && Array.isArray(essentiaFeatures.mfcc) && essentiaFeatures.mfcc.length > 0) {
@@ -1656,22 +1474,30 @@ export class AudioAnalyzer {
                 const c2 = safeNum(m[2], 0);
                 const c3 = safeNum(m[3], 0);
 
+                const mfccBias = (genre, delta, id, description) => {
+                    genres[genre] += delta;
+                    contribute(genre, delta, { source: 'mfcc', id, description, features: ['mfcc'] });
+                };
+
                 // Bright/edgy bias
                 const brightBias = Math.max(0, (c2 + c3) / 40); // scaled
-                genres['Electronic'] += brightBias * mlWeight;
-                genres['Metal'] += brightBias * mlWeight * 0.8;
-                genres['Rock'] += brightBias * mlWeight * 0.6;
+                const bright = 'Bright, edgy timbre (MFCC 2-3)';
+                mfccBias('Electronic', brightBias * mlWeight, 'mfcc-bright', bright);
+                mfccBias('Metal', brightBias * mlWeight * 0.8, 'mfcc-bright', bright);
+                mfccBias('Rock', brightBias * mlWeight * 0.6, 'mfcc-bright', bright);
 
                 // Warm/rounded bias
                 const warmBias = Math.max(0, -c2 / 25); // negative c2 indicates rounder spectrum
-                genres['Blues'] += warmBias * mlWeight * 0.9;
-                genres['Jazz'] += warmBias * mlWeight * 0.8;
-                genres['R&B/Soul'] += warmBias * mlWeight * 0.7;
+                const warm = 'Warm, rounded timbre (MFCC 2)';
+                mfccBias('Blues', warmBias * mlWeight * 0.9, 'mfcc-warm', warm);
+                mfccBias('Jazz', warmBias * mlWeight * 0.8, 'mfcc-warm', warm);
+                mfccBias('R&B/Soul', warmBias * mlWeight * 0.7, 'mfcc-warm', warm);
 
                 // Energy (c0) bias
                 const energyBias = Math.min(1, Math.max(0, (c0 + 200) / 400));
-                genres['Pop'] += energyBias * mlWeight * 0.5;
-                genres['Hip Hop'] += energyBias * mlWeight * 0.5;
+                const energy = 'Overall energy (MFCC 0)';
+                mfccBias('Pop', energyBias * mlWeight * 0.5, 'mfcc-energy', energy);
+                mfccBias('Hip Hop', energyBias * mlWeight * 0.5, 'mfcc-energy', energy);
             } catch (e) {
                 console.warn('ML adjustment failed, continuing with rules:', e?.message || e);
             }
@@ -1718,6 +1544,12 @@ export class AudioAnalyzer {
             
             adaptiveAdjustments[genreName] = adjustment;
             genres[genreName] += adjustment;
+            contribute(genreName, adjustment, {
+                source: 'adaptive',
+                id: 'adaptive-profile',
+                description: `Fit to the ${genreName} profile (tempo range, regularity, polyrhythm, brightness)`,
+                features: ['tempo', 'regularity', 'polyrhythmic', 'brightness']
+            });
             
             if (adjustment !== 0) {
                 console.log(`  ${genreName}: ${adjustment > 0 ? '+' : ''}${adjustment.toFixed(3)} (adaptive)`);
@@ -1737,7 +1569,8 @@ export class AudioAnalyzer {
         let mlOverride = false; // when true, ML results will override heuristic results
         
         // NEW: Try Essentia-based genre classification first (more reliable than ML model)
-        if (this.essentiaGenreClassifier && essentiaFeatures) {
+        // unless MAEST embeddings are available for the trained ONNX model
+        if (this.essentiaGenreClassifier && essentiaFeatures && !maestEmbeddings) {
             try {
                 console.log('🎵 Using Essentia.js direct genre classification');
                 const essentiaGenres = this.essentiaGenreClassifier.classifyGenreFromFeatures(essentiaFeatures);
@@ -1745,10 +1578,20 @@ export class AudioAnalyzer {
                 if (essentiaGenres && essentiaGenres.length > 0 && essentiaGenres[0].confidence > 0.3) {
                     console.log('✅ Essentia genre classification successful, using as primary result');
                     // Convert to expected format and return directly
-                    return essentiaGenres.map(g => ({
+                    const essentiaResults = essentiaGenres.map(g => ({
                         genre: g.genre,
                         confidence: g.confidence * 100 // Convert to percentage
                     }));
+                    // The heuristic scores are kept so the explanation can show what the override replaced
+                    essentiaResults.__debug = {
+                        input: { tempoDetected: tempoOriginal, tempoAfterEarlyCorrection: tempo, regularity, brightness, percussiveness, complexity, polyrhythmic, scale, spectralCentroid, tuning },
+                        rawScores: { ...genres },
+                        rules: firedRules,
+                        contributions,
+                        mode: 'ESSENTIA_OVERRIDE',
+                        runId: options?.runId || null
+                    };
+                    return essentiaResults;
                 } else {
                     console.log('⚠️ Essentia genre confidence too low, falling back to ML/heuristics');
                 }
@@ -1758,26 +1601,26 @@ export class AudioAnalyzer {
         }
         
         // FALLBACK: Try the ML-based genre classifier with comprehensive features
-        if (this.mlClassifierReady && essentiaFeatures) {
+        if (this.mlClassifierReady && (essentiaFeatures || maestEmbeddings)) {
             try {
                 console.log('🎼 Using Essentia features for ML genre classification');
                 const mlGenrePrediction = await this.mlClassifier.classifyGenre({
                     tempo,
-                    spectralCentroid: essentiaFeatures.spectralFeatures?.centroid || spectralCentroid,
-                    mfcc: essentiaFeatures.mfcc?.mfccMean || [],
-                    mfccVar: essentiaFeatures.mfcc?.mfccVar || [],
-                    chroma: essentiaFeatures.chromagram?.mean || [],
-                    logMelSpec: essentiaFeatures.logMelSpec,
-                    spectralFeatures: essentiaFeatures.spectralFeatures,
-                    temporalFeatures: essentiaFeatures.temporalFeatures,
-                    energy: essentiaFeatures.energy,
+                    spectralCentroid: essentiaFeatures?.spectralFeatures?.centroid || spectralCentroid,
+                    mfcc: essentiaFeatures?.mfcc?.mfccMean || [],
+                    mfccVar: essentiaFeatures?.mfcc?.mfccVar || [],
+                    chroma: essentiaFeatures?.chromagram?.mean || [],
+                    logMelSpec: essentiaFeatures?.logMelSpec,
+                    spectralFeatures: essentiaFeatures?.spectralFeatures,
+                    temporalFeatures: essentiaFeatures?.temporalFeatures,
+                    energy: essentiaFeatures?.energy,
                     brightness,
                     percussiveness,
                     complexity,
                     regularity,
                     rawAudio: essentiaFeatures?.rawAudio,
                     sampleRate: essentiaFeatures?.sampleRate,
-                    logMelSpec: essentiaFeatures?.logMelSpec
+                    maestEmbeddings
                 });
 
                 if (mlGenrePrediction && mlGenrePrediction.confidence > 0.1) {
@@ -1791,7 +1634,7 @@ export class AudioAnalyzer {
                     console.log(`Confidence: ${(mlGenrePrediction.confidence * 100).toFixed(1)}%`);
                     console.log('All predictions:');
                     mlGenrePrediction.predictions.forEach((p, i) => {
-                        console.log(`  ${i + 1}. ${p.genre}: ${(p.confidence * 100).toFixed(1)}%`);
+                        console.log(`  ${i + 1}. ${p.label || p.genre}: ${(p.confidence * 100).toFixed(1)}%`);
                     });
 
                     // If not overriding, only blend when a trained model produced the predictions
@@ -1802,6 +1645,12 @@ export class AudioAnalyzer {
                                 if (genres.hasOwnProperty(pred.genre)) {
                                     const mlBoost = pred.confidence * 10 * mlBlendWeight; // Scale up to match score range
                                     genres[pred.genre] += mlBoost;
+                                    contribute(pred.genre, mlBoost, {
+                                        source: 'ml',
+                                        id: 'ml-blend',
+                                        description: `Trained genre model (${(pred.confidence * 100).toFixed(0)}% confident, 40% blend)`,
+                                        features: ['mfcc', 'spectralCentroid', 'tempo']
+                                    });
                                     console.log(`ML Boost: ${pred.genre} +${mlBoost.toFixed(3)}`);
                                 }
                             });
@@ -1856,6 +1705,12 @@ export class AudioAnalyzer {
                     // Check if ML prediction matches a genre in our list
                     if (genres.hasOwnProperty(mlPrediction.raga)) {
                         genres[mlPrediction.raga] += mlBoost;
+                        contribute(mlPrediction.raga, mlBoost, {
+                            source: 'ml',
+                            id: 'raga-model',
+                            description: `Raga model prediction (${(mlPrediction.confidence * 100).toFixed(0)}% confident)`,
+                            features: ['rhythm', 'scale', 'spectrum']
+                        });
                         console.log(`Boosted "${mlPrediction.raga}" by +${mlBoost.toFixed(3)}`);
                     }
 
@@ -1864,6 +1719,12 @@ export class AudioAnalyzer {
                         if (genres.hasOwnProperty(pred.raga) && pred.raga !== mlPrediction.raga) {
                             const relatedBoost = pred.confidence * mlWeight * 0.5; // Half weight for related
                             genres[pred.raga] += relatedBoost;
+                            contribute(pred.raga, relatedBoost, {
+                                source: 'ml',
+                                id: 'raga-model-related',
+                                description: 'Raga model runner-up prediction (half weight)',
+                                features: ['rhythm', 'scale', 'spectrum']
+                            });
                         }
                     });
                 }
@@ -1950,7 +1811,9 @@ export class AudioAnalyzer {
 
         // ===== GENRE-AWARE BPM INTERPRETATION =====
         // Detect and correct possible BPM octave errors
-        const bpmCorrection = this.detectBPMOctaveError(tempo, genres);
+        const bpmCorrection = beatTracked
+            ? { bpm: tempo, correction: null, confidence: 1.0 }
+            : this.detectBPMOctaveError(tempo, genres);
         const correctedTempo = bpmCorrection.bpm;
         
         if (bpmCorrection.correction) {
@@ -1970,7 +1833,11 @@ export class AudioAnalyzer {
         if (mlOverride && mlGenrePredictionForDebug && Array.isArray(mlGenrePredictionForDebug.predictions)) {
             const top = mlGenrePredictionForDebug.predictions
                 .slice(0, 5)
-                .map(p => ({ genre: p.genre, confidence: Math.round((p.confidence || 0) * 100) }));
+                .map(p => ({
+                    genre: p.genre,
+                    confidence: Math.round((p.confidence || 0) * 100),
+                    ...(p.style ? { style: p.style, parent: p.parent, discogsLabel: p.label } : {})
+                }));
             if (top.length > 0) {
                 results = top;
                 console.log('⚡ ML override applied - using trained model predictions');
@@ -1987,11 +1854,13 @@ export class AudioAnalyzer {
         // Attach debug metadata without breaking array API
         try {
             results.__debug = {
-                input: { tempoDetected: tempoOriginal, tempoAfterEarlyCorrection: tempo, tempoCorrected: correctedTempo, regularity, brightness, percussiveness, complexity, polyrhythmic, scale, spectralCentroid },
+                input: { tempoDetected: tempoOriginal, tempoAfterEarlyCorrection: tempo, tempoCorrected: correctedTempo, regularity, brightness, percussiveness, complexity, polyrhythmic, scale, spectralCentroid, tuning },
                 earlyCorrection: tempoCorrectionApplied,
                 tempoCorrection: bpmCorrection,
                 bufferHash: essentiaFeatures?.sourceHash || null,
                 rawScores: rawScoresObj,
+                rules: firedRules,
+                contributions,
                 total,
                 mlPrediction: mlGenrePredictionForDebug ? {
                     topGenre: mlGenrePredictionForDebug.topGenre,
@@ -2017,76 +1886,418 @@ export class AudioAnalyzer {
     }
 }
 
-// Global function for analyzing audio files
-export async function analyzeAudioFile(audioBuffer, fileName, audioPlayer) {
-    try {
-        console.log('🎵 Starting comprehensive audio analysis for:', fileName);
-        
-        if (!audioBuffer || !audioBuffer.getChannelData) {
-            throw new Error('Invalid audio buffer');
-        }
-        
-        // Initialize analyzer
-        const analyzer = new AudioAnalyzer();
+/**
+ * Stages of runAnalysisPipeline, in order, as reported to options.onProgress;
+ * requires lists the stages whose results each one reads
+ */
+export const ANALYSIS_STAGES = [
+    { id: 'channels', label: 'Channels and stereo field', requires: [] },
+    { id: 'loudness', label: 'Loudness and dynamics', requires: [] },
+    { id: 'separation', label: 'Harmonic/percussive separation', requires: [] },
+    { id: 'rhythm', label: 'Rhythm and tempo', requires: ['separation'] },
+    { id: 'cycle', label: 'Rhythmic cycle', requires: ['rhythm'] },
+    { id: 'spectral', label: 'Spectral features', requires: [] },
+    { id: 'essentia', label: 'Essentia / MFCC features', requires: [] },
+    { id: 'genre', label: 'Genre classification', requires: ['rhythm', 'spectral', 'essentia'] },
+    { id: 'pitch', label: 'Pitch contour', requires: ['separation'] },
+    { id: 'tonic', label: 'Drone and tonic', requires: ['pitch'] },
+    { id: 'scale', label: 'Scale, tuning and maqam', requires: ['tonic'] },
+    { id: 'ornaments', label: 'Ornaments', requires: ['tonic'] },
+    { id: 'transcription', label: 'Note transcription', requires: ['scale'] },
+    { id: 'structure', label: 'Structure and sections', requires: ['rhythm'] },
+    { id: 'timeline', label: 'Section timeline', requires: ['pitch'] }
+];
+
+/**
+ * Stages to run for a selection: the selected stages and everything they read
+ * @param {string[]|null} stages - Stage ids from ANALYSIS_STAGES; null or omitted for all of them
+ * @returns {Set<string>} Stage ids
+ */
+export function resolveAnalysisStages(stages = null) {
+    if (!stages) return new Set(ANALYSIS_STAGES.map(stage => stage.id));
+    const selected = new Set();
+    const add = (id) => {
+        const stage = ANALYSIS_STAGES.find(s => s.id === id);
+        if (!stage) throw new Error(`Unknown analysis stage "${id}"`);
+        if (selected.has(id)) return;
+        selected.add(id);
+        stage.requires.forEach(add);
+    };
+    stages.forEach(add);
+    return selected;
+}
+
+/**
+ * Error thrown when an analysis is cancelled through options.signal
+ */
+export class AnalysisCancelledError extends Error {
+    constructor(message = 'Analysis cancelled') {
+        super(message);
+        this.name = 'AnalysisCancelledError';
+    }
+}
+
+/**
+ * Full analysis of decoded PCM without touching the DOM or the Web Audio API, so it
+ * runs in the analysis worker as well as on the main thread.
+ * Before every stage it reports progress, yields to the event loop (so a cancel
+ * message can be delivered) and stops if options.signal has been aborted.
+ * @param {Float32Array|Float32Array[]} input - Mono samples, or one array per channel
+ * @param {number} sampleRate - Sample rate
+ * @param {string} fileName - File name recorded in the result
+ * @param {Object} options - { analyzer (initialized AudioAnalyzer), signal (AbortSignal), onProgress({ stage, label, index, total, progress }),
+ *   channelMode: 'downmix' | 'left' | 'right' | 'mid' | 'side' (the signal every other stage analyzes),
+ *   onComponents({ harmonic, percussive }) (receives the separated signals, which stay out of the result),
+ *   timeline: true | false | 'auto', windowSeconds, hopSeconds,
+ *   stages (ids from ANALYSIS_STAGES to run, with their prerequisites; all when omitted; the results of the others are null),
+ *   maestEmbeddings (MAEST embeddings of the file, which run the ONNX genre_discogs400 model) }
+ * @returns {Promise<Object>} Analysis result
+ */
+export async function runAnalysisPipeline(input, sampleRate, fileName, options = {}) {
+    const { signal = null, onProgress = null, channelMode = 'downmix' } = options;
+    const channels = input instanceof Float32Array ? [input] : Array.from(input);
+    const selection = selectChannel(channels, channelMode);
+    const channelData = selection.data;
+    const duration = channelData.length / sampleRate;
+    const runs = resolveAnalysisStages(options.stages);
+
+    const enterStage = async (id) => {
+        if (signal?.aborted) throw new AnalysisCancelledError();
+        const index = ANALYSIS_STAGES.findIndex(stage => stage.id === id);
+        if (onProgress) {
+            onProgress({ stage: id, label: ANALYSIS_STAGES[index].label, index, total: ANALYSIS_STAGES.length, progress: index / ANALYSIS_STAGES.length });
+        }
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (signal?.aborted) throw new AnalysisCancelledError();
+    };
+
+    let analyzer = options.analyzer;
+    if (!analyzer) {
+        analyzer = new AudioAnalyzer();
         await analyzer.initialize();
-        
-        // Get audio data
-        const channelData = audioBuffer.getChannelData(0);
-        const sampleRate = audioBuffer.sampleRate;
-        const duration = audioBuffer.duration;
-        
-        console.log('📊 Buffer info: ', channelData.length, 'samples,', sampleRate, 'Hz,', duration, 'seconds');
-        
-        // Run analyses with methods that exist
-        const pitch = analyzer.detectPitch(channelData);
+    }
+    // Sample-rate dependent methods read it from the (possibly absent) AudioContext
+    if (!analyzer.audioContext) analyzer.audioContext = { sampleRate };
+
+    console.log('📊 Buffer info: ', channelData.length, 'samples,', sampleRate, 'Hz,', duration, 'seconds,', channels.length, 'channel(s), analyzing', selection.label);
+
+    // Levels of every channel and, for stereo, correlation and panning over time
+    let channelAnalysis = null;
+    if (runs.has('channels')) {
+        await enterStage('channels');
+        try {
+            channelAnalysis = analyzer.analyzeStereoField(channels, sampleRate);
+            if (channelAnalysis.channelCount > 1) {
+                console.log('🎧 Stereo field: correlation', channelAnalysis.correlation, '| width', channelAnalysis.width, '| balance', describePan(channelAnalysis.balance));
+            }
+        } catch (error) {
+            console.warn('⚠️ Stereo field analysis failed:', error);
+        }
+    }
+
+    // Loudness is measured on all channels together, as BS.1770 specifies
+    let loudnessAnalysis = null;
+    if (runs.has('loudness')) {
+        await enterStage('loudness');
+        try {
+            loudnessAnalysis = analyzer.analyzeLoudness(channels, sampleRate);
+            console.log('🔊 Loudness:', loudnessAnalysis.integrated, 'LUFS | LRA', loudnessAnalysis.loudnessRange, 'LU | true peak', loudnessAnalysis.truePeak, 'dBTP');
+        } catch (error) {
+            console.warn('⚠️ Loudness analysis failed:', error);
+        }
+    }
+
+    // Rhythm features come from the percussive part, pitch and scale features from the harmonic part;
+    // timbre (spectral, Essentia) stays on the full mix. Without a separation every stage uses the mix.
+    let harmonicData = channelData;
+    let percussiveData = channelData;
+    let separation = null;
+    if (runs.has('separation')) {
+        await enterStage('separation');
+        try {
+            const components = analyzer.separateHarmonicPercussive(channelData, sampleRate);
+            harmonicData = components.harmonic;
+            percussiveData = components.percussive;
+            separation = describeSeparation(components, sampleRate);
+            console.log('🎛️ Separation: percussive share', separation.percussiveShare);
+            if (options.onComponents) options.onComponents({ harmonic: harmonicData, percussive: percussiveData });
+        } catch (error) {
+            console.warn('⚠️ Harmonic/percussive separation failed:', error);
+        }
+    }
+
+    let pitch = null;
+    let rhythmData = percussiveData;
+    let rhythmAnalysis = null;
+    if (runs.has('rhythm')) {
+        await enterStage('rhythm');
+        pitch = analyzer.detectPitch(harmonicData);
         console.log('🎵 Pitch detected:', pitch > 0 ? pitch.toFixed(1) + ' Hz' : 'No clear pitch');
-        
-        const rhythmAnalysis = analyzer.analyzeRhythm(channelData, sampleRate);
+
+        // Unaccompanied voice or bowed strings leave too few strikes to time; their rhythm is measured on the mix
+        rhythmAnalysis = analyzer.analyzeRhythm(percussiveData, sampleRate);
+        if (separation && rhythmAnalysis.peakCount < 2) {
+            rhythmData = channelData;
+            rhythmAnalysis = analyzer.analyzeRhythm(channelData, sampleRate);
+        }
+        rhythmAnalysis.source = separation && rhythmData === percussiveData ? 'percussive' : 'mix';
+        // Energy share of the percussive part (0-1); kept apart from percussiveness, which the genre rules read on another scale
+        if (separation) rhythmAnalysis.percussiveShare = separation.percussiveShare;
+        try {
+            // Reported only: the genre rules' polyrhythmic flag stays unset, as it always has been
+            rhythmAnalysis.polyrhythm = analyzer.detectPolyrhythm(rhythmData, sampleRate, rhythmAnalysis);
+            if (rhythmAnalysis.polyrhythm.isPolyrhythmic) console.log('🔀 Polyrhythm:', rhythmAnalysis.polyrhythm.ratios[0].label);
+        } catch (error) {
+            console.warn('⚠️ Polyrhythm analysis failed:', error);
+        }
         console.log('🥁 Rhythm:', rhythmAnalysis.tempo.toFixed(0), 'BPM, regularity:', (rhythmAnalysis.regularity * 100).toFixed(1) + '%');
-        
-        // For spectral analysis, use the channelData directly
-        const spectralAnalysis = analyzer.analyzeSpectralFeatures(channelData);
+    }
+
+    // Rhythmic cycle (tala / usul / timeline) and sam position
+    let cycleAnalysis = null;
+    if (runs.has('cycle')) {
+        await enterStage('cycle');
+        try {
+            cycleAnalysis = analyzer.detectCycle(rhythmData, sampleRate);
+            if (cycleAnalysis.bestMatch) {
+                console.log('🔁 Cycle:', cycleAnalysis.bestMatch.name, `(${cycleAnalysis.periodBeats} beats), sam at`, cycleAnalysis.samTime.toFixed(2) + 's');
+            }
+        } catch (error) {
+            console.warn('⚠️ Cycle detection failed:', error);
+        }
+    }
+
+    // For spectral analysis, use the channelData directly
+    let spectralAnalysis = null;
+    if (runs.has('spectral')) {
+        await enterStage('spectral');
+        spectralAnalysis = analyzer.analyzeSpectralFeatures(channelData);
         console.log('📈 Spectral centroid:', spectralAnalysis.centroid.toFixed(3));
-        
-        // Extract Essentia features for better genre classification
-        let essentiaFeatures = null;
+    }
+
+    // Extract Essentia features for better genre classification
+    let essentiaFeatures = null;
+    if (runs.has('essentia')) {
+        await enterStage('essentia');
         try {
             console.log('🎵 Extracting Essentia.js features for genre classification...');
-            essentiaFeatures = await analyzer.extractEssentiaGenreFeatures(audioBuffer, sampleRate);
+            essentiaFeatures = await analyzer.extractEssentiaGenreFeatures(channelData, sampleRate);
             console.log('✅ Essentia features extracted successfully');
         } catch (error) {
             console.warn('⚠️ Essentia feature extraction failed:', error);
         }
-        
-        // Genre classification - pass Essentia features for improved accuracy
-        const genreResults = await analyzer.classifyGenre(rhythmAnalysis, { scale: '' }, spectralAnalysis, essentiaFeatures);
+    }
+
+    // Genre classification - pass Essentia features for improved accuracy
+    let genreResults = null;
+    let genreExplanation = null;
+    if (runs.has('genre')) {
+        await enterStage('genre');
+        genreResults = await analyzer.classifyGenre(rhythmAnalysis, { scale: '' }, spectralAnalysis, essentiaFeatures, { maestEmbeddings: options.maestEmbeddings });
         console.log('🎭 Top genre:', genreResults[0]?.genre);
+        try {
+            genreExplanation = explainGenreResults(genreResults);
+        } catch (error) {
+            console.warn('⚠️ Genre explanation failed:', error);
+        }
+    }
+
+    // Continuous pitch contour over the whole file; its voiced frames feed tonic, scale, tuning and timeline analysis
+    let pitchContour = null;
+    let pitchTrack = [];
+    if (runs.has('pitch')) {
+        await enterStage('pitch');
+        try {
+            // A fixed 20 ms hop resolves vibrato and gamaka; the frame cap only coarsens recordings over an hour
+            pitchContour = analyzer.trackPitchContour(harmonicData, sampleRate, { hopSeconds: 0.02, maxFrames: 180000 });
+            console.log('〰️ Pitch contour:', pitchContour.frames.length, 'frames,', pitchContour.frames.filter(f => f.voiced).length, 'voiced');
+        } catch (error) {
+            console.warn('⚠️ Pitch tracking failed:', error);
+        }
+        pitchTrack = pitchContour ? contourToPitchTrack(pitchContour) : analyzer.samplePitchTrack(harmonicData, sampleRate, 0.5);
+    }
+
+    // Drone / tonic (Sa); with a drone, contour frames locked onto the drone are not melody
+    let tonicAnalysis = null;
+    let melodyTrack = pitchTrack;
+    if (runs.has('tonic')) {
+        await enterStage('tonic');
+        try {
+            tonicAnalysis = analyzer.estimateTonic(harmonicData, sampleRate, { pitchTrack });
+            if (tonicAnalysis.method === 'drone') {
+                const droneHz = tonicAnalysis.drone.frequency;
+                const melodyOnly = pitchTrack.filter(p => Math.abs(1200 * Math.log2(p.frequency / droneHz)) > 30);
+                melodyTrack = melodyOnly.length ? melodyOnly : tonicAnalysis.melodyTrack;
+            }
+            if (tonicAnalysis.tonic) {
+                console.log('🪔 Tonic:', tonicAnalysis.tonic.note, tonicAnalysis.tonic.frequency + ' Hz', `(${tonicAnalysis.method})`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Tonic estimation failed:', error);
+        }
+    }
+    const melodyPitches = melodyTrack.map(p => p.frequency);
+    const tonicHz = tonicAnalysis?.tonic?.frequency || null;
+
+    let scaleAnalysis = null;
+    let tuningAnalysis = null;
+    let maqamAnalysis = null;
+    if (runs.has('scale')) {
+        await enterStage('scale');
+        scaleAnalysis = analyzer.identifyScale(melodyPitches);
+
+        // Microtonal tuning (cents deviations, non-12-TET systems), degrees relative to the tonic
+        try {
+            tuningAnalysis = analyzer.analyzeTuning(melodyPitches, { tonicHz });
+            if (tuningAnalysis.bestMatch) {
+                console.log('🎚️ Tuning:', tuningAnalysis.bestMatch.system, '| mean deviation from 12-TET:', tuningAnalysis.meanAbsDeviation, 'cents');
+            }
+        } catch (error) {
+            console.warn('⚠️ Tuning analysis failed:', error);
+        }
+
+        // Maqam candidates from the same microtonal profile; a drone fixes the tonic
+        try {
+            maqamAnalysis = analyzer.recognizeMaqam(melodyPitches, tonicAnalysis?.method === 'drone' ? { tonicHz } : {});
+            if (maqamAnalysis.best) {
+                console.log('🕌 Maqam:', maqamAnalysis.best.maqam, 'on', maqamAnalysis.best.tonic.note, `(${(maqamAnalysis.best.confidence * 100).toFixed(1)}%)`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Maqam recognition failed:', error);
+        }
+    }
+
+    // Ornaments (meend, vibrato, gamaka, grace notes) along the contour
+    let ornamentAnalysis = null;
+    if (runs.has('ornaments')) {
+        await enterStage('ornaments');
+        if (pitchContour) {
+            try {
+                ornamentAnalysis = analyzer.analyzeOrnaments(pitchContour, { tonicHz });
+                console.log('🌀 Ornaments:', JSON.stringify(ornamentAnalysis.summary));
+            } catch (error) {
+                console.warn('⚠️ Ornament analysis failed:', error);
+            }
+        }
+    }
+
+    // Note events (onset, duration, cents, scale degree) for the note list and downloads
+    let transcription = null;
+    if (runs.has('transcription')) {
+        await enterStage('transcription');
+        if (pitchContour) {
+            try {
+                transcription = analyzer.transcribeMelody(harmonicData, sampleRate, {
+                    contour: pitchContour,
+                    tonicHz,
+                    scaleDegrees: tuningAnalysis?.tonic ? tuningAnalysis.degrees.map(d => d.intervalFromTonic) : undefined
+                });
+                console.log('🎼 Transcribed', transcription.notes.length, 'notes,', transcription.rests.length, 'rests');
+            } catch (error) {
+                console.warn('⚠️ Melody transcription failed:', error);
+            }
+        }
+    }
+
+    // Song form: section boundaries and repeats (A B A′ ...)
+    let structure = null;
+    if (runs.has('structure')) {
+        await enterStage('structure');
+        try {
+            structure = analyzer.segmentStructure(channelData, sampleRate, rhythmAnalysis);
+            console.log('🧱 Structure:', structure.form);
+        } catch (error) {
+            console.warn('⚠️ Structure analysis failed:', error);
+        }
+    }
+
+    // Windowed timeline for long, sectional recordings
+    const { timeline = 'auto', windowSeconds = 30, hopSeconds } = options;
+    let timelineResult = null;
+    if (runs.has('timeline') && (timeline === true || (timeline === 'auto' && duration >= windowSeconds * 2))) {
+        await enterStage('timeline');
+        try {
+            console.log('🕒 Building segment timeline...');
+            timelineResult = await analyzer.analyzeTimeline(channelData, sampleRate, {
+                windowSeconds,
+                hopSeconds,
+                pitchTrack,
+                ...(separation ? { harmonic: harmonicData, percussive: percussiveData } : {})
+            });
+            console.log('✅ Timeline built:', timelineResult.segments.length, 'segments');
+        } catch (error) {
+            console.warn('⚠️ Timeline analysis failed:', error);
+        }
+    }
+    
+    const result = {
+        fileName: fileName,
+        duration: duration,
+        sampleRate: sampleRate,
+        channelMode: selection.mode,
+        channelLabel: selection.label,
+        channelAnalysis: channelAnalysis,
+        loudnessAnalysis: loudnessAnalysis,
+        separation: separation,
+        pitch: pitch,
+        pitches: melodyPitches,
+        pitchContour: pitchContour,
+        ornamentAnalysis: ornamentAnalysis,
+        transcription: transcription,
+        rhythmAnalysis: rhythmAnalysis,
+        cycleAnalysis: cycleAnalysis,
+        spectralAnalysis: spectralAnalysis,
+        genre: genreResults && genreResults.length > 0 ? genreResults[0] : null,
+        topGenres: genreResults || [],
+        genreExplanation: genreExplanation,
+        scaleAnalysis: scaleAnalysis,
+        tonicAnalysis: tonicAnalysis,
+        tuningAnalysis: tuningAnalysis,
+        maqamAnalysis: maqamAnalysis,
+        structure: structure,
+        timeline: timelineResult,
+        timestamp: new Date().toISOString()
+    };
+    if (onProgress) {
+        onProgress({ stage: 'done', label: 'Complete', index: ANALYSIS_STAGES.length, total: ANALYSIS_STAGES.length, progress: 1 });
+    }
+    return result;
+}
+
+// Global function for analyzing audio files on the main thread
+// options: see runAnalysisPipeline (timeline, signal, onProgress, ...)
+export async function analyzeAudioFile(audioBuffer, fileName, audioPlayer, options = {}) {
+    try {
+        console.log('🎵 Starting comprehensive audio analysis for:', fileName);
         
-        const result = {
-            fileName: fileName,
-            duration: duration,
-            sampleRate: sampleRate,
-            pitch: pitch,
-            rhythmAnalysis: rhythmAnalysis,
-            spectralAnalysis: spectralAnalysis,
-            genre: genreResults && genreResults.length > 0 ? genreResults[0] : null,
-            topGenres: genreResults || [],
-            timestamp: new Date().toISOString()
-        };
+        if (!audioBuffer || !audioBuffer.getChannelData) {
+            throw new Error('Invalid audio buffer');
+        }
+        
+        const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, ch) => audioBuffer.getChannelData(ch));
+        let components = null;
+        const result = await runAnalysisPipeline(channels, audioBuffer.sampleRate, fileName, {
+            ...options,
+            onComponents: (separated) => {
+                components = separated;
+                if (options.onComponents) options.onComponents(separated);
+            }
+        });
         
-        // Display results with charts and genre info
-        displayAnalysisResults(result, channelData);
+        // Display results with charts and genre info; the waveform shows the signal that was analyzed
+        displayAnalysisResults(result, selectChannel(channels, options.channelMode || 'downmix').data, audioPlayer, components);
         
         console.log('✅ Audio analysis complete');
         return result;
     } catch (error) {
+        if (error instanceof AnalysisCancelledError) throw error;
         console.error('❌ Error analyzing audio:', error);
         throw error;
     }
 }
 
-// Display analysis results with visualizations
-function displayAnalysisResults(result, channelData) {
+// Display analysis results with visualizations; components are the separated { harmonic, percussive } signals
+function displayAnalysisResults(result, channelData, audioPlayer = null, components = null) {
     console.log('📊 displayAnalysisResults called with:', result);
     
     // Show results container
@@ -2109,7 +2320,7 @@ function displayAnalysisResults(result, channelData) {
     // Display waveform
     try {
         if (channelData && channelData.length > 0) {
-            displayWaveformAnalysis(channelData, result.sampleRate || 44100);
+            displayWaveformAnalysis(channelData, result.sampleRate || 44100, result.rhythmAnalysis, audioPlayer);
             window.waveformChart = document.getElementById('waveform-chart');
             console.log('✓ Waveform displayed');
         } else {
@@ -2119,6 +2330,46 @@ function displayAnalysisResults(result, channelData) {
         console.error('❌ Waveform display failed:', e);
     }
     
+    // Song form as a coloured bar above the waveform
+    try {
+        if (result.structure?.sections?.length) {
+            displayStructureBar(result.structure, result.duration, audioPlayer);
+            console.log('✓ Structure displayed');
+        } else {
+            clearStructureBar();
+        }
+    } catch (e) {
+        console.error('❌ Structure display failed:', e);
+    }
+    
+    // Channel levels, correlation and panning over time
+    try {
+        displayStereoField(result);
+        window.stereoChart = document.getElementById('stereo-chart');
+        showChannelSource(result);
+        console.log('✓ Stereo field displayed');
+    } catch (e) {
+        console.error('❌ Stereo field display failed:', e);
+    }
+
+    // Loudness over time and dynamics figures
+    try {
+        displayLoudness(result);
+        window.loudnessChart = document.getElementById('loudness-chart');
+        console.log('✓ Loudness displayed');
+    } catch (e) {
+        console.error('❌ Loudness display failed:', e);
+    }
+
+    // Harmonic and percussive parts: levels over time, players and downloads
+    try {
+        displaySeparation(result, components);
+        window.separationChart = document.getElementById('separation-chart');
+        console.log('✓ Separation displayed');
+    } catch (e) {
+        console.error('❌ Separation display failed:', e);
+    }
+
     // Display pitch analysis
     try {
         displayPitchAnalysis(result);
@@ -2137,6 +2388,15 @@ function displayAnalysisResults(result, channelData) {
         console.error('❌ Rhythm display failed:', e);
     }
     
+    // Groove template on the rhythm circle
+    try {
+        displayGroove(result);
+        window.grooveChart = document.getElementById('groove-chart');
+        console.log('✓ Groove displayed');
+    } catch (e) {
+        console.error('❌ Groove display failed:', e);
+    }
+    
     // Display spectral features
     try {
         displaySpectralAnalysis(result);
@@ -2158,12 +2418,24 @@ function displayAnalysisResults(result, channelData) {
     // Display genre classification if available
     if (result.genre) {
         try {
-            displayGenreInfo(result.genre, result.topGenres);
+            displayGenreInfo(result.genre, result.topGenres, result.maqamAnalysis, result.genreExplanation);
             console.log('✓ Genre info displayed');
         } catch (e) {
             console.error('❌ Genre display failed:', e);
         }
     }
+
+    // Display segment timeline synced to the audio player
+    if (result.timeline && result.timeline.segments?.length) {
+        try {
+            displayTimelineLane(result.timeline, audioPlayer);
+            console.log('✓ Timeline lane displayed');
+        } catch (e) {
+            console.error('❌ Timeline display failed:', e);
+        }
+    } else {
+        document.getElementById('timeline-lane-section')?.remove();
+    }
 }
 
 function populateSummaryStats(result) {
@@ -2174,11 +2446,13 @@ function populateSummaryStats(result) {
     const keyEl = document.getElementById('audio-key');
     const brightnessEl = document.getElementById('audio-brightness');
     const complexityEl = document.getElementById('audio-complexity');
+    const channelEl = document.getElementById('audio-channel');
     
     const duration = result.duration || 0;
     const sampleRate = result.sampleRate || 44100;
     const bpm = result.rhythmAnalysis?.tempo || 0;
-    const key = result.scaleAnalysis?.scale || 'Unknown';
+    const tonic = result.tonicAnalysis?.tonic;
+    const key = `${result.scaleAnalysis?.scale || 'Unknown'}${tonic ? ` · Sa ${tonic.note}` : ''}`;
     const brightness = result.spectralAnalysis?.brightness || 0;
     const complexity = result.complexity || 0;
     
@@ -2188,9 +2462,417 @@ function populateSummaryStats(result) {
     if (keyEl) keyEl.textContent = key;
     if (brightnessEl) brightnessEl.textContent = (brightness * 100).toFixed(0) + '%';
     if (complexityEl) complexityEl.textContent = (complexity * 100).toFixed(0) + '%';
+    if (channelEl) channelEl.textContent = result.channelLabel || 'Mono';
+}
+
+// Tag every chart card with the signal it was computed from; the stereo card always uses all channels
+function showChannelSource(result) {
+    const label = result.channelLabel || 'Mono';
+    document.querySelectorAll('.charts-section .analysis-card').forEach(card => {
+        const heading = card.querySelector('h3');
+        if (!heading) return;
+        let badge = heading.querySelector('.channel-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'channel-badge';
+            badge.style.cssText = 'margin-left: 8px; padding: 2px 8px; border-radius: 10px; background: #eef2ff; color: #3730a3; font-size: 11px; font-weight: 600; vertical-align: middle;';
+            heading.appendChild(badge);
+        }
+        badge.textContent = card.dataset.channelSource === 'all' ? 'All channels' : label;
+    });
+}
+
+const PAN_BAND_COLORS = ['#8e44ad', '#2980b9', '#27ae60', '#e67e22'];
+
+// Panning over time (left at the top, right at the bottom) per band, with the L/R correlation strip below
+function drawStereoField(ctx, canvas, field) {
+    const left = 30;
+    const right = canvas.width - 10;
+    const top = 15;
+    const strip = 40;
+    const bottom = canvas.height - strip - 30;
+    const duration = field.windows.length * field.windowSeconds || 1;
+    const x = (time) => left + (time / duration) * (right - left);
+    const yPan = (pan) => top + ((pan + 1) / 2) * (bottom - top);
+
+    ctx.strokeStyle = '#ddd';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = '#666';
+    ctx.font = '10px sans-serif';
+    [['L', -1], ['C', 0], ['R', 1]].forEach(([name, pan]) => {
+        ctx.beginPath();
+        ctx.moveTo(left, yPan(pan));
+        ctx.lineTo(right, yPan(pan));
+        ctx.stroke();
+        ctx.fillText(name, 10, yPan(pan) + 3);
+    });
+
+    PAN_BANDS.forEach((band, b) => {
+        ctx.strokeStyle = PAN_BAND_COLORS[b];
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let drawing = false;
+        field.windows.forEach(w => {
+            const pan = w.bands[b];
+            if (pan === null) {
+                drawing = false;
+                return;
+            }
+            if (drawing) ctx.lineTo(x(w.time), yPan(pan));
+            else ctx.moveTo(x(w.time), yPan(pan));
+            drawing = true;
+        });
+        ctx.stroke();
+    });
+
+    // Correlation: +1 mono-like (green), 0 unrelated, -1 out of phase (red)
+    const stripTop = bottom + 10;
+    const barWidth = Math.max(1, (right - left) / field.windows.length);
+    field.windows.forEach(w => {
+        const c = w.correlation;
+        ctx.fillStyle = c >= 0 ? `rgba(39, 174, 96, ${0.2 + 0.8 * c})` : `rgba(231, 76, 60, ${0.2 - 0.8 * c})`;
+        ctx.fillRect(x(w.time), stripTop, barWidth, strip);
+    });
+    ctx.fillStyle = '#666';
+    ctx.fillText('corr', 2, stripTop + strip / 2 + 3);
+    ctx.fillText('0:00', left, canvas.height - 8);
+    ctx.fillText(`${duration.toFixed(0)}s`, right - 24, canvas.height - 8);
+    PAN_BANDS.forEach((band, b) => {
+        ctx.fillStyle = PAN_BAND_COLORS[b];
+        ctx.fillText(band.label, left + 50 + b * 75, canvas.height - 8);
+    });
+}
+
+function displayStereoField(result) {
+    const canvas = document.getElementById('stereo-chart');
+    const infoDiv = document.getElementById('stereo-info');
+    const field = result.channelAnalysis;
+    if (!canvas || !infoDiv || !field) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#f5f5f5';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const levels = field.perChannel.map(ch => `
+            <tr><td>${ch.name}</td><td>${Number.isFinite(ch.rmsDb) ? ch.rmsDb.toFixed(1) : '−∞'} dB</td><td>${Number.isFinite(ch.peakDb) ? ch.peakDb.toFixed(1) : '−∞'} dB</td></tr>`).join('');
+    const levelTable = `
+        <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+            <tr style="text-align: left; color: #666;"><th>Channel</th><th>RMS</th><th>Peak</th></tr>${levels}
+        </table>`;
+
+    if (field.channelCount < 2) {
+        ctx.fillStyle = '#666';
+        ctx.font = '14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('Mono recording: no stereo field', canvas.width / 2, canvas.height / 2);
+        ctx.textAlign = 'left';
+        infoDiv.innerHTML = levelTable;
+        return;
+    }
+
+    drawStereoField(ctx, canvas, field);
+    const bands = field.bands
+        .filter(band => band.pan !== null && band.share >= 0.02)
+        .map(band => `${band.label}: ${describePan(band.pan)}`)
+        .join(' • ');
+    infoDiv.innerHTML = `
+        <p><strong>Correlation (L/R):</strong> ${field.correlation.toFixed(2)}${field.correlation < 0 ? ' ⚠️ out of phase' : ''}</p>
+        <p><strong>Width:</strong> ${(field.width * 100).toFixed(0)}% side energy${Number.isFinite(field.sideToMidDb) ? ` (side ${field.sideToMidDb.toFixed(1)} dB vs mid)` : ''}</p>
+        <p><strong>Balance:</strong> ${describePan(field.balance)}</p>
+        ${bands ? `<p><strong>Band positions:</strong> ${bands}</p>` : ''}
+        ${field.channelCount > 2 ? `<p>Stereo field from channels 1–2 of ${field.channelCount}.</p>` : ''}
+        ${levelTable}
+    `;
+}
+
+const formatLevel = (value, unit) => (value === null || value === undefined ? `−∞ ${unit}` : `${value.toFixed(1)} ${unit}`);
+
+// Momentary and short-term loudness over time, with the integrated level, the loudness range band and peaks
+function drawLoudness(ctx, canvas, loudness) {
+    const left = 34;
+    const right = canvas.width - 10;
+    const top = 15;
+    const bottom = canvas.height - 30;
+    const floor = -60;
+    const points = loudness.envelope.points;
+    const duration = points.length * loudness.envelope.hopSeconds || 1;
+    const x = (time) => left + (time / duration) * (right - left);
+    const y = (level) => top + (Math.min(0, Math.max(floor, level)) / floor) * (bottom - top);
+
+    ctx.strokeStyle = '#ddd';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = '#666';
+    ctx.font = '10px sans-serif';
+    for (let level = 0; level >= floor; level -= 10) {
+        ctx.beginPath();
+        ctx.moveTo(left, y(level));
+        ctx.lineTo(right, y(level));
+        ctx.stroke();
+        ctx.fillText(String(level), 4, y(level) + 3);
+    }
+
+    if (loudness.lraLow !== null && loudness.lraHigh !== null) {
+        ctx.fillStyle = 'rgba(102, 126, 234, 0.15)';
+        ctx.fillRect(left, y(loudness.lraHigh), right - left, y(loudness.lraLow) - y(loudness.lraHigh));
+    }
+
+    const line = (key, color, width) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.beginPath();
+        let drawing = false;
+        points.forEach(point => {
+            if (point[key] === null) {
+                drawing = false;
+                return;
+            }
+            if (drawing) ctx.lineTo(x(point.time), y(point[key]));
+            else ctx.moveTo(x(point.time), y(point[key]));
+            drawing = true;
+        });
+        ctx.stroke();
+    };
+    line('peak', 'rgba(231, 76, 60, 0.5)', 1);
+    line('momentary', 'rgba(52, 152, 219, 0.6)', 1);
+    line('shortTerm', '#2c3e50', 2);
+
+    if (loudness.integrated !== null) {
+        ctx.strokeStyle = '#27ae60';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(left, y(loudness.integrated));
+        ctx.lineTo(right, y(loudness.integrated));
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    ctx.fillStyle = '#666';
+    ctx.fillText('0:00', left, canvas.height - 8);
+    ctx.fillText(`${duration.toFixed(0)}s`, right - 24, canvas.height - 8);
+    [['Momentary', 'rgba(52, 152, 219, 0.9)'], ['Short-term', '#2c3e50'], ['Integrated', '#27ae60'], ['Peak', '#e74c3c']].forEach(([name, color], i) => {
+        ctx.fillStyle = color;
+        ctx.fillText(name, left + 50 + i * 70, canvas.height - 8);
+    });
+}
+
+function displayLoudness(result) {
+    const canvas = document.getElementById('loudness-chart');
+    const infoDiv = document.getElementById('loudness-info');
+    const loudness = result.loudnessAnalysis;
+    if (!canvas || !infoDiv || !loudness) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#f5f5f5';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    drawLoudness(ctx, canvas, loudness);
+
+    infoDiv.innerHTML = `
+        <p><strong>Integrated:</strong> ${formatLevel(loudness.integrated, 'LUFS')}</p>
+        <p><strong>Loudness range:</strong> ${loudness.loudnessRange === null ? 'n/a' : `${loudness.loudnessRange.toFixed(1)} LU`}</p>
+        <p><strong>Max momentary / short-term:</strong> ${formatLevel(loudness.maxMomentary, 'LUFS')} / ${formatLevel(loudness.maxShortTerm, 'LUFS')}</p>
+        <p><strong>True peak:</strong> ${formatLevel(loudness.truePeak, 'dBTP')} (sample peak ${formatLevel(loudness.samplePeak, 'dBFS')})</p>
+        <p><strong>Crest factor:</strong> ${loudness.crestFactor === null ? 'n/a' : `${loudness.crestFactor.toFixed(1)} dB`} • <strong>PLR:</strong> ${loudness.peakToLoudness === null ? 'n/a' : `${loudness.peakToLoudness.toFixed(1)} LU`}</p>
+    `;
+}
+
+const SEPARATION_COLORS = { harmonic: '#8e44ad', percussive: '#e67e22' };
+
+// Level of the harmonic and percussive parts over time
+function drawSeparation(ctx, canvas, separation) {
+    const left = 34;
+    const right = canvas.width - 10;
+    const top = 15;
+    const bottom = canvas.height - 30;
+    const floor = -60;
+    const points = separation.envelope.points;
+    const duration = points.length * separation.envelope.hopSeconds || 1;
+    const x = (time) => left + (time / duration) * (right - left);
+    const y = (level) => top + (Math.min(0, Math.max(floor, level)) / floor) * (bottom - top);
+
+    ctx.strokeStyle = '#ddd';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = '#666';
+    ctx.font = '10px sans-serif';
+    for (let level = 0; level >= floor; level -= 20) {
+        ctx.beginPath();
+        ctx.moveTo(left, y(level));
+        ctx.lineTo(right, y(level));
+        ctx.stroke();
+        ctx.fillText(String(level), 4, y(level) + 3);
+    }
+
+    Object.entries(SEPARATION_COLORS).forEach(([part, color]) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let drawing = false;
+        points.forEach(point => {
+            if (point[part] === null) {
+                drawing = false;
+                return;
+            }
+            if (drawing) ctx.lineTo(x(point.time), y(point[part]));
+            else ctx.moveTo(x(point.time), y(point[part]));
+            drawing = true;
+        });
+        ctx.stroke();
+    });
+
+    ctx.fillStyle = '#666';
+    ctx.fillText('0:00', left, canvas.height - 8);
+    ctx.fillText(`${duration.toFixed(0)}s`, right - 24, canvas.height - 8);
+    ctx.fillStyle = SEPARATION_COLORS.harmonic;
+    ctx.fillText('Harmonic', left + 60, canvas.height - 8);
+    ctx.fillStyle = SEPARATION_COLORS.percussive;
+    ctx.fillText('Percussive', left + 130, canvas.height - 8);
+}
+
+// Players for the separated parts; the WAV object URLs are kept on window.separatedAudio for the download buttons
+function displaySeparation(result, components) {
+    const canvas = document.getElementById('separation-chart');
+    const infoDiv = document.getElementById('separation-info');
+    const separation = result.separation;
+    if (!canvas || !infoDiv) return;
+
+    if (window.separatedAudio) {
+        Object.values(window.separatedAudio.urls).forEach(url => URL.revokeObjectURL(url));
+        window.separatedAudio = null;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#f5f5f5';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!separation) {
+        infoDiv.innerHTML = '<p>Separation unavailable: every feature was measured on the full mix.</p>';
+        return;
+    }
+    drawSeparation(ctx, canvas, separation);
+
+    let players = '';
+    if (components) {
+        const baseName = (result.fileName || 'audio').replace(/\.[^.]+$/, '');
+        const urls = {};
+        ['harmonic', 'percussive'].forEach(part => {
+            const wav = encodeWav(components[part], result.sampleRate);
+            urls[part] = URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+        });
+        window.separatedAudio = { urls, baseName };
+        players = ['harmonic', 'percussive'].map(part => `
+            <p style="margin: 6px 0 2px;"><strong style="color: ${SEPARATION_COLORS[part]};">${part === 'harmonic' ? 'Harmonic' : 'Percussive'}</strong></p>
+            <audio controls preload="none" src="${urls[part]}" style="width: 100%; height: 32px;"></audio>`).join('');
+    }
+    infoDiv.innerHTML = `
+        <p><strong>Percussive share:</strong> ${(separation.percussiveShare * 100).toFixed(1)}% of the energy</p>
+        <p>Rhythm, tempo and cycle come from the ${result.rhythmAnalysis?.source === 'percussive' ? 'percussive part' : 'full mix (too few strikes in the percussive part)'}; pitch, tonic, scale and notes from the harmonic part.</p>
+        ${players}
+    `;
+}
+
+// Click track over the recording; only one is active at a time
+let activeClickTrack = null;
+
+/**
+ * Toggleable click track: beats are scheduled on a Web Audio clock slightly ahead of the
+ * player's position, so it follows pauses, seeks and playback-rate changes
+ */
+function setupClickTrack(container, audioPlayer, rhythm) {
+    if (activeClickTrack) {
+        activeClickTrack.stop();
+        activeClickTrack = null;
+    }
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!container || !audioPlayer || !AudioCtx || !rhythm?.beats?.length) return;
+
+    const beats = rhythm.beats;
+    const downbeats = new Set(rhythm.downbeats || []);
+    const LOOKAHEAD = 0.12;
+    let ctx = null;
+    let timer = null;
+    let next = 0;
+
+    const resync = () => {
+        const now = audioPlayer.currentTime;
+        next = beats.findIndex(b => b >= now);
+        if (next < 0) next = beats.length;
+    };
+    const blip = (when, accent) => {
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.frequency.value = accent ? 2000 : 1200;
+        gain.gain.setValueAtTime(accent ? 0.5 : 0.3, when);
+        gain.gain.exponentialRampToValueAtTime(0.001, when + 0.04);
+        osc.connect(gain).connect(ctx.destination);
+        osc.start(when);
+        osc.stop(when + 0.05);
+    };
+    const schedule = () => {
+        if (audioPlayer.paused) return;
+        const now = audioPlayer.currentTime;
+        const rate = audioPlayer.playbackRate || 1;
+        while (next < beats.length && beats[next] < now + LOOKAHEAD * rate) {
+            const delay = (beats[next] - now) / rate;
+            if (delay > -0.02) blip(ctx.currentTime + Math.max(0, delay), downbeats.has(beats[next]));
+            next++;
+        }
+    };
+
+    const button = document.createElement('button');
+    button.className = 'btn-secondary';
+    button.style.cssText = 'margin-top: 6px; font-size: 12px;';
+    button.textContent = '🥁 Click track: off';
+    const start = () => {
+        ctx = ctx || new AudioCtx();
+        ctx.resume?.();
+        resync();
+        audioPlayer.addEventListener('seeked', resync);
+        audioPlayer.addEventListener('play', resync);
+        timer = setInterval(schedule, 25);
+        button.textContent = '🥁 Click track: on';
+    };
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+        audioPlayer.removeEventListener('seeked', resync);
+        audioPlayer.removeEventListener('play', resync);
+        button.textContent = '🥁 Click track: off';
+    };
+    button.addEventListener('click', () => (timer ? stop() : start()));
+    container.appendChild(button);
+
+    activeClickTrack = {
+        stop: () => {
+            stop();
+            if (ctx) ctx.close?.();
+        }
+    };
+}
+
+// Beat ticks along the top and bottom edges, downbeats across the whole height
+function drawBeatTicks(ctx, width, height, duration, rhythm) {
+    const x = (time) => 5 + (time / duration) * (width - 10);
+    const downbeats = new Set(rhythm.downbeats || []);
+    rhythm.beats.forEach(beat => {
+        const isDownbeat = downbeats.has(beat);
+        ctx.strokeStyle = isDownbeat ? 'rgba(231, 76, 60, 0.8)' : 'rgba(44, 62, 80, 0.45)';
+        ctx.lineWidth = isDownbeat ? 1.5 : 1;
+        ctx.beginPath();
+        if (isDownbeat) {
+            ctx.moveTo(x(beat), 0);
+            ctx.lineTo(x(beat), height);
+        } else {
+            ctx.moveTo(x(beat), 0);
+            ctx.lineTo(x(beat), 10);
+            ctx.moveTo(x(beat), height - 10);
+            ctx.lineTo(x(beat), height);
+        }
+        ctx.stroke();
+    });
 }
 
-function displayWaveformAnalysis(channelData, sampleRate) {
+function displayWaveformAnalysis(channelData, sampleRate, rhythm = null, audioPlayer = null) {
     const canvas = document.getElementById('waveform-chart');
     const infoDiv = document.getElementById('waveform-info');
     
@@ -2250,12 +2932,166 @@ function displayWaveformAnalysis(channelData, sampleRate) {
     ctx.lineTo(width - 5, centerY);
     ctx.stroke();
     
+    const hasBeats = rhythm?.beats?.length > 0;
+    if (hasBeats) drawBeatTicks(ctx, width, height, channelData.length / sampleRate, rhythm);
+    const curveBpms = (rhythm?.tempoCurve || []).map(point => point.bpm);
+    
     // Info
     infoDiv.innerHTML = `
         <p><strong>Peak Amplitude:</strong> ${(peak * 100).toFixed(1)}%</p>
         <p><strong>RMS (Loudness):</strong> ${(rms * 100).toFixed(1)}%</p>
         <p><strong>Duration:</strong> ${(channelData.length / sampleRate).toFixed(2)}s</p>
+        ${hasBeats ? `<p><strong>Beats:</strong> ${rhythm.beats.length} at ${rhythm.tempo} BPM${rhythm.beatsPerBar ? `, ${rhythm.beatsPerBar} per bar (downbeats in red)` : ''}</p>` : ''}
+        ${curveBpms.length > 1 ? `<p><strong>Tempo curve:</strong> ${Math.min(...curveBpms).toFixed(0)}–${Math.max(...curveBpms).toFixed(0)} BPM</p>` : ''}
     `;
+    setupClickTrack(infoDiv, audioPlayer, hasBeats ? rhythm : null);
+}
+
+// One hue per section letter; variants (A′, A″) of a letter are lighter
+function structureColor(section) {
+    const hue = ((section.group.charCodeAt(0) - 65) * 137.5) % 360;
+    return `hsl(${hue}, 60%, ${Math.min(80, 50 + 12 * section.variant)}%)`;
+}
+
+// Listeners of the structure bar on screen; removed before the next analysis draws its own
+let activeStructureBar = null;
+
+// Blank the bar and its section list, and detach the previous analysis's handlers
+function clearStructureBar() {
+    if (activeStructureBar) {
+        activeStructureBar.detach();
+        activeStructureBar = null;
+    }
+    const canvas = document.getElementById('structure-bar');
+    if (canvas) {
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        canvas.style.cursor = '';
+        canvas.title = '';
+    }
+    const infoDiv = document.getElementById('structure-info');
+    if (infoDiv) infoDiv.innerHTML = '';
+}
+
+function displayStructureBar(structure, duration, audioPlayer = null) {
+    clearStructureBar();
+    const canvas = document.getElementById('structure-bar');
+    const infoDiv = document.getElementById('structure-info');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const sections = structure.sections;
+    const total = duration || sections[sections.length - 1].end || 1;
+    // Same horizontal margins as the waveform below
+    const x = (time) => 5 + (time / total) * (canvas.width - 10);
+
+    const draw = (position = null) => {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        sections.forEach(section => {
+            const left = x(section.start);
+            const width = Math.max(1, x(section.end) - left);
+            ctx.fillStyle = structureColor(section);
+            ctx.fillRect(left, 0, width, canvas.height);
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(left + width - 1, 0, 1, canvas.height);
+            if (width > 14) {
+                ctx.fillStyle = '#111';
+                ctx.fillText(section.label, left + width / 2, canvas.height / 2);
+            }
+        });
+        if (position !== null) {
+            ctx.fillStyle = '#111';
+            ctx.fillRect(x(position) - 1, 0, 2, canvas.height);
+        }
+    };
+    draw();
+
+    if (infoDiv) {
+        const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+        infoDiv.innerHTML = `
+            <p><strong>Form:</strong> ${structure.form}</p>
+            ${sections.map(section => `<p><span style="display: inline-block; width: 10px; height: 10px; background: ${structureColor(section)}; margin-right: 4px;"></span><strong>${section.label}</strong> ${formatTime(section.start)}–${formatTime(section.end)} • ${section.tempo ? `${section.tempo} BPM` : 'no steady beat'} • ${section.key ? section.key.label : 'key unclear'}</p>`).join('')}
+        `;
+    }
+
+    if (!audioPlayer) return;
+    canvas.style.cursor = 'pointer';
+    canvas.title = 'Click a section to play from there';
+    // Clicking a section plays it from its start
+    const onClick = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        const time = (((e.clientX - rect.left) / rect.width) * canvas.width - 5) / (canvas.width - 10) * total;
+        const section = sections.find(s => time >= s.start && time < s.end) || sections[sections.length - 1];
+        audioPlayer.currentTime = section.start;
+        draw(section.start);
+    };
+    const onTimeUpdate = () => draw(audioPlayer.currentTime);
+    canvas.addEventListener('click', onClick);
+    audioPlayer.addEventListener('timeupdate', onTimeUpdate);
+    activeStructureBar = {
+        detach: () => {
+            canvas.removeEventListener('click', onClick);
+            audioPlayer.removeEventListener('timeupdate', onTimeUpdate);
+        }
+    };
+}
+
+// Sargam names for the twelve semitone positions above Sa (lowercase = komal)
+const SARGAM_DEGREES = ['Sa', 're', 'Re', 'ga', 'Ga', 'ma', 'Ma', 'Pa', 'dha', 'Dha', 'ni', 'Ni'];
+
+function formatDegreeFromTonic(intervalCents) {
+    const semitone = Math.round(intervalCents / 100) % 12;
+    const offset = Math.round(intervalCents - Math.round(intervalCents / 100) * 100);
+    return `${SARGAM_DEGREES[semitone]}${offset ? `${offset > 0 ? '+' : ''}${offset}¢` : ''}`;
+}
+
+// Cents histogram rotated so the tonic sits at the left edge, with a gridline per semitone
+function drawTonicDegreeChart(ctx, canvas, tuning) {
+    const { bins, resolution } = tuning.histogram;
+    const tonicCents = tuning.tonic.cents;
+    const left = 30;
+    const right = canvas.width - 10;
+    const top = 20;
+    const bottom = canvas.height - 35;
+    const plotWidth = right - left;
+    const max = Math.max(...bins) || 1;
+
+    ctx.strokeStyle = '#e0e0e0';
+    ctx.fillStyle = '#666';
+    ctx.font = '10px Poppins, sans-serif';
+    ctx.textAlign = 'center';
+    for (let semitone = 0; semitone <= 12; semitone++) {
+        const x = left + (semitone / 12) * plotWidth;
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        ctx.fillText(SARGAM_DEGREES[semitone % 12], x, bottom + 14);
+    }
+
+    ctx.fillStyle = '#667eea';
+    const barWidth = Math.max(1, (resolution / 1200) * plotWidth);
+    bins.forEach((value, i) => {
+        const interval = (((i * resolution - tonicCents) % 1200) + 1200) % 1200;
+        const x = left + (interval / 1200) * plotWidth;
+        const h = (value / max) * (bottom - top);
+        ctx.fillRect(x, bottom - h, barWidth, h);
+    });
+
+    // Mark each detected degree with its offset from the equal-tempered position
+    ctx.fillStyle = '#764ba2';
+    tuning.degrees.forEach(d => {
+        const x = left + (d.intervalFromTonic / 1200) * plotWidth;
+        ctx.beginPath();
+        ctx.arc(x, top - 6, 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    ctx.fillStyle = '#333';
+    ctx.font = 'bold 12px Poppins, sans-serif';
+    ctx.fillText('Scale degrees relative to the tonic (Sa)', canvas.width / 2, canvas.height - 5);
+    ctx.textAlign = 'left';
 }
 
 function displayPitchAnalysis(result) {
@@ -2277,35 +3113,62 @@ function displayPitchAnalysis(result) {
     // Draw pitch visualization
     const fundamentalFreq = Math.max(0, result.pitch || 0);
     const pitchStrength = (result.pitch > 0) ? 0.8 : 0.2;
+    const tuning = result.tuningAnalysis;
+    const tonicInfo = result.tonicAnalysis;
     
-    // Draw frequency bar
-    ctx.fillStyle = '#667eea';
-    const barHeight = Math.min(1, (fundamentalFreq / 1000)) * canvas.height * 0.6;
-    ctx.fillRect(50, canvas.height - barHeight - 40, 100, barHeight);
-    
-    // Labels
-    ctx.fillStyle = '#333';
-    ctx.font = 'bold 14px Poppins, sans-serif';
-    ctx.fillText('Frequency', 50, canvas.height - 15);
-    ctx.fillText(`${fundamentalFreq.toFixed(1)} Hz`, 50, canvas.height - 40 - barHeight - 5);
-    
-    // Strength bar
-    ctx.fillStyle = '#4caf50';
-    const strengthHeight = pitchStrength * canvas.height * 0.6;
-    ctx.fillRect(200, canvas.height - strengthHeight - 40, 100, strengthHeight);
-    ctx.fillStyle = '#333';
-    ctx.fillText('Confidence', 200, canvas.height - 15);
-    ctx.fillText(`${(pitchStrength * 100).toFixed(1)}%`, 200, canvas.height - 40 - strengthHeight - 5);
+    if (tuning && tuning.histogram && tuning.tonic) {
+        drawTonicDegreeChart(ctx, canvas, tuning);
+    } else {
+        // Draw frequency bar
+        ctx.fillStyle = '#667eea';
+        const barHeight = Math.min(1, (fundamentalFreq / 1000)) * canvas.height * 0.6;
+        ctx.fillRect(50, canvas.height - barHeight - 40, 100, barHeight);
+        
+        // Labels
+        ctx.fillStyle = '#333';
+        ctx.font = 'bold 14px Poppins, sans-serif';
+        ctx.fillText('Frequency', 50, canvas.height - 15);
+        ctx.fillText(`${fundamentalFreq.toFixed(1)} Hz`, 50, canvas.height - 40 - barHeight - 5);
+        
+        // Strength bar
+        ctx.fillStyle = '#4caf50';
+        const strengthHeight = pitchStrength * canvas.height * 0.6;
+        ctx.fillRect(200, canvas.height - strengthHeight - 40, 100, strengthHeight);
+        ctx.fillStyle = '#333';
+        ctx.fillText('Confidence', 200, canvas.height - 15);
+        ctx.fillText(`${(pitchStrength * 100).toFixed(1)}%`, 200, canvas.height - 40 - strengthHeight - 5);
+    }
     
     // Display info
     const keyInfo = result.scaleAnalysis || { key: 'Unknown', scale: 'Unknown' };
+    let tonicHtml = '';
+    if (tonicInfo && tonicInfo.tonic) {
+        const source = tonicInfo.method === 'drone' ? 'from drone' : 'from melody';
+        tonicHtml = `
+        <p><strong>Tonic (Sa):</strong> ${tonicInfo.tonic.note} ${tonicInfo.tonic.frequency.toFixed(1)} Hz (${source})</p>`;
+    }
+    let tuningHtml = '';
+    if (tuning && tuning.bestMatch) {
+        const degreeList = tuning.degrees
+            .map(d => formatDegreeFromTonic(d.intervalFromTonic))
+            .join(', ');
+        tuningHtml = `
+        <p><strong>Tuning:</strong> ${tuning.bestMatch.system} (${(tuning.bestMatch.score * 100).toFixed(0)}% match)</p>
+        <p><strong>Mean 12-TET Deviation:</strong> ${tuning.meanAbsDeviation.toFixed(1)} cents</p>
+        <p style="font-size: 12px;"><strong>Degrees:</strong> ${degreeList}</p>`;
+    }
     infoDiv.innerHTML = `
         <p><strong>Detected Pitch:</strong> ${fundamentalFreq.toFixed(1)} Hz</p>
-        <p><strong>Scale:</strong> ${keyInfo.scale || 'Unknown'}</p>
-        <p><strong>Confidence:</strong> ${(pitchStrength * 100).toFixed(1)}%</p>
+        <p><strong>Scale:</strong> ${keyInfo.scale || 'Unknown'}</p>${tonicHtml}
+        <p><strong>Confidence:</strong> ${(pitchStrength * 100).toFixed(1)}%</p>${tuningHtml}
     `;
 }
 
+// "3:2 cross-rhythm (high every 1 against low every 1.5 beats, 92%)"
+function formatCrossRhythm(cross) {
+    return `${cross.label} (${cross.fast.band} every ${cross.fast.period} against ${cross.slow.band} every ${cross.slow.period} beats, ${(cross.confidence * 100).toFixed(0)}%)`;
+}
+
 function displayRhythmAnalysis(result) {
     const canvas = document.getElementById('rhythm-chart');
     const infoDiv = document.getElementById('rhythm-info');
@@ -2323,6 +3186,7 @@ function displayRhythmAnalysis(result) {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
     const rhythm = result.rhythmAnalysis || {};
+    const cycle = result.cycleAnalysis;
     const tempo = rhythm.tempo || 0;
     const regularity = rhythm.regularity || 0;
     
@@ -2340,11 +3204,77 @@ function displayRhythmAnalysis(result) {
     ctx.fillRect(50, 130, regularityBar, 40);
     ctx.fillStyle = '#333';
     ctx.fillText(`Regularity: ${(regularity * 100).toFixed(1)}%`, 50, 110);
+
+    // Tempo curve from the tempogram
+    const curve = rhythm.tempoCurve || [];
+    if (curve.length > 1) {
+        const bpms = curve.map(point => point.bpm);
+        const lo = Math.min(...bpms) - 5;
+        const hi = Math.max(...bpms) + 5;
+        const end = curve[curve.length - 1].time || 1;
+        const x = (time) => 50 + (time / end) * (canvas.width - 70);
+        const y = (bpm) => 280 - ((bpm - lo) / (hi - lo)) * 70;
+        ctx.fillStyle = '#333';
+        ctx.fillText('Tempo curve', 50, 200);
+        ctx.font = '10px Poppins, sans-serif';
+        ctx.fillText(`${hi.toFixed(0)}`, 20, 214);
+        ctx.fillText(`${lo.toFixed(0)}`, 20, 283);
+        ctx.strokeStyle = '#ff6b6b';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        curve.forEach((point, i) => (i ? ctx.lineTo(x(point.time), y(point.bpm)) : ctx.moveTo(x(point.time), y(point.bpm))));
+        ctx.stroke();
+    }
     
     infoDiv.innerHTML = `
-        <p><strong>Tempo:</strong> ${tempo.toFixed(0)} BPM</p>
+        <p><strong>Tempo:</strong> ${tempo.toFixed(0)} BPM${rhythm.tempoSource === 'beats' ? ` from ${rhythm.beats.length} tracked beats` : ' (onset intervals)'}</p>${rhythm.beatsPerBar ? `
+        <p><strong>Bar:</strong> ${rhythm.beatsPerBar} beats, ${rhythm.downbeats.length} downbeats</p>` : ''}
         <p><strong>Regularity:</strong> ${(regularity * 100).toFixed(1)}%</p>
-        <p><strong>Detected Onsets:</strong> ${rhythm.peakCount || 0}</p>
+        <p><strong>Detected Onsets:</strong> ${rhythm.peakCount || 0}</p>${rhythm.polyrhythm?.ratios?.length ? `
+        <p><strong>Polyrhythm:</strong> ${rhythm.polyrhythm.ratios.slice(0, 3).map(formatCrossRhythm).join('; ')}</p>` : ''}${cycle && cycle.bestMatch ? `
+        <p><strong>Cycle:</strong> ${cycle.bestMatch.name} (${cycle.periodBeats} beats, ${cycle.bestMatch.tradition})</p>
+        <p><strong>Sam:</strong> ${cycle.samTime.toFixed(2)}s, cycle ${cycle.cycleDuration.toFixed(2)}s</p>` : ''}
+    `;
+}
+
+function formatProfile(profile) {
+    return profile ? `${profile.durations.map(d => (d * profile.durations.length).toFixed(2)).join(' : ')} (${profile.pattern})` : 'n/a';
+}
+
+// Groove template: each dot sits at its mean position around the bar, sized by how often it is played
+function displayGroove(result) {
+    const canvas = document.getElementById('groove-chart');
+    const infoDiv = document.getElementById('groove-info');
+    if (!canvas || !infoDiv) return;
+
+    const groove = result.rhythmAnalysis?.groove;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!groove) {
+        infoDiv.innerHTML = '<p>Groove unavailable: too few tracked beats.</p>';
+        return;
+    }
+    const pulses = Math.max(1, groove.subdivisions);
+    const slotMs = (60000 / (result.rhythmAnalysis.tempo || 120)) / pulses;
+    const slots = groove.template.map(slot => ({
+        weight: slot.occupancy,
+        offset: slot.offsetMs / slotMs,
+        accent: slot.accent
+    }));
+    new Visualizer3D(canvas).drawRhythmCircle(slots, -1, { pulsesPerBeat: pulses });
+
+    const timing = groove.template
+        .filter(slot => slot.occupancy >= 0.25)
+        .map(slot => `${slot.beat}.${slot.subdivision} ${slot.offsetMs >= 0 ? '+' : ''}${slot.offsetMs.toFixed(0)}`)
+        .join(', ');
+    infoDiv.innerHTML = `
+        <p><strong>Grid:</strong> ${groove.beatsPerBar} beats × ${pulses} per beat over ${groove.bars} bars</p>
+        <p><strong>Swing:</strong> ${groove.swingRatio === null ? 'n/a' : `${groove.swingRatio.toFixed(2)} : 1 (${groove.swingFeel}, ${groove.swingLevel} notes)`}</p>
+        <p><strong>Microtiming:</strong> ${groove.microtimingMs.toFixed(1)} ms average from the metronomic grid</p>
+        <p><strong>Beat lengths:</strong> ${formatProfile(groove.beatProfile)}</p>
+        <p><strong>Subdivision lengths:</strong> ${formatProfile(groove.subdivisionProfile)}</p>${groove.feels.length ? `
+        <p><strong>Feel:</strong> ${groove.feels.join(', ')}</p>` : ''}
+        <p style="color: #777;">Mean offset per slot (ms, + late): ${timing || 'n/a'}</p>
     `;
 }
 
@@ -2405,7 +3335,42 @@ function displaySpectralAnalysis(result) {
     `;
 }
 
-function displayGenreInfo(genre, topGenres) {
+function formatScoreDelta(delta) {
+    return `${delta > 0 ? '+' : '−'}${Math.abs(delta).toFixed(2)}`;
+}
+
+function renderGenreExplanation(explanation) {
+    if (!explanation || !explanation.genres.length) return '';
+    const runnerUp = explanation.runnerUp;
+    return `
+        <div style="margin-top: 15px;">
+            <h4>Why this genre?</h4>
+            ${explanation.note ? `<p style="font-size: 12px; color: #666; margin: 0 0 8px;">${explanation.note}</p>` : ''}
+            ${explanation.genres.map(entry => `
+                <div style="padding: 8px; background: #f5f5f5; margin: 5px 0; border-radius: 8px; font-size: 13px;">
+                    <strong>${entry.genre}</strong>
+                    <span style="color: #666;">score ${entry.score.toFixed(2)} (${formatScoreDelta(entry.added)} / ${formatScoreDelta(entry.subtracted)})</span>
+                    <ul style="list-style: none; padding: 0; margin: 6px 0 0;">
+                        ${entry.contributions.map(item => `
+                            <li style="margin: 3px 0;">
+                                <span style="display: inline-block; min-width: 52px; font-weight: bold; color: ${item.delta > 0 ? '#2e7d32' : '#c62828'};">${formatScoreDelta(item.delta)}</span>
+                                ${item.description}
+                                <span style="color: #888; font-size: 11px;">${CONTRIBUTION_SOURCES[item.source] || item.source}${item.evidence.length ? ` · ${item.evidence.join(', ')}` : ''}</span>
+                            </li>
+                        `).join('') || '<li style="color: #888;">No rule or model moved this score</li>'}
+                    </ul>
+                </div>
+            `).join('')}
+            ${runnerUp ? `
+                <p style="font-size: 13px; margin: 8px 0 0;">
+                    <strong>Runner-up:</strong> ${runnerUp.genre} finished ${runnerUp.scoreGap.toFixed(2)} points behind ${runnerUp.leader}${runnerUp.closeness !== null ? ` (${(runnerUp.closeness * 100).toFixed(0)}% of its score)` : ''}${runnerUp.deciding.length ? `; the difference came from ${runnerUp.deciding.map(item => `${item.description} (${formatScoreDelta(item.delta)})`).join(', ')}` : ''}.
+                </p>
+            ` : ''}
+        </div>
+    `;
+}
+
+function displayGenreInfo(genre, topGenres, maqamAnalysis = null, explanation = null) {
     // Create or update genre section
     let genreSection = document.getElementById('genre-analysis-section');
     const gridEl = document.querySelector('.analysis-grid');
@@ -2429,6 +3394,7 @@ function displayGenreInfo(genre, topGenres) {
         <h3>🎵 Genre Analysis</h3>
         <div style="padding: 15px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 10px; color: white;">
             <p style="font-size: 24px; font-weight: bold; margin: 0;">${genreLabel}</p>
+            ${genre.discogsLabel ? `<p style="margin: 5px 0 0 0;">Style: ${formatDiscogsLabel(genre.discogsLabel)}</p>` : ''}
                <p style="margin: 5px 0 0 0;">Confidence: ${confidencePercent.toFixed(1)}%</p>
         </div>
         ${topGenres && topGenres.length > 1 ? `
@@ -2442,16 +3408,243 @@ function displayGenreInfo(genre, topGenres) {
                            const confPercent = Number.isFinite(genreConfidence) && genreConfidence > 1 ? genreConfidence : (genreConfidence * 100);
                            return `
                                 <li style="padding: 8px; background: #f5f5f5; margin: 5px 0; border-radius: 8px; font-size: 13px;">
-                                    <strong>${idx + 1}. ${genreName}:</strong> ${confPercent.toFixed(1)}%
+                                    <strong>${idx + 1}. ${genreName}${g.style ? ` · ${g.style}` : ''}:</strong> ${confPercent.toFixed(1)}%
                                 </li>
                             `;
                         }).join('')}
                 </ul>
             </div>
         ` : ''}
+        ${renderGenreExplanation(explanation)}
+        ${maqamAnalysis && maqamAnalysis.best && maqamAnalysis.best.fit >= 0.5 ? `
+            <div style="margin-top: 15px;">
+                <h4>Maqam Candidates:</h4>
+                <ul style="list-style: none; padding: 0; margin: 0;">
+                    ${maqamAnalysis.maqamat.slice(0, 3).map((m, idx) => {
+                        const tonicLabel = `${m.tonic.note}${m.tonic.deviation ? ` ${m.tonic.deviation > 0 ? '+' : ''}${m.tonic.deviation}¢` : ''}`;
+                        return `
+                            <li style="padding: 8px; background: #f5f5f5; margin: 5px 0; border-radius: 8px; font-size: 13px;">
+                                <strong>${idx + 1}. Maqam ${m.maqam}</strong> on ${tonicLabel}: ${(m.confidence * 100).toFixed(1)}%
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </div>
+        ` : ''}
     `;
 }
 
+function formatTimelineTime(seconds) {
+    const s = Math.max(0, Math.floor(seconds || 0));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function genreLaneColor(genre) {
+    // Stable hue per genre name so the same style keeps its colour across files
+    let hash = 0;
+    for (const ch of String(genre || '')) hash = (hash * 31 + ch.charCodeAt(0)) % 360;
+    return `hsl(${hash}, 60%, 55%)`;
+}
+
+function displayTimelineLane(timeline, audioPlayer) {
+    const resultsEl = document.getElementById('analysis-results');
+    let laneSection = document.getElementById('timeline-lane-section');
+
+    if (!laneSection && resultsEl) {
+        laneSection = document.createElement('div');
+        laneSection.id = 'timeline-lane-section';
+        laneSection.className = 'analysis-card';
+        laneSection.style.cssText = 'margin: 0 0 14px;';
+        const anchor = document.getElementById('analysis-audio-player') || document.getElementById('analysis-status');
+        if (anchor) {
+            anchor.insertAdjacentElement('afterend', laneSection);
+        } else {
+            resultsEl.prepend(laneSection);
+        }
+    }
+
+    if (!laneSection) return;
+
+    const segments = timeline.segments;
+    const duration = timeline.duration || segments[segments.length - 1].end || 1;
+
+    // Windows overlap; each block covers its window until the next one starts
+    const blocks = segments.map((seg, i) => {
+        const displayStart = seg.start;
+        const displayEnd = i < segments.length - 1 ? segments[i + 1].start : duration;
+        const left = (displayStart / duration) * 100;
+        const width = Math.max(0.5, ((displayEnd - displayStart) / duration) * 100);
+        return `
+            <div class="timeline-block" data-index="${i}" title="${formatTimelineTime(seg.start)}–${formatTimelineTime(seg.end)} • ${seg.genre} • ${seg.tempo} BPM • ${seg.scale}"
+                 style="position: absolute; top: 0; bottom: 0; left: ${left}%; width: ${width}%; background: ${genreLaneColor(seg.genre)}; border-right: 1px solid #fff; overflow: hidden; font-size: 11px; color: #fff; padding: 4px; box-sizing: border-box; white-space: nowrap;">
+                <strong>${seg.genre}</strong><br>${seg.tempo} BPM
+            </div>
+        `;
+    }).join('');
+
+    laneSection.innerHTML = `
+        <h3>🕒 Section Timeline</h3>
+        <div id="timeline-lane" style="position: relative; height: 48px; border-radius: 8px; overflow: hidden; background: #eee; cursor: ${audioPlayer ? 'pointer' : 'default'}; user-select: none; touch-action: none;">
+            ${blocks}
+            <div id="timeline-playhead" style="position: absolute; top: 0; bottom: 0; left: 0; width: 2px; background: #111; pointer-events: none;"></div>
+        </div>
+        <div style="display: flex; justify-content: space-between; font-size: 11px; color: #666; margin-top: 4px;">
+            <span>0:00</span><span>${timeline.windowSeconds}s windows</span><span>${formatTimelineTime(duration)}</span>
+        </div>
+        <div id="timeline-segment-info" style="font-size: 13px; margin-top: 8px;"></div>
+    `;
+
+    const lane = laneSection.querySelector('#timeline-lane');
+    const playhead = laneSection.querySelector('#timeline-playhead');
+    const info = laneSection.querySelector('#timeline-segment-info');
+    let activeIndex = -1;
+
+    const showPosition = (time) => {
+        playhead.style.left = `${Math.min(100, (time / duration) * 100)}%`;
+        // Latest window that has started owns the current position
+        let index = 0;
+        for (let i = 0; i < segments.length; i++) {
+            if (segments[i].start <= time) index = i;
+        }
+        if (index === activeIndex) return;
+        activeIndex = index;
+        laneSection.querySelectorAll('.timeline-block').forEach(block => {
+            block.style.opacity = Number(block.dataset.index) === index ? '1' : '0.65';
+        });
+        const seg = segments[index];
+        info.innerHTML = `
+            <strong>${formatTimelineTime(seg.start)}–${formatTimelineTime(seg.end)}:</strong>
+            ${seg.genre} (${Number(seg.genreConfidence).toFixed(0)}%) • ${seg.tempo} BPM •
+            Regularity ${(seg.regularity * 100).toFixed(0)}% • ${seg.scale} •
+            Brightness ${(seg.brightness * 100).toFixed(0)}%
+        `;
+    };
+
+    showPosition(0);
+
+    if (!audioPlayer) return;
+
+    audioPlayer.addEventListener('timeupdate', () => showPosition(audioPlayer.currentTime));
+    audioPlayer.addEventListener('seeked', () => showPosition(audioPlayer.currentTime));
+
+    // Click or drag anywhere on the lane to scrub the player
+    let scrubbing = false;
+    const seekTo = (clientX) => {
+        const rect = lane.getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+        const time = ratio * duration;
+        audioPlayer.currentTime = time;
+        showPosition(time);
+    };
+    lane.addEventListener('pointerdown', (e) => {
+        scrubbing = true;
+        lane.setPointerCapture?.(e.pointerId);
+        seekTo(e.clientX);
+    });
+    lane.addEventListener('pointermove', (e) => {
+        if (scrubbing) seekTo(e.clientX);
+    });
+    lane.addEventListener('pointerup', (e) => {
+        scrubbing = false;
+        lane.releasePointerCapture?.(e.pointerId);
+    });
+    lane.addEventListener('pointercancel', () => { scrubbing = false; });
+}
+
+// First notes of the transcription as a compact table; degrees are named from the tonic when one was found
+function formatNoteList(transcription, tonic, maxNotes = 24) {
+    if (!transcription || transcription.notes.length === 0) return '';
+    const rows = transcription.notes.slice(0, maxNotes).map(n => `
+                <tr>
+                    <td>${n.start.toFixed(2)}s</td>
+                    <td>${n.duration.toFixed(2)}s</td>
+                    <td>${n.note} ${n.deviation > 0 ? '+' : ''}${n.deviation}¢</td>
+                    <td>${tonic ? formatDegreeFromTonic(n.degree.interval) : `${n.cents}¢`}${tonic && n.degree.deviation ? ` (${n.degree.deviation > 0 ? '+' : ''}${n.degree.deviation}¢)` : ''}</td>
+                </tr>`).join('');
+    const more = transcription.notes.length > maxNotes ? `<p style="font-size: 11px; color: #999;">…and ${transcription.notes.length - maxNotes} more (full list in the JSON download)</p>` : '';
+    return `
+            <p><strong>Notes:</strong> ${transcription.notes.length} notes, ${transcription.rests.length} rests</p>
+            <table style="font-size: 11px; width: 100%; text-align: left;">
+                <tr><th>Onset</th><th>Length</th><th>Pitch</th><th>Degree</th></tr>${rows}
+            </table>${more}`;
+}
+
+const ORNAMENT_COLORS = {
+    glide: 'rgba(76, 175, 80, 0.3)',
+    vibrato: 'rgba(156, 39, 176, 0.3)',
+    gamaka: 'rgba(244, 67, 54, 0.3)',
+    grace: 'rgba(255, 152, 0, 0.45)'
+};
+
+// Pitch contour over time on a log-frequency axis, with a gridline at every octave of the tonic
+// and ornament events (everything but steady notes) shaded behind the line
+function drawPitchContour(ctx, canvas, contour, tonicHz, ornaments = null) {
+    const voiced = contour.frames.filter(f => f.voiced);
+    const reference = tonicHz > 0 ? tonicHz : 110;
+    const toCents = (f) => 1200 * Math.log2(f / reference);
+    const centsValues = voiced.map(f => toCents(f.frequency));
+    // Contours of long recordings have too many frames to spread into Math.min / Math.max
+    const low = Math.floor(centsValues.reduce((a, c) => Math.min(a, c), Infinity) / 1200) * 1200;
+    let high = Math.ceil(centsValues.reduce((a, c) => Math.max(a, c), -Infinity) / 1200) * 1200;
+    // A contour on an exact octave of the reference gives low === high; keep a one-octave range
+    if (high <= low) high = low + 1200;
+    const duration = contour.frames[contour.frames.length - 1].time || 1;
+
+    const left = 40;
+    const right = canvas.width - 10;
+    const top = 10;
+    const bottom = canvas.height - 30;
+    const xOf = (t) => left + (t / duration) * (right - left);
+    const yOf = (c) => bottom - ((c - low) / (high - low)) * (bottom - top);
+
+    ctx.strokeStyle = '#e0e0e0';
+    ctx.fillStyle = '#666';
+    ctx.font = '10px Poppins, sans-serif';
+    for (let c = low; c <= high; c += 1200) {
+        ctx.beginPath();
+        ctx.moveTo(left, yOf(c));
+        ctx.lineTo(right, yOf(c));
+        ctx.stroke();
+        const label = tonicHz > 0 ? 'Sa' : `${Math.round(reference * Math.pow(2, c / 1200))} Hz`;
+        ctx.fillText(label, 2, yOf(c) + 3);
+    }
+
+    if (ornaments && ornaments.events) {
+        const toChartCents = (eventCents) => eventCents + 1200 * Math.log2(ornaments.reference / reference);
+        ornaments.events.forEach(event => {
+            const color = ORNAMENT_COLORS[event.type];
+            if (!color) return;
+            const p = event.parameters || {};
+            const span = event.type === 'glide'
+                ? [p.fromCents, p.toCents]
+                : [event.cents - (p.extent || 50), event.cents + (p.extent || 50)];
+            const yTop = yOf(toChartCents(Math.max(...span)) + 40);
+            const yBottom = yOf(toChartCents(Math.min(...span)) - 40);
+            ctx.fillStyle = color;
+            ctx.fillRect(xOf(event.start), yTop, Math.max(2, xOf(event.end) - xOf(event.start)), yBottom - yTop);
+        });
+    }
+
+    // Voiced runs are joined; opacity follows the voicing probability
+    ctx.lineWidth = 2;
+    for (let i = 1; i < contour.frames.length; i++) {
+        const a = contour.frames[i - 1];
+        const b = contour.frames[i];
+        if (!a.voiced || !b.voiced) continue;
+        ctx.strokeStyle = `rgba(102, 126, 234, ${Math.max(0.25, b.voicing)})`;
+        ctx.beginPath();
+        ctx.moveTo(xOf(a.time), yOf(toCents(a.frequency)));
+        ctx.lineTo(xOf(b.time), yOf(toCents(b.frequency)));
+        ctx.stroke();
+    }
+    ctx.lineWidth = 1;
+
+    ctx.fillStyle = '#333';
+    ctx.font = '11px Poppins, sans-serif';
+    ctx.fillText('0s', left, canvas.height - 10);
+    ctx.fillText(`${duration.toFixed(1)}s`, right - 35, canvas.height - 10);
+}
+
 function displayMelodicFrequencyAnalysis(result) {
     const canvas = document.getElementById('melodic-chart');
     const infoDiv = document.getElementById('melodic-info');
@@ -2468,6 +3661,34 @@ function displayMelodicFrequencyAnalysis(result) {
     const ctx = canvas.getContext('2d');
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
+    // Prefer the full pitch contour when the tracker produced one
+    const contour = result.pitchContour;
+    const voicedFrames = contour?.frames?.filter(f => f.voiced) || [];
+    if (voicedFrames.length > 1) {
+        drawPitchContour(ctx, canvas, contour, result.tonicAnalysis?.tonic?.frequency || 0, result.ornamentAnalysis);
+        const contourPitches = voicedFrames.map(f => f.frequency);
+        // An hour of 20 ms frames is too many arguments to spread into Math.min / Math.max
+        const minContour = contourPitches.reduce((a, f) => Math.min(a, f), Infinity);
+        const maxContour = contourPitches.reduce((a, f) => Math.max(a, f), -Infinity);
+        const meanContour = contourPitches.reduce((a, b) => a + b, 0) / contourPitches.length;
+        const summary = result.ornamentAnalysis?.summary;
+        const ornamentSummary = summary ? `
+            <p style="font-size: 12px;"><strong>Ornaments:</strong>
+                <span style="background: ${ORNAMENT_COLORS.glide}; padding: 0 4px;">${summary.glide} glides</span>
+                <span style="background: ${ORNAMENT_COLORS.vibrato}; padding: 0 4px;">${summary.vibrato} vibrato</span>
+                <span style="background: ${ORNAMENT_COLORS.gamaka}; padding: 0 4px;">${summary.gamaka} gamaka</span>
+                <span style="background: ${ORNAMENT_COLORS.grace}; padding: 0 4px;">${summary.grace} grace notes</span>
+            </p>` : '';
+        infoDiv.innerHTML = `
+            <p><strong>Frequency Range:</strong> ${minContour.toFixed(1)} – ${maxContour.toFixed(1)} Hz</p>
+            <p><strong>Mean Pitch:</strong> ${meanContour.toFixed(1)} Hz</p>
+            <p><strong>Range Span:</strong> ${(1200 * Math.log2(maxContour / minContour) / 100).toFixed(1)} semitones</p>
+            <p><strong>Voiced:</strong> ${((voicedFrames.length / contour.frames.length) * 100).toFixed(0)}% of ${contour.frames.length} frames</p>${ornamentSummary}${formatNoteList(result.transcription, result.tonicAnalysis?.tonic)}
+        `;
+        window.melodicFrequencyChart = canvas;
+        return;
+    }
+    
     // Use available frequency data from analysis
     const spectral = result.spectralAnalysis || {};
     const pitch = result.pitch || 0;
@@ -0,0 +1,481 @@
+/**
+ * Batch Analyzer
+ * Headless analysis of many recordings from disk, used by the ethno-batch CLI
+ * (bin/ethno-batch.mjs). Each file is decoded without the Web Audio API, run through the
+ * same runAnalysisPipeline as the browser and summarized as one flat row, written as a
+ * JSON line or a CSV row. Rows are appended as soon as a file finishes, so an interrupted
+ * run can be resumed from its own output file.
+ */
+
+import { readdir, readFile, stat, appendFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { AudioAnalyzer, runAnalysisPipeline } from './audioAnalyzer.js';
+import { decodeAudio } from './utils/audioDecoder.js';
+import { parseEmbeddingsFile } from './utils/embeddingsFile.js';
+
+const round = (value, digits = 3) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+/**
+ * Feature groups that can be selected with --features; each contributes fixed columns
+ * so that every row of a run has the same shape, and runs only the pipeline stages
+ * (ANALYSIS_STAGES ids) its columns are read from
+ */
+export const BATCH_FEATURES = {
+    rhythm: {
+        label: 'Tempo, regularity, onset count, percussive share (from the percussive part) and cross-rhythm ratios',
+        stages: ['rhythm'],
+        columns: ['tempo', 'regularity', 'onsets', 'percussiveShare', 'polyrhythm'],
+        summarize: ({ rhythmAnalysis: rhythm }) => ({
+            tempo: round(rhythm?.tempo, 1),
+            regularity: round(rhythm?.regularity),
+            onsets: rhythm?.peakCount ?? null,
+            percussiveShare: round(rhythm?.percussiveShare),
+            polyrhythm: rhythm?.polyrhythm?.ratios?.length
+                ? rhythm.polyrhythm.ratios.map(r => `${r.ratio}(${r.fast.band}/${r.slow.band})`).join(';')
+                : null
+        })
+    },
+    groove: {
+        label: 'Subdivision, swing ratio, microtiming and beat / subdivision length patterns',
+        stages: ['rhythm'],
+        columns: ['subdivisions', 'swingRatio', 'microtimingMs', 'beatPattern', 'subdivisionPattern', 'feels'],
+        summarize: ({ rhythmAnalysis: rhythm }) => {
+            const groove = rhythm?.groove;
+            return {
+                subdivisions: groove?.subdivisions ?? null,
+                swingRatio: groove?.swingRatio ?? null,
+                microtimingMs: groove?.microtimingMs ?? null,
+                beatPattern: groove?.beatProfile?.pattern ?? null,
+                subdivisionPattern: groove?.subdivisionProfile?.pattern ?? null,
+                feels: groove?.feels?.length ? groove.feels.join(';') : null
+            };
+        }
+    },
+    cycle: {
+        label: 'Rhythmic cycle (tala / usul) and sam',
+        stages: ['cycle'],
+        columns: ['cycle', 'cycleTradition', 'cyclePulses', 'samTime'],
+        summarize: ({ cycleAnalysis: cycle }) => ({
+            cycle: cycle?.bestMatch?.name ?? null,
+            cycleTradition: cycle?.bestMatch?.tradition ?? null,
+            cyclePulses: cycle?.bestMatch?.pulses ?? null,
+            samTime: round(cycle?.samTime)
+        })
+    },
+    stereo: {
+        label: 'Inter-channel correlation, stereo width, balance and per-band panning',
+        stages: ['channels'],
+        columns: ['correlation', 'stereoWidth', 'balance', 'bandPans'],
+        summarize: ({ channelAnalysis: field }) => {
+            if (!field || field.channelCount < 2) return { correlation: null, stereoWidth: null, balance: null, bandPans: null };
+            return {
+                correlation: field.correlation,
+                stereoWidth: field.width,
+                balance: field.balance,
+                bandPans: field.bands.filter(band => band.pan !== null).map(band => `${band.id}:${band.pan}`).join(';')
+            };
+        }
+    },
+    loudness: {
+        label: 'Integrated loudness (LUFS), loudness range, true peak and crest factor',
+        stages: ['loudness'],
+        columns: ['integratedLufs', 'loudnessRange', 'truePeakDbtp', 'crestFactorDb'],
+        summarize: ({ loudnessAnalysis: loudness }) => ({
+            integratedLufs: loudness?.integrated ?? null,
+            loudnessRange: loudness?.loudnessRange ?? null,
+            truePeakDbtp: loudness?.truePeak ?? null,
+            crestFactorDb: loudness?.crestFactor ?? null
+        })
+    },
+    spectral: {
+        label: 'Spectral centroid, rolloff, flux and brightness',
+        stages: ['spectral'],
+        columns: ['centroid', 'rolloff', 'flux', 'brightness'],
+        summarize: ({ spectralAnalysis: spectral }) => ({
+            centroid: round(spectral?.centroid, 1),
+            rolloff: round(spectral?.rolloff, 1),
+            flux: round(spectral?.flux),
+            brightness: round(spectral?.brightness)
+        })
+    },
+    scale: {
+        label: 'Scale, tonic, tuning system and maqam',
+        stages: ['scale'],
+        columns: ['scale', 'scaleConfidence', 'tonic', 'tonicHz', 'tonicMethod', 'tuningSystem', 'is12TET', 'meanDeviationCents', 'maqam', 'maqamConfidence'],
+        summarize: ({ scaleAnalysis, tonicAnalysis, tuningAnalysis, maqamAnalysis }) => ({
+            scale: scaleAnalysis?.scale ?? null,
+            scaleConfidence: round(scaleAnalysis?.confidence),
+            tonic: tonicAnalysis?.tonic?.note ?? null,
+            tonicHz: round(tonicAnalysis?.tonic?.frequency, 1),
+            tonicMethod: tonicAnalysis?.method ?? null,
+            tuningSystem: tuningAnalysis?.bestMatch?.system ?? null,
+            is12TET: tuningAnalysis ? tuningAnalysis.is12TET : null,
+            meanDeviationCents: round(tuningAnalysis?.meanAbsDeviation, 1),
+            maqam: maqamAnalysis?.best?.maqam ?? null,
+            maqamConfidence: round(maqamAnalysis?.best?.confidence)
+        })
+    },
+    genre: {
+        label: 'Top genre, its Discogs style (with --embeddings) and the three best candidates',
+        stages: ['genre'],
+        columns: ['genre', 'genreConfidence', 'style', 'topGenres'],
+        summarize: ({ genre, topGenres = [] }) => ({
+            genre: genre?.genre ?? null,
+            genreConfidence: genre?.confidence ?? null,
+            style: genre?.discogsLabel ?? null,
+            topGenres: topGenres.slice(0, 3).map(g => `${g.genre}:${g.confidence}`).join(';')
+        })
+    },
+    ornaments: {
+        label: 'Glide, vibrato, gamaka and grace-note counts',
+        stages: ['ornaments'],
+        columns: ['glides', 'vibrato', 'gamaka', 'graceNotes'],
+        summarize: ({ ornamentAnalysis }) => ({
+            glides: ornamentAnalysis?.summary.glide ?? null,
+            vibrato: ornamentAnalysis?.summary.vibrato ?? null,
+            gamaka: ornamentAnalysis?.summary.gamaka ?? null,
+            graceNotes: ornamentAnalysis?.summary.grace ?? null
+        })
+    },
+    transcription: {
+        label: 'Transcribed note and rest counts',
+        stages: ['transcription'],
+        columns: ['notes', 'rests'],
+        summarize: ({ transcription }) => ({
+            notes: transcription ? transcription.notes.length : null,
+            rests: transcription ? transcription.rests.length : null
+        })
+    },
+    structure: {
+        label: 'Song form (A B A′ ...) and the tempo and key of every section',
+        stages: ['structure'],
+        columns: ['form', 'sections', 'sectionTempos', 'sectionKeys'],
+        summarize: ({ structure }) => ({
+            form: structure?.form ?? null,
+            sections: structure ? structure.sections.length : null,
+            sectionTempos: structure ? structure.sections.map(s => s.tempo ?? '-').join(';') : null,
+            sectionKeys: structure ? structure.sections.map(s => s.key?.label ?? '-').join(';') : null
+        })
+    },
+    timeline: {
+        label: 'Windowed timeline: genre sequence and tempo range (slower)',
+        stages: ['timeline'],
+        columns: ['segments', 'segmentGenres', 'tempoRange'],
+        summarize: ({ timeline }) => {
+            if (!timeline) return { segments: null, segmentGenres: null, tempoRange: null };
+            const tempos = timeline.segments.map(s => s.tempo);
+            // Consecutive windows with the same genre collapse into one section
+            const genres = timeline.segments.map(s => s.genre).filter((genre, i, all) => i === 0 || genre !== all[i - 1]);
+            return {
+                segments: timeline.segments.length,
+                segmentGenres: genres.join('>'),
+                tempoRange: tempos.length ? `${Math.round(Math.min(...tempos))}-${Math.round(Math.max(...tempos))}` : null
+            };
+        }
+    }
+};
+
+export const DEFAULT_FEATURES = ['rhythm', 'spectral', 'scale', 'genre'];
+
+const BASE_COLUMNS = ['file', 'status', 'error', 'duration', 'sampleRate', 'channels', 'channel'];
+
+export const AUDIO_EXTENSIONS = ['.wav', '.wave', '.flac', '.aif', '.aiff', '.aifc'];
+
+/**
+ * Parse a --features value ("rhythm,genre" or "all")
+ * @param {string} spec - Comma-separated feature group ids
+ * @returns {string[]} Feature ids in BATCH_FEATURES order
+ */
+export function parseFeatureList(spec) {
+    if (!spec) return [...DEFAULT_FEATURES];
+    const requested = spec.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    if (requested.includes('all')) return Object.keys(BATCH_FEATURES);
+    const unknown = requested.filter(id => !BATCH_FEATURES[id]);
+    if (unknown.length) {
+        throw new Error(`Unknown feature(s): ${unknown.join(', ')}. Available: ${Object.keys(BATCH_FEATURES).join(', ')}, all`);
+    }
+    return Object.keys(BATCH_FEATURES).filter(id => requested.includes(id));
+}
+
+/**
+ * Output columns for a feature selection
+ * @param {string[]} features - Feature ids
+ * @returns {string[]} Column names
+ */
+export function batchColumns(features) {
+    return [...BASE_COLUMNS, ...features.flatMap(id => BATCH_FEATURES[id].columns)];
+}
+
+/**
+ * Pipeline stages a feature selection reads; runAnalysisPipeline adds their prerequisites
+ * @param {string[]} features - Feature ids
+ * @returns {string[]} Stage ids
+ */
+export function featureStages(features) {
+    return [...new Set(features.flatMap(id => BATCH_FEATURES[id].stages))];
+}
+
+/**
+ * Flatten an analysis result into one output row
+ * @param {Object} result - runAnalysisPipeline result
+ * @param {string[]} features - Feature ids to include
+ * @param {Object} info - { file, channels }
+ * @returns {Object} Row keyed by column name
+ */
+export function summarizeAnalysis(result, features, info = {}) {
+    const row = {
+        file: info.file ?? result.fileName,
+        status: 'ok',
+        error: null,
+        duration: round(result.duration, 2),
+        sampleRate: result.sampleRate,
+        channels: info.channels ?? null,
+        channel: result.channelMode ?? null
+    };
+    features.forEach(id => Object.assign(row, BATCH_FEATURES[id].summarize(result)));
+    return row;
+}
+
+function csvEscape(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split one CSV line into fields (quoted fields may contain commas and doubled quotes)
+ * @param {string} line - CSV line without its line break
+ * @returns {string[]} Field values
+ */
+export function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Serialize a row (no trailing line break)
+ * @param {Object} row - Row from summarizeAnalysis
+ * @param {string[]} columns - Column order
+ * @param {string} format - 'json' (JSON Lines) or 'csv'
+ * @returns {string} Output line
+ */
+export function formatRow(row, columns, format) {
+    if (format === 'csv') {
+        // Line breaks would split the row; error messages are the only multi-line values
+        return columns.map(column => csvEscape(typeof row[column] === 'string' ? row[column].replace(/\s*[\r\n]+\s*/g, ' ') : row[column])).join(',');
+    }
+    return JSON.stringify(Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+}
+
+/**
+ * Expand files and directories into the list of audio files to analyze
+ * @param {string[]} inputs - File and directory paths
+ * @param {Object} options - { recursive: descend into subdirectories, extensions }
+ * @returns {Promise<string[]>} Sorted file paths; files named explicitly are kept whatever their extension
+ */
+export async function collectAudioFiles(inputs, options = {}) {
+    const { recursive = false, extensions = AUDIO_EXTENSIONS } = options;
+    const files = new Set();
+
+    const walk = async (dir) => {
+        const entries = await readdir(dir, { withFileTypes: true });
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (recursive) await walk(fullPath);
+            } else if (extensions.includes(path.extname(entry.name).toLowerCase())) {
+                files.add(fullPath);
+            }
+        }
+    };
+
+    for (const input of inputs) {
+        const info = await stat(input);
+        if (info.isDirectory()) await walk(input);
+        else files.add(input);
+    }
+    return [...files];
+}
+
+/**
+ * MAEST embeddings of an audio file: <name>.npy or <name>.json in the embeddings directory
+ * @param {string} file - Audio file path
+ * @param {string|null} embeddingsDir - Directory of embedding files; null for none
+ * @returns {Promise<Object|null>} parseEmbeddingsFile result, or null when the file has none
+ * @throws {Error} When an embeddings file exists but cannot be parsed
+ */
+export async function loadEmbeddingsFor(file, embeddingsDir) {
+    if (!embeddingsDir) return null;
+    const base = path.basename(file, path.extname(file));
+    for (const extension of ['.npy', '.json']) {
+        const embeddingsPath = path.join(embeddingsDir, base + extension);
+        let contents;
+        try {
+            contents = await readFile(embeddingsPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+        try {
+            return parseEmbeddingsFile(contents);
+        } catch (error) {
+            throw new Error(`${embeddingsPath}: ${error.message}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Prepare an existing output file for resuming: keeps the header and every complete,
+ * successful row, drops failed rows (they are retried) and a line cut off by an interruption
+ * @param {string} outputPath - Output file from the earlier run
+ * @param {string} format - 'json' or 'csv'
+ * @param {string[]} columns - Columns of this run; a CSV written with other features is rejected
+ * @returns {Promise<Set<string>>} Resolved paths of files already analyzed
+ */
+export async function resumeOutput(outputPath, format, columns) {
+    let text;
+    try {
+        text = await readFile(outputPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return new Set();
+        throw error;
+    }
+
+    const lines = text.split('\n');
+    // Every row is written with its line break, so anything after the last one is a partial write
+    lines.pop();
+    const completed = new Set();
+    const kept = [];
+
+    if (format === 'csv') {
+        if (lines.length === 0) return completed;
+        if (lines[0] !== columns.join(',')) {
+            throw new Error(`${outputPath} was written with different columns; resume with the same --features or choose a new --out file`);
+        }
+        kept.push(lines[0]);
+        const statusIndex = columns.indexOf('status');
+        lines.slice(1).forEach(line => {
+            const fields = parseCsvLine(line);
+            if (fields.length === columns.length && fields[statusIndex] === 'ok') {
+                completed.add(path.resolve(fields[0]));
+                kept.push(line);
+            }
+        });
+    } else {
+        lines.forEach(line => {
+            try {
+                const row = JSON.parse(line);
+                if (row && row.status === 'ok' && row.file) {
+                    completed.add(path.resolve(row.file));
+                    kept.push(line);
+                }
+            } catch (error) {
+                // Not a complete row; dropped
+            }
+        });
+    }
+
+    await writeFile(outputPath, kept.map(line => line + '\n').join(''));
+    return completed;
+}
+
+/**
+ * Analyze files one after another, writing a row as each one finishes
+ * @param {string[]} files - Audio file paths
+ * @param {Object} options - { features, format: 'json' | 'csv', output (file path; appended to),
+ *   stream (used when there is no output path, e.g. process.stdout), resume, analyzer,
+ *   channelMode ('downmix' | 'left' | 'right' | 'mid' | 'side'),
+ *   embeddingsDir (MAEST embeddings named after each file, see loadEmbeddingsFor; they run the Discogs style model),
+ *   onFile({ index, total, file, row, skipped, seconds }) }
+ * @returns {Promise<{analyzed: number, failed: number, skipped: number}>} Counts
+ */
+export async function analyzeFiles(files, options = {}) {
+    const {
+        features = DEFAULT_FEATURES,
+        format = 'json',
+        output = null,
+        stream = null,
+        resume = false,
+        channelMode = 'downmix',
+        embeddingsDir = null,
+        onFile = null
+    } = options;
+    if (format !== 'json' && format !== 'csv') throw new Error(`Unknown output format "${format}" (use json or csv)`);
+    if (resume && !output) throw new Error('Resuming needs an output file');
+
+    const columns = batchColumns(features);
+    const completed = resume ? await resumeOutput(output, format, columns) : new Set();
+    const write = output ? (line) => appendFile(output, line + '\n') : (line) => stream.write(line + '\n');
+
+    if (output && !resume) await writeFile(output, '');
+    const isEmpty = output ? (await stat(output)).size === 0 : true;
+    if (format === 'csv' && isEmpty) await write(columns.join(','));
+
+    let analyzer = options.analyzer;
+    const counts = { analyzed: 0, failed: 0, skipped: 0 };
+
+    for (let index = 0; index < files.length; index++) {
+        const file = files[index];
+        if (completed.has(path.resolve(file))) {
+            counts.skipped++;
+            if (onFile) onFile({ index, total: files.length, file, row: null, skipped: true, seconds: 0 });
+            continue;
+        }
+
+        const started = Date.now();
+        let row;
+        try {
+            const decoded = decodeAudio(await readFile(file));
+            const maestEmbeddings = features.includes('genre') ? await loadEmbeddingsFor(file, embeddingsDir) : null;
+            if (!analyzer) {
+                analyzer = new AudioAnalyzer();
+                await analyzer.initialize();
+            }
+            // Sample-rate dependent analyzer methods read it from here; files may differ
+            analyzer.audioContext = { sampleRate: decoded.sampleRate };
+            // Spectral flux compares against the previous spectrum, which belongs to another file
+            analyzer.previousSpectrum = null;
+            const result = await runAnalysisPipeline(decoded.channels, decoded.sampleRate, path.basename(file), {
+                analyzer,
+                channelMode,
+                stages: featureStages(features),
+                timeline: features.includes('timeline'),
+                maestEmbeddings
+            });
+            row = summarizeAnalysis(result, features, { file, channels: decoded.numberOfChannels });
+            counts.analyzed++;
+        } catch (error) {
+            row = { file, status: 'error', error: error?.message || String(error) };
+            counts.failed++;
+        }
+
+        await write(formatRow(row, columns, format));
+        if (onFile) onFile({ index, total: files.length, file, row, skipped: false, seconds: (Date.now() - started) / 1000 });
+    }
+    return counts;
+}
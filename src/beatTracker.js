@@ -0,0 +1,360 @@
+/**
+ * Beat Tracking Module
+ * Onset-strength envelope (log-spectral flux), autocorrelation tempogram with a
+ * log-Gaussian tempo prior, and dynamic-programming beat alignment (Ellis 2007) that
+ * follows the local tempo, so beats stay on the grid through accelerandos. Downbeats
+ * are the beat phase whose low-frequency accents stand out most for 2, 3 or 4 beats per bar.
+ */
+
+import { magnitudeSpectrum } from './utils/fft.js';
+
+const DEFAULTS = {
+    frameSeconds: 0.046,        // analysis frame, rounded to a power of two
+    minBPM: 40,
+    maxBPM: 240,
+    startBPM: 120,              // centre of the tempo prior
+    priorOctaves: 1,            // width of the tempo prior
+    tempogramSeconds: 8,        // autocorrelation window of the tempogram
+    tempogramHopSeconds: 1,
+    tightness: 100,             // how strongly beats keep to the local period
+    lowBandHz: 200,             // kick / bass drum band for downbeat accents
+    compression: 100,           // log1p(compression * magnitude) before the flux
+    meters: [4, 3, 2],          // beats per bar to consider, preferred first on ties
+    onsetThreshold: 1           // onset peaks must rise this many standard deviations
+};
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Onset strength: half-wave rectified log-magnitude spectral flux, over all bins and the low band
+ * @param {Float32Array} buffer - Audio samples
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { frameSeconds, lowBandHz, compression, bands: [[loHz, hiHz], ...] for extra band envelopes }
+ * @returns {{envelope: Float32Array, lowBand: Float32Array, bandEnvelopes: Float32Array[], frameRate: number, hopSize: number}}
+ *   Envelopes normalized to unit standard deviation, one value per hop; frame i is centred on sample i * hopSize
+ */
+export function onsetStrength(buffer, sampleRate, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const frameSize = 2 ** Math.round(Math.log2(opts.frameSeconds * sampleRate));
+    const hopSize = frameSize / 4;
+    const frames = Math.max(0, Math.ceil(buffer.length / hopSize));
+    const lowBins = Math.max(2, Math.round(opts.lowBandHz / (sampleRate / frameSize)));
+    const envelope = new Float32Array(frames);
+    const lowBand = new Float32Array(frames);
+    const binHz = sampleRate / frameSize;
+    const bandRanges = (opts.bands || []).map(([lo, hi]) => [Math.max(1, Math.ceil(lo / binHz)), Math.min(frameSize / 2, Math.floor(hi / binHz))]);
+    const bandFlux = bandRanges.map(() => new Float32Array(frames));
+    const padded = new Float32Array(buffer.length + frameSize);
+    padded.set(buffer, frameSize / 2);
+
+    let previous = null;
+    for (let f = 0; f < frames; f++) {
+        const mags = magnitudeSpectrum(padded, f * hopSize, frameSize);
+        const logMags = mags.map(m => Math.log1p(opts.compression * m));
+        if (previous) {
+            let flux = 0, low = 0;
+            for (let k = 1; k < logMags.length; k++) {
+                const rise = Math.max(0, logMags[k] - previous[k]);
+                flux += rise;
+                if (k <= lowBins) low += rise;
+            }
+            envelope[f] = flux;
+            lowBand[f] = low;
+            bandRanges.forEach(([lo, hi], b) => {
+                let band = 0;
+                for (let k = lo; k <= hi; k++) band += Math.max(0, logMags[k] - previous[k]);
+                bandFlux[b][f] = band;
+            });
+        }
+        previous = logMags;
+    }
+
+    // Remove the slowly varying level (about a quarter second) and scale to unit deviation
+    const normalize = (signal) => {
+        const half = Math.max(1, Math.round((0.125 * sampleRate) / hopSize));
+        const prefix = new Float64Array(signal.length + 1);
+        for (let i = 0; i < signal.length; i++) prefix[i + 1] = prefix[i] + signal[i];
+        const out = new Float32Array(signal.length);
+        for (let i = 0; i < signal.length; i++) {
+            const lo = Math.max(0, i - half);
+            const hi = Math.min(signal.length, i + half + 1);
+            out[i] = Math.max(0, signal[i] - (prefix[hi] - prefix[lo]) / (hi - lo));
+        }
+        const mean = out.reduce((acc, v) => acc + v, 0) / (out.length || 1);
+        const std = Math.sqrt(out.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (out.length || 1));
+        if (std > 0) for (let i = 0; i < out.length; i++) out[i] /= std;
+        return out;
+    };
+    return {
+        envelope: normalize(envelope),
+        lowBand: normalize(lowBand),
+        bandEnvelopes: bandFlux.map(normalize),
+        frameRate: sampleRate / hopSize,
+        hopSize
+    };
+}
+
+function autocorrelation(signal, start, end, lag) {
+    let acc = 0;
+    for (let i = start; i + lag < end; i++) acc += signal[i] * signal[i + lag];
+    return acc;
+}
+
+// Parabolic refinement of a peak at integer index `i` of `values`
+function refinePeak(values, i) {
+    if (i <= 0 || i >= values.length - 1) return i;
+    const denom = values[i - 1] - 2 * values[i] + values[i + 1];
+    return denom !== 0 ? i + Math.max(-0.5, Math.min(0.5, (0.5 * (values[i - 1] - values[i + 1])) / denom)) : i;
+}
+
+/**
+ * Autocorrelation tempogram and the tempo curve read from it
+ * @param {Float32Array} envelope - Onset strength
+ * @param {number} frameRate - Envelope frames per second
+ * @param {Object} options - { minBPM, maxBPM, startBPM, priorOctaves, tempogramSeconds, tempogramHopSeconds }
+ * @returns {Object} { tempo (BPM), period (frames), strength (0-1), curve: [{ time, bpm, period, strength }] }
+ */
+export function estimateTempo(envelope, frameRate, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const minLag = Math.max(1, Math.floor((60 * frameRate) / opts.maxBPM));
+    const maxLag = Math.ceil((60 * frameRate) / opts.minBPM);
+    const windowFrames = Math.round(opts.tempogramSeconds * frameRate);
+    const hopFrames = Math.max(1, Math.round(opts.tempogramHopSeconds * frameRate));
+    const empty = { tempo: 0, period: 0, strength: 0, curve: [] };
+    if (envelope.length < minLag * 4) return empty;
+
+    // Rows of normalized autocorrelation over lags minLag..maxLag
+    const rows = [];
+    const starts = [];
+    for (let start = 0; ; start += hopFrames) {
+        const end = Math.min(envelope.length, start + windowFrames);
+        const norm = autocorrelation(envelope, start, end, 0);
+        const row = new Float32Array(maxLag + 2);
+        if (norm > 0) {
+            for (let lag = minLag; lag <= maxLag + 1 && lag < end - start; lag++) row[lag] = autocorrelation(envelope, start, end, lag) / norm;
+        }
+        rows.push(row);
+        starts.push(start);
+        if (end >= envelope.length) break;
+    }
+
+    const prior = (lag) => Math.exp(-0.5 * (Math.log2((60 * frameRate) / lag / opts.startBPM) / opts.priorOctaves) ** 2);
+    const mean = new Float32Array(maxLag + 2);
+    rows.forEach(row => row.forEach((v, lag) => { mean[lag] += v / rows.length; }));
+    let best = 0;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const score = mean[lag] * prior(lag);
+        if (score > bestScore) {
+            bestScore = score;
+            best = lag;
+        }
+    }
+    if (!best) return empty;
+    const period = refinePeak(mean, best);
+
+    // The local tempo may drift up to half an octave from the overall tempo
+    const curve = rows.map((row, i) => {
+        let localBest = 0;
+        let localValue = -Infinity;
+        for (let lag = Math.max(minLag, Math.floor(period / Math.SQRT2)); lag <= Math.min(maxLag, Math.ceil(period * Math.SQRT2)); lag++) {
+            if (row[lag] > localValue) {
+                localValue = row[lag];
+                localBest = lag;
+            }
+        }
+        const localPeriod = localValue > 0 ? refinePeak(row, localBest) : period;
+        const centre = Math.min(envelope.length, starts[i] + windowFrames / 2);
+        return {
+            time: round3(centre / frameRate),
+            bpm: Math.round((600 * frameRate) / localPeriod) / 10,
+            period: localPeriod,
+            strength: round3(Math.max(0, localValue))
+        };
+    });
+    return { tempo: Math.round((600 * frameRate) / period) / 10, period, strength: round3(Math.max(0, mean[best])), curve };
+}
+
+/**
+ * Align beats to the onset envelope by dynamic programming, following a local period per frame
+ * @param {Float32Array} envelope - Onset strength
+ * @param {Float32Array|number[]} periods - Beat period in frames at every frame
+ * @param {number} tightness - Penalty weight for beat spacings away from the local period
+ * @returns {number[]} Beat frames
+ */
+export function alignBeats(envelope, periods, tightness = DEFAULTS.tightness) {
+    const n = envelope.length;
+    if (n === 0) return [];
+
+    // Local score: the envelope smoothed over a small fraction of the period
+    const local = new Float32Array(n);
+    for (let t = 0; t < n; t++) {
+        const sigma = Math.max(1, periods[t] / 32);
+        const reach = Math.ceil(2 * sigma);
+        let acc = 0;
+        for (let d = -reach; d <= reach; d++) {
+            if (t + d >= 0 && t + d < n) acc += envelope[t + d] * Math.exp(-0.5 * (d / sigma) ** 2);
+        }
+        local[t] = acc;
+    }
+
+    const score = new Float64Array(n);
+    const backlink = new Int32Array(n).fill(-1);
+    for (let t = 0; t < n; t++) {
+        const period = periods[t];
+        let bestPrev = -1;
+        let bestValue = -Infinity;
+        for (let tau = t - Math.round(2 * period); tau <= t - Math.round(period / 2); tau++) {
+            if (tau < 0) continue;
+            const value = score[tau] - tightness * Math.log((t - tau) / period) ** 2;
+            if (value > bestValue) {
+                bestValue = value;
+                bestPrev = tau;
+            }
+        }
+        score[t] = local[t] + (bestPrev >= 0 ? Math.max(0, bestValue) : 0);
+        backlink[t] = bestPrev >= 0 && bestValue > 0 ? bestPrev : -1;
+    }
+
+    // Last beat: the latest local maximum of the cumulative score that reaches half the median maximum
+    const maxima = [];
+    for (let t = 1; t < n - 1; t++) if (score[t] > score[t - 1] && score[t] >= score[t + 1]) maxima.push(t);
+    if (n > 1 && score[n - 1] > score[n - 2]) maxima.push(n - 1);
+    if (maxima.length === 0) return [];
+    const sorted = maxima.map(t => score[t]).sort((a, b) => a - b);
+    const threshold = 0.5 * sorted[Math.floor(sorted.length / 2)];
+    let last = maxima[maxima.length - 1];
+    for (let i = maxima.length - 1; i >= 0; i--) {
+        if (score[maxima[i]] >= threshold) {
+            last = maxima[i];
+            break;
+        }
+    }
+
+    const beats = [];
+    for (let t = last; t >= 0; t = backlink[t]) beats.push(t);
+    beats.reverse();
+
+    // Drop weak beats at either end (fade-in, reverb tail) that the DP bridged across
+    const strengths = beats.map(t => local[t]);
+    const rms = Math.sqrt(strengths.reduce((acc, v) => acc + v * v, 0) / (strengths.length || 1));
+    let first = 0;
+    let end = beats.length;
+    while (first < end && strengths[first] < 0.5 * rms) first++;
+    while (end > first && strengths[end - 1] < 0.5 * rms) end--;
+    return beats.slice(first, end);
+}
+
+/**
+ * Note onsets: peaks of the onset strength, timed between frames by parabolic interpolation
+ * @param {Float32Array} envelope - Onset strength
+ * @param {number} frameRate - Envelope frames per second
+ * @param {Object} options - { onsetThreshold (standard deviations), minGapSeconds }
+ * @returns {Array<{time: number, strength: number}>} Onsets in seconds, in time order
+ */
+export function pickOnsets(envelope, frameRate, options = {}) {
+    const { onsetThreshold = DEFAULTS.onsetThreshold, minGapSeconds = 0.05 } = options;
+    const gap = Math.max(1, Math.round(minGapSeconds * frameRate));
+    const onsets = [];
+    for (let t = 1; t < envelope.length - 1; t++) {
+        const value = envelope[t];
+        if (value < onsetThreshold || value < envelope[t - 1] || value <= envelope[t + 1]) continue;
+        const last = onsets[onsets.length - 1];
+        if (last && t - last.frame < gap) {
+            if (value > last.strength) onsets[onsets.length - 1] = { frame: t, strength: value };
+            continue;
+        }
+        onsets.push({ frame: t, strength: value });
+    }
+    return onsets.map(({ frame, strength }) => ({
+        time: round3(refinePeak(envelope, frame) / frameRate),
+        strength: Math.round(strength * 100) / 100
+    }));
+}
+
+/**
+ * Bar length and downbeat phase from low-frequency accents on the beats
+ * @param {number[]} beatFrames - Beat frames
+ * @param {Float32Array} lowBand - Low-band onset strength
+ * @param {Float32Array} envelope - Full-band onset strength
+ * @param {number[]} meters - Beats per bar to consider, preferred first
+ * @returns {{beatsPerBar: number|null, phase: number, strength: number}} strength: accent contrast in standard deviations
+ */
+export function findDownbeats(beatFrames, lowBand, envelope, meters = DEFAULTS.meters) {
+    const near = (signal, t) => Math.max(...[-2, -1, 0, 1, 2].map(d => signal[Math.min(signal.length - 1, Math.max(0, t + d))]));
+    const accents = beatFrames.map(t => near(lowBand, t) + 0.5 * near(envelope, t));
+    const mean = accents.reduce((acc, v) => acc + v, 0) / (accents.length || 1);
+    const std = Math.sqrt(accents.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (accents.length || 1));
+    let best = { beatsPerBar: null, phase: 0, strength: 0 };
+    if (!(std > 0)) return best;
+
+    meters.forEach(meter => {
+        if (accents.length < meter * 2) return;
+        for (let phase = 0; phase < meter; phase++) {
+            let on = 0, onCount = 0, off = 0, offCount = 0;
+            accents.forEach((a, i) => {
+                if ((i - phase) % meter === 0) {
+                    on += a;
+                    onCount++;
+                } else {
+                    off += a;
+                    offCount++;
+                }
+            });
+            const contrast = (on / onCount - off / offCount) / std;
+            // A later meter has to beat an earlier one clearly
+            if (contrast > best.strength * 1.1 || (best.beatsPerBar === null && contrast > 0)) {
+                best = { beatsPerBar: meter, phase, strength: contrast };
+            }
+        }
+    });
+    return { ...best, strength: Math.round(best.strength * 100) / 100 };
+}
+
+/**
+ * Beats, downbeats and tempo curve of a recording
+ * @param {Float32Array} buffer - Audio samples
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - See DEFAULTS
+ * @returns {Object} { tempo (BPM, mean over the tracked beats), beats, downbeats (seconds), beatsPerBar,
+ *   downbeatStrength, tempoCurve: [{ time, bpm, strength }], confidence (tempogram peak, 0-1),
+ *   onsets: [{ time, strength }] }
+ */
+export function trackBeats(buffer, sampleRate, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const { envelope, lowBand, frameRate } = onsetStrength(buffer, sampleRate, opts);
+    const tempo = estimateTempo(envelope, frameRate, opts);
+    const onsets = pickOnsets(envelope, frameRate, opts);
+    const empty = { tempo: 0, beats: [], downbeats: [], beatsPerBar: null, downbeatStrength: 0, tempoCurve: [], confidence: 0, onsets };
+    if (!tempo.period) return empty;
+
+    // Local period at every frame, interpolated between tempogram windows
+    const periods = new Float32Array(envelope.length);
+    const curve = tempo.curve;
+    for (let t = 0, c = 0; t < envelope.length; t++) {
+        const time = t / frameRate;
+        while (c < curve.length - 1 && curve[c + 1].time <= time) c++;
+        if (c === curve.length - 1 || time <= curve[c].time) {
+            periods[t] = curve[c].period;
+        } else {
+            const w = (time - curve[c].time) / (curve[c + 1].time - curve[c].time);
+            periods[t] = curve[c].period * (1 - w) + curve[c + 1].period * w;
+        }
+    }
+
+    const beatFrames = alignBeats(envelope, periods, opts.tightness);
+    const beats = beatFrames.map(t => round3(t / frameRate));
+    const span = beats.length > 1 ? beats[beats.length - 1] - beats[0] : 0;
+    const downbeat = findDownbeats(beatFrames, lowBand, envelope, opts.meters);
+
+    return {
+        tempo: span > 0 ? Math.round((600 * (beats.length - 1)) / span) / 10 : tempo.tempo,
+        beats,
+        downbeats: downbeat.beatsPerBar ? beats.filter((_, i) => (i - downbeat.phase) % downbeat.beatsPerBar === 0) : [],
+        beatsPerBar: downbeat.beatsPerBar,
+        downbeatStrength: downbeat.strength,
+        tempoCurve: curve.map(({ time, bpm, strength }) => ({ time, bpm, strength })),
+        confidence: tempo.strength,
+        onsets
+    };
+}
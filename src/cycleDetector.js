@@ -0,0 +1,280 @@
+/**
+ * Rhythmic Cycle Detection Module
+ * Finds the cycle length in pulses and the downbeat (sam) of metric cycles such as
+ * Hindustani tala, Turkish/Balkan aksak usul and West African / Afro-Cuban timelines,
+ * by folding an onset-strength envelope at the cycle period and matching the
+ * resulting accent profile against a library of cycles.
+ */
+
+/**
+ * Cycle library. Accent weights are per pulse, starting at the sam / first stroke:
+ * 2-3 = tali or strong stroke, 1 = ordinary stroke, below 1 = khali (wave) or rest.
+ */
+export const CYCLE_LIBRARY = {
+    teentaal: {
+        name: 'Teentaal',
+        tradition: 'Hindustani tala',
+        pulses: 16,
+        grouping: [4, 4, 4, 4],
+        accents: [3, 1, 1, 1, 2, 1, 1, 1, 0.4, 0.6, 0.6, 0.6, 2, 1, 1, 1]
+    },
+    jhaptaal: {
+        name: 'Jhaptaal',
+        tradition: 'Hindustani tala',
+        pulses: 10,
+        grouping: [2, 3, 2, 3],
+        accents: [3, 1, 2, 1, 1, 0.4, 0.6, 2, 1, 1]
+    },
+    rupak: {
+        name: 'Rupak',
+        tradition: 'Hindustani tala',
+        pulses: 7,
+        grouping: [3, 2, 2],
+        // Rupak begins on khali: the sam is unstressed, the talis fall on 4 and 6
+        accents: [1.2, 0.8, 0.8, 2, 1, 2, 1]
+    },
+    aksak9: {
+        name: 'Aksak 9/8',
+        tradition: 'Turkish / Balkan usul',
+        pulses: 9,
+        grouping: [2, 2, 2, 3],
+        accents: [3, 0.6, 2, 0.6, 2, 0.6, 2, 0.6, 0.6]
+    },
+    bell12: {
+        name: '12/8 bell pattern',
+        tradition: 'West African timeline',
+        pulses: 12,
+        grouping: [2, 2, 1, 2, 2, 2, 1],
+        accents: [2, 0.1, 1, 0.1, 1, 1, 0.1, 1, 0.1, 1, 0.1, 1]
+    },
+    clave32: {
+        name: 'Son clave 3-2',
+        tradition: 'Afro-Cuban timeline',
+        pulses: 16,
+        grouping: [3, 3, 4, 2, 4],
+        accents: [1.5, 0.1, 0.1, 1, 0.1, 0.1, 1, 0.1, 0.1, 0.1, 1, 0.1, 1, 0.1, 0.1, 0.1]
+    },
+    clave23: {
+        name: 'Son clave 2-3',
+        tradition: 'Afro-Cuban timeline',
+        pulses: 16,
+        grouping: [2, 2, 4, 3, 3],
+        accents: [0.1, 0.1, 1, 0.1, 1, 0.1, 0.1, 0.1, 1.5, 0.1, 0.1, 1, 0.1, 0.1, 1, 0.1]
+    }
+};
+
+/**
+ * Half-wave rectified energy difference, one value per hop
+ * @param {Float32Array} buffer - Audio samples
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { frameSize, hopSize }
+ * @returns {{envelope: Float32Array, frameRate: number, timeOffset: number}} Onset strength, frames per second
+ *   and the offset from a frame index to its time (frames are stamped at their centre)
+ */
+export function computeOnsetEnvelope(buffer, sampleRate, options = {}) {
+    const { frameSize = 1024, hopSize = 512 } = options;
+    const frames = Math.max(0, Math.floor((buffer.length - frameSize) / hopSize) + 1);
+    const envelope = new Float32Array(frames);
+    let previous = 0;
+    for (let f = 0; f < frames; f++) {
+        const start = f * hopSize;
+        let energy = 0;
+        for (let j = 0; j < frameSize; j++) energy += buffer[start + j] * buffer[start + j];
+        energy = Math.sqrt(energy / frameSize);
+        envelope[f] = Math.max(0, energy - previous);
+        previous = energy;
+    }
+    return { envelope, frameRate: sampleRate / hopSize, timeOffset: frameSize / (2 * sampleRate) };
+}
+
+// Normalized autocorrelation of a mean-removed signal at a fractional lag
+function autocorrelationAt(signal, lag) {
+    const whole = Math.floor(lag);
+    const frac = lag - whole;
+    let acc = 0;
+    for (let i = 0; i + whole + 1 < signal.length; i++) {
+        acc += signal[i] * (signal[i + whole] * (1 - frac) + signal[i + whole + 1] * frac);
+    }
+    return acc;
+}
+
+// Local autocorrelation maximum near a lag, refined by parabolic interpolation
+function refineLag(signal, lag, tolerance, norm) {
+    const lo = Math.max(1, Math.floor(lag * (1 - tolerance)));
+    const hi = Math.min(signal.length - 2, Math.ceil(lag * (1 + tolerance)));
+    let best = lo;
+    let bestValue = -Infinity;
+    const values = new Map();
+    for (let l = lo; l <= hi; l++) {
+        const v = autocorrelationAt(signal, l);
+        values.set(l, v);
+        if (v > bestValue) { bestValue = v; best = l; }
+    }
+    const prev = values.has(best - 1) ? values.get(best - 1) : autocorrelationAt(signal, best - 1);
+    const next = values.has(best + 1) ? values.get(best + 1) : autocorrelationAt(signal, best + 1);
+    const denom = prev - 2 * bestValue + next;
+    const delta = denom !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (prev - next) / denom)) : 0;
+    return { lag: best + delta, strength: norm > 0 ? Math.max(0, bestValue / norm) : 0 };
+}
+
+function pearson(a, b) {
+    const n = a.length;
+    const ma = a.reduce((s, v) => s + v, 0) / n;
+    const mb = b.reduce((s, v) => s + v, 0) / n;
+    let num = 0, da = 0, db = 0;
+    for (let i = 0; i < n; i++) {
+        num += (a[i] - ma) * (b[i] - mb);
+        da += (a[i] - ma) ** 2;
+        db += (b[i] - mb) ** 2;
+    }
+    return da > 0 && db > 0 ? num / Math.sqrt(da * db) : 0;
+}
+
+/**
+ * Fold the envelope at a cycle period and read the strength at each pulse
+ * @returns {{profile: number[], phase: number}} Pulse profile and grid offset in frames
+ */
+function foldCycle(envelope, cyclePeriod, pulses) {
+    // About one bin per envelope frame, and never fewer than four per pulse
+    const bins = Math.max(pulses * 4, Math.round(cyclePeriod));
+    const sums = new Float64Array(bins);
+    const counts = new Uint32Array(bins);
+    for (let t = 0; t < envelope.length; t++) {
+        const b = Math.floor(((t % cyclePeriod) / cyclePeriod) * bins) % bins;
+        sums[b] += envelope[t];
+        counts[b]++;
+    }
+    const folded = Array.from(sums, (s, i) => (counts[i] ? s / counts[i] : 0));
+    const binsPerPulse = bins / pulses;
+
+    // Pulse grid offset that puts the most energy exactly on the grid
+    let bestOffset = 0;
+    let bestEnergy = -Infinity;
+    for (let offset = 0; offset < Math.ceil(binsPerPulse); offset++) {
+        let energy = 0;
+        for (let p = 0; p < pulses; p++) energy += folded[Math.round(offset + p * binsPerPulse) % bins];
+        if (energy > bestEnergy) { bestEnergy = energy; bestOffset = offset; }
+    }
+
+    const profile = [];
+    for (let p = 0; p < pulses; p++) {
+        const c = Math.round(bestOffset + p * binsPerPulse);
+        profile.push(Math.max(folded[(c - 1 + bins) % bins], folded[c % bins], folded[(c + 1) % bins]));
+    }
+    return { profile, phase: (bestOffset / bins) * cyclePeriod };
+}
+
+/**
+ * Estimate the pulse period from the envelope autocorrelation, weighted toward moderate tempi
+ * @returns {{period: number, strength: number}} Period in frames and normalized strength
+ */
+function estimatePulse(signal, frameRate, norm, minBPM, maxBPM) {
+    const minLag = Math.max(1, Math.floor((60 / maxBPM) * frameRate));
+    const maxLag = Math.min(signal.length - 2, Math.ceil((60 / minBPM) * frameRate));
+    let best = { period: 0, strength: 0, weighted: -Infinity };
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const value = autocorrelationAt(signal, lag) / (norm || 1);
+        const bpm = (60 * frameRate) / lag;
+        // Log-Gaussian tempo prior centred on 120 BPM keeps the pulse from jumping octaves
+        const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+        const weighted = value * prior;
+        if (weighted > best.weighted) best = { period: lag, strength: value, weighted };
+    }
+    return best.period ? refineLag(signal, best.period, 0.05, norm) : { lag: 0, strength: 0 };
+}
+
+/**
+ * Detect the rhythmic cycle of a recording
+ * @param {Float32Array} buffer - Audio samples
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { maxSeconds, minBPM, maxBPM, library }
+ * @returns {Object} Pulse, cycle length in pulses, sam time and ranked library matches
+ */
+export function detectCycle(buffer, sampleRate, options = {}) {
+    const { maxSeconds = 120, minBPM = 40, maxBPM = 400, library = CYCLE_LIBRARY } = options;
+    const empty = { pulsePeriod: 0, pulseBPM: 0, periodBeats: 0, cycleDuration: 0, samTime: null, bestMatch: null, matches: [] };
+
+    // Cycles are read from the opening of the recording, where the first stroke marks the sam
+    const excerpt = buffer.length > maxSeconds * sampleRate ? buffer.subarray(0, Math.floor(maxSeconds * sampleRate)) : buffer;
+    const { envelope, frameRate, timeOffset } = computeOnsetEnvelope(excerpt, sampleRate);
+    if (envelope.length < frameRate * 2) return empty;
+
+    const mean = envelope.reduce((a, b) => a + b, 0) / envelope.length;
+    const centered = Float32Array.from(envelope, v => v - mean);
+    const norm = autocorrelationAt(centered, 0);
+    if (!(norm > 0)) return empty;
+
+    const pulse = estimatePulse(centered, frameRate, norm, minBPM, maxBPM);
+    if (!pulse.lag) return empty;
+
+    const peak = Math.max(...envelope);
+    const firstOnset = envelope.findIndex(v => v >= peak * 0.3);
+
+    const matches = Object.entries(library).map(([id, cycle]) => {
+        let best = { score: 0 };
+        // The library pulse may sit a metric level or two above or below the detected pulse
+        // (timelines such as clave leave most of their pulses silent)
+        for (const factor of [1 / 4, 1 / 3, 1 / 2, 1, 2, 3]) {
+            const pulseGuess = pulse.lag * factor;
+            if (pulseGuess < frameRate * 0.06 || pulseGuess > frameRate * 2) continue;
+            const cycleGuess = pulseGuess * cycle.pulses;
+            if (cycleGuess * 2 > envelope.length) continue;
+
+            const refined = refineLag(centered, cycleGuess, 0.04, norm);
+            const { profile, phase } = foldCycle(envelope, refined.lag, cycle.pulses);
+            const pulseFrames = refined.lag / cycle.pulses;
+
+            for (let rotation = 0; rotation < cycle.pulses; rotation++) {
+                const rotated = profile.map((_, i) => profile[(i + rotation) % cycle.pulses]);
+                const correlation = pearson(rotated, cycle.accents);
+                if (correlation <= 0) continue;
+
+                const samFrame = (phase + rotation * pulseFrames) % refined.lag;
+                // Patterns that differ only by rotation (clave 3-2 / 2-3) are told apart
+                // by which reading puts the sam on the first stroke of the recording
+                let alignment = 1;
+                if (firstOnset >= 0) {
+                    const offset = Math.abs(((firstOnset - samFrame) % refined.lag + refined.lag) % refined.lag);
+                    const distance = Math.min(offset, refined.lag - offset) / refined.lag;
+                    alignment = 1 - 0.2 * distance;
+                }
+
+                const score = correlation * (0.5 + 0.5 * refined.strength) * alignment;
+                if (score > best.score) {
+                    best = { score, correlation, periodicity: refined.strength, cycleFrames: refined.lag, samFrame, pulseFrames };
+                }
+            }
+        }
+
+        if (!best.cycleFrames) {
+            return { id, name: cycle.name, tradition: cycle.tradition, pulses: cycle.pulses, score: 0 };
+        }
+        const cycleDuration = best.cycleFrames / frameRate;
+        let samTime = (best.samFrame / frameRate + timeOffset) % cycleDuration;
+        // A sam just before the end of the fold is the stroke at the very start of the file
+        if (cycleDuration - samTime < best.pulseFrames / frameRate / 2) samTime = 0;
+        return {
+            id,
+            name: cycle.name,
+            tradition: cycle.tradition,
+            pulses: cycle.pulses,
+            score: Math.round(best.score * 1000) / 1000,
+            correlation: Math.round(best.correlation * 1000) / 1000,
+            periodicity: Math.round(best.periodicity * 1000) / 1000,
+            cycleDuration: Math.round(cycleDuration * 1000) / 1000,
+            pulseBPM: Math.round((60 * frameRate) / best.pulseFrames),
+            samTime: Math.round(samTime * 1000) / 1000
+        };
+    }).sort((a, b) => b.score - a.score);
+
+    const bestMatch = matches[0] && matches[0].score > 0 ? matches[0] : null;
+    return {
+        pulsePeriod: Math.round((pulse.lag / frameRate) * 1000) / 1000,
+        pulseBPM: Math.round((60 * frameRate) / pulse.lag),
+        periodBeats: bestMatch ? bestMatch.pulses : 0,
+        cycleDuration: bestMatch ? bestMatch.cycleDuration : 0,
+        samTime: bestMatch ? bestMatch.samTime : null,
+        bestMatch,
+        matches
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * Discogs Taxonomy
+ * The 400 "Parent---Style" labels of the genre_discogs400 model, in output order, and their
+ * mapping onto the app's genres (GENRE_LABELS in genreRules.js). The label order is the model's:
+ * parents alphabetically, styles alphabetically within each parent, matching
+ * public/models/genre_discogs400/metadata.json.
+ *
+ *   parseDiscogsLabel('Folk, World, & Country---Highlife')
+ *     // { label, parent: 'Folk, World, & Country', style: 'Highlife' }
+ *   discogsGenre('Folk, World, & Country---Highlife')   // 'World'
+ *   discogsGenre('Rock---Doom Metal')                   // 'Metal'
+ */
+
+export const DISCOGS_SEPARATOR = '---';
+
+// Styles per Discogs parent genre
+export const DISCOGS_STYLES = {
+    'Blues': [
+        'Boogie Woogie', 'Chicago Blues', 'Country Blues', 'Delta Blues', 'Electric Blues', 'Harmonica Blues',
+        'Jump Blues', 'Louisiana Blues', 'Modern Electric Blues', 'Piano Blues', 'Rhythm & Blues',
+        'Texas Blues'
+    ],
+    'Brass & Military': [
+        'Brass Band', 'Marches', 'Military'
+    ],
+    'Children\'s': [
+        'Educational', 'Nursery Rhymes', 'Story'
+    ],
+    'Classical': [
+        'Baroque', 'Choral', 'Classical', 'Contemporary', 'Impressionist', 'Medieval', 'Modern',
+        'Neo-Classical', 'Neo-Romantic', 'Opera', 'Post-Modern', 'Renaissance', 'Romantic'
+    ],
+    'Electronic': [
+        'Abstract', 'Acid', 'Acid House', 'Acid Jazz', 'Ambient', 'Bassline', 'Beatdown', 'Berlin-School',
+        'Big Beat', 'Bleep', 'Breakbeat', 'Breakcore', 'Breaks', 'Broken Beat', 'Chillwave', 'Chiptune',
+        'Dance-pop', 'Dark Ambient', 'Darkwave', 'Deep House', 'Deep Techno', 'Disco', 'Disco Polo', 'Donk',
+        'Downtempo', 'Drone', 'Drum n Bass', 'Dub', 'Dub Techno', 'Dubstep', 'Dungeon Synth', 'EBM',
+        'Electro', 'Electro House', 'Electroclash', 'Euro House', 'Euro-Disco', 'Eurobeat', 'Eurodance',
+        'Experimental', 'Freestyle', 'Future Jazz', 'Gabber', 'Garage House', 'Ghetto', 'Ghetto House',
+        'Glitch', 'Goa Trance', 'Grime', 'Halftime', 'Hands Up', 'Happy Hardcore', 'Hard House',
+        'Hard Techno', 'Hard Trance', 'Hardcore', 'Hardstyle', 'Hi NRG', 'Hip Hop', 'Hip-House', 'House',
+        'IDM', 'Illbient', 'Industrial', 'Italo House', 'Italo-Disco', 'Italodance', 'Jazzdance', 'Juke',
+        'Jumpstyle', 'Jungle', 'Latin', 'Leftfield', 'Makina', 'Minimal', 'Minimal Techno',
+        'Modern Classical', 'Musique Concrète', 'Neofolk', 'New Age', 'New Beat', 'New Wave', 'Noise',
+        'Nu-Disco', 'Power Electronics', 'Progressive Breaks', 'Progressive House', 'Progressive Trance',
+        'Psy-Trance', 'Rhythmic Noise', 'Schranz', 'Sound Collage', 'Speed Garage', 'Speedcore', 'Synth-pop',
+        'Synthwave', 'Tech House', 'Tech Trance', 'Techno', 'Trance', 'Tribal', 'Tribal House', 'Trip Hop',
+        'Tropical House', 'UK Garage', 'Vaporwave'
+    ],
+    'Folk, World, & Country': [
+        'African', 'Bluegrass', 'Cajun', 'Canzone Napoletana', 'Catalan Music', 'Celtic', 'Country', 'Fado',
+        'Flamenco', 'Folk', 'Gospel', 'Highlife', 'Hillbilly', 'Hindustani', 'Honky Tonk', 'Indian Classical',
+        'Laïkó', 'Nordic', 'Pacific', 'Polka', 'Raï', 'Romani', 'Soukous', 'Séga', 'Volksmusik', 'Zouk',
+        'Éntekhno'
+    ],
+    'Funk / Soul': [
+        'Afrobeat', 'Boogie', 'Contemporary R&B', 'Disco', 'Free Funk', 'Funk', 'Gospel', 'Neo Soul',
+        'New Jack Swing', 'P.Funk', 'Psychedelic', 'Rhythm & Blues', 'Soul', 'Swingbeat', 'UK Street Soul'
+    ],
+    'Hip Hop': [
+        'Bass Music', 'Boom Bap', 'Bounce', 'Britcore', 'Cloud Rap', 'Conscious', 'Crunk', 'Cut-up/DJ',
+        'DJ Battle Tool', 'Electro', 'G-Funk', 'Gangsta', 'Grime', 'Hardcore Hip-Hop', 'Horrorcore',
+        'Instrumental', 'Jazzy Hip-Hop', 'Miami Bass', 'Pop Rap', 'Ragga HipHop', 'RnB/Swing', 'Screw',
+        'Thug Rap', 'Trap', 'Trip Hop', 'Turntablism'
+    ],
+    'Jazz': [
+        'Afro-Cuban Jazz', 'Afrobeat', 'Avant-garde Jazz', 'Big Band', 'Bop', 'Bossa Nova',
+        'Contemporary Jazz', 'Cool Jazz', 'Dixieland', 'Easy Listening', 'Free Improvisation', 'Free Jazz',
+        'Fusion', 'Gypsy Jazz', 'Hard Bop', 'Jazz-Funk', 'Jazz-Rock', 'Latin Jazz', 'Modal', 'Post Bop',
+        'Ragtime', 'Smooth Jazz', 'Soul-Jazz', 'Space-Age', 'Swing'
+    ],
+    'Latin': [
+        'Afro-Cuban', 'Baião', 'Batucada', 'Beguine', 'Bolero', 'Boogaloo', 'Bossanova', 'Cha-Cha',
+        'Charanga', 'Compas', 'Cubano', 'Cumbia', 'Descarga', 'Forró', 'Guaguancó', 'Guajira', 'Guaracha',
+        'MPB', 'Mambo', 'Mariachi', 'Merengue', 'Norteño', 'Nueva Cancion', 'Pachanga', 'Porro', 'Ranchera',
+        'Reggaeton', 'Rumba', 'Salsa', 'Samba', 'Son', 'Son Montuno', 'Tango', 'Tejano', 'Vallenato'
+    ],
+    'Non-Music': [
+        'Audiobook', 'Comedy', 'Dialogue', 'Education', 'Field Recording', 'Interview', 'Monolog', 'Poetry',
+        'Political', 'Promotional', 'Radioplay', 'Religious', 'Spoken Word'
+    ],
+    'Pop': [
+        'Ballad', 'Bollywood', 'Bubblegum', 'Chanson', 'City Pop', 'Europop', 'Indie Pop', 'J-pop', 'K-pop',
+        'Kayōkyoku', 'Light Music', 'Music Hall', 'Novelty', 'Parody', 'Schlager', 'Vocal'
+    ],
+    'Reggae': [
+        'Calypso', 'Dancehall', 'Dub', 'Lovers Rock', 'Ragga', 'Reggae', 'Reggae-Pop', 'Rocksteady',
+        'Roots Reggae', 'Ska', 'Soca'
+    ],
+    'Rock': [
+        'AOR', 'Acid Rock', 'Acoustic', 'Alternative Rock', 'Arena Rock', 'Art Rock',
+        'Atmospheric Black Metal', 'Avantgarde', 'Beat', 'Black Metal', 'Blues Rock', 'Brit Pop',
+        'Classic Rock', 'Coldwave', 'Country Rock', 'Crust', 'Death Metal', 'Deathcore', 'Deathrock',
+        'Depressive Black Metal', 'Doo Wop', 'Doom Metal', 'Dream Pop', 'Emo', 'Ethereal', 'Experimental',
+        'Folk Metal', 'Folk Rock', 'Funeral Doom Metal', 'Funk Metal', 'Garage Rock', 'Glam', 'Goregrind',
+        'Goth Rock', 'Gothic Metal', 'Grindcore', 'Grunge', 'Hard Rock', 'Hardcore', 'Heavy Metal',
+        'Indie Rock', 'Industrial', 'Krautrock', 'Lo-Fi', 'Lounge', 'Math Rock', 'Melodic Death Metal',
+        'Melodic Hardcore', 'Metalcore', 'Mod', 'Neofolk', 'New Wave', 'No Wave', 'Noise', 'Noisecore',
+        'Nu Metal', 'Oi', 'Parody', 'Pop Punk', 'Pop Rock', 'Pornogrind', 'Post Rock', 'Post-Hardcore',
+        'Post-Metal', 'Post-Punk', 'Power Metal', 'Power Pop', 'Power Violence', 'Prog Rock',
+        'Progressive Metal', 'Psychedelic Rock', 'Psychobilly', 'Pub Rock', 'Punk', 'Rock & Roll',
+        'Rockabilly', 'Shoegaze', 'Ska', 'Sludge Metal', 'Soft Rock', 'Southern Rock', 'Space Rock',
+        'Speed Metal', 'Stoner Rock', 'Surf', 'Symphonic Rock', 'Technical Death Metal', 'Thrash', 'Twist',
+        'Viking Metal', 'Yé-Yé'
+    ],
+    'Stage & Screen': [
+        'Musical', 'Score', 'Soundtrack', 'Theme'
+    ]
+};
+
+export const DISCOGS_LABELS = Object.entries(DISCOGS_STYLES)
+    .flatMap(([parent, styles]) => styles.map(style => `${parent}${DISCOGS_SEPARATOR}${style}`));
+
+// Parents that map onto one app genre whatever the style
+const PARENT_GENRES = {
+    'Blues': 'Blues',
+    'Classical': 'European Classical',
+    'Electronic': 'Electronic',
+    'Funk / Soul': 'R&B/Soul',
+    'Hip Hop': 'Hip Hop',
+    'Jazz': 'Jazz',
+    'Latin': 'Latin',
+    'Pop': 'Pop',
+    'Reggae': 'Reggae'
+};
+
+// "Folk, World, & Country" styles that have an app genre of their own; the rest are World
+const FOLK_WORLD_COUNTRY_GENRES = {
+    'Bluegrass': 'Country',
+    'Cajun': 'Country',
+    'Country': 'Country',
+    'Hillbilly': 'Country',
+    'Honky Tonk': 'Country',
+    'Hindustani': 'Indian Classical',
+    'Indian Classical': 'Indian Classical',
+    'Celtic': 'Folk',
+    'Folk': 'Folk',
+    'Nordic': 'Folk',
+    'Polka': 'Folk',
+    'Volksmusik': 'Folk',
+    'Gospel': 'R&B/Soul'
+};
+
+const METAL_STYLE = /metal|thrash|grind|deathcore/i;
+
+/**
+ * Split a Discogs label into parent genre and style
+ * @param {string} label - "Parent---Style", or a bare parent genre
+ * @returns {{label: string, parent: string, style: string|null}}
+ */
+export function parseDiscogsLabel(label) {
+    const text = String(label ?? '');
+    const at = text.indexOf(DISCOGS_SEPARATOR);
+    if (at < 0) return { label: text, parent: text, style: null };
+    return { label: text, parent: text.slice(0, at), style: text.slice(at + DISCOGS_SEPARATOR.length) };
+}
+
+/**
+ * The app genre for a Discogs label
+ * @param {string} label - "Parent---Style" or a bare parent genre
+ * @returns {string} A GENRE_LABELS entry, or the Discogs parent for parents the app has no genre for
+ *   (Brass & Military, Children's, Non-Music, Stage & Screen)
+ */
+export function discogsGenre(label) {
+    const { parent, style } = parseDiscogsLabel(label);
+    if (PARENT_GENRES[parent]) return PARENT_GENRES[parent];
+    if (parent === 'Rock') return style && METAL_STYLE.test(style) ? 'Metal' : 'Rock';
+    if (parent === 'Folk, World, & Country') return FOLK_WORLD_COUNTRY_GENRES[style] || 'World';
+    return parent;
+}
+
+/**
+ * Display form of a Discogs label: "Highlife (Folk, World, & Country)"
+ * @param {string} label
+ * @returns {string}
+ */
+export function formatDiscogsLabel(label) {
+    const { parent, style } = parseDiscogsLabel(label);
+    return style ? `${style} (${parent})` : parent;
+}
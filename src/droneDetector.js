@@ -0,0 +1,207 @@
+/**
+ * Drone and Tonic Detection Module
+ * Finds the sustained tonal centre of a recording (tanpura Sa, bagpipe drones,
+ * the ison of Byzantine chant) and separates it from the melody.
+ * A low percentile of the magnitude spectrum over the whole file keeps what sounds
+ * nearly all the time and rejects the moving melody (even a melody that keeps returning
+ * to Sa); the drone pitch is its harmonic-sum peak, and the melody is tracked on each
+ * frame after that steady spectrum is removed.
+ */
+
+import { stft } from './utils/fft.js';
+import { analyzeTuning, frequencyToCents, nearestEqualTempered } from './tuningAnalysis.js';
+
+const C_REFERENCE_HZ = 440 * Math.pow(2, -9 / 12);
+
+// Linear interpolation of a magnitude spectrum at a fractional bin
+function spectrumAt(spectrum, bin) {
+    const i = Math.floor(bin);
+    if (i < 0 || i + 1 >= spectrum.length) return 0;
+    const frac = bin - i;
+    return spectrum[i] * (1 - frac) + spectrum[i + 1] * frac;
+}
+
+/**
+ * Harmonic-sum salience of a candidate fundamental. Energy between the harmonics
+ * counts against it, so the sub-octave of the true pitch does not win.
+ */
+function harmonicSalience(spectrum, f0, binHz, harmonics) {
+    let salience = 0;
+    for (let h = 1; h <= harmonics; h++) {
+        const weight = Math.pow(0.85, h - 1);
+        salience += weight * spectrumAt(spectrum, (h * f0) / binHz);
+        salience -= 0.5 * weight * spectrumAt(spectrum, ((h - 0.5) * f0) / binHz);
+    }
+    return salience;
+}
+
+/**
+ * Best fundamental of a spectrum on a log-frequency grid, refined to the cent
+ * @returns {{frequency: number, salience: number}} Peak of the harmonic salience
+ */
+function findFundamental(spectrum, binHz, minHz, maxHz, harmonics) {
+    let best = { frequency: 0, salience: 0 };
+    const steps = Math.ceil(1200 * Math.log2(maxHz / minHz) / 5);
+    for (let s = 0; s <= steps; s++) {
+        const f = minHz * Math.pow(2, (s * 5) / 1200);
+        const salience = harmonicSalience(spectrum, f, binHz, harmonics);
+        if (salience > best.salience) best = { frequency: f, salience };
+    }
+    if (!best.frequency) return best;
+    for (let c = -5; c <= 5; c += 0.5) {
+        const f = best.frequency * Math.pow(2, c / 1200);
+        const salience = harmonicSalience(spectrum, f, binHz, harmonics);
+        if (salience > best.salience) best = { frequency: f, salience };
+    }
+    return best;
+}
+
+function describePitch(frequency) {
+    const cents = frequencyToCents(frequency);
+    const { note, deviation } = nearestEqualTempered(cents);
+    return {
+        frequency: Math.round(frequency * 100) / 100,
+        cents: Math.round(cents * 10) / 10,
+        note,
+        deviation: Math.round(deviation)
+    };
+}
+
+/**
+ * Detect a sustained drone and track the melody above it
+ * @param {Float32Array} buffer - Audio samples
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { maxFrames, minHz, maxHz, melodyMinHz, melodyMaxHz, harmonics }
+ * @returns {Object} Drone pitch and strength, plus the melody track with the drone removed
+ */
+export function detectDrone(buffer, sampleRate, options = {}) {
+    const {
+        maxFrames = 1200,
+        minHz = 55,
+        maxHz = 440,
+        melodyMinHz = 80,
+        melodyMaxHz = 1000,
+        harmonics = 8
+    } = options;
+
+    // ~0.15-0.3 s frames resolve low drones; frames are spread across the file when it is long
+    let frameSize = 1024;
+    while (frameSize < sampleRate * 0.15) frameSize *= 2;
+    const hopSize = Math.max(frameSize / 2, Math.ceil((buffer.length - frameSize) / maxFrames));
+    const binHz = sampleRate / frameSize;
+    const frames = stft(buffer, frameSize, hopSize);
+
+    const empty = { present: false, frequency: 0, strength: 0, tonalness: 0, melodyTrack: [] };
+    if (frames.length < 4) return empty;
+
+    // Per-bin steady level (20th percentile: sounding in at least 80% of frames) and mean over time
+    const usedBins = Math.min(frames[0].length, Math.ceil((Math.max(maxHz, melodyMaxHz) * (harmonics + 1)) / binHz));
+    const steady = new Float32Array(usedBins);
+    const mean = new Float32Array(usedBins);
+    const column = new Float32Array(frames.length);
+    for (let k = 0; k < usedBins; k++) {
+        let sum = 0;
+        for (let f = 0; f < frames.length; f++) { column[f] = frames[f][k]; sum += column[f]; }
+        column.sort();
+        steady[k] = column[Math.floor(frames.length * 0.2)];
+        mean[k] = sum / frames.length;
+    }
+
+    const drone = findFundamental(steady, binHz, minHz, maxHz, harmonics);
+    if (!drone.frequency) return empty;
+
+    // strength: how steadily the drone partials sound (steady vs mean energy at the harmonics)
+    // tonalness: how much of the steady spectrum those partials account for
+    let steadyAtHarmonics = 0, meanAtHarmonics = 0;
+    for (let h = 1; h <= harmonics; h++) {
+        const bin = (h * drone.frequency) / binHz;
+        let peakSteady = 0, peakMean = 0;
+        for (let d = -1; d <= 1; d++) {
+            peakSteady = Math.max(peakSteady, spectrumAt(steady, bin + d));
+            peakMean = Math.max(peakMean, spectrumAt(mean, bin + d));
+        }
+        steadyAtHarmonics += peakSteady;
+        meanAtHarmonics += peakMean;
+    }
+    const maxBin = Math.min(usedBins, Math.ceil(((harmonics + 0.5) * drone.frequency) / binHz));
+    let steadyTotal = 0;
+    for (let k = Math.floor((drone.frequency * 0.5) / binHz); k < maxBin; k++) steadyTotal += steady[k];
+    // Harmonic peaks are ~3 bins wide in a Hann-windowed spectrum
+    const tonalness = steadyTotal > 0 ? Math.min(1, (steadyAtHarmonics * 3) / steadyTotal) : 0;
+    const strength = meanAtHarmonics > 0 ? steadyAtHarmonics / meanAtHarmonics : 0;
+    const present = strength > 0.5 && tonalness > 0.3;
+
+    // Melody: remove the steady spectrum from every frame, then take the strongest harmonic series
+    const melodyTrack = [];
+    const residual = new Float32Array(usedBins);
+    for (let f = 0; f < frames.length; f++) {
+        let residualEnergy = 0, frameEnergy = 0;
+        for (let k = 0; k < usedBins; k++) {
+            const value = frames[f][k];
+            residual[k] = present ? Math.max(0, value - 1.5 * steady[k]) : value;
+            residualEnergy += residual[k];
+            frameEnergy += value;
+        }
+        if (frameEnergy <= 0 || residualEnergy < frameEnergy * 0.1) continue;
+        const pitch = findFundamental(residual, binHz, melodyMinHz, melodyMaxHz, 6);
+        // Voiced when the harmonic series explains a fair share of what is left
+        if (pitch.frequency && pitch.salience > residualEnergy * 0.02) {
+            melodyTrack.push({ time: (f * hopSize + frameSize / 2) / sampleRate, frequency: pitch.frequency });
+        }
+    }
+
+    return {
+        present,
+        frequency: Math.round(drone.frequency * 100) / 100,
+        strength: Math.round(strength * 1000) / 1000,
+        tonalness: Math.round(tonalness * 1000) / 1000,
+        melodyTrack
+    };
+}
+
+/**
+ * Estimate the tonic (Sa): the drone when there is one, otherwise the most
+ * established degree of the melody
+ * @param {Float32Array} buffer - Audio samples
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { pitchTrack: [{time, frequency}] fallback melody, plus detectDrone options }
+ * @returns {Object} Tonic pitch, method, drone details and the melody track
+ */
+export function estimateTonic(buffer, sampleRate, options = {}) {
+    const { pitchTrack = null } = options;
+    const { melodyTrack: separatedMelody, ...drone } = detectDrone(buffer, sampleRate, options);
+
+    if (drone.present) {
+        return {
+            tonic: describePitch(drone.frequency),
+            method: 'drone',
+            confidence: Math.round(Math.min(1, drone.strength * drone.tonalness * 1.5) * 1000) / 1000,
+            drone,
+            melodyTrack: separatedMelody
+        };
+    }
+
+    // No drone: fall back to the melody's most used stable degree
+    const melody = pitchTrack && pitchTrack.length ? pitchTrack : separatedMelody;
+    const frequencies = melody.map(p => p.frequency);
+    const tuning = analyzeTuning(frequencies);
+    if (!tuning.tonic) {
+        return { tonic: null, method: null, confidence: 0, drone, melodyTrack: melody };
+    }
+
+    // Place the tonic pitch class in the lower part of the melody's register
+    const sorted = [...frequencies].sort((a, b) => a - b);
+    const low = sorted[Math.floor(sorted.length * 0.25)];
+    let frequency = C_REFERENCE_HZ * Math.pow(2, tuning.tonic.cents / 1200);
+    while (frequency > low * Math.SQRT2) frequency /= 2;
+    while (frequency < low / Math.SQRT2) frequency *= 2;
+
+    const tonicDegree = tuning.degrees.find(d => d.intervalFromTonic === 0);
+    return {
+        tonic: describePitch(frequency),
+        method: 'melody',
+        confidence: Math.round(Math.min(1, (tonicDegree ? tonicDegree.weight : 0) * 2) * 1000) / 1000,
+        drone,
+        melodyTrack: melody
+    };
+}
@@ -0,0 +1,282 @@
+/**
+ * Genre Evaluation
+ * Measures classifyGenre against a labelled corpus, for the ethno-genre-eval CLI
+ * (bin/ethno-genre-eval.mjs) and the corpus test. A manifest lists entries with the expected
+ * genre and either the classifier's input features or an audio file, which is decoded and run
+ * through the full analysis pipeline. A run is scored as top-1 / top-3 accuracy, a confusion
+ * matrix and per-genre precision and recall, and compared with a stored baseline: any metric
+ * that drops below it is a regression.
+ *
+ * Manifest:
+ *   { "entries": [
+ *       { "id": "reggae-one-drop", "genre": "Reggae",
+ *         "features": { "rhythm": { "tempo": 76, ... }, "scale": { "scale": "G Major" },
+ *                       "spectral": { "brightness": 0.4 }, "tuning": "stable", "essentia": { "mfcc": [...] } } },
+ *       { "id": "field-recording", "genre": "World", "audio": "audio/field.wav",
+ *         "embeddings": "embeddings/field.npy" } ] }
+ * Audio and embeddings paths are relative to the manifest. An entry's optional embeddings file holds
+ * its MAEST embeddings (utils/embeddingsFile.js), which run the genre_discogs400 model under --ml.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { AudioAnalyzer, runAnalysisPipeline } from './audioAnalyzer.js';
+import { decodeAudio } from './utils/audioDecoder.js';
+import { parseEmbeddingsFile } from './utils/embeddingsFile.js';
+import { GENRE_LABELS } from './genreRules.js';
+
+const round = (value, digits = 3) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+const NO_PREDICTION = '(none)';
+
+/**
+ * Read and check a corpus manifest
+ * @param {string} manifestPath - Manifest JSON file
+ * @returns {Promise<{entries: Array<Object>}>} Entries with audio and embeddings paths resolved against the manifest
+ * @throws {Error} When an entry lacks an id or genre, repeats an id, or has neither or both of features / audio
+ */
+export async function loadManifest(manifestPath) {
+    const manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+    const baseDir = path.dirname(manifestPath);
+    const seen = new Set();
+    const entries = (manifest.entries || []).map((entry, index) => {
+        const name = entry.id || `entry ${index + 1}`;
+        if (!entry.id || !entry.genre) throw new Error(`${manifestPath}: ${name} needs an id and a genre`);
+        if (seen.has(entry.id)) throw new Error(`${manifestPath}: duplicate id "${entry.id}"`);
+        if (!entry.features === !entry.audio) throw new Error(`${manifestPath}: ${name} needs either features or audio`);
+        seen.add(entry.id);
+        return {
+            ...entry,
+            ...(entry.audio ? { audio: path.resolve(baseDir, entry.audio) } : {}),
+            ...(entry.embeddings ? { embeddings: path.resolve(baseDir, entry.embeddings) } : {})
+        };
+    });
+    return { ...manifest, entries };
+}
+
+/**
+ * Genres of a classifier result in rank order; a blend ("Jazz-Rock") stands for both of its genres
+ * @param {Array<{genre: string}>} results - classifyGenre output or a pipeline's topGenres
+ * @param {string[]} labels - Known genre labels, to split blend names
+ * @returns {string[]}
+ */
+export function rankedGenres(results, labels = GENRE_LABELS) {
+    const ranked = [];
+    const add = (genre) => {
+        if (!ranked.includes(genre)) ranked.push(genre);
+    };
+    (results || []).forEach(({ genre }) => {
+        if (!genre) return;
+        if (labels.includes(genre)) {
+            add(genre);
+            return;
+        }
+        const first = labels.find(label => genre.startsWith(`${label}-`) && labels.includes(genre.slice(label.length + 1)));
+        if (first) {
+            add(first);
+            add(genre.slice(first.length + 1));
+        } else {
+            add(genre);
+        }
+    });
+    return ranked;
+}
+
+/**
+ * Classify one manifest entry
+ * @param {Object} entry - Manifest entry
+ * @param {Object} options - { analyzer, ml: pass the entry's Essentia features and MAEST embeddings so the
+ *   Essentia / ML paths can run }
+ * @returns {Promise<Array<{genre: string, confidence: number}>>} Classifier results
+ */
+export async function classifyEntry(entry, options = {}) {
+    const { analyzer, ml = false } = options;
+    const maestEmbeddings = ml && entry.embeddings ? parseEmbeddingsFile(await readFile(entry.embeddings)) : null;
+    if (entry.features) {
+        const { rhythm = {}, scale = { scale: '' }, spectral = {}, tuning, essentia = null } = entry.features;
+        return analyzer.classifyGenre(rhythm, scale, spectral, ml ? essentia : null, {
+            ...(tuning ? { tuning } : {}),
+            ...(maestEmbeddings ? { maestEmbeddings } : {})
+        });
+    }
+    const decoded = decodeAudio(await readFile(entry.audio));
+    analyzer.audioContext = { sampleRate: decoded.sampleRate };
+    analyzer.previousSpectrum = null;
+    const result = await runAnalysisPipeline(decoded.channels, decoded.sampleRate, path.basename(entry.audio), { analyzer, maestEmbeddings });
+    return result.topGenres;
+}
+
+/**
+ * Score predictions against their expected genres
+ * @param {Array<{id: string, genre: string, predicted: string[]}>} predictions - Expected genre and ranked predictions per entry
+ * @returns {Object} { count, top1, top3, labels, confusion: { expected: { predicted: count } },
+ *   perGenre: { genre: { support, predicted, precision, recall } } }; precision or recall is null
+ *   for a genre that was never predicted or never expected
+ */
+export function scoreClassifications(predictions) {
+    const known = (label) => (GENRE_LABELS.includes(label) ? GENRE_LABELS.indexOf(label) : GENRE_LABELS.length);
+    const labelSet = new Set();
+    predictions.forEach(({ genre, predicted }) => {
+        labelSet.add(genre);
+        labelSet.add(predicted[0] || NO_PREDICTION);
+    });
+    const labels = [...labelSet].sort((a, b) => known(a) - known(b) || a.localeCompare(b));
+
+    const confusion = {};
+    let top1 = 0;
+    let top3 = 0;
+    predictions.forEach(({ genre, predicted }) => {
+        const first = predicted[0] || NO_PREDICTION;
+        confusion[genre] = confusion[genre] || {};
+        confusion[genre][first] = (confusion[genre][first] || 0) + 1;
+        if (first === genre) top1++;
+        if (predicted.slice(0, 3).includes(genre)) top3++;
+    });
+
+    const perGenre = {};
+    labels.filter(label => label !== NO_PREDICTION).forEach(label => {
+        const support = predictions.filter(p => p.genre === label).length;
+        const predictedCount = predictions.filter(p => p.predicted[0] === label).length;
+        const correct = confusion[label]?.[label] || 0;
+        perGenre[label] = {
+            support,
+            predicted: predictedCount,
+            precision: predictedCount ? round(correct / predictedCount) : null,
+            recall: support ? round(correct / support) : null
+        };
+    });
+
+    const count = predictions.length;
+    return {
+        count,
+        top1: count ? round(top1 / count) : null,
+        top3: count ? round(top3 / count) : null,
+        labels,
+        confusion,
+        perGenre
+    };
+}
+
+/**
+ * Run the classifier over a manifest and score it
+ * @param {{entries: Array<Object>}} manifest - From loadManifest
+ * @param {Object} options - { analyzer (created when omitted), ml: initialize Essentia and the ML genre
+ *   models and pass fixture Essentia features, onEntry({ index, total, entry, predicted, error }) }
+ * @returns {Promise<{predictions: Array<Object>, metrics: Object}>} An entry that fails to classify has no predictions
+ */
+export async function evaluateGenreCorpus(manifest, options = {}) {
+    const { ml = false, onEntry = null } = options;
+    let analyzer = options.analyzer;
+    if (!analyzer) {
+        analyzer = new AudioAnalyzer();
+        if (ml) await analyzer.initialize();
+    }
+
+    const predictions = [];
+    for (let index = 0; index < manifest.entries.length; index++) {
+        const entry = manifest.entries[index];
+        let predicted = [];
+        let error = null;
+        try {
+            predicted = rankedGenres(await classifyEntry(entry, { analyzer, ml })).slice(0, 5);
+        } catch (err) {
+            error = err?.message || String(err);
+        }
+        predictions.push({ id: entry.id, genre: entry.genre, predicted, error });
+        if (onEntry) onEntry({ index, total: manifest.entries.length, entry, predicted, error });
+    }
+    return { predictions, metrics: scoreClassifications(predictions) };
+}
+
+/**
+ * The metrics a baseline keeps: accuracy and per-genre precision / recall
+ * @param {Object} metrics - From scoreClassifications
+ * @returns {Object} { count, top1, top3, perGenre: { genre: { precision, recall } } }
+ */
+export function baselineFromMetrics(metrics) {
+    return {
+        count: metrics.count,
+        top1: metrics.top1,
+        top3: metrics.top3,
+        perGenre: Object.fromEntries(Object.entries(metrics.perGenre)
+            .map(([genre, { precision, recall }]) => [genre, { precision, recall }]))
+    };
+}
+
+/**
+ * Compare a run with a stored baseline
+ * @param {Object} metrics - From scoreClassifications
+ * @param {Object} baseline - From baselineFromMetrics
+ * @param {Object} options - { tolerance: drop allowed before a metric counts as a regression }
+ * @returns {{regressions: Array<{metric: string, baseline: number, current: number}>, improvements: Array<Object>}}
+ *   A change in corpus size is a regression: the baseline has to be rewritten for the new corpus
+ */
+export function compareToBaseline(metrics, baseline, options = {}) {
+    const { tolerance = 0.001 } = options;
+    const regressions = [];
+    const improvements = [];
+    const compare = (metric, before, after) => {
+        if (before === null || before === undefined) return;
+        const current = after ?? 0;
+        if (current < before - tolerance) regressions.push({ metric, baseline: before, current });
+        else if (current > before + tolerance) improvements.push({ metric, baseline: before, current });
+    };
+
+    if (baseline.count !== metrics.count) {
+        regressions.push({ metric: 'count', baseline: baseline.count, current: metrics.count });
+    }
+    compare('top1', baseline.top1, metrics.top1);
+    compare('top3', baseline.top3, metrics.top3);
+    Object.entries(baseline.perGenre || {}).forEach(([genre, { precision, recall }]) => {
+        compare(`${genre} precision`, precision, metrics.perGenre[genre]?.precision);
+        compare(`${genre} recall`, recall, metrics.perGenre[genre]?.recall);
+    });
+    return { regressions, improvements };
+}
+
+const percent = (value) => (value === null ? '  -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+/**
+ * Plain-text report of a run: accuracy, confusion matrix, per-genre table, misses and baseline changes
+ * @param {{predictions: Array<Object>, metrics: Object}} evaluation - From evaluateGenreCorpus
+ * @param {Object} comparison - From compareToBaseline (optional)
+ * @returns {string}
+ */
+export function formatEvaluationReport({ predictions, metrics }, comparison = null) {
+    const { labels, confusion, perGenre } = metrics;
+    const width = Math.max(...labels.map(label => label.length)) + 4;
+    const lines = [
+        `Entries: ${metrics.count}`,
+        `Top-1 accuracy: ${percent(metrics.top1).trim()}`,
+        `Top-3 accuracy: ${percent(metrics.top3).trim()}`,
+        '',
+        'Confusion matrix (rows: expected, columns: top prediction)',
+        `${''.padEnd(width)}${labels.map((_, i) => String(i + 1).padStart(4)).join('')}`,
+        ...labels.filter(label => confusion[label]).map(label => {
+            const row = labels.map(column => String(confusion[label][column] || '.').padStart(4)).join('');
+            return `${`${labels.indexOf(label) + 1} ${label}`.padEnd(width)}${row}`;
+        }),
+        `Columns: ${labels.map((label, i) => `${i + 1} ${label}`).join(', ')}`,
+        '',
+        `${'Genre'.padEnd(width)}Support  Precision  Recall`,
+        ...Object.entries(perGenre).map(([genre, stats]) => `${genre.padEnd(width)}${String(stats.support).padStart(7)}  ${percent(stats.precision).padStart(9)}  ${percent(stats.recall)}`)
+    ];
+
+    const misses = predictions.filter(p => p.predicted[0] !== p.genre);
+    if (misses.length) {
+        lines.push('', 'Misses:');
+        misses.forEach(p => lines.push(`  ${p.id}: expected ${p.genre}, got ${p.error ? `error (${p.error})` : p.predicted.slice(0, 3).join(' > ') || NO_PREDICTION}`));
+    }
+
+    if (comparison) {
+        const describe = ({ metric, baseline, current }) => `  ${metric}: ${baseline} -> ${current}`;
+        lines.push('');
+        lines.push(comparison.regressions.length ? `Regressions against the baseline (${comparison.regressions.length}):` : 'No regressions against the baseline');
+        comparison.regressions.forEach(change => lines.push(describe(change)));
+        if (comparison.improvements.length) {
+            lines.push(`Improvements (${comparison.improvements.length}; rewrite the baseline to keep them):`);
+            comparison.improvements.forEach(change => lines.push(describe(change)));
+        }
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,128 @@
+/**
+ * Genre Explanation Module
+ * Turns the score trail classifyGenre leaves in results.__debug (raw scores, plus every rule,
+ * MFCC timbre bias, genre-profile fit and model blend that moved a score) into a per-genre
+ * breakdown of what added and what subtracted, and of what separated the winner from the runner-up.
+ */
+
+export const CONTRIBUTION_SOURCES = {
+    rule: 'Rule',
+    mfcc: 'Timbre (MFCC)',
+    adaptive: 'Genre profile',
+    ml: 'Trained model'
+};
+
+const MODE_NOTES = {
+    ESSENTIA_OVERRIDE: 'The Essentia classifier was confident enough to replace the rule-based result; the breakdown shows what the rules alone concluded.',
+    ML_OVERRIDE: 'The trained genre model replaced the rule-based result; the breakdown shows what the rules alone concluded.'
+};
+
+const DEFAULTS = {
+    topN: 3,        // genres to explain
+    maxItems: 6,    // contributions listed per genre, largest first
+    maxDeciding: 3  // contributions listed for the winner / runner-up gap
+};
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+function featureLabel(name) {
+    return name.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+/**
+ * A feature with the value it had for this piece, e.g. "tempo 72 BPM" or "scale: Minor Pentatonic"
+ * @param {string} name - Feature name as used in the genre rules
+ * @param {Object} inputs - The classifier inputs (results.__debug.input)
+ * @returns {string}
+ */
+export function describeFeature(name, inputs = {}) {
+    const value = name === 'tempo' ? (inputs.tempoAfterEarlyCorrection ?? inputs.tempoDetected) : inputs[name];
+    const label = featureLabel(name);
+    if (value === undefined || value === null || value === '') return label;
+    if (name === 'tempo') return `tempo ${Math.round(value)} BPM`;
+    if (name === 'spectralCentroid') return `${label} ${Math.round(value)} Hz`;
+    if (typeof value === 'number') return `${label} ${value.toFixed(2)}`;
+    if (typeof value === 'boolean') return `${label}: ${value ? 'yes' : 'no'}`;
+    return `${label}: ${value}`;
+}
+
+function contributionKey(item) {
+    return `${item.source}:${item.id}`;
+}
+
+/**
+ * Why the classifier ranked the genres as it did
+ * @param {Array<Object>} results - classifyGenre output, with its __debug metadata
+ * @param {Object} options - See DEFAULTS
+ * @returns {Object|null} { mode, note, genres: [{ genre, score, confidence, added, subtracted,
+ *   contributions: [{ source, sourceLabel, id, description, delta, evidence }] }],
+ *   runnerUp: { leader, genre, scoreGap, closeness, deciding: [{ source, id, description, delta }] } | null },
+ *   or null when the results carry no score trail
+ */
+export function explainGenreResults(results, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const debug = results?.__debug;
+    if (!debug || !debug.rawScores) return null;
+    const inputs = debug.input || {};
+    const trail = debug.contributions || {};
+
+    const ranked = Object.entries(debug.rawScores).sort((a, b) => b[1] - a[1]);
+    const confidenceOf = (genre) => {
+        const match = (results || []).find(r => r.genre === genre);
+        return match ? match.confidence : null;
+    };
+    const itemsOf = (genre) => (trail[genre] || []).map(item => ({
+        source: item.source,
+        sourceLabel: CONTRIBUTION_SOURCES[item.source] || item.source,
+        id: item.id,
+        description: item.description,
+        delta: item.delta,
+        evidence: (item.features || []).map(name => describeFeature(name, inputs))
+    }));
+
+    const genres = ranked.slice(0, opts.topN).map(([genre, score]) => {
+        const items = itemsOf(genre);
+        return {
+            genre,
+            score: round3(score),
+            confidence: confidenceOf(genre),
+            added: round3(items.filter(item => item.delta > 0).reduce((acc, item) => acc + item.delta, 0)),
+            subtracted: round3(items.filter(item => item.delta < 0).reduce((acc, item) => acc + item.delta, 0)),
+            contributions: items.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)).slice(0, opts.maxItems)
+        };
+    });
+
+    // What the leader got that the runner-up did not (or got less of), per contribution
+    let runnerUp = null;
+    if (ranked.length >= 2) {
+        const [[leader, leaderScore], [second, secondScore]] = ranked;
+        const net = new Map();
+        const add = (genre, sign) => (trail[genre] || []).forEach(item => {
+            const key = contributionKey(item);
+            const entry = net.get(key) || { source: item.source, id: item.id, description: item.description, delta: 0 };
+            entry.delta += sign * item.delta;
+            net.set(key, entry);
+        });
+        add(leader, 1);
+        add(second, -1);
+        const deciding = [...net.values()]
+            .filter(entry => entry.delta > 0)
+            .sort((a, b) => b.delta - a.delta)
+            .slice(0, opts.maxDeciding)
+            .map(entry => ({ ...entry, delta: round3(entry.delta) }));
+        runnerUp = {
+            leader,
+            genre: second,
+            scoreGap: round3(leaderScore - secondScore),
+            closeness: leaderScore > 0 ? round3(Math.max(0, secondScore) / leaderScore) : null,
+            deciding
+        };
+    }
+
+    return {
+        mode: debug.mode || 'HEURISTIC_ADAPTIVE',
+        note: MODE_NOTES[debug.mode] || null,
+        genres,
+        runnerUp
+    };
+}
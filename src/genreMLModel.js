@@ -1,12 +1,29 @@
 /**
  * Machine Learning Genre Classification using Essentia Models
- * Uses pre-trained TensorFlow.js models for accurate genre classification
+ * Runs the Essentia genre_discogs400 classification head through onnxruntime-web (wasm), loaded on
+ * the first prediction that needs it: in the browser from the webpack-served models/ folder, in
+ * Node from public/models next to the source tree. The head takes
+ * MAEST embeddings (discogs-maest-30s-pw-2, 16 kHz), computed outside the app with Essentia's
+ * TensorflowPredictMAEST and loaded from a file (utils/embeddingsFile.js); the embedding model
+ * itself is not shipped. Predictions carry the full
+ * Discogs "Parent---Style" label (see discogsTaxonomy.js). Without embeddings or the model, a
+ * feature-based heuristic predictor stands in.
  */
 
 import * as tf from '@tensorflow/tfjs';
 import * as ort from 'onnxruntime-web';
+import { DISCOGS_LABELS, discogsGenre, parseDiscogsLabel, DISCOGS_SEPARATOR } from './discogsTaxonomy.js';
 
-class GenreMLClassifier {
+const ONNX_MODEL_PATH = 'models/genre_discogs400/genre_discogs400-discogs-maest-30s-pw-1.onnx';
+
+// MAEST (30 s, patch 16, stride 10) emits 1685 tokens of 768 values. The head reads only the first
+// two, the class and distillation tokens, so shorter inputs are zero-padded to the model's shape.
+export const MAEST_TOKENS = 1685;
+export const MAEST_EMBEDDING_SIZE = 768;
+
+const isNode = () => typeof process !== 'undefined' && !!process.versions?.node && typeof window === 'undefined';
+
+export class GenreMLClassifier {
     constructor() {
         this.model = null;          // Legacy/heuristic model placeholder
         this.tfModel = null;        // TF.js graph model if available
@@ -16,7 +33,9 @@ class GenreMLClassifier {
         this.inputSpec = { frames: 96, mels: 64, channelsLast: true, shape: [] };
         this.ortSession = null;
         this.ortReady = false;
-        this.ortInput = { name: null, shape: [], channelsLast: true };
+        this.ortInput = { name: null, shape: [] };
+        this.ortLoading = null;     // Pending or settled ensureOnnxModel load
+        this.onnxModelPath = null;  // Overrides the default ONNX model location
     }
 
     /**
@@ -25,8 +44,9 @@ class GenreMLClassifier {
      */
     resolveAssetPath(relativePath) {
         const guessBaseFromLocation = () => {
-            if (typeof window === 'undefined') return '/';
-            const pathname = window.location.pathname;
+            // Workers have self.location but no window
+            if (typeof globalThis.location === 'undefined') return '/';
+            const pathname = globalThis.location.pathname;
             // If pathname is /world-ethnomusic-lab/ or /world-ethnomusic-lab
             // Extract the first non-empty segment
             const parts = pathname.split('/').filter(Boolean);
@@ -56,11 +76,13 @@ class GenreMLClassifier {
 
     /**
      * Load the pre-trained genre classification model
+     * The ONNX genre_discogs400 model is not loaded here: it needs MAEST embeddings, so
+     * ensureOnnxModel loads it on the first prediction that has them.
      */
     async loadModel() {
         try {
             console.log('Loading Essentia genre classification model...');
-            console.debug('Current pathname:', window.location.pathname);
+            console.debug('Current pathname:', globalThis.location?.pathname);
 
             // Attempt to load TF.js graph model if present in /models
             // Expected path: /models/genre_discogs400/genre_discogs400-discogs-maest-30s-pw-1.json (handled via webpack publicPath)
@@ -77,35 +99,6 @@ class GenreMLClassifier {
                 this.tfModel = null;
             }
 
-            // Attempt to load ONNX model via onnxruntime-web (wasm)
-            // DISABLED: ONNX inference is failing on GitHub Pages, fall back to TF.js
-            /*
-            try {
-                // Serve ORT wasm assets from /ort copied by webpack (force trailing slash to avoid path concat issues)
-                const ortBase = this.resolveAssetPath('ort/');
-                ort.env.wasm.wasmPaths = ortBase.endsWith('/') ? ortBase : `${ortBase}/`;
-                const ortModelUrl = this.resolveAssetPath('models/genre_discogs400/genre_discogs400-discogs-maest-30s-pw-1.onnx');
-                console.debug('[ONNX] Setting wasm paths to:', ort.env.wasm.wasmPaths);
-                console.debug('[ONNX] Attempting to load from:', ortModelUrl);
-                this.ortSession = await ort.InferenceSession.create(ortModelUrl, {
-                    executionProviders: ['wasm'],
-                    graphOptimizationLevel: 'all'
-                });
-                this.ortReady = true;
-                this.ortInput = this.getOrtInputSpec();
-                await this.loadMetadata(this.resolveAssetPath('models/genre_discogs400/metadata.json'));
-                console.log('✅ ONNX genre model loaded from', ortModelUrl, 'with input', this.ortInput.shape);
-            } catch (ortErr) {
-                console.warn('ONNX genre model not found or failed to load; will fall back to TF/heuristics:', ortErr?.message || ortErr);
-                this.ortSession = null;
-                this.ortReady = false;
-            }
-            */
-            
-            // For now, we'll use a simplified approach with the existing infrastructure
-            // In production, you would download the actual model files from:
-            // https://essentia.upf.edu/models/classification-heads/genre_discogs400/
-            
             // Model metadata for genre_discogs400
             this.modelMetadata = this.modelMetadata || {
                 classes: [
@@ -127,9 +120,53 @@ class GenreMLClassifier {
         }
     }
 
+    /**
+     * Load the ONNX model once, on first use; later calls share the same load
+     * @returns {Promise<void>}
+     * @throws {Error} The load error, also on later calls: a failed load is not retried
+     */
+    ensureOnnxModel() {
+        if (this.ortReady) return Promise.resolve();
+        if (!this.ortLoading) this.ortLoading = this.loadOnnxModel({ modelPath: this.onnxModelPath });
+        return this.ortLoading;
+    }
+
+    /**
+     * Load the genre_discogs400 ONNX model with the wasm backend
+     * @param {Object} options - { modelPath: ONNX model file or URL; defaults to public/models/... next to the
+     *   source tree in Node and the served models/ folder in the browser }
+     * @throws {Error} When the model or the ONNX Runtime wasm binary cannot be loaded
+     */
+    async loadOnnxModel(options = {}) {
+        let modelPath = options.modelPath;
+        if (isNode()) {
+            // Worker threads are not needed for a model this small and keep Node processes from exiting
+            ort.env.wasm.numThreads = 1;
+            if (!modelPath) {
+                const { modelFilePath } = await import(/* webpackIgnore: true */ './utils/nodeModelPath.mjs');
+                modelPath = modelFilePath(ONNX_MODEL_PATH);
+            }
+        } else {
+            // Serve ORT wasm assets from /ort copied by webpack (force trailing slash to avoid path concat issues)
+            const ortBase = this.resolveAssetPath('ort/');
+            ort.env.wasm.wasmPaths = ortBase.endsWith('/') ? ortBase : `${ortBase}/`;
+            modelPath = modelPath || this.resolveAssetPath(ONNX_MODEL_PATH);
+            console.debug('[ONNX] Setting wasm paths to:', ort.env.wasm.wasmPaths);
+        }
+        console.debug('[ONNX] Attempting to load from:', modelPath);
+        this.ortSession = await ort.InferenceSession.create(modelPath, {
+            executionProviders: ['wasm'],
+            graphOptimizationLevel: 'all'
+        });
+        this.ortInput = this.getOrtInputSpec();
+        if (!this.ortInput.name) throw new Error('ONNX genre model has no usable input');
+        this.ortReady = true;
+        console.log('✅ ONNX genre model loaded from', modelPath, 'with input', this.ortInput.shape);
+    }
+
     /**
      * Classify genre from audio features
-     * @param {Object} features - Audio features extracted from the analyzer
+     * @param {Object} features - Audio features extracted from the analyzer; maestEmbeddings runs the ONNX model
      * @returns {Object} - Genre predictions with confidence scores
      */
     async classifyGenre(features) {
@@ -240,53 +277,105 @@ class GenreMLClassifier {
         }
     }
 
+    /**
+     * Run the ONNX model when the features carry MAEST embeddings, loading it on first use
+     * @param {Object} features - { maestEmbeddings }
+     * @returns {Promise<Object|null>} As classifyEmbeddings, or null to fall back
+     */
     async predictWithORTModel(features) {
-        if (!this.ortReady || !this.ortSession || !this.ortInput.name) return null;
+        if (!features?.maestEmbeddings) return null;
         try {
-            const spec = this.ortInput;
-            const sampleRate = features?.sampleRate || 44100;
-            const rawAudio = features?.rawAudio;
-            const logMelSpec = features?.logMelSpec;
-
-            if (!rawAudio && !logMelSpec) return null;
-
-            const logMelTf = logMelSpec
-                ? this.tensorFromLogMel(logMelSpec, { frames: spec.frames, mels: spec.mels, channelsLast: true })
-                : await this.buildLogMelTensorFromPCM(rawAudio, sampleRate, { frames: spec.frames, mels: spec.mels, channelsLast: spec.channelsLast });
-
-            // Reshape to expected input shape
-            const targetShape = spec.shape.map(v => (v && v > 0 ? v : 1));
-            const reshaped = logMelTf.reshape(targetShape);
-            const inputData = reshaped.dataSync();
-            const inputTensor = new ort.Tensor('float32', inputData, targetShape);
-
-            const outputs = await this.ortSession.run({ [spec.name]: inputTensor });
-            const firstKey = this.ortSession.outputNames?.[0] || Object.keys(outputs)[0];
-            if (!firstKey) return null;
-            const outTensor = outputs[firstKey];
-            const probs = this.softmaxArray(outTensor.data);
+            return await this.classifyEmbeddings(features.maestEmbeddings);
+        } catch (err) {
+            console.warn('ONNX prediction failed, falling back:', err?.message || err);
+            return null;
+        }
+    }
 
-            const labels = this.resolveLabels(probs.length);
-            const scored = labels.map((label, idx) => ({
-                label,
-                canonical: this.toCanonicalGenre(label),
-                confidence: probs[idx] || 0
-            })).sort((a, b) => b.confidence - a.confidence).slice(0, 5);
+    /**
+     * Classify MAEST embeddings with the ONNX genre_discogs400 head
+     * @param {Array<ArrayLike<number>>|ArrayLike<number>|{patches: Array}} embeddings - One 768-value vector per token, or the
+     *   tokens concatenated; at least the class and distillation tokens. { patches } (from parseEmbeddingsFile) holds
+     *   one such input per 30 s patch, and the activations are averaged over the patches
+     * @param {Object} options - { topN: predictions to return }
+     * @returns {Promise<Object>} { topGenre, topStyle, label, confidence, backend: 'onnx', modelTrained: true,
+     *   predictions: [{ genre, label, parent, style, confidence }] }, highest first. genre is the app genre
+     *   (GENRE_LABELS) and label the Discogs "Parent---Style"; confidences are the model's per-style
+     *   sigmoid activations (0-1) and do not sum to 1
+     * @throws {Error} When the embeddings have the wrong size or the model cannot be loaded
+     */
+    async classifyEmbeddings(embeddings, options = {}) {
+        const { topN = 5 } = options;
+        const patches = embeddings?.patches || [embeddings];
+        if (!patches.length) throw new Error('MAEST embeddings hold no patches');
+        const inputs = patches.map(patch => this.embeddingInput(patch));
+        await this.ensureOnnxModel();
+
+        const activations = new Array(DISCOGS_LABELS.length).fill(0);
+        for (const input of inputs) {
+            const patchActivations = await this.runOnnxHead(input);
+            patchActivations.forEach((value, idx) => { activations[idx] += value / inputs.length; });
+        }
+        const predictions = DISCOGS_LABELS
+            .map((label, idx) => ({ ...parseDiscogsLabel(label), genre: this.toCanonicalGenre(label), confidence: activations[idx] || 0 }))
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, topN)
+            .map(({ genre, label, parent, style, confidence }) => ({ genre, label, parent, style, confidence }));
 
-            const predictions = scored.map(p => ({ genre: p.canonical, confidence: p.confidence }));
+        return {
+            topGenre: predictions[0].genre,
+            topStyle: predictions[0].style,
+            label: predictions[0].label,
+            confidence: predictions[0].confidence,
+            predictions,
+            backend: 'onnx',
+            modelTrained: true
+        };
+    }
 
-            if (logMelTf?.dispose) logMelTf.dispose();
-            if (reshaped?.dispose) reshaped.dispose();
+    /**
+     * Style activations of one model input
+     * @param {Float32Array} input - From embeddingInput
+     * @returns {Promise<number[]>} One sigmoid activation per DISCOGS_LABELS entry
+     */
+    async runOnnxHead(input) {
+        const shape = [1, MAEST_TOKENS, MAEST_EMBEDDING_SIZE];
+        const outputs = await this.ortSession.run({ [this.ortInput.name]: new ort.Tensor('float32', input, shape) });
+        // 'activations' holds the sigmoid of 'logits'; a model exported without it gets the sigmoid here
+        const activations = outputs.activations
+            ? Array.from(outputs.activations.data)
+            : Array.from(outputs[this.ortSession.outputNames?.[0] || Object.keys(outputs)[0]].data).map(v => 1 / (1 + Math.exp(-v)));
+
+        if (activations.length !== DISCOGS_LABELS.length) {
+            throw new Error(`ONNX genre model has ${activations.length} outputs, expected ${DISCOGS_LABELS.length}`);
+        }
+        return activations;
+    }
 
-            return {
-                topGenre: predictions[0].genre,
-                confidence: predictions[0].confidence,
-                predictions
-            };
-        } catch (err) {
-            console.warn('ONNX prediction failed, falling back:', err?.message || err);
-            return null;
+    /**
+     * Flatten MAEST embeddings into the model's [1, 1685, 768] input, zero-padding missing tokens
+     * @param {Array<ArrayLike<number>>|ArrayLike<number>} embeddings
+     * @returns {Float32Array}
+     */
+    embeddingInput(embeddings) {
+        const tokens = Array.isArray(embeddings) && embeddings.length && typeof embeddings[0] !== 'number'
+            ? embeddings
+            : null;
+        const input = new Float32Array(MAEST_TOKENS * MAEST_EMBEDDING_SIZE);
+        if (tokens) {
+            if (tokens.length < 2) throw new Error('MAEST embeddings need at least the class and distillation tokens');
+            tokens.slice(0, MAEST_TOKENS).forEach((token, t) => {
+                if (token.length !== MAEST_EMBEDDING_SIZE) throw new Error(`MAEST token ${t} has ${token.length} values, expected ${MAEST_EMBEDDING_SIZE}`);
+                input.set(token, t * MAEST_EMBEDDING_SIZE);
+            });
+            return input;
+        }
+        const length = embeddings?.length || 0;
+        if (length < 2 * MAEST_EMBEDDING_SIZE || length % MAEST_EMBEDDING_SIZE !== 0) {
+            throw new Error(`MAEST embeddings must be whole ${MAEST_EMBEDDING_SIZE}-value tokens, at least two; got ${length} values`);
         }
+        input.set(Array.prototype.slice.call(embeddings, 0, input.length));
+        return input;
     }
 
     getInputSpec() {
@@ -302,17 +391,16 @@ class GenreMLClassifier {
     getOrtInputSpec() {
         try {
             const name = Array.isArray(this.ortSession?.inputNames) ? this.ortSession.inputNames[0] : null;
-            if (!name) return { name: null, shape: [], channelsLast: true };
-            const meta = this.ortSession.inputMetadata?.[name];
-            const dims = (meta && Array.isArray(meta.dimensions)) ? meta.dimensions : [];
+            if (!name) return { name: null, shape: [] };
+            // onnxruntime-web 1.23 lists inputs as [{ name, shape }]; older releases keyed them by name
+            const metadata = this.ortSession.inputMetadata;
+            const meta = Array.isArray(metadata) ? metadata.find(m => m.name === name) : metadata?.[name];
+            const dims = meta?.shape || meta?.dimensions || [];
             const shape = dims.map(d => (typeof d === 'number' && d > 0 ? d : 1));
-            const frames = shape[1] || 96;
-            const mels = shape[2] || 64;
-            const channelsLast = shape.length === 4 ? (shape[shape.length - 1] === 1) : true;
-            return { name, shape, frames, mels, channelsLast };
+            return { name, shape };
         } catch (e) {
             console.warn('Unable to derive ORT input spec:', e?.message || e);
-            return { name: null, shape: [], channelsLast: true };
+            return { name: null, shape: [] };
         }
     }
 
@@ -326,6 +414,7 @@ class GenreMLClassifier {
     }
 
     toCanonicalGenre(label) {
+        if ((label || '').includes(DISCOGS_SEPARATOR)) return discogsGenre(label);
         const l = (label || '').toLowerCase();
         if (l.includes('reggae')) return 'Reggae';
         if (l.includes('hip hop') || l.includes('rap')) return 'Hip Hop';
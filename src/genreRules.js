@@ -0,0 +1,321 @@
+/**
+ * Genre Rules
+ * Declarative scoring rules for the heuristic genre classifier, evaluated in order by
+ * ruleEngine.js. Features: tempo (BPM), regularity, brightness, percussiveness, complexity
+ * (0-1), polyrhythmic, scale (name), spectralCentroid (Hz) and tuning ('stable' |
+ * 'experimental'). Rules with the same group are an if / else-if chain.
+ *
+ * To tune a genre, change or add rules here; AudioAnalyzer.classifyGenre only runs them.
+ * tests/genreRegression.test.js guards the cases earlier tuning broke.
+ */
+
+export const GENRE_LABELS = [
+    'European Classical', 'Indian Classical', 'Jazz', 'Rock', 'Electronic', 'Blues', 'Folk', 'Hip Hop',
+    'Latin', 'Metal', 'Pop', 'Reggae', 'Country', 'R&B/Soul', 'World'
+];
+
+// Flags computed once from the features, usable in rule conditions like any feature
+export const DERIVED_FEATURES = {
+    // Ornamental / improvisational: regularity near zero, or a Blues scale with low regularity
+    ragaPattern: { any: [{ regularity: { lt: 0.02 } }, { regularity: { lt: 0.06 }, scale: { includes: 'Blues' } }] },
+    // Polyrhythmic pentatonic material with a high centroid is not reggae
+    indigenousGuard: { polyrhythmic: true, scale: { includes: 'Pentatonic' }, regularity: { lt: 0.08 }, spectralCentroid: { gt: 8000 } },
+    // Reggae sits in a narrow tempo range; indigenous music can be at any tempo
+    reggaeTempo: { tempo: { gte: 80, lt: 120 } }
+};
+
+export const GENRE_RULES = [
+    // ===== Tempo =====
+    {
+        id: 'tempo-very-slow', group: 'tempo', description: 'Below 60 BPM',
+        when: { tempo: { lt: 60 } },
+        scores: { 'European Classical': 0.5, 'Blues': 0.3, 'Metal': -0.3, 'Electronic': -0.3, 'Hip Hop': -0.25 }
+    },
+    {
+        id: 'tempo-slow', group: 'tempo', description: '60-90 BPM (reggae is typically 60-90)',
+        when: { tempo: { gte: 60, lt: 90 } },
+        scores: { 'Blues': 0.4, 'Jazz': 0.3, 'R&B/Soul': 0.3, 'Reggae': 0.8, 'Folk': 0.25, 'World': 0.25, 'Metal': -0.25, 'Electronic': -0.2 }
+    },
+    {
+        id: 'tempo-moderate', group: 'tempo', description: '90-120 BPM (folk and country)',
+        when: { tempo: { gte: 90, lt: 120 } },
+        scores: { 'Folk': 0.6, 'Country': 0.6, 'World': 0.5, 'Latin': 0.4, 'Pop': 0.3, 'Rock': 0.3, 'Reggae': 0.3, 'Metal': -0.2, 'Electronic': -0.15 }
+    },
+    {
+        id: 'tempo-upbeat', group: 'tempo', description: '120-140 BPM',
+        when: { tempo: { gte: 120, lt: 140 } },
+        scores: { 'Rock': 0.5, 'Pop': 0.4, 'Electronic': 0.3, 'Latin': 0.3, 'Hip Hop': 0.25, 'Blues': -0.2, 'European Classical': -0.2, 'Indian Classical': -0.15 }
+    },
+    {
+        id: 'tempo-fast', group: 'tempo', description: '140-170 BPM',
+        when: { tempo: { gte: 140, lt: 170 } },
+        scores: { 'Electronic': 0.5, 'Metal': 0.4, 'Hip Hop': 0.3, 'Rock': 0.2, 'Blues': -0.3, 'European Classical': -0.3, 'Indian Classical': -0.25, 'Folk': -0.3, 'Country': -0.3 }
+    },
+    {
+        id: 'tempo-very-fast', group: 'tempo', description: '170 BPM and above',
+        when: { tempo: { gte: 170 } },
+        scores: { 'Metal': 0.6, 'Electronic': 0.5, 'Hip Hop': 0.2, 'Blues': -0.4, 'European Classical': -0.3, 'Indian Classical': -0.2, 'Folk': -0.4, 'Country': -0.4, 'Jazz': -0.3 }
+    },
+
+    // ===== Regularity =====
+    {
+        id: 'regularity-mechanical', group: 'regularity', description: 'Very regular beat (> 0.8)',
+        when: { regularity: { gt: 0.8 } },
+        scores: { 'Electronic': 0.6, 'Pop': 0.4, 'Hip Hop': 0.4, 'Reggae': 0.5, 'Jazz': -0.4, 'European Classical': -0.3, 'Indian Classical': -0.25, 'Folk': -0.3, 'World': -0.3 }
+    },
+    {
+        id: 'regularity-steady', group: 'regularity', description: 'Steady beat (0.6-0.8)',
+        when: { regularity: { gt: 0.6 } },
+        scores: { 'R&B/Soul': 0.3, 'Pop': 0.25, 'Rock': 0.2, 'Jazz': -0.2, 'Indian Classical': -0.15 }
+    },
+    {
+        id: 'regularity-offbeat-reggae', group: 'regularity', description: 'Very low regularity with some percussion at 60-100 BPM: the reggae off-beat',
+        when: { regularity: { lt: 0.1 }, tempo: { gte: 60, lt: 100 }, percussiveness: { gte: 0.015 } },
+        scores: { 'Reggae': 1.2, 'World': 0.2, 'Folk': -0.3 }
+    },
+    {
+        id: 'regularity-free', group: 'regularity', description: 'Very low regularity (< 0.1): free or ornamental rhythm',
+        when: { regularity: { lt: 0.1 } },
+        scores: { 'Folk': 0.6, 'World': 0.6, 'Indian Classical': 0.4, 'Jazz': 0.4, 'Electronic': -0.5, 'Pop': -0.4, 'Hip Hop': -0.4 }
+    },
+    {
+        id: 'regularity-loose', group: 'regularity', description: 'Loose beat (0.1-0.5)',
+        when: { regularity: { lt: 0.5 } },
+        scores: { 'World': 0.5, 'Folk': 0.4, 'Jazz': 0.4, 'European Classical': 0.25, 'Indian Classical': 0.2, 'Latin': 0.3, 'Electronic': -0.3, 'Hip Hop': -0.2 }
+    },
+    {
+        id: 'regularity-loose-reggae', description: 'Loose beat at 60-100 BPM',
+        when: { regularity: { gte: 0.1, lt: 0.5 }, tempo: { gte: 60, lt: 100 } },
+        scores: { 'Reggae': 0.6 }
+    },
+    {
+        id: 'polyrhythmic', description: 'Cross-rhythms detected',
+        when: { polyrhythmic: true },
+        scores: { 'Jazz': 0.3, 'Latin': 0.4, 'World': 0.3 }
+    },
+
+    // ===== Percussiveness =====
+    {
+        id: 'percussion-heavy', group: 'percussiveness', description: 'Percussion-heavy (> 0.15)',
+        when: { percussiveness: { gt: 0.15 } },
+        scores: { 'Hip Hop': 0.6, 'Electronic': 0.4, 'Metal': 0.4, 'Latin': 0.3, 'European Classical': -0.3, 'Indian Classical': -0.2, 'Folk': -0.4, 'Country': -0.3, 'Jazz': -0.2 }
+    },
+    {
+        id: 'percussion-none', group: 'percussiveness', description: 'Melodic, almost no percussion (< 0.05)',
+        when: { percussiveness: { lt: 0.05 } },
+        scores: { 'Folk': 0.6, 'European Classical': 0.5, 'Indian Classical': 0.3, 'Country': 0.5, 'Jazz': 0.4, 'World': 0.4, 'R&B/Soul': 0.3, 'Metal': -0.4, 'Hip Hop': -0.5, 'Electronic': -0.3, 'Latin': -0.2 }
+    },
+    {
+        id: 'percussion-light', group: 'percussiveness', description: 'Light percussion (0.05-0.08)',
+        when: { percussiveness: { gte: 0.05, lt: 0.08 } },
+        scores: { 'Folk': 0.3, 'Country': 0.3, 'World': 0.25, 'European Classical': 0.15 }
+    },
+    {
+        id: 'percussion-moderate', group: 'percussiveness', description: 'Moderate percussion (0.08-0.15)',
+        when: { percussiveness: { gte: 0.08, lte: 0.15 } },
+        scores: { 'Pop': 0.3, 'Rock': 0.3, 'Country': 0.2, 'Latin': 0.2 }
+    },
+
+    // ===== Brightness =====
+    {
+        id: 'brightness-bright', group: 'brightness', description: 'Bright timbre (> 0.7)',
+        when: { brightness: { gt: 0.7 } },
+        scores: { 'Pop': 0.4, 'Electronic': 0.4, 'Metal': 0.3, 'Blues': -0.3, 'R&B/Soul': -0.2 }
+    },
+    {
+        id: 'brightness-dark', group: 'brightness', description: 'Dark timbre (< 0.35)',
+        when: { brightness: { lt: 0.35 } },
+        scores: { 'Blues': 0.5, 'R&B/Soul': 0.4, 'Jazz': 0.3, 'European Classical': 0.2, 'Pop': -0.3, 'Electronic': -0.3, 'Metal': -0.2 }
+    },
+    {
+        id: 'brightness-warm', group: 'brightness', description: 'Warm acoustic timbre (0.35-0.5)',
+        when: { brightness: { gte: 0.35, lt: 0.5 } },
+        scores: { 'Folk': 0.5, 'Country': 0.5, 'World': 0.4, 'European Classical': 0.2 }
+    },
+    {
+        id: 'brightness-moderate', group: 'brightness', description: 'Moderate brightness (0.5-0.7)',
+        when: { brightness: { gte: 0.5, lte: 0.7 } },
+        scores: { 'Rock': 0.3, 'Pop': 0.25, 'Latin': 0.2 }
+    },
+
+    // ===== Scale =====
+    {
+        id: 'scale-pentatonic', group: 'scale', description: 'Pentatonic scale',
+        when: { scale: { includes: 'Pentatonic' } },
+        scores: { 'Blues': 0.3, 'Rock': 0.2, 'Folk': 0.2, 'Country': 0.2, 'World': 0.2 }
+    },
+    {
+        id: 'scale-blues', group: 'scale', description: 'Blues scale',
+        when: { scale: { includes: 'Blues' } },
+        scores: { 'Blues': 0.5, 'Jazz': 0.3, 'Rock': 0.2 }
+    },
+    {
+        id: 'scale-major', group: 'scale', description: 'Major scale',
+        when: { scale: { includes: 'Major' } },
+        scores: { 'Pop': 0.2, 'Country': 0.2, 'Folk': 0.2 }
+    },
+    {
+        id: 'scale-minor', group: 'scale', description: 'Minor scale',
+        when: { scale: { includes: 'Minor' } },
+        scores: { 'Rock': 0.2, 'European Classical': 0.15 }
+    },
+    {
+        id: 'scale-chromatic', group: 'scale', description: 'Chromatic material',
+        when: { scale: { includes: 'Chromatic' } },
+        scores: { 'Jazz': 0.3, 'European Classical': 0.2, 'Metal': 0.1 }
+    },
+    {
+        id: 'scale-modal', group: 'scale', description: 'Dorian, Mixolydian or Phrygian mode',
+        when: { scale: { includesAny: ['Dorian', 'Mixolydian', 'Phrygian'] } },
+        scores: { 'Jazz': 0.3, 'Rock': 0.2, 'World': 0.2 }
+    },
+
+    // ===== Complexity =====
+    {
+        id: 'complexity-high', group: 'complexity', description: 'Complex rhythm (> 0.7)',
+        when: { complexity: { gt: 0.7 } },
+        scores: { 'Jazz': 0.6, 'European Classical': 0.4, 'Indian Classical': 0.3, 'Metal': 0.4, 'Pop': -0.3, 'Country': -0.3, 'Folk': -0.3 }
+    },
+    {
+        id: 'complexity-low', group: 'complexity', description: 'Simple rhythm (< 0.3)',
+        when: { complexity: { lt: 0.3 } },
+        scores: { 'Folk': 0.6, 'Country': 0.6, 'Pop': 0.4, 'Reggae': 0.3, 'Jazz': -0.4, 'European Classical': -0.2, 'Indian Classical': -0.15, 'Metal': -0.3 }
+    },
+    {
+        id: 'complexity-moderate', group: 'complexity', description: 'Moderate complexity (0.3-0.5)',
+        when: { complexity: { gte: 0.3, lte: 0.5 } },
+        scores: { 'Rock': 0.3, 'R&B/Soul': 0.3, 'Latin': 0.25 }
+    },
+
+    // ===== Genre signatures (feature combinations) =====
+    {
+        id: 'folk-signature', description: 'Moderate tempo, loose beat, little percussion',
+        when: { tempo: { gte: 90, lt: 120 }, regularity: { lt: 0.5 }, percussiveness: { lt: 0.08 } },
+        scores: { 'Folk': 0.4, 'World': 0.3 }
+    },
+    {
+        id: 'country-signature', description: 'Moderate tempo, simple rhythm, moderate brightness',
+        when: { tempo: { gte: 90, lt: 120 }, complexity: { lt: 0.4 }, brightness: { gte: 0.35, lt: 0.6 } },
+        scores: { 'Country': 0.4 }
+    },
+    {
+        id: 'electronic-signature', description: 'Regular beat above 120 BPM',
+        when: { regularity: { gt: 0.7 }, tempo: { gt: 120 } },
+        scores: { 'Electronic': 0.5, 'Folk': -0.3, 'World': -0.3 }
+    },
+    {
+        id: 'metal-signature', description: 'Fast, bright and complex',
+        when: { tempo: { gt: 140 }, brightness: { gt: 0.6 }, complexity: { gt: 0.5 } },
+        scores: { 'Metal': 0.5, 'Folk': -0.4, 'European Classical': -0.3, 'Indian Classical': -0.2 }
+    },
+    {
+        id: 'reggae-signature', group: 'reggae-feel', description: '60-110 BPM with a syncopated, loose beat',
+        when: { tempo: { gte: 60, lt: 110 }, regularity: { lt: 0.5 } },
+        scores: { 'Reggae': 1.0, 'Folk': -0.5, 'World': -0.2 }
+    },
+    {
+        id: 'reggae-fast-variant', group: 'reggae-feel', description: 'Faster reggae variants: 80-130 BPM, very loose beat, mid brightness',
+        when: { tempo: { gte: 80, lt: 130 }, regularity: { lt: 0.15 }, brightness: { gte: 0.35, lte: 0.75 } },
+        scores: { 'Reggae': 0.8, 'Latin': 0.3, 'Folk': -0.4, 'World': -0.2 }
+    },
+    {
+        id: 'reggae-percussion', description: 'Reggae signature with typical reggae percussion (0.02-0.15)',
+        when: { tempo: { gte: 60, lt: 110 }, regularity: { lt: 0.5 }, percussiveness: { gte: 0.02, lt: 0.15 } },
+        scores: { 'Reggae': 0.5 }
+    },
+
+    // ===== Reggae, raga and indigenous disambiguation =====
+    {
+        id: 'low-regularity-reggae', group: 'low-regularity', description: 'Low regularity with some percussion at 70-130 BPM, not raga-like or indigenous',
+        when: { ragaPattern: false, indigenousGuard: false, regularity: { lt: 0.06 }, percussiveness: { gt: 0.015 }, tempo: { gte: 70, lte: 130 } },
+        scores: { 'Reggae': 1.2, 'World': -0.4, 'Indian Classical': -0.2, 'European Classical': -0.4 }
+    },
+    {
+        id: 'raga-ornamental', group: 'low-regularity', description: 'Improvisational / ornamental style (raga-like)',
+        when: { any: [{ regularity: { lt: 0.05 } }, { ragaPattern: true }] },
+        scores: { 'Indian Classical': 0.8, 'World': 0.6, 'Folk': 0.5, 'Jazz': -0.5, 'Reggae': -0.8, 'Rock': -0.4, 'Metal': -0.5, 'Electronic': -0.3, 'Pop': -0.2 }
+    },
+    {
+        id: 'raga-fast-ornamental', description: 'Very fast, free and complex: ornamental raga rather than jazz',
+        when: { tempo: { gt: 180 }, regularity: { lt: 0.06 }, complexity: { gt: 0.7 } },
+        scores: { 'Indian Classical': 1.4, 'Folk': 1.5, 'Jazz': -1.8, 'World': -1.2, 'Latin': -1.0, 'Pop': -0.3 }
+    },
+    {
+        id: 'indigenous-pattern', description: 'Polyrhythmic pentatonic, complex or spectrally diverse, outside the reggae tempo range',
+        when: {
+            polyrhythmic: true, scale: { includes: 'Pentatonic' }, regularity: { lt: 0.12 }, reggaeTempo: false,
+            any: [{ complexity: { gt: 0.65 } }, { spectralCentroid: { gt: 10000 } }]
+        },
+        scores: { 'World': 0.8, 'Folk': 0.5 }
+    },
+    {
+        id: 'indigenous-strong', description: 'Strong indigenous signature outside the reggae tempo range',
+        when: { reggaeTempo: false, indigenousGuard: true, complexity: { gte: 0.65 } },
+        scores: { 'World': 1.6, 'Folk': 0.8, 'Indian Classical': 0.4, 'Reggae': -1.5, 'Jazz': -0.4 }
+    },
+    {
+        id: 'reggae-lock', description: 'Reggae tempo, very loose beat, reggae percussion and moderate complexity',
+        when: { reggaeTempo: true, regularity: { lt: 0.12 }, percussiveness: { gte: 0.02, lte: 0.08 }, complexity: { lt: 0.74 } },
+        scores: { 'Reggae': 1.5, 'Folk': -1.2, 'Country': -0.8, 'World': -2.0 },
+        suppresses: ['indigenous-world-bias', 'world-dominance-guard']
+    },
+    {
+        id: 'country-polyrhythm-penalty', description: 'Very loose, lightly percussive polyrhythmic material is not country',
+        when: { regularity: { lt: 0.15 }, percussiveness: { lt: 0.06 }, polyrhythmic: true },
+        scores: { 'Country': -0.6 }
+    },
+    {
+        id: 'indigenous-world-bias', description: 'Polyrhythmic, percussive and loose: indigenous / world',
+        when: { polyrhythmic: true, percussiveness: { gte: 0.03, lte: 0.25 }, regularity: { lt: 0.2 } },
+        scores: { 'World': 1.5, 'Folk': 0.8, 'Jazz': -1.0, 'European Classical': -0.4, 'Indian Classical': -0.4, 'Reggae': -0.8 }
+    },
+    {
+        id: 'world-dominance-guard', description: 'World already well ahead: keep Reggae, classical and Jazz out of the top ranks',
+        when: { scores: { World: { gt: 2.5 } } },
+        scores: { 'Reggae': -1.2, 'European Classical': -0.6, 'Indian Classical': -0.6, 'Jazz': -0.9, 'Blues': -0.3 }
+    },
+    {
+        id: 'modal-percussive-tiebreak', description: 'Percussive tradition in a pentatonic or modal scale',
+        when: { percussiveness: { gte: 0.04 }, scale: { includesAny: ['Pentatonic Major', 'Pentatonic Minor', 'Dorian', 'Mixolydian'] } },
+        scores: { 'World': 0.8, 'Jazz': -0.6, 'Reggae': -0.3 }
+    },
+    {
+        id: 'indigenous-groove', description: 'Strongly percussive loose groove at 70-110 BPM',
+        when: { tempo: { gte: 70, lte: 110 }, regularity: { lt: 0.2 }, percussiveness: { gte: 0.04 } },
+        scores: { 'World': 0.7, 'Jazz': -0.7, 'Reggae': -0.5 }
+    },
+
+    // ===== Experimental tuning only =====
+    {
+        id: 'experimental-double-time-reggae', description: 'Double-time reading whose half tempo (80-130 BPM) and brightness suit reggae',
+        when: { tuning: 'experimental', tempo: { gt: 180, lt: 260 }, regularity: { lt: 0.1 }, percussiveness: { lt: 0.05 }, brightness: { gte: 0.3, lte: 0.8 } },
+        scores: { 'Reggae': 0.6, 'Latin': 0.2 }
+    },
+    {
+        id: 'experimental-double-time', description: 'Likely double-time reading of a melodic piece with little drumming',
+        when: { tuning: 'experimental', tempo: { gt: 180 }, regularity: { lt: 0.1 }, percussiveness: { lt: 0.05 } },
+        scores: { 'World': 0.6, 'European Classical': 0.3, 'Indian Classical': 0.2, 'Folk': 0.3, 'Rock': -0.5, 'Metal': -0.6, 'Electronic': -0.5, 'Pop': -0.2 }
+    },
+
+    // ===== Late signatures and corrections =====
+    {
+        id: 'jazz-signature', description: 'Loose beat with high complexity',
+        when: { regularity: { lt: 0.5 }, complexity: { gt: 0.6 } },
+        scores: { 'Jazz': 0.4, 'Pop': -0.3 }
+    },
+    {
+        id: 'classical-signature', description: 'Little percussion, high complexity, below 100 BPM',
+        when: { percussiveness: { lt: 0.05 }, complexity: { gt: 0.6 }, tempo: { lt: 100 } },
+        scores: { 'European Classical': 0.5, 'Hip Hop': -0.5, 'Electronic': -0.4 }
+    },
+    {
+        id: 'blues-signature', description: 'Slow and dark',
+        when: { tempo: { lt: 90 }, brightness: { lt: 0.4 } },
+        scores: { 'Blues': 0.4, 'Electronic': -0.3, 'Metal': -0.3 }
+    },
+    {
+        id: 'sustained-regular-correction', description: 'Over-regular but unpercussive (sustained / acoustic audio) is not electronic',
+        when: { regularity: { gt: 0.9 }, percussiveness: { lt: 0.05 } },
+        scores: { 'Electronic': -0.5, 'Pop': -0.3, 'Hip Hop': -0.3, 'European Classical': 0.15, 'Folk': 0.2 }
+    }
+];
@@ -0,0 +1,217 @@
+/**
+ * Groove Analysis Module
+ * Where the notes fall between the beats: onsets are placed on the grid of the tracked
+ * beats and bars, and their distance from the metronomic positions gives the microtiming
+ * of every subdivision, the swing ratio of the off-beats and the uneven beat and
+ * subdivision lengths that give a Viennese waltz or a Malian jembe piece its feel.
+ */
+
+const DEFAULTS = {
+    subdivisions: [2, 3, 4],    // pulses per beat to consider
+    fitTolerance: 0.08,         // grid fit tolerance, as a fraction of the beat
+    evenTolerance: 0.06         // durations within this share of the mean count as even
+};
+
+// Characteristic uneven profiles: S(hort), M(edium), L(ong) durations in order
+export const REFERENCE_FEELS = [
+    { name: 'Viennese waltz', level: 'beat', pattern: 'SLM', description: 'second beat anticipated, first beat short' },
+    { name: 'Malian jembe (ternary)', level: 'subdivision', pattern: 'SML', description: 'short-medium-long beat subdivision' },
+    { name: 'Norwegian springar', level: 'beat', pattern: 'LMS', description: 'long first beat, short third' }
+];
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+const mean = (values) => values.reduce((acc, v) => acc + v, 0) / (values.length || 1);
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Onsets that fall inside each span, as phases (0 at the span start, 1 at its end)
+ * @param {number[]} edges - Span boundaries in seconds
+ * @param {Array<{time: number, strength: number}>} onsets - Onsets in time order
+ * @param {number} lead - Onsets up to this fraction of a span early count for the next span
+ * @returns {Array<Array<{phase: number, strength: number}>>} One list per span
+ */
+function phasesWithin(edges, onsets, lead) {
+    const spans = [];
+    let o = 0;
+    for (let i = 0; i + 1 < edges.length; i++) {
+        const length = edges[i + 1] - edges[i];
+        const start = edges[i] - lead * length;
+        const end = edges[i + 1] - lead * length;
+        const list = [];
+        while (o < onsets.length && onsets[o].time < start) o++;
+        for (let j = o; j < onsets.length && onsets[j].time < end; j++) {
+            list.push({ phase: (onsets[j].time - edges[i]) / length, strength: onsets[j].strength });
+        }
+        spans.push(list);
+    }
+    return spans;
+}
+
+/**
+ * Pulses per beat that best explain the off-beat onsets
+ * @param {number[]} phases - Onset phases within their beat
+ * @param {number[]} candidates - Pulses per beat to try
+ * @param {number} tolerance - Grid fit tolerance (fraction of the beat)
+ * @returns {number} Best pulse count, or 1 when nothing falls between the beats
+ */
+export function chooseSubdivision(phases, candidates = DEFAULTS.subdivisions, tolerance = DEFAULTS.fitTolerance) {
+    const offBeat = phases.filter(phase => phase > 0.12 && phase < 0.88);
+    if (offBeat.length < 4 || offBeat.length < 0.1 * phases.length) return 1;
+    const fit = (n) => mean(offBeat.map(phase => {
+        const distance = Math.abs(phase * n - Math.round(phase * n)) / n;
+        return Math.exp(-((distance / tolerance) ** 2));
+    }));
+    let best = candidates[0];
+    candidates.forEach(n => {
+        // A finer grid contains the coarser one, so it has to fit clearly better
+        if (fit(n) > fit(best) + 0.05) best = n;
+    });
+    return best;
+}
+
+/**
+ * Swing ratio: length of the on-beat note over the off-beat note of each binary pair
+ * @param {Array<Array<{phase: number}>>} spans - Onset phases per span (a beat or half-beat)
+ * @returns {number|null} 1 for straight, 2 for triplet swing; null with fewer than four swung pairs
+ */
+export function swingRatio(spans) {
+    const offBeats = [];
+    spans.forEach(list => {
+        // Only spans with a single note between the ends are binary pairs; triplets or runs are not
+        const inner = list.filter(({ phase }) => phase >= 0.3 && phase <= 0.8);
+        const crowded = list.some(({ phase }) => phase > 0.12 && phase < 0.3) || list.some(({ phase }) => phase > 0.8 && phase < 0.88);
+        if (inner.length === 1 && !crowded) offBeats.push(inner[0].phase);
+    });
+    if (offBeats.length < 4) return null;
+    const phase = median(offBeats);
+    return Math.round((phase / (1 - phase)) * 100) / 100;
+}
+
+function describeSwing(ratio) {
+    if (ratio === null) return null;
+    if (ratio < 1.15) return 'straight';
+    if (ratio < 1.5) return 'light swing';
+    if (ratio < 2.3) return 'triplet swing';
+    return 'hard swing';
+}
+
+/**
+ * Durations between mean slot positions around a cycle, with their S/M/L pattern
+ * @param {number[]} positions - Mean position of each slot as a fraction of the cycle
+ * @param {number} evenTolerance - Share of the mean duration treated as even
+ * @returns {{durations: number[], pattern: string, asymmetry: number}} asymmetry: largest deviation from even, as a share
+ */
+export function durationProfile(positions, evenTolerance = DEFAULTS.evenTolerance) {
+    const n = positions.length;
+    const durations = positions.map((position, i) => (i + 1 < n ? positions[i + 1] : 1 + positions[0]) - position);
+    const pattern = durations.map(d => (d * n < 1 - evenTolerance ? 'S' : d * n > 1 + evenTolerance ? 'L' : 'M')).join('');
+    const asymmetry = Math.max(...durations.map(d => Math.abs(d * n - 1)));
+    return { durations: durations.map(round3), pattern, asymmetry: round3(asymmetry) };
+}
+
+/**
+ * Groove profile of a performance from its beat grid and onsets
+ * @param {Object} rhythm - { beats, downbeats, beatsPerBar } from the beat tracker (seconds)
+ * @param {Array<{time: number, strength: number}>} onsets - Onsets in seconds
+ * @param {Object} options - { subdivisions, fitTolerance, evenTolerance }
+ * @returns {Object|null} { beatsPerBar, subdivisions, bars, swingRatio, swingFeel, swingLevel, microtimingMs,
+ *   beatProfile, subdivisionProfile, template: [{ beat, subdivision, position, meanPosition, offsetMs, spreadMs,
+ *   occupancy, accent }], feels } or null when there are too few beats
+ */
+export function analyzeGroove(rhythm, onsets, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const beats = rhythm?.beats || [];
+    if (beats.length < 4 || !onsets?.length) return null;
+
+    // Subdivision and swing come from onsets placed between the tracked beats, so uneven beats do not blur them
+    const beatSpans = phasesWithin(beats, onsets, 0.06);
+    const subdivisions = chooseSubdivision(beatSpans.flat().map(({ phase }) => phase), opts.subdivisions, opts.fitTolerance);
+    const swingLevel = subdivisions === 4 ? 'sixteenth' : 'eighth';
+    let swingSpans = beatSpans;
+    if (subdivisions === 4) {
+        swingSpans = beatSpans.flatMap(list => [
+            list.filter(({ phase }) => phase < 0.47).map(({ phase, strength }) => ({ phase: phase * 2, strength })),
+            list.filter(({ phase }) => phase >= 0.47).map(({ phase, strength }) => ({ phase: phase * 2 - 1, strength }))
+        ]);
+    }
+    const swing = swingRatio(swingSpans);
+
+    const pulses = Math.max(1, subdivisions);
+    const slotPhases = Array.from({ length: pulses }, () => []);
+    beatSpans.forEach(list => list.forEach(({ phase }) => {
+        const k = Math.round(phase * pulses);
+        if (k < pulses) slotPhases[k].push(phase);
+    }));
+    const subdivisionProfile = pulses > 1
+        ? durationProfile(slotPhases.map((list, k) => (list.length ? mean(list) : k / pulses)), opts.evenTolerance)
+        : null;
+
+    // Bars: from one downbeat to the next, or groups of beatsPerBar beats from the first beat
+    const meter = rhythm.beatsPerBar || 1;
+    const firstDownbeat = rhythm.downbeats?.length ? Math.max(0, beats.indexOf(rhythm.downbeats[0])) : 0;
+    const barEdges = [];
+    for (let i = firstDownbeat % meter; i < beats.length; i += meter) barEdges.push(beats[i]);
+    if (barEdges.length < 2) return null;
+    const slots = meter * pulses;
+    const barSpans = phasesWithin(barEdges, onsets, 0.5 / slots);
+
+    // Every onset counts for the nearest slot of the metronomic bar grid
+    const perSlot = Array.from({ length: slots }, () => ({ offsets: [], strengths: [], bars: new Set() }));
+    const deviations = [];
+    barSpans.forEach((list, bar) => {
+        const barMs = (barEdges[bar + 1] - barEdges[bar]) * 1000;
+        list.forEach(({ phase, strength }) => {
+            const k = ((Math.round(phase * slots) % slots) + slots) % slots;
+            const ideal = Math.round(phase * slots) / slots;
+            const offset = phase - ideal;
+            perSlot[k].offsets.push({ phase: offset, ms: offset * barMs });
+            perSlot[k].strengths.push(strength);
+            perSlot[k].bars.add(bar);
+            deviations.push(Math.abs(offset * barMs));
+        });
+    });
+
+    const loudest = Math.max(...perSlot.map(slot => (slot.strengths.length ? mean(slot.strengths) : 0))) || 1;
+    const template = perSlot.map((slot, k) => {
+        const offsetsMs = slot.offsets.map(o => o.ms);
+        const offsetMs = offsetsMs.length ? mean(offsetsMs) : 0;
+        const spread = offsetsMs.length > 1 ? Math.sqrt(mean(offsetsMs.map(v => (v - offsetMs) ** 2))) : 0;
+        return {
+            beat: Math.floor(k / pulses) + 1,
+            subdivision: (k % pulses) + 1,
+            position: round3(k / slots),
+            meanPosition: round3(k / slots + (slot.offsets.length ? mean(slot.offsets.map(o => o.phase)) : 0)),
+            offsetMs: Math.round(offsetMs * 10) / 10,
+            spreadMs: Math.round(spread * 10) / 10,
+            occupancy: round3(slot.bars.size / barSpans.length),
+            accent: round3(slot.strengths.length ? mean(slot.strengths) / loudest : 0)
+        };
+    });
+    const beatProfile = meter > 1
+        ? durationProfile(template.filter(slot => slot.subdivision === 1).map(slot => slot.meanPosition), opts.evenTolerance)
+        : null;
+
+    const feels = REFERENCE_FEELS.filter(feel => {
+        const profile = feel.level === 'beat' ? beatProfile : subdivisionProfile;
+        return profile && profile.pattern === feel.pattern;
+    }).map(feel => feel.name);
+    if (swing !== null && swing >= 1.5) feels.push(swingLevel === 'sixteenth' ? 'Swung sixteenths' : 'Swing');
+
+    return {
+        beatsPerBar: meter,
+        subdivisions,
+        bars: barSpans.length,
+        swingRatio: swing,
+        swingFeel: describeSwing(swing),
+        swingLevel,
+        microtimingMs: deviations.length ? Math.round(mean(deviations) * 10) / 10 : 0,
+        beatProfile,
+        subdivisionProfile,
+        template,
+        feels
+    };
+}
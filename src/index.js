@@ -17,6 +17,12 @@ import { initializeWorldMap, displayGlossary, displayCultures, ProgressTracker }
 import { lessonPlans } from './extendedFeatures.js';
 import { jsPDF } from 'jspdf';
 import { analyzeAudioFile } from './audioAnalyzer.js';
+import { decodeAudio } from './utils/audioDecoder.js';
+import { parseEmbeddingsFile } from './utils/embeddingsFile.js';
+import { selectChannel } from './stereoAnalysis.js';
+import { AnalysisWorkerClient, AnalysisWorkerError } from './analysisWorkerClient.js';
+import { writeMidiFile, meterFromAnalysis, notesFromTranscription } from './midiWriter.js';
+import { toMusicXML, toABC, notationOptionsFromAnalysis } from './notationExport.js';
 import { getAllCultures } from './culturesData.js';
 import './games_clean.js';
 
@@ -322,6 +328,22 @@ function ensureAnalyzerGlobals() {
   } catch (_) {}
 }
 
+// Built-in WAV/AIFF/FLAC decoder, for files the browser's decodeAudioData rejects
+function decodeWithBuiltInDecoder(arrayBuffer, audioCtx) {
+  const decoded = decodeAudio(arrayBuffer);
+  const buffer = audioCtx.createBuffer(decoded.numberOfChannels, decoded.length, decoded.sampleRate);
+  decoded.channels.forEach((channel, c) => buffer.copyToChannel(channel, c));
+  console.log('✅ Audio decoded by built-in decoder:', {
+    format: decoded.format,
+    encoding: decoded.encoding,
+    duration: buffer.duration,
+    channels: buffer.numberOfChannels,
+    sampleRate: buffer.sampleRate,
+    truncated: !!decoded.truncated
+  });
+  return buffer;
+}
+
 async function decodeAudioBuffer(arrayBuffer, audioCtx) {
   console.log('🔊 decodeAudioBuffer called:', {
     bufferSize: arrayBuffer.byteLength,
@@ -333,7 +355,7 @@ async function decodeAudioBuffer(arrayBuffer, audioCtx) {
   const copy = arrayBuffer.slice(0);
 
   const timeout = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Audio decode timeout (8s). Try WAV/OGG/FLAC.')), 8000)
+    setTimeout(() => reject(new Error('Audio decode timeout (8s)')), 8000)
   );
 
   const decode = new Promise((resolve, reject) => {
@@ -354,11 +376,21 @@ async function decodeAudioBuffer(arrayBuffer, audioCtx) {
           message: err.message,
           code: err.code
         });
-        reject(new Error(`Audio decode failed: ${err.message}. Try converting to PCM 16-bit WAV format.`));
+        reject(new Error(err.message || err.name || 'decodeAudioData failed'));
       });
   });
 
-  return Promise.race([decode, timeout]);
+  try {
+    return await Promise.race([decode, timeout]);
+  } catch (nativeError) {
+    console.warn('⚠️ Browser decode failed, trying the built-in WAV/AIFF/FLAC decoder:', nativeError.message);
+    try {
+      return decodeWithBuiltInDecoder(arrayBuffer, audioCtx);
+    } catch (fallbackError) {
+      console.error('❌ Built-in decode failed:', fallbackError);
+      throw new Error(`Audio decode failed. Browser: ${nativeError.message}. Built-in decoder: ${fallbackError.message}`);
+    }
+  }
 }
 
 function analyzeStatusBanner(message, kind = 'info') {
@@ -387,6 +419,49 @@ function analyzeStatusBanner(message, kind = 'info') {
   status.textContent = message;
 }
 
+// One analysis worker per page; it keeps Essentia and the genre models loaded between files
+let analysisWorkerClient = null;
+function getAnalysisWorkerClient() {
+  if (typeof Worker === 'undefined') return null;
+  if (!analysisWorkerClient) {
+    analysisWorkerClient = new AnalysisWorkerClient(() => new Worker(new URL('./analysis.worker.js', import.meta.url)));
+  }
+  return analysisWorkerClient;
+}
+
+// MAEST embeddings chosen on the Analyze tab ({ patches } from parseEmbeddingsFile); they run the
+// Discogs style model on every analysis until cleared
+let maestEmbeddings = null;
+
+// Feature extraction runs in the worker; the main-thread analyzer is the fallback when workers are unavailable
+async function runAnalysis(audioBuffer, fileName, audioPlayer, signal) {
+  const onProgress = ({ label, progress }) => {
+    analyzeStatusBanner(`📊 Analyzing… ${label} (${Math.round(progress * 100)}%)`, 'warn');
+  };
+
+  // Which signal (downmix, left, right, mid, side) the analysis runs on
+  const channelMode = $('#channel-mode')?.value || 'downmix';
+
+  const client = getAnalysisWorkerClient();
+  if (client) {
+    // One copy out of the AudioBuffer, which owns its storage; the copies are transferred, not cloned
+    const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, ch) => audioBuffer.getChannelData(ch).slice());
+    try {
+      const { result, channels: returned, components } = await client.analyze(channels, audioBuffer.sampleRate, fileName, { onProgress, signal, channelMode, maestEmbeddings });
+      window.displayAnalysisResults(result, selectChannel(returned, channelMode).data, audioPlayer, components);
+      return result;
+    } catch (err) {
+      if (!(err instanceof AnalysisWorkerError)) throw err;
+      console.warn('⚠️ Analysis worker unavailable, analyzing on the main thread:', err.message);
+    }
+  }
+
+  if (typeof window.analyzeAudioFile !== 'function') {
+    throw new Error('analyzeAudioFile() not found. Check that audioAnalyzer.js / analyzer code is loaded before index.js.');
+  }
+  return window.analyzeAudioFile(audioBuffer, fileName, audioPlayer, { onProgress, signal, channelMode, maestEmbeddings });
+}
+
 function initializeAnalyzeUpload() {
   const fileInput = $('#file-input');
   const cancelBtn = $('#cancel-analysis');
@@ -394,18 +469,58 @@ function initializeAnalyzeUpload() {
   if (!fileInput || !results) return;
 
   let cancelled = false;
+  let controller = null;
 
   on(cancelBtn, 'click', () => {
     cancelled = true;
+    controller?.abort();
     hide(cancelBtn);
     analyzeStatusBanner('✖️ Analysis cancelled.', 'error');
   });
 
+  // Switching the analyzed channel re-runs the analysis of the current file
+  on($('#channel-mode'), 'change', () => {
+    if (fileInput.files?.length) fileInput.dispatchEvent(new Event('change'));
+  });
+
+  // Embeddings of the recording switch the genre result to the Discogs style model; changing them re-runs the analysis
+  const embeddingsInput = $('#embeddings-input');
+  const embeddingsStatus = $('#embeddings-status');
+  const clearEmbeddingsBtn = $('#clear-embeddings');
+  const setEmbeddings = (embeddings, message) => {
+    const changed = embeddings !== maestEmbeddings;
+    maestEmbeddings = embeddings;
+    if (embeddingsStatus) embeddingsStatus.textContent = message;
+    if (embeddings) show(clearEmbeddingsBtn, 'inline-block');
+    else hide(clearEmbeddingsBtn);
+    if (changed && fileInput.files?.length) fileInput.dispatchEvent(new Event('change'));
+  };
+  on(embeddingsInput, 'change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const embeddings = parseEmbeddingsFile(await file.arrayBuffer());
+      setEmbeddings(embeddings, `🧬 ${file.name}: ${embeddings.patches.length} patch(es)`);
+    } catch (err) {
+      console.warn('⚠️ Embeddings file rejected:', err);
+      embeddingsInput.value = '';
+      setEmbeddings(null, `❌ ${file.name}: ${err.message}`);
+    }
+  });
+  on(clearEmbeddingsBtn, 'click', () => {
+    if (embeddingsInput) embeddingsInput.value = '';
+    setEmbeddings(null, '');
+  });
+
   on(fileInput, 'change', async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
 
     cancelled = false;
+    // A new file supersedes any analysis still running
+    controller?.abort();
+    controller = new AbortController();
+    const runController = controller;
     show(cancelBtn, 'inline-block');
     show(results);
 
@@ -476,25 +591,24 @@ function initializeAnalyzeUpload() {
       }
       playerWrap.appendChild(audioPlayer);
 
-      // Your analyzer MUST exist
-      console.log('🔍 Checking for analyzeAudioFile function...');
-      console.log('window.analyzeAudioFile exists?', typeof window.analyzeAudioFile);
-      console.log('Available window methods:', Object.keys(window).filter(k => k.includes('analyze') || k.includes('Audio')));
-      
-      if (typeof window.analyzeAudioFile !== 'function') {
-        throw new Error('analyzeAudioFile() not found. Check that audioAnalyzer.js / analyzer code is loaded before index.js.');
-      }
-
-      console.log('🎯 Calling analyzeAudioFile...');
+      console.log('🎯 Starting analysis...');
       analyzeStatusBanner('📊 Analyzing…', 'warn');
-      await window.analyzeAudioFile(audioBuffer, file.name, audioPlayer);
+      const result = await runAnalysis(audioBuffer, file.name, audioPlayer, runController.signal);
+      // Source for the JSON export and text report in the download panel
+      window.currentAnalysisData = result;
 
       analyzeStatusBanner('✅ Analysis complete.', 'ok');
       hide(cancelBtn);
     } catch (err) {
+      if (runController !== controller) return;
+      hide(cancelBtn);
+      if (cancelled || err.name === 'AnalysisCancelledError') {
+        console.log('✖️ Analysis cancelled');
+        analyzeStatusBanner('✖️ Analysis cancelled.', 'error');
+        return;
+      }
       console.error('❌ Analysis error:', err);
       console.error('Error stack:', err.stack);
-      hide(cancelBtn);
       analyzeStatusBanner(`❌ ${err.message}`, 'error');
 
       // Tips block (non-destructive)
@@ -508,9 +622,9 @@ function initializeAnalyzeUpload() {
       tips.innerHTML = `
         <div style="font-weight:700;color:#b71c1c;margin-bottom:6px;">Supported formats & quick fixes</div>
         <ul style="margin:0;padding-left:18px;line-height:1.6;color:#333;">
-          <li><b>Best:</b> WAV, OGG, FLAC</li>
-          <li><b>Limited:</b> MP3/M4A (browser dependent)</li>
-          <li>Export as <b>PCM 16-bit WAV</b> and retry</li>
+          <li><b>Always decoded:</b> WAV (8–32-bit PCM or float), AIFF/AIFC, FLAC</li>
+          <li><b>Browser dependent:</b> OGG, MP3, M4A/AAC</li>
+          <li>Convert compressed files to <b>WAV or FLAC</b> and retry</li>
           <li>Try a shorter clip (under 5 minutes)</li>
         </ul>
       `;
@@ -658,8 +772,10 @@ async function showRecorderAnalysisModal(result, channelData) {
         
         <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(450px, 1fr)); gap: 20px; margin-bottom: 20px;">
           <div>
+            <canvas id="structure-bar" width="400" height="28" style="border-radius: 4px; display: block; margin-bottom: 4px;"></canvas>
             <canvas id="waveform-chart" width="400" height="250" style="border: 1px solid #444; border-radius: 4px; display: block;"></canvas>
             <div id="waveform-info" style="margin-top: 8px; font-size: 12px; color: #aaa;"></div>
+            <div id="structure-info" style="margin-top: 8px; font-size: 12px; color: #aaa;"></div>
           </div>
           <div>
             <canvas id="pitch-chart" width="400" height="250" style="border: 1px solid #444; border-radius: 4px; display: block;"></canvas>
@@ -862,6 +978,44 @@ function initializeComposer() {
     });
   }
 
+  // Note grid as timed note events, with the same time and pitch mapping as playback
+  const composerNoteEvents = () => {
+    if (!canvas || !composerNotes.length) {
+      alert('Add some notes to the canvas first.');
+      return null;
+    }
+    return composerNotes.map(note => ({
+      start: (note.x / canvas.width) * 4,
+      duration: 0.4,
+      frequency: 130 + (1 - note.y / canvas.height) * 393
+    }));
+  };
+  const compositionOptions = { tempo: 120, timeSignature: [4, 4], title: 'Composition' };
+
+  const exportMidiBtn = document.getElementById('export-composition-midi');
+  if (exportMidiBtn) {
+    exportMidiBtn.addEventListener('click', () => {
+      const notes = composerNoteEvents();
+      if (notes) window.downloadMIDI(writeMidiFile(notes, { ...compositionOptions, trackName: 'Composition' }), 'composition.mid');
+    });
+  }
+
+  const exportXmlBtn = document.getElementById('export-composition-musicxml');
+  if (exportXmlBtn) {
+    exportXmlBtn.addEventListener('click', () => {
+      const notes = composerNoteEvents();
+      if (notes) window.downloadText(toMusicXML(notes, compositionOptions), 'composition.musicxml', 'application/vnd.recordare.musicxml+xml');
+    });
+  }
+
+  const exportAbcBtn = document.getElementById('export-composition-abc');
+  if (exportAbcBtn) {
+    exportAbcBtn.addEventListener('click', () => {
+      const notes = composerNoteEvents();
+      if (notes) window.downloadText(toABC(notes, compositionOptions), 'composition.abc', 'text/vnd.abc');
+    });
+  }
+
   // Clear canvas button
   if (clearBtn) {
     clearBtn.addEventListener('click', () => {
@@ -1100,6 +1254,15 @@ function initializeDownloadsOnce() {
     if (id === 'download-spectral-chart')return safeCall(window.downloadChart, window.spectralChart, 'spectral-analysis.png');
     if (id === 'download-melodic-chart') return safeCall(window.downloadChart, window.melodicChart, 'melodic-frequency.png');
     if (id === 'download-waveform-chart')return safeCall(window.downloadChart, window.waveformChart, 'waveform.png');
+    if (id === 'download-stereo-chart')  return safeCall(window.downloadChart, window.stereoChart, 'stereo-field.png');
+    if (id === 'download-loudness-chart')return safeCall(window.downloadChart, window.loudnessChart, 'loudness.png');
+    if (id === 'download-separation-chart') return safeCall(window.downloadChart, window.separationChart, 'harmonic-percussive.png');
+    if (id === 'download-groove-chart') return safeCall(window.downloadChart, window.grooveChart, 'groove.png');
+    if (id === 'download-harmonic-audio')   return safeCall(window.downloadSeparatedAudio, 'harmonic');
+    if (id === 'download-percussive-audio') return safeCall(window.downloadSeparatedAudio, 'percussive');
+    if (id === 'download-midi')          return safeCall(window.downloadAnalysisMIDI);
+    if (id === 'download-musicxml')      return safeCall(window.downloadAnalysisNotation, 'musicxml');
+    if (id === 'download-abc')           return safeCall(window.downloadAnalysisNotation, 'abc');
     if (id === 'download-analysis-data') return safeCall(window.downloadJSON, window.currentAnalysisData, 'music-analysis-data.json');
     if (id === 'download-full-report')   return safeCall(window.generateAnalysisReport);
   });
@@ -1193,6 +1356,121 @@ window.downloadJSON = function(data, filename) {
   }
 };
 
+// Download bytes as a Standard MIDI File
+window.downloadMIDI = function(bytes, filename) {
+  if (!bytes) {
+    console.warn('⚠️ MIDI not available for download');
+    return;
+  }
+  try {
+    const blob = new Blob([bytes], { type: 'audio/midi' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename || 'notes.mid';
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+    console.log('✓ MIDI downloaded:', filename);
+  } catch (e) {
+    console.error('❌ Download failed:', e);
+  }
+};
+
+// Transcribed notes of the current analysis as MIDI, in the detected tempo and meter
+window.downloadAnalysisMIDI = function() {
+  const data = window.currentAnalysisData;
+  if (!data?.transcription?.notes?.length) {
+    alert('No transcribed notes available. Analyze a recording with a clear melody first.');
+    return;
+  }
+  const { tempo, timeSignature } = meterFromAnalysis(data);
+  const bytes = writeMidiFile(notesFromTranscription(data.transcription), {
+    tempo,
+    timeSignature,
+    trackName: data.fileName || 'World Music Analysis'
+  });
+  const baseName = (data.fileName || 'music-analysis').replace(/\.[^.]+$/, '');
+  window.downloadMIDI(bytes, `${baseName}-notes.mid`);
+};
+
+// Download a text document (MusicXML, ABC, ...)
+window.downloadText = function(text, filename, type = 'text/plain') {
+  if (!text) {
+    console.warn('⚠️ Nothing to download');
+    return;
+  }
+  try {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+    console.log('✓ Downloaded:', filename);
+  } catch (e) {
+    console.error('❌ Download failed:', e);
+  }
+};
+
+// Transcribed notes of the current analysis as printable notation
+window.downloadAnalysisNotation = function(format) {
+  const data = window.currentAnalysisData;
+  if (!data?.transcription?.notes?.length) {
+    alert('No transcribed notes available. Analyze a recording with a clear melody first.');
+    return;
+  }
+  const notes = notesFromTranscription(data.transcription);
+  const options = notationOptionsFromAnalysis(data);
+  const baseName = (data.fileName || 'music-analysis').replace(/\.[^.]+$/, '');
+  if (format === 'abc') {
+    window.downloadText(toABC(notes, options), `${baseName}.abc`, 'text/vnd.abc');
+  } else {
+    window.downloadText(toMusicXML(notes, options), `${baseName}.musicxml`, 'application/vnd.recordare.musicxml+xml');
+  }
+};
+
+// Harmonic or percussive part of the analyzed signal as WAV (URLs created when the results were displayed)
+window.downloadSeparatedAudio = function(part) {
+  const audio = window.separatedAudio;
+  if (!audio?.urls?.[part]) {
+    alert('No separated audio available. Analyze a recording first.');
+    return;
+  }
+  const link = document.createElement('a');
+  link.download = `${audio.baseName}-${part}.wav`;
+  link.href = audio.urls[part];
+  link.click();
+  console.log('✓ Downloaded:', link.download);
+};
+
+// Loudness figures are null for silence or when the stage did not run
+const formatReportLevel = (value, unit) => (value === null || value === undefined ? 'N/A' : `${value.toFixed(1)} ${unit}`);
+
+// Beat or subdivision lengths relative to an even split, e.g. "0.85 : 1.14 : 1.01 (SLM)"
+const formatReportProfile = (profile) => (profile ? `${profile.durations.map(d => (d * profile.durations.length).toFixed(2)).join(' : ')} (${profile.pattern})` : 'N/A');
+
+// One line per structural section, e.g. "  0:32-1:04  B   96 BPM  A minor"
+const formatReportTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+const formatReportSections = (structure) => (structure?.sections?.length
+  ? structure.sections.map(section => `  ${formatReportTime(section.start)}-${formatReportTime(section.end)}  ${section.label.padEnd(3)} ${section.tempo ? `${section.tempo} BPM` : 'no beat'}  ${section.key?.label || 'key unclear'}`).join('\n')
+  : '  N/A');
+
+// What moved each top genre's score, and how far behind the runner-up finished
+const formatReportDelta = (delta) => `${delta > 0 ? '+' : '-'}${Math.abs(delta).toFixed(2)}`;
+const formatReportGenreWhy = (explanation) => {
+  if (!explanation?.genres?.length) return '  N/A';
+  const lines = explanation.genres.map(entry => `  ${entry.genre} (score ${entry.score.toFixed(2)}): ${entry.contributions.length
+    ? entry.contributions.map(item => `${formatReportDelta(item.delta)} ${item.description}`).join('; ')
+    : 'no rule or model moved this score'}`);
+  const runnerUp = explanation.runnerUp;
+  if (runnerUp) {
+    lines.push(`  Runner-up: ${runnerUp.genre}, ${runnerUp.scoreGap.toFixed(2)} behind ${runnerUp.leader}${runnerUp.deciding.length ? ` (decided by ${runnerUp.deciding.map(item => `${item.description} ${formatReportDelta(item.delta)}`).join('; ')})` : ''}`);
+  }
+  if (explanation.note) lines.unshift(`  ${explanation.note}`);
+  return lines.join('\n');
+};
+
 // Generate analysis report as TXT
 window.generateAnalysisReport = function() {
   const data = window.currentAnalysisData;
@@ -1202,23 +1480,69 @@ window.generateAnalysisReport = function() {
   }
   try {
     const timestamp = new Date().toLocaleString();
+    const groove = data.rhythmAnalysis?.groove;
+    // An hour of contour pitches is too many arguments to spread into Math.min / Math.max
+    const pitches = data.pitches?.length ? data.pitches : [0];
+    const minPitch = pitches.reduce((a, p) => Math.min(a, p), Infinity);
+    const maxPitch = pitches.reduce((a, p) => Math.max(a, p), -Infinity);
     const report = `
 ═══════════════════════════════════════════════════
 ETHNOMUSICOLOGY ANALYSIS REPORT
 Generated: ${timestamp}
 ═══════════════════════════════════════════════════
 
+CHANNELS
+Analyzed Signal: ${data.channelLabel || 'Mono'}
+Channel Levels: ${data.channelAnalysis ? data.channelAnalysis.perChannel.map(ch => `${ch.name} ${Number.isFinite(ch.rmsDb) ? ch.rmsDb.toFixed(1) : '-inf'} dB RMS`).join(', ') : 'N/A'}
+Stereo Field: ${data.channelAnalysis?.channelCount > 1 ? `correlation ${data.channelAnalysis.correlation.toFixed(2)}, width ${(data.channelAnalysis.width * 100).toFixed(0)}%, balance ${data.channelAnalysis.balance.toFixed(2)} (-1 left, +1 right)` : 'Mono'}
+
+═══════════════════════════════════════════════════
+
+LOUDNESS & DYNAMICS (ITU-R BS.1770, all channels)
+Integrated Loudness: ${formatReportLevel(data.loudnessAnalysis?.integrated, 'LUFS')}
+Loudness Range: ${formatReportLevel(data.loudnessAnalysis?.loudnessRange, 'LU')}
+Max Momentary / Short-term: ${formatReportLevel(data.loudnessAnalysis?.maxMomentary, 'LUFS')} / ${formatReportLevel(data.loudnessAnalysis?.maxShortTerm, 'LUFS')}
+True Peak: ${formatReportLevel(data.loudnessAnalysis?.truePeak, 'dBTP')} (sample peak ${formatReportLevel(data.loudnessAnalysis?.samplePeak, 'dBFS')})
+Crest Factor: ${formatReportLevel(data.loudnessAnalysis?.crestFactor, 'dB')}
+Peak to Loudness Ratio: ${formatReportLevel(data.loudnessAnalysis?.peakToLoudness, 'LU')}
+
+═══════════════════════════════════════════════════
+
 PITCH ANALYSIS
 Detected Pitch: ${(data.pitch || 0).toFixed(1)} Hz
 Scale: ${data.scaleAnalysis?.scale || 'Unknown'}
-Pitch Range: ${Math.min(...(data.pitches || [0])).toFixed(1)} - ${Math.max(...(data.pitches || [0])).toFixed(1)} Hz
+Tonic (Sa): ${data.tonicAnalysis?.tonic ? `${data.tonicAnalysis.tonic.note} ${data.tonicAnalysis.tonic.frequency.toFixed(1)} Hz (${data.tonicAnalysis.method})` : 'Unknown'}
+Pitch Range: ${minPitch.toFixed(1)} - ${maxPitch.toFixed(1)} Hz
+Voiced Frames: ${data.pitchContour ? `${data.pitchContour.frames.filter(f => f.voiced).length} of ${data.pitchContour.frames.length}` : 'N/A'}
+Ornaments: ${data.ornamentAnalysis ? `${data.ornamentAnalysis.summary.glide} glides, ${data.ornamentAnalysis.summary.vibrato} vibrato, ${data.ornamentAnalysis.summary.gamaka} gamaka, ${data.ornamentAnalysis.summary.grace} grace notes` : 'N/A'}
+Transcribed Notes: ${data.transcription ? `${data.transcription.notes.length} notes, ${data.transcription.rests.length} rests` : 'N/A'}
 
 ═══════════════════════════════════════════════════
 
 RHYTHM ANALYSIS
 Tempo: ${(data.rhythmAnalysis?.tempo || 0).toFixed(0)} BPM
+Beats: ${data.rhythmAnalysis?.beats?.length ? `${data.rhythmAnalysis.beats.length} tracked${data.rhythmAnalysis.beatsPerBar ? `, ${data.rhythmAnalysis.beatsPerBar} per bar, first downbeat at ${data.rhythmAnalysis.downbeats[0].toFixed(2)}s` : ''}` : 'Not tracked'}
+Tempo Curve: ${data.rhythmAnalysis?.tempoCurve?.length > 1 ? `${Math.min(...data.rhythmAnalysis.tempoCurve.map(p => p.bpm)).toFixed(0)}-${Math.max(...data.rhythmAnalysis.tempoCurve.map(p => p.bpm)).toFixed(0)} BPM` : 'N/A'}
 Regularity: ${((data.rhythmAnalysis?.regularity || 0) * 100).toFixed(1)}%
 Detected Onsets: ${data.rhythmAnalysis?.peakCount || 0}
+Percussive Share: ${data.separation ? `${(data.separation.percussiveShare * 100).toFixed(1)}% (rhythm measured on the ${data.rhythmAnalysis?.source === 'percussive' ? 'percussive part' : 'full mix'}, pitch on the harmonic part)` : 'N/A (full mix)'}
+Polyrhythm: ${data.rhythmAnalysis?.polyrhythm?.ratios?.length ? data.rhythmAnalysis.polyrhythm.ratios.slice(0, 3).map(r => `${r.label} (${r.fast.band} ${r.fast.period} vs ${r.slow.band} ${r.slow.period} beats, ${(r.confidence * 100).toFixed(0)}%)`).join('; ') : 'None detected'}
+Cycle: ${data.cycleAnalysis?.bestMatch ? `${data.cycleAnalysis.bestMatch.name} (${data.cycleAnalysis.periodBeats} beats), sam at ${data.cycleAnalysis.samTime.toFixed(2)}s` : 'Not detected'}
+
+GROOVE & MICROTIMING
+Grid: ${groove ? `${groove.beatsPerBar} beats x ${groove.subdivisions} per beat over ${groove.bars} bars` : 'N/A'}
+Swing Ratio: ${groove?.swingRatio ? `${groove.swingRatio.toFixed(2)} : 1 (${groove.swingFeel}, ${groove.swingLevel} notes)` : 'N/A'}
+Microtiming: ${groove ? `${groove.microtimingMs.toFixed(1)} ms average deviation from the metronomic grid` : 'N/A'}
+Beat Lengths: ${formatReportProfile(groove?.beatProfile)}
+Subdivision Lengths: ${formatReportProfile(groove?.subdivisionProfile)}
+Feel: ${groove?.feels?.length ? groove.feels.join(', ') : 'N/A'}
+
+═══════════════════════════════════════════════════
+
+SONG STRUCTURE
+Form: ${data.structure?.form || 'N/A'}
+Sections:
+${formatReportSections(data.structure)}
 
 ═══════════════════════════════════════════════════
 
@@ -1230,8 +1554,10 @@ Brightness: ${((data.spectralAnalysis?.brightness || 0) * 100).toFixed(1)}%
 ═══════════════════════════════════════════════════
 
 GENRE CLASSIFICATION
-Genre: ${data.genre?.label || data.genre?.genre || 'Unknown'}
+Genre: ${data.genre?.label || data.genre?.genre || 'Unknown'}${data.genre?.style ? `\nStyle: ${data.genre.style} (${data.genre.parent})` : ''}
 Confidence: ${Number.isFinite(data.genre?.confidence) && data.genre?.confidence > 1 ? data.genre?.confidence.toFixed(1) : ((data.genre?.confidence || 0) * 100).toFixed(1)}%
+Why:
+${formatReportGenreWhy(data.genreExplanation)}
 
 ═══════════════════════════════════════════════════
 
@@ -0,0 +1,255 @@
+/**
+ * Loudness and Dynamics Module
+ * ITU-R BS.1770 / EBU R128 loudness: K-weighting, momentary (400 ms), short-term (3 s)
+ * and gated integrated loudness in LUFS, loudness range (LRA, EBU Tech 3342), a
+ * true-peak estimate by 4x oversampling, crest factor and a dynamics envelope over time.
+ */
+
+const DEFAULTS = {
+    blockSeconds: 0.1,          // gating sub-block; momentary = 4 blocks, short-term = 30
+    maxEnvelopePoints: 1200,    // long files are summarized at a coarser hop
+    absoluteGate: -70,          // LUFS
+    relativeGate: -10,          // LU below the ungated integrated loudness
+    lraRelativeGate: -20,       // LU, for the loudness range
+    truePeakTaps: 12            // FIR taps per oversampling phase
+};
+
+const LUFS_OFFSET = -0.691;
+
+const toLufs = (meanSquare) => (meanSquare > 0 ? LUFS_OFFSET + 10 * Math.log10(meanSquare) : -Infinity);
+const toDb = (value) => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+// Long files have more blocks than can be spread into Math.max
+const maxOf = (values) => values.reduce((acc, v) => Math.max(acc, v), -Infinity);
+// Non-finite levels (silence) are reported as null so the result stays JSON-friendly
+const round1 = (value) => (Number.isFinite(value) ? Math.round(value * 10) / 10 : null);
+
+/**
+ * K-weighting as two biquads (high shelf, then high pass), designed for any sample rate
+ * from the analogue prototypes behind the 48 kHz coefficients in BS.1770
+ * @param {number} sampleRate - Sample rate
+ * @returns {Array<{b: number[], a: number[]}>} Biquad coefficients (a[0] = 1)
+ */
+export function kWeightingFilters(sampleRate) {
+    const shelfF0 = 1681.974450955533;
+    const shelfGain = 3.999843853973347;
+    const shelfQ = 0.7071752369554196;
+    let K = Math.tan((Math.PI * shelfF0) / sampleRate);
+    const Vh = 10 ** (shelfGain / 20);
+    const Vb = Vh ** 0.4996667741545416;
+    let a0 = 1 + K / shelfQ + K * K;
+    const shelf = {
+        b: [(Vh + (Vb * K) / shelfQ + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / shelfQ + K * K) / a0],
+        a: [1, (2 * (K * K - 1)) / a0, (1 - K / shelfQ + K * K) / a0]
+    };
+
+    const highPassF0 = 38.13547087602444;
+    const highPassQ = 0.5003270373238773;
+    K = Math.tan((Math.PI * highPassF0) / sampleRate);
+    a0 = 1 + K / highPassQ + K * K;
+    const highPass = {
+        b: [1, -2, 1],
+        a: [1, (2 * (K * K - 1)) / a0, (1 - K / highPassQ + K * K) / a0]
+    };
+    return [shelf, highPass];
+}
+
+function applyBiquad(input, { b, a }) {
+    const output = new Float64Array(input.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < input.length; i++) {
+        const x = input[i];
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        output[i] = y;
+    }
+    return output;
+}
+
+// BS.1770 channel weights: surrounds count 1.41x, the LFE of a 5.1 file not at all
+function channelWeights(count) {
+    if (count === 6) return [1, 1, 1, 0, 1.41, 1.41];
+    if (count === 5) return [1, 1, 1, 1.41, 1.41];
+    return new Array(count).fill(1);
+}
+
+/**
+ * True peak by 4x oversampling with a windowed-sinc interpolator (BS.1770 Annex 2). Only the
+ * stretches within 6 dB of the sample peak are interpolated; quieter ones cannot hold the true peak.
+ * @param {Float32Array} samples - One channel
+ * @param {number} sampleRate - Sample rate; at 176.4 kHz and above the sample peak is used
+ * @param {number} taps - Interpolator taps per phase
+ * @returns {{samplePeak: number, truePeak: number}} Linear peak values
+ */
+export function estimateTruePeak(samples, sampleRate, taps = DEFAULTS.truePeakTaps) {
+    let samplePeak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const magnitude = Math.abs(samples[i]);
+        if (magnitude > samplePeak) samplePeak = magnitude;
+    }
+    const factor = sampleRate >= 176400 ? 1 : sampleRate >= 88200 ? 2 : 4;
+    if (factor === 1 || samplePeak === 0) return { samplePeak, truePeak: samplePeak };
+
+    // One Hann-windowed sinc kernel per fractional position between two samples
+    const half = taps / 2;
+    const phases = [];
+    for (let p = 1; p < factor; p++) {
+        const frac = p / factor;
+        const kernel = new Float64Array(taps);
+        for (let t = 0; t < taps; t++) {
+            const x = t - half + 1 - frac;
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+            kernel[t] = sinc * (0.5 + 0.5 * Math.cos((Math.PI * x) / (half + 1)));
+        }
+        phases.push(kernel);
+    }
+
+    const threshold = samplePeak / 2;
+    let truePeak = samplePeak;
+    for (let i = 0; i + 1 < samples.length; i++) {
+        if (Math.abs(samples[i]) < threshold && Math.abs(samples[i + 1]) < threshold) continue;
+        for (const kernel of phases) {
+            let value = 0;
+            for (let t = 0; t < taps; t++) {
+                const index = i + t - half + 1;
+                if (index >= 0 && index < samples.length) value += kernel[t] * samples[index];
+            }
+            const magnitude = Math.abs(value);
+            if (magnitude > truePeak) truePeak = magnitude;
+        }
+    }
+    return { samplePeak, truePeak };
+}
+
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return NaN;
+    const position = (sorted.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Loudness and dynamics of a recording
+ * @param {Float32Array[]} channels - Decoded channels (a mono Float32Array is accepted too)
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { blockSeconds, maxEnvelopePoints, absoluteGate, relativeGate, lraRelativeGate, truePeakTaps }
+ * @returns {Object} { integrated (LUFS), loudnessRange (LU), maxMomentary, maxShortTerm (LUFS), truePeak (dBTP),
+ *   samplePeak (dBFS), rms (dBFS), crestFactor (dB), peakToLoudness (PLR, LU), lraLow, lraHigh (LUFS),
+ *   envelope: { hopSeconds, points: [{ time, momentary, shortTerm, rms, peak }] } }; silent values are null
+ */
+export function analyzeLoudness(channels, sampleRate, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const list = channels instanceof Float32Array ? [channels] : Array.from(channels);
+    const length = Math.min(...list.map(channel => channel.length));
+    const weights = channelWeights(list.length);
+    const blockSize = Math.max(1, Math.round(opts.blockSeconds * sampleRate));
+    const blockCount = Math.floor(length / blockSize);
+    const filters = kWeightingFilters(sampleRate);
+
+    // Channel-weighted K-weighted energy, plus raw energy and peak, per 100 ms block
+    const weighted = new Float64Array(blockCount);
+    const rawEnergy = new Float64Array(blockCount);
+    const rawPeak = new Float64Array(blockCount);
+    let totalEnergy = 0;
+    let samplePeak = 0;
+    let truePeak = 0;
+
+    list.forEach((channel, c) => {
+        const data = channel.length === length ? channel : channel.subarray(0, length);
+        const filtered = filters.reduce((signal, filter) => applyBiquad(signal, filter), data);
+        for (let b = 0; b < blockCount; b++) {
+            let kSum = 0, sum = 0, peak = 0;
+            for (let i = b * blockSize, end = i + blockSize; i < end; i++) {
+                kSum += filtered[i] * filtered[i];
+                sum += data[i] * data[i];
+                const magnitude = Math.abs(data[i]);
+                if (magnitude > peak) peak = magnitude;
+            }
+            weighted[b] += weights[c] * kSum;
+            rawEnergy[b] += sum;
+            if (peak > rawPeak[b]) rawPeak[b] = peak;
+        }
+        for (let i = 0; i < length; i++) totalEnergy += data[i] * data[i];
+        const peaks = estimateTruePeak(data, sampleRate, opts.truePeakTaps);
+        samplePeak = Math.max(samplePeak, peaks.samplePeak);
+        truePeak = Math.max(truePeak, peaks.truePeak);
+    });
+
+    // Mean square over a run of blocks ending at block `last`
+    const windowLoudness = (blocks, last) => {
+        if (last + 1 < blocks) return -Infinity;
+        let sum = 0;
+        for (let b = last - blocks + 1; b <= last; b++) sum += weighted[b];
+        return toLufs(sum / (blocks * blockSize));
+    };
+    const momentaryBlocks = Math.round(0.4 / opts.blockSeconds);
+    const shortTermBlocks = Math.round(3 / opts.blockSeconds);
+    const momentary = Array.from({ length: blockCount }, (_, b) => windowLoudness(momentaryBlocks, b));
+    const shortTerm = Array.from({ length: blockCount }, (_, b) => windowLoudness(shortTermBlocks, b));
+
+    // Integrated loudness: 400 ms gating blocks, absolute then relative gate
+    const gatingEnergy = [];
+    for (let b = momentaryBlocks - 1; b < blockCount; b++) {
+        let sum = 0;
+        for (let k = b - momentaryBlocks + 1; k <= b; k++) sum += weighted[k];
+        gatingEnergy.push(sum / (momentaryBlocks * blockSize));
+    }
+    const gatedMean = (energies, gate) => {
+        const kept = energies.filter(e => toLufs(e) > gate);
+        return kept.length ? kept.reduce((acc, e) => acc + e, 0) / kept.length : 0;
+    };
+    const ungated = gatedMean(gatingEnergy, opts.absoluteGate);
+    const integrated = ungated > 0 ? toLufs(gatedMean(gatingEnergy, Math.max(opts.absoluteGate, toLufs(ungated) + opts.relativeGate))) : -Infinity;
+
+    // Loudness range from the distribution of short-term loudness (EBU Tech 3342)
+    const shortTermValid = shortTerm.filter(l => l > opts.absoluteGate);
+    let loudnessRange = null, lraLow = null, lraHigh = null;
+    if (shortTermValid.length) {
+        const meanEnergy = shortTermValid.reduce((acc, l) => acc + 10 ** ((l - LUFS_OFFSET) / 10), 0) / shortTermValid.length;
+        const gate = toLufs(meanEnergy) + opts.lraRelativeGate;
+        const kept = shortTermValid.filter(l => l > gate).sort((a, b) => a - b);
+        if (kept.length) {
+            lraLow = percentile(kept, 0.1);
+            lraHigh = percentile(kept, 0.95);
+            loudnessRange = lraHigh - lraLow;
+        }
+    }
+
+    // Envelope: every block, or groups of blocks for long files
+    const group = Math.max(1, Math.ceil(blockCount / opts.maxEnvelopePoints));
+    const points = [];
+    for (let b = 0; b < blockCount; b += group) {
+        const last = Math.min(blockCount, b + group) - 1;
+        let energy = 0, peak = 0;
+        for (let k = b; k <= last; k++) {
+            energy += rawEnergy[k];
+            peak = Math.max(peak, rawPeak[k]);
+        }
+        points.push({
+            time: Math.round((b * blockSize / sampleRate) * 1000) / 1000,
+            momentary: round1(Math.max(...momentary.slice(b, last + 1))),
+            shortTerm: round1(shortTerm[last]),
+            rms: round1(toDb(Math.sqrt(energy / ((last - b + 1) * blockSize * list.length)))),
+            peak: round1(toDb(peak))
+        });
+    }
+
+    const rms = length ? Math.sqrt(totalEnergy / (length * list.length)) : 0;
+    return {
+        integrated: round1(integrated),
+        loudnessRange: round1(loudnessRange),
+        lraLow: round1(lraLow),
+        lraHigh: round1(lraHigh),
+        maxMomentary: round1(maxOf(momentary)),
+        maxShortTerm: round1(maxOf(shortTerm)),
+        truePeak: round1(toDb(truePeak)),
+        samplePeak: round1(toDb(samplePeak)),
+        rms: round1(toDb(rms)),
+        crestFactor: round1(toDb(samplePeak) - toDb(rms)),
+        peakToLoudness: round1(toDb(truePeak) - integrated),
+        envelope: { hopSeconds: Math.round(group * blockSize / sampleRate * 1000) / 1000, points }
+    };
+}
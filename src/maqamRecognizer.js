@@ -0,0 +1,123 @@
+/**
+ * Maqam Recognition Module
+ * Ranks Arabic maqamat from a tonic estimate and a microtonal pitch-class profile.
+ * Degrees come from the cents histogram in tuningAnalysis.js, so neutral seconds
+ * and thirds (Rast, Bayati, Sikah, Saba) are kept apart from their 12-TET neighbours.
+ */
+
+import { analyzeTuning, filterStablePitches, frequencyToCents, nearestEqualTempered } from './tuningAnalysis.js';
+
+/**
+ * Maqam templates in cents above the tonic (qarar), using the 24-tone
+ * quarter-tone approximation common in Arabic theory. The first entry of
+ * each ajnas pair is the lower jins that gives the maqam its name.
+ */
+export const MAQAM_TEMPLATES = {
+    Rast: { steps: [0, 200, 350, 500, 700, 900, 1050], ajnas: ['Rast', 'Rast'] },
+    Bayati: { steps: [0, 150, 300, 500, 700, 800, 1000], ajnas: ['Bayati', 'Nahawand'] },
+    Hijaz: { steps: [0, 100, 400, 500, 700, 800, 1000], ajnas: ['Hijaz', 'Nahawand'] },
+    Saba: { steps: [0, 150, 300, 400, 700, 800, 1000], ajnas: ['Saba', 'Hijaz'] },
+    Nahawand: { steps: [0, 200, 300, 500, 700, 800, 1100], ajnas: ['Nahawand', 'Hijaz'] },
+    Kurd: { steps: [0, 100, 300, 500, 700, 800, 1000], ajnas: ['Kurd', 'Kurd'] },
+    Sikah: { steps: [0, 150, 350, 550, 700, 850, 1050], ajnas: ['Sikah', 'Rast'] },
+    Ajam: { steps: [0, 200, 400, 500, 700, 900, 1100], ajnas: ['Ajam', 'Ajam'] },
+    Nikriz: { steps: [0, 200, 300, 600, 700, 900, 1000], ajnas: ['Nikriz', 'Nahawand'] },
+    Huzam: { steps: [0, 150, 350, 450, 750, 850, 1050], ajnas: ['Sikah', 'Hijaz'] }
+};
+
+const mod1200 = (c) => ((c % 1200) + 1200) % 1200;
+
+const circularDistance = (a, b) => {
+    const d = mod1200(a - b);
+    return Math.min(d, 1200 - d);
+};
+
+/**
+ * Similarity between an observed interval profile and one maqam template
+ * @param {Array<{interval: number, weight: number}>} profile - Degrees relative to the tonic
+ * @param {number[]} steps - Template intervals in cents
+ * @param {number} sigma - Tolerance in cents (a quarter tone away scores ~0.14)
+ * @returns {{score: number, fit: number, coverage: number}} Match quality (0-1)
+ */
+function scoreTemplate(profile, steps, sigma) {
+    const kernel = (d) => Math.exp(-(d * d) / (2 * sigma * sigma));
+    const totalWeight = profile.reduce((a, p) => a + p.weight, 0) || 1;
+
+    // How much of what was played the maqam explains
+    const fit = profile.reduce((acc, p) => {
+        const nearest = Math.min(...steps.map(s => circularDistance(p.interval, s)));
+        return acc + kernel(nearest) * p.weight;
+    }, 0) / totalWeight;
+
+    // How many of the maqam's degrees were actually heard
+    const coverage = steps.reduce((acc, s) => {
+        const nearest = Math.min(...profile.map(p => circularDistance(p.interval, s)));
+        return acc + kernel(nearest);
+    }, 0) / steps.length;
+
+    // Short phrases rarely touch every degree, so coverage counts for less than fit
+    return { score: fit * (0.5 + 0.5 * coverage), fit, coverage };
+}
+
+/**
+ * Rank maqamat for a pitch sequence
+ * @param {number[]} pitches - Frequencies in Hz, in time order
+ * @param {Object} options - { tonicHz, sigma, topN }
+ * @returns {Object} Tonic estimate and maqamat ranked by confidence
+ */
+export function recognizeMaqam(pitches, options = {}) {
+    const { tonicHz = null, sigma = 25, topN = 5 } = options;
+    const tuning = analyzeTuning(pitches, { stableOnly: true });
+    const degrees = tuning.degrees;
+
+    if (degrees.length < 3) {
+        return { tonic: null, maqamat: [], best: null };
+    }
+
+    // Tonic candidates: a supplied tonic, otherwise every detected degree.
+    // Maqam performances settle on the qarar, so the final stable note gets a bonus.
+    const maxWeight = Math.max(...degrees.map(d => d.weight)) || 1;
+    const stable = filterStablePitches(pitches || []);
+    const finalCents = stable.length ? frequencyToCents(stable[stable.length - 1]) : null;
+
+    const candidates = tonicHz > 0
+        ? [{ cents: frequencyToCents(tonicHz), prior: 1 }]
+        : degrees.map(d => {
+            let prior = 0.5 + 0.5 * (d.weight / maxWeight);
+            if (finalCents !== null && circularDistance(finalCents, d.cents) < 30) prior += 0.25;
+            return { cents: d.cents, prior };
+        });
+
+    const ranked = Object.entries(MAQAM_TEMPLATES).map(([name, template]) => {
+        let best = { score: 0, fit: 0, coverage: 0, tonicCents: candidates[0].cents };
+        for (const candidate of candidates) {
+            const profile = degrees.map(d => ({ interval: mod1200(d.cents - candidate.cents), weight: d.weight }));
+            const match = scoreTemplate(profile, template.steps, sigma);
+            const score = match.score * candidate.prior;
+            if (score > best.score) best = { ...match, score, tonicCents: candidate.cents };
+        }
+        return { name, ajnas: template.ajnas, ...best };
+    });
+
+    const total = ranked.reduce((a, r) => a + r.score, 0) || 1;
+    const maqamat = ranked
+        .map(r => {
+            const { note, deviation } = nearestEqualTempered(r.tonicCents);
+            return {
+                maqam: r.name,
+                confidence: Math.round((r.score / total) * 1000) / 1000,
+                fit: Math.round(r.fit * 1000) / 1000,
+                coverage: Math.round(r.coverage * 1000) / 1000,
+                tonic: { cents: Math.round(r.tonicCents * 10) / 10, note, deviation: Math.round(deviation) },
+                ajnas: r.ajnas
+            };
+        })
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, topN);
+
+    return {
+        tonic: maqamat[0].tonic,
+        maqamat,
+        best: maqamat[0]
+    };
+}
@@ -0,0 +1,193 @@
+/**
+ * Melody Transcription Module
+ * Turns a frame-wise pitch contour (see pitchTracker.js) and onset times into
+ * note events with onset, duration, pitch in cents and the nearest scale degree.
+ * Notes are split where the pitch settles on a new value, where an onset
+ * re-articulates the same pitch (repeated notes) and where voicing stops; gaps
+ * long enough to be heard as silence become rests.
+ */
+
+import { frequencyToCents, nearestEqualTempered } from './tuningAnalysis.js';
+
+const DEFAULTS = {
+    minNoteSeconds: 0.08,       // shorter fragments are absorbed by a neighbouring note
+    minRestSeconds: 0.1,        // shorter unvoiced gaps only separate notes
+    pitchChangeCents: 60,       // a new note must settle at least this far from the current one
+    stableSpreadCents: 40,      // spread allowed in the window where a new pitch settles
+    onsetToleranceSeconds: 0.05 // onsets this close to a note boundary are already accounted for
+};
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Split one voiced run into note segments at pitch changes. A boundary is placed
+ * where the pitch first leaves the current note, but only once the pitch has settled
+ * somewhere new; vibrato and gamaka excursions that come back do not split the note.
+ * @returns {number[]} Frame indices (within the run) where a new note starts
+ */
+function pitchBoundaries(cents, settleFrames, opts) {
+    const boundaries = [];
+    let reference = median(cents.slice(0, settleFrames));
+    let departure = -1;
+    for (let i = 1; i < cents.length; i++) {
+        if (Math.abs(cents[i] - reference) <= opts.pitchChangeCents) {
+            departure = -1;
+            continue;
+        }
+        if (departure < 0) departure = i;
+        const window = cents.slice(i, i + settleFrames);
+        if (window.length < settleFrames) break;
+        const settled = median(window);
+        const spread = Math.max(...window) - Math.min(...window);
+        if (spread <= opts.stableSpreadCents && Math.abs(settled - reference) > opts.pitchChangeCents) {
+            boundaries.push(departure);
+            reference = settled;
+            departure = -1;
+            i += settleFrames - 1;
+        }
+    }
+    return boundaries;
+}
+
+/**
+ * Nearest scale degree for a pitch given in cents above the tonic
+ * @param {number} cents - Pitch relative to the tonic
+ * @param {number[]} degrees - Scale degrees as intervals above the tonic (0-1200); 12-TET when empty
+ * @returns {{interval: number, octave: number, deviation: number}} Degree interval, octave relative to the tonic and signed deviation
+ */
+function nearestDegree(cents, degrees) {
+    const grid = degrees && degrees.length ? degrees : Array.from({ length: 12 }, (_, i) => i * 100);
+    let best = null;
+    const octave = Math.floor(cents / 1200);
+    for (let o = octave - 1; o <= octave + 1; o++) {
+        for (const interval of grid) {
+            const deviation = cents - (o * 1200 + interval);
+            if (!best || Math.abs(deviation) < Math.abs(best.deviation)) {
+                best = { interval, octave: o, deviation };
+            }
+        }
+    }
+    // An interval of ~1200 is the tonic of the next octave
+    if (best.interval >= 1200 - 1e-6) {
+        best.interval -= 1200;
+        best.octave += 1;
+    }
+    return { interval: Math.round(best.interval * 10) / 10, octave: best.octave, deviation: Math.round(best.deviation) };
+}
+
+/**
+ * Transcribe a pitch contour into note events
+ * @param {{frames: Array<{time: number, frequency: number, voicing: number, voiced: boolean}>}} contour - Output of trackPitch
+ * @param {number[]} onsets - Onset times in seconds (e.g. from detectOnsets)
+ * @param {Object} options - { tonicHz, scaleDegrees: intervals above the tonic in cents } plus overrides for DEFAULTS
+ * @returns {{reference: number, notes: Array<Object>, rests: Array<{start: number, end: number, duration: number}>}}
+ *   Reference pitch (Hz) the note cents are measured from, notes and rests in time order
+ */
+export function transcribeNotes(contour, onsets = [], options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const frames = contour?.frames || [];
+    const reference = opts.tonicHz > 0 ? opts.tonicHz : 440 * Math.pow(2, -9 / 12);
+    const hop = contour?.hopSeconds || (frames.length > 1 ? frames[1].time - frames[0].time : 0.01);
+    const minFrames = Math.max(1, Math.round(opts.minNoteSeconds / hop));
+    const sortedOnsets = [...onsets].sort((a, b) => a - b);
+
+    // Voiced runs; any unvoiced frame ends a note
+    const runs = [];
+    let current = [];
+    for (const frame of frames) {
+        if (frame.voiced && frame.frequency > 0) {
+            current.push(frame);
+        } else if (current.length) {
+            runs.push(current);
+            current = [];
+        }
+    }
+    if (current.length) runs.push(current);
+
+    const segments = [];
+    for (const run of runs) {
+        if (run.length < minFrames) continue;
+        const cents = run.map(f => 1200 * Math.log2(f.frequency / reference));
+
+        const starts = new Map([[0, 'voicing']]);
+        pitchBoundaries(cents, minFrames, opts).forEach(i => starts.set(i, 'pitch'));
+
+        // Onsets inside a run re-articulate a note (repeated notes stay voiced across the attack)
+        const runStart = run[0].time;
+        const runEnd = run[run.length - 1].time + hop;
+        for (const onset of sortedOnsets) {
+            if (onset < runStart + opts.onsetToleranceSeconds || onset > runEnd - opts.minNoteSeconds) continue;
+            const index = run.findIndex(f => f.time >= onset);
+            if (index < 0) continue;
+            const nearExisting = [...starts.keys()].some(i => Math.abs(run[i].time - run[index].time) < opts.onsetToleranceSeconds);
+            if (!nearExisting) starts.set(index, 'onset');
+        }
+
+        const ordered = [...starts.keys()].sort((a, b) => a - b);
+        const pieces = ordered.map((start, k) => ({
+            start,
+            end: (k + 1 < ordered.length ? ordered[k + 1] : run.length) - 1,
+            boundary: starts.get(start)
+        }));
+
+        // Fragments shorter than a note join the previous piece (or the next, at the start of a run)
+        const merged = [];
+        for (const piece of pieces) {
+            const last = merged[merged.length - 1];
+            if (last && piece.end - piece.start + 1 < minFrames) {
+                last.end = piece.end;
+            } else if (last && last.end - last.start + 1 < minFrames) {
+                last.end = piece.end;
+            } else {
+                merged.push({ ...piece });
+            }
+        }
+
+        for (const piece of merged) {
+            const pieceFrames = run.slice(piece.start, piece.end + 1);
+            segments.push({
+                frames: pieceFrames,
+                cents: cents.slice(piece.start, piece.end + 1),
+                boundary: piece.boundary
+            });
+        }
+    }
+
+    const notes = segments.map(seg => {
+        const start = seg.frames[0].time;
+        const end = seg.frames[seg.frames.length - 1].time + hop;
+        const cents = median(seg.cents);
+        const frequency = reference * Math.pow(2, cents / 1200);
+        const midi = 69 + 12 * Math.log2(frequency / 440);
+        const { note, deviation } = nearestEqualTempered(frequencyToCents(frequency));
+        const voicing = seg.frames.reduce((a, f) => a + (f.voicing ?? 1), 0) / seg.frames.length;
+        return {
+            start: Math.round(start * 1000) / 1000,
+            end: Math.round(end * 1000) / 1000,
+            duration: Math.round((end - start) * 1000) / 1000,
+            cents: Math.round(cents),
+            frequency: Math.round(frequency * 100) / 100,
+            midi: Math.round(midi * 100) / 100,
+            note: `${note}${Math.floor(Math.round(midi) / 12) - 1}`,
+            deviation: Math.round(deviation),
+            degree: nearestDegree(cents, opts.scaleDegrees),
+            confidence: Math.round(voicing * 1000) / 1000,
+            boundary: seg.boundary
+        };
+    });
+
+    const rests = [];
+    for (let i = 1; i < notes.length; i++) {
+        const gap = notes[i].start - notes[i - 1].end;
+        if (gap >= opts.minRestSeconds - 1e-9) {
+            rests.push({ start: notes[i - 1].end, end: notes[i].start, duration: Math.round(gap * 1000) / 1000 });
+        }
+    }
+
+    return { reference: Math.round(reference * 100) / 100, notes, rests };
+}
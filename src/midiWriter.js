@@ -0,0 +1,178 @@
+/**
+ * Standard MIDI File Writer
+ * Writes note events (seconds + MIDI pitch, possibly fractional) as a format 1 SMF
+ * with tempo, time-signature and track-name meta events. Microtonal inflections
+ * (maqam quarter tones, shruti) are sent as pitch bend: every note that sounds
+ * together with another gets its own channel, so each can carry its own bend,
+ * and each channel's bend range is set with RPN 0 at the start of the track.
+ */
+
+const DEFAULTS = {
+    tempo: 120,                 // quarter notes per minute
+    timeSignature: [4, 4],
+    ticksPerQuarter: 480,
+    pitchBendRange: 2,          // semitones either way
+    program: 0,                 // General MIDI program (0 = Acoustic Grand Piano)
+    velocity: 90,
+    trackName: 'World Music Analysis'
+};
+
+// Channel 10 (index 9) is reserved for percussion in General MIDI
+const MELODIC_CHANNELS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 10, 11, 12, 13, 14, 15];
+
+function variableLength(value) {
+    const bytes = [value & 0x7f];
+    let v = value >> 7;
+    while (v > 0) {
+        bytes.unshift((v & 0x7f) | 0x80);
+        v >>= 7;
+    }
+    return bytes;
+}
+
+function textBytes(text) {
+    return Array.from(new TextEncoder().encode(text));
+}
+
+function chunk(type, data) {
+    const length = data.length;
+    return [
+        ...textBytes(type),
+        (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff,
+        ...data
+    ];
+}
+
+/**
+ * Encode absolute-tick events as an MTrk chunk body; events at the same tick keep their order
+ * @param {Array<{tick: number, bytes: number[]}>} events - Channel or meta messages
+ * @returns {number[]} Track data ending with End of Track
+ */
+function encodeTrack(events) {
+    const sorted = events
+        .map((event, order) => ({ ...event, order }))
+        .sort((a, b) => a.tick - b.tick || a.order - b.order);
+    const data = [];
+    let lastTick = 0;
+    for (const event of sorted) {
+        data.push(...variableLength(event.tick - lastTick), ...event.bytes);
+        lastTick = event.tick;
+    }
+    data.push(0x00, 0xff, 0x2f, 0x00);
+    return data;
+}
+
+/**
+ * 14-bit pitch-bend value for a deviation in semitones
+ * @param {number} semitones - Offset from the MIDI note, within ±pitchBendRange
+ * @param {number} range - Pitch-bend range in semitones
+ * @returns {number} 0-16383, 8192 = no bend
+ */
+export function pitchBendValue(semitones, range = DEFAULTS.pitchBendRange) {
+    return Math.max(0, Math.min(16383, Math.round(8192 + (semitones / range) * 8192)));
+}
+
+/**
+ * Tempo and time signature for an analysis result: the detected cycle when there is one
+ * (4/4 for cycles in multiples of four pulses, otherwise one bar of eighth-note pulses),
+ * else the measured tempo in 4/4
+ * @param {Object} analysis - Result of analyzeAudioFile
+ * @returns {{tempo: number, timeSignature: number[], cycleName: string|null}} Quarter-note tempo and [numerator, denominator]
+ */
+export function meterFromAnalysis(analysis) {
+    const cycle = analysis?.cycleAnalysis;
+    if (cycle?.bestMatch && cycle.pulseBPM > 0 && cycle.periodBeats > 0) {
+        const pulses = cycle.periodBeats;
+        if (pulses % 4 === 0) return { tempo: cycle.pulseBPM, timeSignature: [4, 4], cycleName: cycle.bestMatch.name };
+        if (pulses === 3) return { tempo: cycle.pulseBPM, timeSignature: [3, 4], cycleName: cycle.bestMatch.name };
+        return { tempo: cycle.pulseBPM / 2, timeSignature: [pulses, 8], cycleName: cycle.bestMatch.name };
+    }
+    const measured = analysis?.rhythmAnalysis?.tempo;
+    const tempo = measured >= 40 && measured <= 300 ? measured : DEFAULTS.tempo;
+    return { tempo, timeSignature: [4, 4], cycleName: null };
+}
+
+/**
+ * Note events of an analysis transcription, with velocity following the voicing confidence
+ * @param {Object} transcription - result.transcription (see melodyTranscriber.js)
+ * @returns {Array<{start: number, duration: number, midi: number, velocity: number}>} Notes for writeMidiFile
+ */
+export function notesFromTranscription(transcription) {
+    return (transcription?.notes || []).map(note => ({
+        start: note.start,
+        duration: note.duration,
+        midi: note.midi,
+        velocity: Math.round(60 + 50 * Math.min(1, note.confidence ?? 1))
+    }));
+}
+
+/**
+ * Write a Standard MIDI File
+ * @param {Array<{start: number, duration: number, midi?: number, frequency?: number, velocity?: number}>} notes -
+ *   Times in seconds; pitch as a (fractional) MIDI number or a frequency in Hz
+ * @param {Object} options - { tempo, timeSignature, ticksPerQuarter, pitchBendRange, program, velocity, trackName }
+ * @returns {Uint8Array} SMF bytes (format 1: a conductor track and one note track)
+ */
+export function writeMidiFile(notes, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const { tempo, ticksPerQuarter: tpq, pitchBendRange: range } = opts;
+    const [numerator, denominator] = opts.timeSignature;
+    const toTicks = (seconds) => Math.max(0, Math.round((seconds * tempo * tpq) / 60));
+
+    // Conductor track: name, tempo, time signature
+    const microsecondsPerQuarter = Math.round(60000000 / tempo);
+    const name = textBytes(opts.trackName);
+    const conductor = encodeTrack([
+        { tick: 0, bytes: [0xff, 0x03, ...variableLength(name.length), ...name] },
+        { tick: 0, bytes: [0xff, 0x51, 0x03, (microsecondsPerQuarter >> 16) & 0xff, (microsecondsPerQuarter >> 8) & 0xff, microsecondsPerQuarter & 0xff] },
+        { tick: 0, bytes: [0xff, 0x58, 0x04, numerator, Math.round(Math.log2(denominator)), 24, 8] }
+    ]);
+
+    const pitched = notes
+        .map(note => ({
+            ...note,
+            midi: note.midi ?? (note.frequency > 0 ? 69 + 12 * Math.log2(note.frequency / 440) : NaN)
+        }))
+        .filter(note => Number.isFinite(note.midi) && note.duration > 0)
+        .sort((a, b) => a.start - b.start);
+
+    // Give each note a channel that is free when it starts, so overlapping notes can bend independently
+    const channelFreeAt = new Map(MELODIC_CHANNELS.map(ch => [ch, -Infinity]));
+    const events = [];
+    const usedChannels = new Set();
+    pitched.forEach((note, index) => {
+        const startTick = toTicks(note.start);
+        const endTick = Math.max(startTick + 1, toTicks(note.start + note.duration));
+        const channel = MELODIC_CHANNELS.find(ch => channelFreeAt.get(ch) <= startTick)
+            ?? MELODIC_CHANNELS[index % MELODIC_CHANNELS.length];
+        channelFreeAt.set(channel, endTick);
+        usedChannels.add(channel);
+
+        const key = Math.max(0, Math.min(127, Math.round(note.midi)));
+        const bend = pitchBendValue(note.midi - key, range);
+        const velocity = Math.max(1, Math.min(127, Math.round(note.velocity ?? opts.velocity)));
+        events.push({ tick: startTick, bytes: [0xe0 | channel, bend & 0x7f, (bend >> 7) & 0x7f] });
+        events.push({ tick: startTick, bytes: [0x90 | channel, key, velocity] });
+        events.push({ tick: endTick, bytes: [0x80 | channel, key, 0] });
+    });
+
+    // Set-up at tick 0 on every channel in use: program, then RPN 0 (pitch-bend sensitivity)
+    const setup = [];
+    [...usedChannels].sort((a, b) => a - b).forEach(ch => {
+        setup.push({ tick: 0, bytes: [0xc0 | ch, opts.program & 0x7f] });
+        setup.push({ tick: 0, bytes: [0xb0 | ch, 101, 0] });
+        setup.push({ tick: 0, bytes: [0xb0 | ch, 100, 0] });
+        setup.push({ tick: 0, bytes: [0xb0 | ch, 6, Math.min(127, Math.round(range))] });
+        setup.push({ tick: 0, bytes: [0xb0 | ch, 38, 0] });
+    });
+    // Note-offs sort ahead of note-ons at the same tick, so a re-struck key is not cut short
+    const ordered = [
+        ...setup,
+        ...events.filter(e => (e.bytes[0] & 0xf0) === 0x80),
+        ...events.filter(e => (e.bytes[0] & 0xf0) !== 0x80)
+    ];
+    const noteTrack = encodeTrack(ordered);
+
+    const header = chunk('MThd', [0x00, 0x01, 0x00, 0x02, (tpq >> 8) & 0xff, tpq & 0xff]);
+    return new Uint8Array([...header, ...chunk('MTrk', conductor), ...chunk('MTrk', noteTrack)]);
+}
@@ -0,0 +1,366 @@
+/**
+ * Notation Export Module
+ * Writes note events (seconds + MIDI pitch, possibly fractional) as MusicXML 4.0
+ * and ABC notation for printing. Times are quantized to a sixteenth-note grid in
+ * the given tempo and meter, notes that cross a barline are tied, the key signature
+ * comes from the detected scale and, for non-12-TET recordings, quarter-tone
+ * inflections are written with half-flat / half-sharp accidentals.
+ */
+
+import { meterFromAnalysis } from './midiWriter.js';
+
+const UNITS_PER_QUARTER = 4; // sixteenth-note grid
+
+// Mode of each identifyScale pattern and its degree within the parent major scale
+const SCALE_MODES = {
+    'Major (Western)': { mode: 'major', offset: 0 },
+    'Minor (Western)': { mode: 'minor', offset: 9 },
+    'Harmonic Minor': { mode: 'minor', offset: 9 },
+    'Melodic Minor': { mode: 'minor', offset: 9 },
+    'Pentatonic Major': { mode: 'major', offset: 0 },
+    'Pentatonic Minor': { mode: 'minor', offset: 9 },
+    'Blues': { mode: 'minor', offset: 9 },
+    'Dorian': { mode: 'dorian', offset: 2 },
+    'Phrygian': { mode: 'phrygian', offset: 4 },
+    'Lydian': { mode: 'lydian', offset: 5 },
+    'Mixolydian': { mode: 'mixolydian', offset: 7 },
+    'Locrian': { mode: 'locrian', offset: 11 }
+};
+
+const ROOT_PITCH_CLASSES = { C: 0, 'C#': 1, D: 2, 'D#': 3, E: 4, F: 5, 'F#': 6, G: 7, 'G#': 8, A: 9, 'A#': 10, B: 11 };
+// Key signature (number of sharps, negative for flats) of each major key by tonic pitch class
+const FIFTHS_BY_PITCH_CLASS = [0, -5, 2, -3, 4, -1, 6, 1, -4, 3, -2, 5];
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+
+// Candidate spellings per pitch class as [step, alter]
+const SPELLINGS = [
+    [['C', 0], ['B', 1]], [['C', 1], ['D', -1]], [['D', 0]], [['D', 1], ['E', -1]],
+    [['E', 0], ['F', -1]], [['F', 0], ['E', 1]], [['F', 1], ['G', -1]], [['G', 0]],
+    [['G', 1], ['A', -1]], [['A', 0]], [['A', 1], ['B', -1]], [['B', 0], ['C', -1]]
+];
+
+const NOTE_TYPES = [
+    { units: 16, type: 'whole', dots: 0 },
+    { units: 12, type: 'half', dots: 1 },
+    { units: 8, type: 'half', dots: 0 },
+    { units: 6, type: 'quarter', dots: 1 },
+    { units: 4, type: 'quarter', dots: 0 },
+    { units: 3, type: 'eighth', dots: 1 },
+    { units: 2, type: 'eighth', dots: 0 },
+    { units: 1, type: '16th', dots: 0 }
+];
+
+const MUSICXML_ACCIDENTALS = {
+    '-2': 'flat-flat', '-1.5': 'three-quarters-flat', '-1': 'flat', '-0.5': 'quarter-flat',
+    '0': 'natural', '0.5': 'quarter-sharp', '1': 'sharp', '1.5': 'three-quarters-sharp', '2': 'double-sharp'
+};
+const ABC_ACCIDENTALS = {
+    '-2': '__', '-1.5': '_3/2', '-1': '_', '-0.5': '_/', '0': '=', '0.5': '^/', '1': '^', '1.5': '^3/2', '2': '^^'
+};
+const ABC_MODES = { major: '', minor: 'm', dorian: 'dor', phrygian: 'phr', lydian: 'lyd', mixolydian: 'mix', locrian: 'loc' };
+
+/**
+ * Key signature for an identifyScale label such as "D Dorian" or "A# Minor (Western)"
+ * @param {string} scaleLabel - result.scaleAnalysis.scale
+ * @returns {{fifths: number, mode: string|null, tonic: string|null}} Sharps (negative = flats), mode and spelled tonic;
+ *   scales without a key (chromatic, whole tone, unknown) get an open key
+ */
+export function keyFromScale(scaleLabel) {
+    const match = /^([A-G]#?)\s+(.+)$/.exec(scaleLabel || '');
+    const scaleMode = match && SCALE_MODES[match[2]];
+    if (!scaleMode) return { fifths: 0, mode: null, tonic: null };
+    const rootPc = ROOT_PITCH_CLASSES[match[1]];
+    const fifths = FIFTHS_BY_PITCH_CLASS[(rootPc - scaleMode.offset + 12) % 12];
+    const [step, alter] = spellPitchClass(rootPc, keyAlterations(fifths), fifths);
+    return { fifths, mode: scaleMode.mode, tonic: `${step}${alter > 0 ? '#' : alter < 0 ? 'b' : ''}` };
+}
+
+// Alteration of every step in a key signature
+function keyAlterations(fifths) {
+    const alterations = { C: 0, D: 0, E: 0, F: 0, G: 0, A: 0, B: 0 };
+    const steps = fifths >= 0 ? SHARP_ORDER.slice(0, fifths) : [...SHARP_ORDER].reverse().slice(0, -fifths);
+    steps.forEach(step => { alterations[step] = fifths >= 0 ? 1 : -1; });
+    return alterations;
+}
+
+// The key's own spelling when it has one, otherwise sharps in sharp keys and flats in flat keys
+function spellPitchClass(pc, alterations, fifths) {
+    const candidates = SPELLINGS[pc];
+    const inKey = candidates.find(([step, alter]) => alterations[step] === alter);
+    if (inKey) return inKey;
+    const natural = candidates.find(([, alter]) => alter === 0);
+    if (natural) return natural;
+    return candidates.find(([, alter]) => (fifths < 0 ? alter < 0 : alter > 0));
+}
+
+/**
+ * Spell a pitch on the semitone or quarter-tone grid
+ * @param {number} value - MIDI number, a multiple of 0.5
+ * @returns {{step: string, alter: number, octave: number}} Spelled pitch
+ */
+function spellPitch(value, alterations, fifths) {
+    const spell = (midi) => {
+        const [step, alter] = spellPitchClass(((midi % 12) + 12) % 12, alterations, fifths);
+        return { step, alter, octave: Math.floor((midi - alter) / 12) - 1 };
+    };
+    if (Number.isInteger(value)) return spell(value);
+    // Quarter tones: prefer a half-flat on the note above, then a half-sharp on the note below
+    const above = spell(value + 0.5);
+    if (above.alter === 0) return { ...above, alter: -0.5 };
+    const below = spell(value - 0.5);
+    if (below.alter === 0) return { ...below, alter: 0.5 };
+    return { ...above, alter: above.alter - 0.5 };
+}
+
+/**
+ * Quantize notes onto the sixteenth grid and lay them out in measures
+ * @returns {Array<Array<Object>>} Measures of { rest, units, pitch, tieStart, tieStop }
+ */
+function layoutMeasures(notes, options) {
+    const { tempo, timeSignature, microtonal, samTime, fifths } = options;
+    const [beats, beatType] = timeSignature;
+    const measureUnits = Math.round((beats * UNITS_PER_QUARTER * 4) / beatType);
+    const unitSeconds = 60 / tempo / UNITS_PER_QUARTER;
+    const alterations = keyAlterations(fifths);
+
+    const pitched = notes
+        .map(note => ({
+            start: note.start,
+            end: note.start + note.duration,
+            midi: note.midi ?? (note.frequency > 0 ? 69 + 12 * Math.log2(note.frequency / 440) : NaN)
+        }))
+        .filter(note => Number.isFinite(note.midi) && note.end > note.start)
+        .sort((a, b) => a.start - b.start);
+    if (pitched.length === 0) return [];
+
+    // Barlines line up with the sam when a cycle was found, otherwise the first note starts bar 1
+    const measureSeconds = measureUnits * unitSeconds;
+    let origin = pitched[0].start;
+    if (Number.isFinite(samTime)) {
+        origin = samTime - Math.ceil((samTime - pitched[0].start) / measureSeconds - 1e-9) * measureSeconds;
+    }
+
+    // Monophonic line: each note lasts at least one unit and ends where the next begins
+    const events = [];
+    for (const note of pitched) {
+        const start = Math.max(0, Math.round((note.start - origin) / unitSeconds));
+        const last = events[events.length - 1];
+        if (last && start <= last.start) continue;
+        if (last && last.end > start) last.end = start;
+        const end = Math.max(start + 1, Math.round((note.end - origin) / unitSeconds));
+        const value = microtonal ? Math.round(note.midi * 2) / 2 : Math.round(note.midi);
+        events.push({ start, end, pitch: spellPitch(value, alterations, fifths) });
+    }
+
+    // Split into measures, with rests in the gaps and ties across barlines
+    const totalUnits = Math.ceil(events[events.length - 1].end / measureUnits) * measureUnits;
+    const measures = Array.from({ length: totalUnits / measureUnits }, () => []);
+    const place = (start, end, pitch) => {
+        let position = start;
+        while (position < end) {
+            const measure = Math.floor(position / measureUnits);
+            const measureEnd = (measure + 1) * measureUnits;
+            let remaining = Math.min(end, measureEnd) - position;
+            while (remaining > 0) {
+                const { units } = NOTE_TYPES.find(t => t.units <= remaining);
+                measures[measure].push({
+                    rest: !pitch,
+                    units,
+                    pitch,
+                    tieStop: !!pitch && position > start,
+                    tieStart: !!pitch && position + units < end
+                });
+                position += units;
+                remaining -= units;
+            }
+        }
+    };
+    let cursor = 0;
+    for (const event of events) {
+        if (event.start > cursor) place(cursor, event.start, null);
+        place(event.start, event.end, event.pitch);
+        cursor = event.end;
+    }
+    if (cursor < totalUnits) place(cursor, totalUnits, null);
+    return measures;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function resolveOptions(options) {
+    const key = keyFromScale(options.scale);
+    return {
+        title: 'World Music Analysis',
+        tempo: 120,
+        timeSignature: [4, 4],
+        microtonal: false,
+        samTime: null,
+        ...options,
+        fifths: key.fifths,
+        mode: key.mode,
+        tonic: key.tonic
+    };
+}
+
+// Bass clef when most of the line sits below middle C
+function chooseClef(measures) {
+    const octaves = measures.flat().filter(e => !e.rest).map(e => e.pitch.octave);
+    const low = octaves.filter(o => o < 4).length;
+    return low > octaves.length / 2 ? { sign: 'F', line: 4 } : { sign: 'G', line: 2 };
+}
+
+/**
+ * Note events as a MusicXML 4.0 partwise score
+ * @param {Array<{start: number, duration: number, midi?: number, frequency?: number}>} notes - Times in seconds
+ * @param {Object} options - { title, tempo (quarter notes per minute), timeSignature, scale, microtonal, samTime }
+ * @returns {string} MusicXML document
+ */
+export function toMusicXML(notes, options = {}) {
+    const opts = resolveOptions(options);
+    const measures = layoutMeasures(notes, opts);
+    const [beats, beatType] = opts.timeSignature;
+    const clef = chooseClef(measures);
+    const keyAlter = keyAlterations(opts.fifths);
+
+    const measureXml = (measures.length ? measures : [[]]).map((events, index) => {
+        const lines = [`    <measure number="${index + 1}">`];
+        if (index === 0) {
+            lines.push(
+                '      <attributes>',
+                `        <divisions>${UNITS_PER_QUARTER}</divisions>`,
+                `        <key><fifths>${opts.fifths}</fifths>${opts.mode ? `<mode>${opts.mode}</mode>` : ''}</key>`,
+                `        <time><beats>${beats}</beats><beat-type>${beatType}</beat-type></time>`,
+                `        <clef><sign>${clef.sign}</sign><line>${clef.line}</line></clef>`,
+                '      </attributes>',
+                '      <direction placement="above">',
+                `        <direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${Math.round(opts.tempo)}</per-minute></metronome></direction-type>`,
+                `        <sound tempo="${Math.round(opts.tempo)}"/>`,
+                '      </direction>'
+            );
+        }
+        if (events.length === 0) {
+            lines.push(`      <note><rest measure="yes"/><duration>${Math.round((beats * UNITS_PER_QUARTER * 4) / beatType)}</duration></note>`);
+        }
+        // Accidentals hold until the barline
+        const current = {};
+        for (const event of events) {
+            const { type, dots } = NOTE_TYPES.find(t => t.units === event.units);
+            const dotXml = '<dot/>'.repeat(dots);
+            if (event.rest) {
+                lines.push(`      <note><rest/><duration>${event.units}</duration><type>${type}</type>${dotXml}</note>`);
+                continue;
+            }
+            const { step, alter, octave } = event.pitch;
+            const slot = `${step}${octave}`;
+            const shown = current[slot] ?? keyAlter[step];
+            const accidental = alter !== shown && !event.tieStop ? `<accidental>${MUSICXML_ACCIDENTALS[alter]}</accidental>` : '';
+            current[slot] = alter;
+            const ties = `${event.tieStop ? '<tie type="stop"/>' : ''}${event.tieStart ? '<tie type="start"/>' : ''}`;
+            const tied = event.tieStart || event.tieStop
+                ? `<notations>${event.tieStop ? '<tied type="stop"/>' : ''}${event.tieStart ? '<tied type="start"/>' : ''}</notations>`
+                : '';
+            lines.push(`      <note><pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>` +
+                `<duration>${event.units}</duration>${ties}<type>${type}</type>${dotXml}${accidental}${tied}</note>`);
+        }
+        if (index === measures.length - 1) {
+            lines.push('      <barline location="right"><bar-style>light-heavy</bar-style></barline>');
+        }
+        lines.push('    </measure>');
+        return lines.join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+        '<score-partwise version="4.0">',
+        `  <work><work-title>${escapeXml(opts.title)}</work-title></work>`,
+        '  <identification><encoding><software>World Ethnomusic Lab</software></encoding></identification>',
+        '  <part-list>',
+        '    <score-part id="P1"><part-name>Melody</part-name></score-part>',
+        '  </part-list>',
+        '  <part id="P1">',
+        ...measureXml,
+        '  </part>',
+        '</score-partwise>',
+        ''
+    ].join('\n');
+}
+
+function abcPitch(step, octave) {
+    if (octave >= 5) return step.toLowerCase() + "'".repeat(octave - 5);
+    return step + ','.repeat(Math.max(0, 4 - octave));
+}
+
+/**
+ * Note events as an ABC tune (L:1/16, so lengths count sixteenths)
+ * @param {Array<{start: number, duration: number, midi?: number, frequency?: number}>} notes - Times in seconds
+ * @param {Object} options - { title, tempo (quarter notes per minute), timeSignature, scale, microtonal, samTime }
+ * @returns {string} ABC notation
+ */
+export function toABC(notes, options = {}) {
+    const opts = resolveOptions(options);
+    const measures = layoutMeasures(notes, opts);
+    const [beats, beatType] = opts.timeSignature;
+    const keyAlter = keyAlterations(opts.fifths);
+    const clef = chooseClef(measures);
+    const key = opts.mode
+        ? `${opts.tonic}${ABC_MODES[opts.mode]}`
+        : 'C';
+
+    const bars = measures.map(events => {
+        const current = {};
+        return events.map(event => {
+            const length = event.units === 1 ? '' : String(event.units);
+            if (event.rest) return `z${length}`;
+            const { step, alter, octave } = event.pitch;
+            const slot = `${step}${octave}`;
+            const shown = current[slot] ?? keyAlter[step];
+            // ABC has no accidental carry-over across a tie into a new bar, so continuations repeat it
+            const accidental = alter !== shown ? ABC_ACCIDENTALS[alter] : '';
+            current[slot] = alter;
+            return `${accidental}${abcPitch(step, octave)}${length}${event.tieStart ? '-' : ''}`;
+        }).join(' ');
+    });
+
+    const lines = [];
+    for (let i = 0; i < bars.length; i += 4) {
+        const isLast = i + 4 >= bars.length;
+        lines.push(`${bars.slice(i, i + 4).join(' | ')} ${isLast ? '|]' : '|'}`);
+    }
+
+    return [
+        'X:1',
+        `T:${opts.title}`,
+        `M:${beats}/${beatType}`,
+        'L:1/16',
+        `Q:1/4=${Math.round(opts.tempo)}`,
+        `K:${key}${clef.sign === 'F' ? ' clef=bass' : ''}`,
+        ...(lines.length ? lines : ['z16 |]']),
+        ''
+    ].join('\n');
+}
+
+/**
+ * Notation options for an analysis result: tempo and meter from the rhythm analysis,
+ * key from the detected scale, quarter tones only when the tuning is not 12-TET
+ * @param {Object} analysis - Result of analyzeAudioFile
+ * @returns {Object} Options for toMusicXML / toABC
+ */
+export function notationOptionsFromAnalysis(analysis) {
+    const { tempo, timeSignature } = meterFromAnalysis(analysis);
+    const cycle = analysis?.cycleAnalysis;
+    return {
+        title: analysis?.fileName || 'World Music Analysis',
+        tempo,
+        timeSignature,
+        scale: analysis?.scaleAnalysis?.scale,
+        microtonal: analysis?.tuningAnalysis ? !analysis.tuningAnalysis.is12TET : false,
+        samTime: cycle?.bestMatch ? cycle.samTime : null
+    };
+}
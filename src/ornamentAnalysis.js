@@ -0,0 +1,209 @@
+/**
+ * Ornament Analysis Module
+ * Segments a pitch contour (see pitchTracker.js) into steady notes, glides
+ * (meend, portamento), oscillations (vibrato, gamaka) and short grace notes,
+ * returned as a timestamped event list with parameters.
+ */
+
+export const ORNAMENT_TYPES = ['steady', 'glide', 'vibrato', 'gamaka', 'grace'];
+
+const DEFAULTS = {
+    smoothingSeconds: 0.04,     // moving average before slopes are taken
+    glideSlope: 300,            // cents per second above which the pitch is moving
+    minGlideCents: 50,          // smaller moves are treated as part of the note
+    oscillationWindow: 0.7,     // seconds of contour examined for periodic movement
+    minOscillationRate: 3,      // Hz
+    maxOscillationRate: 10,     // Hz
+    minOscillationExtent: 15,   // cents, half peak-to-peak
+    gamakaExtent: 80,           // wider oscillations move between notes (gamaka)
+    maxGraceSeconds: 0.12,      // grace notes are shorter than this
+    minGraceInterval: 80,       // cents between a grace note and the note it decorates
+    minSegmentSeconds: 0.04     // shorter fragments are absorbed by their neighbours
+};
+
+function movingAverage(values, radius) {
+    if (radius < 1) return values.slice();
+    return values.map((_, i) => {
+        let acc = 0, n = 0;
+        for (let k = Math.max(0, i - radius); k <= Math.min(values.length - 1, i + radius); k++) {
+            acc += values[k];
+            n++;
+        }
+        return acc / n;
+    });
+}
+
+/**
+ * Periodic movement in a stretch of contour: rate from zero crossings of the
+ * detrended pitch, extent from its spread
+ * @returns {{rate: number, extent: number}|null} Oscillation parameters, or null if aperiodic
+ */
+function measureOscillation(times, cents, opts) {
+    const n = cents.length;
+    if (n < 6) return null;
+    const meanT = times.reduce((a, b) => a + b, 0) / n;
+    const meanC = cents.reduce((a, b) => a + b, 0) / n;
+    let num = 0, den = 0;
+    for (let i = 0; i < n; i++) {
+        num += (times[i] - meanT) * (cents[i] - meanC);
+        den += (times[i] - meanT) ** 2;
+    }
+    const slope = den > 0 ? num / den : 0;
+    const residual = cents.map((c, i) => c - (meanC + slope * (times[i] - meanT)));
+
+    const crossings = [];
+    for (let i = 1; i < n; i++) {
+        if ((residual[i - 1] < 0) !== (residual[i] < 0)) crossings.push(times[i]);
+    }
+    // At least two full cycles; a single rise (a glide) leaves an S-shaped residual with three crossings
+    if (crossings.length < 4) return null;
+
+    const span = crossings[crossings.length - 1] - crossings[0];
+    const rate = span > 0 ? (crossings.length - 1) / (2 * span) : 0;
+    const sorted = [...residual].sort((a, b) => a - b);
+    // 10th-90th percentile spread is robust to a stray tracking error
+    const extent = (sorted[Math.floor(n * 0.9)] - sorted[Math.floor(n * 0.1)]) / 2;
+
+    if (rate < opts.minOscillationRate || rate > opts.maxOscillationRate) return null;
+    if (extent < opts.minOscillationExtent) return null;
+    return { rate, extent };
+}
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / (values.length || 1);
+}
+
+/**
+ * Analyze ornaments in a pitch contour
+ * @param {{frames: Array<{time: number, frequency: number, voiced: boolean}>}} contour - Output of trackPitch
+ * @param {Object} options - { tonicHz } plus overrides for the thresholds in DEFAULTS
+ * @returns {{reference: number, events: Array<Object>, summary: Object}} Reference pitch (Hz) the event cents
+ *   are measured from, ornament events in time order and counts per type
+ */
+export function analyzeOrnaments(contour, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const frames = contour?.frames || [];
+    const reference = opts.tonicHz > 0 ? opts.tonicHz : 440 * Math.pow(2, -9 / 12);
+    const hop = frames.length > 1 ? frames[1].time - frames[0].time : 0.01;
+    const events = [];
+
+    // Voiced runs are analysed independently; rests end every ornament
+    const runs = [];
+    let current = [];
+    for (const frame of frames) {
+        if (frame.voiced && frame.frequency > 0) {
+            current.push(frame);
+        } else if (current.length) {
+            runs.push(current);
+            current = [];
+        }
+    }
+    if (current.length) runs.push(current);
+
+    for (const run of runs) {
+        if (run.length < 3) continue;
+        const times = run.map(f => f.time);
+        const raw = run.map(f => 1200 * Math.log2(f.frequency / reference));
+        const cents = movingAverage(raw, Math.round(opts.smoothingSeconds / hop / 2));
+        const labels = new Array(run.length).fill('steady');
+        const oscillation = new Array(run.length).fill(null);
+
+        // 1. Oscillations over sliding windows (raw contour keeps fast vibrato intact)
+        const windowFrames = Math.max(6, Math.round(opts.oscillationWindow / hop));
+        const step = Math.max(1, Math.floor(windowFrames / 4));
+        for (let start = 0; start + windowFrames <= run.length; start += step) {
+            const found = measureOscillation(times.slice(start, start + windowFrames), raw.slice(start, start + windowFrames), opts);
+            if (!found) continue;
+            for (let i = start; i < start + windowFrames; i++) {
+                labels[i] = found.extent >= opts.gamakaExtent ? 'gamaka' : 'vibrato';
+                oscillation[i] = found;
+            }
+        }
+
+        // 2. Remaining frames: moving pitch is a glide, otherwise a held note
+        for (let i = 0; i < run.length; i++) {
+            if (labels[i] !== 'steady') continue;
+            const a = Math.max(0, i - 1);
+            const b = Math.min(run.length - 1, i + 1);
+            const slope = (cents[b] - cents[a]) / ((times[b] - times[a]) || hop);
+            if (Math.abs(slope) > opts.glideSlope) labels[i] = 'glide';
+        }
+
+        // 3. Group frames into segments
+        const segments = [];
+        for (let i = 0; i < run.length; i++) {
+            const last = segments[segments.length - 1];
+            if (last && last.type === labels[i]) {
+                last.end = i;
+            } else {
+                segments.push({ type: labels[i], start: i, end: i });
+            }
+        }
+
+        // Glides that barely move, and very short fragments, belong to the neighbouring note
+        const minFrames = Math.max(1, Math.round(opts.minSegmentSeconds / hop));
+        for (let i = 0; i < segments.length; i++) {
+            const seg = segments[i];
+            const moved = Math.abs(cents[seg.end] - cents[seg.start]);
+            const tooShort = seg.end - seg.start + 1 < minFrames && seg.type !== 'steady';
+            if ((seg.type === 'glide' && moved < opts.minGlideCents) || tooShort) seg.type = 'steady';
+        }
+        const merged = [];
+        for (const seg of segments) {
+            const last = merged[merged.length - 1];
+            if (last && last.type === seg.type) last.end = seg.end;
+            else merged.push({ ...seg });
+        }
+
+        // 4. Short steady notes that lead into a different held note are grace notes
+        merged.forEach((seg, i) => {
+            if (seg.type !== 'steady') return;
+            const duration = times[seg.end] - times[seg.start] + hop;
+            if (duration > opts.maxGraceSeconds) return;
+            const next = merged.slice(i + 1).find(s => s.type === 'steady');
+            if (!next) return;
+            const nextDuration = times[next.end] - times[next.start] + hop;
+            const interval = Math.abs(mean(cents.slice(next.start, next.end + 1)) - mean(cents.slice(seg.start, seg.end + 1)));
+            if (nextDuration > duration * 1.5 && interval >= opts.minGraceInterval) seg.type = 'grace';
+        });
+
+        for (const seg of merged) {
+            const segCents = cents.slice(seg.start, seg.end + 1);
+            const startTime = times[seg.start];
+            const endTime = times[seg.end] + hop;
+            const event = {
+                type: seg.type,
+                start: Math.round(startTime * 1000) / 1000,
+                end: Math.round(endTime * 1000) / 1000,
+                duration: Math.round((endTime - startTime) * 1000) / 1000,
+                cents: Math.round(mean(segCents)),
+                frequency: Math.round(reference * Math.pow(2, mean(segCents) / 1200) * 100) / 100,
+                parameters: {}
+            };
+            if (seg.type === 'glide') {
+                const from = cents[seg.start];
+                const to = cents[seg.end];
+                event.parameters = {
+                    fromCents: Math.round(from),
+                    toCents: Math.round(to),
+                    interval: Math.round(to - from),
+                    direction: to > from ? 'up' : 'down',
+                    rate: Math.round(Math.abs(to - from) / Math.max(hop, endTime - startTime))
+                };
+            } else if (seg.type === 'vibrato' || seg.type === 'gamaka') {
+                const found = oscillation.slice(seg.start, seg.end + 1).filter(Boolean);
+                event.parameters = {
+                    rate: Math.round(mean(found.map(o => o.rate)) * 10) / 10,
+                    extent: Math.round(mean(found.map(o => o.extent)))
+                };
+            } else if (seg.type === 'grace') {
+                const next = merged[merged.indexOf(seg) + 1];
+                event.parameters = { toCents: next ? Math.round(cents[next.start]) : null };
+            }
+            events.push(event);
+        }
+    }
+
+    const summary = Object.fromEntries(ORNAMENT_TYPES.map(type => [type, events.filter(e => e.type === type).length]));
+    return { reference: Math.round(reference * 100) / 100, events, summary };
+}
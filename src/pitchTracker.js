@@ -0,0 +1,234 @@
+/**
+ * Melody Pitch Tracking Module (probabilistic YIN)
+ * Frame-by-frame f0 with a voicing probability for a whole recording.
+ * Each frame's YIN dip candidates get probabilities from a Beta prior over the
+ * YIN threshold (pYIN, Mauch & Dixon 2014); a Viterbi pass over the candidates
+ * and an unvoiced state then picks a smooth contour and decides voicing.
+ */
+
+import { fft, ifft } from './utils/fft.js';
+
+// Beta(2, 18) prior over YIN thresholds 0.01..1 (mean 0.1), as in pYIN
+const THRESHOLDS = Array.from({ length: 100 }, (_, i) => (i + 1) / 100);
+const THRESHOLD_WEIGHTS = (() => {
+    const raw = THRESHOLDS.map(t => t * Math.pow(1 - t, 17));
+    const total = raw.reduce((a, b) => a + b, 0);
+    return raw.map(w => w / total);
+})();
+
+// Probability mass kept for the global minimum when no dip is under the threshold
+const ABSOLUTE_MIN_PROB = 0.01;
+
+/**
+ * YIN cumulative mean normalized difference for one frame, computed with FFTs
+ * @param {Float32Array} buffer - Audio samples
+ * @param {number} start - First sample of the frame
+ * @param {number} W - Integration window (the frame spans 2W samples)
+ * @returns {Float32Array} d'(tau) for tau in [0, W)
+ */
+function cumulativeMeanNormalizedDifference(buffer, start, W) {
+    const N = 2 * W;
+    const xr = new Float32Array(N);
+    const xi = new Float32Array(N);
+    const yr = new Float32Array(N);
+    const yi = new Float32Array(N);
+    for (let i = 0; i < N; i++) {
+        const v = start + i < buffer.length ? buffer[start + i] : 0;
+        xr[i] = v;
+        if (i < W) yr[i] = v;
+    }
+
+    // r(tau) = sum_j x[j] * x[j + tau], j < W, via the cross-spectrum
+    fft(xr, xi);
+    fft(yr, yi);
+    const cr = new Float32Array(N);
+    const ci = new Float32Array(N);
+    for (let k = 0; k < N; k++) {
+        cr[k] = yr[k] * xr[k] + yi[k] * xi[k];
+        ci[k] = yr[k] * xi[k] - yi[k] * xr[k];
+    }
+    ifft(cr, ci);
+
+    // Energy of the window starting at tau, from a running sum of squares
+    const squares = new Float64Array(N + 1);
+    for (let i = 0; i < N; i++) {
+        const v = start + i < buffer.length ? buffer[start + i] : 0;
+        squares[i + 1] = squares[i] + v * v;
+    }
+
+    const cmnd = new Float32Array(W);
+    cmnd[0] = 1;
+    let running = 0;
+    for (let tau = 1; tau < W; tau++) {
+        const d = squares[W] + (squares[tau + W] - squares[tau]) - 2 * cr[tau];
+        running += Math.max(0, d);
+        cmnd[tau] = running > 0 ? (Math.max(0, d) * tau) / running : 1;
+    }
+    return cmnd;
+}
+
+/**
+ * pYIN candidates for one frame: every dip of d' in the lag range, with the
+ * probability that a threshold drawn from the prior selects it
+ * @returns {Array<{frequency: number, probability: number}>} Pitch candidates
+ */
+function frameCandidates(cmnd, sampleRate, minLag, maxLag) {
+    const dips = [];
+    for (let tau = Math.max(2, minLag); tau < Math.min(cmnd.length - 1, maxLag); tau++) {
+        if (cmnd[tau] < cmnd[tau - 1] && cmnd[tau] <= cmnd[tau + 1]) {
+            const denom = cmnd[tau - 1] - 2 * cmnd[tau] + cmnd[tau + 1];
+            const shift = denom !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (cmnd[tau - 1] - cmnd[tau + 1]) / denom)) : 0;
+            dips.push({ lag: tau + shift, value: cmnd[tau], probability: 0 });
+        }
+    }
+    if (dips.length === 0) return [];
+
+    const globalMin = dips.reduce((best, d) => (d.value < best.value ? d : best), dips[0]);
+    THRESHOLDS.forEach((threshold, i) => {
+        // YIN picks the first (shortest-lag) dip under the threshold
+        const chosen = dips.find(d => d.value < threshold);
+        if (chosen) {
+            chosen.probability += THRESHOLD_WEIGHTS[i];
+        } else {
+            globalMin.probability += THRESHOLD_WEIGHTS[i] * ABSOLUTE_MIN_PROB;
+        }
+    });
+
+    return dips
+        .filter(d => d.probability > 1e-4)
+        .map(d => ({ frequency: sampleRate / d.lag, probability: Math.min(1, d.probability) }));
+}
+
+/**
+ * Track f0 over a whole recording
+ * @param {Float32Array} buffer - Audio samples
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { minHz, maxHz, hopSeconds, maxFrames, switchProbability, maxJumpCents, targetRate }
+ * @returns {{hopSeconds: number, frames: Array<{time: number, frequency: number, voicing: number, voiced: boolean}>}}
+ *   Contour; frequency is 0 on unvoiced frames, voicing is the voicing probability
+ */
+export function trackPitch(buffer, sampleRate, options = {}) {
+    const {
+        minHz = 60,
+        maxHz = 1200,
+        hopSeconds = 0.01,
+        maxFrames = 20000,
+        switchProbability = 0.01,
+        maxJumpCents = 250,
+        targetRate = 16000
+    } = options;
+
+    // Melodies sit well below 2 kHz: decimate (box-filtered) toward targetRate to keep FFTs small
+    const factor = Math.max(1, Math.floor(sampleRate / targetRate));
+    if (factor > 1) {
+        const decimated = new Float32Array(Math.floor(buffer.length / factor));
+        for (let i = 0; i < decimated.length; i++) {
+            let acc = 0;
+            for (let j = 0; j < factor; j++) acc += buffer[i * factor + j];
+            decimated[i] = acc / factor;
+        }
+        return trackPitch(decimated, sampleRate / factor, { ...options, targetRate: Infinity });
+    }
+
+    // The integration window has to hold one period of the lowest pitch
+    let W = 256;
+    while (W < sampleRate / minHz) W *= 2;
+    const minLag = Math.floor(sampleRate / maxHz);
+    const maxLag = Math.ceil(sampleRate / minHz);
+    // Long files get a coarser hop so the contour stays a manageable size
+    const hop = Math.max(1, Math.floor(sampleRate * hopSeconds), Math.ceil((buffer.length - 2 * W) / maxFrames));
+
+    const observations = [];
+    for (let start = 0; start + 2 * W <= buffer.length; start += hop) {
+        // Skip silent frames outright: YIN on digital silence is meaningless
+        let energy = 0;
+        for (let i = start; i < start + W; i++) energy += buffer[i] * buffer[i];
+        const candidates = energy / W > 1e-7
+            ? frameCandidates(cumulativeMeanNormalizedDifference(buffer, start, W), sampleRate, minLag, maxLag)
+            : [];
+        observations.push({ time: (start + W) / sampleRate, candidates });
+    }
+    if (observations.length === 0) return { hopSeconds: hop / sampleRate, frames: [] };
+
+    // Viterbi over [unvoiced, candidate_1..k] per frame, in the log domain
+    const LOG_EPS = -50;
+    const log = (p) => (p > 0 ? Math.log(p) : LOG_EPS);
+    const stay = log(1 - switchProbability);
+    const change = log(switchProbability);
+    // Small moves are cheap; a leap costs as much as two voicing switches, so a melodic
+    // leap stays voiced instead of being routed through an unvoiced frame
+    const jumpCost = (a, b) => {
+        const cents = Math.abs(1200 * Math.log2(a / b));
+        return Math.max(2 * change, log(1 - cents / (maxJumpCents + 1)));
+    };
+
+    const emission = (obs) => {
+        const voicedMass = Math.min(1, obs.candidates.reduce((a, c) => a + c.probability, 0));
+        return [log(1 - voicedMass + 1e-6), ...obs.candidates.map(c => log(c.probability))];
+    };
+
+    let scores = emission(observations[0]);
+    const backPointers = [];
+    for (let t = 1; t < observations.length; t++) {
+        const prev = observations[t - 1].candidates;
+        const curr = observations[t].candidates;
+        const emit = emission(observations[t]);
+        const nextScores = new Array(curr.length + 1);
+        const pointers = new Array(curr.length + 1);
+
+        for (let s = 0; s <= curr.length; s++) {
+            let best = -Infinity;
+            let arg = 0;
+            for (let p = 0; p <= prev.length; p++) {
+                let transition;
+                if (s === 0) transition = p === 0 ? stay : change;
+                else if (p === 0) transition = change;
+                else transition = stay + jumpCost(prev[p - 1].frequency, curr[s - 1].frequency);
+                const score = scores[p] + transition;
+                if (score > best) { best = score; arg = p; }
+            }
+            nextScores[s] = best + emit[s];
+            pointers[s] = arg;
+        }
+        backPointers.push(pointers);
+        scores = nextScores;
+    }
+
+    const path = new Array(observations.length);
+    path[observations.length - 1] = scores.indexOf(Math.max(...scores));
+    for (let t = observations.length - 1; t > 0; t--) {
+        path[t - 1] = backPointers[t - 1][path[t]];
+    }
+
+    const frames = observations.map((obs, t) => {
+        const state = path[t];
+        const voicing = Math.min(1, obs.candidates.reduce((a, c) => a + c.probability, 0));
+        const voiced = state > 0;
+        return {
+            time: Math.round(obs.time * 1000) / 1000,
+            frequency: voiced ? Math.round(obs.candidates[state - 1].frequency * 100) / 100 : 0,
+            voicing: Math.round(voicing * 1000) / 1000,
+            voiced
+        };
+    });
+
+    return { hopSeconds: hop / sampleRate, frames };
+}
+
+/**
+ * Voiced contour frames as a sparse {time, frequency} pitch track
+ * (the shape samplePitchTrack returns), at most one frame per stepSeconds
+ * @param {{frames: Array}} contour - Output of trackPitch
+ * @param {number} stepSeconds - Minimum spacing between kept frames
+ * @returns {Array<{time: number, frequency: number}>} Pitch samples
+ */
+export function contourToPitchTrack(contour, stepSeconds = 0.05) {
+    const track = [];
+    let lastTime = -Infinity;
+    for (const frame of contour?.frames || []) {
+        if (!frame.voiced || frame.time - lastTime < stepSeconds - 1e-9) continue;
+        track.push({ time: frame.time, frequency: frame.frequency });
+        lastTime = frame.time;
+    }
+    return track;
+}
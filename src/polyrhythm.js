@@ -0,0 +1,246 @@
+/**
+ * Polyrhythm Module
+ * Concurrent periodicities per frequency band: onsets of the low, mid and high bands are
+ * placed on the tracked beat grid (so tempo drift does not smear them), each band's
+ * pulse layers are the shortest periods its onsets keep to, and two layers whose
+ * periods stand in a small non-integer ratio form a cross-rhythm (3:2, 4:3, 6:4 hemiola).
+ */
+
+import { onsetStrength, pickOnsets } from './beatTracker.js';
+
+export const POLYRHYTHM_BANDS = [
+    { id: 'low', label: 'Low (< 200 Hz)', range: [20, 200] },
+    { id: 'mid', label: 'Mid (200 Hz - 2 kHz)', range: [200, 2000] },
+    { id: 'high', label: 'High (> 2 kHz)', range: [2000, 16000] }
+];
+
+const DEFAULTS = {
+    bands: POLYRHYTHM_BANDS,
+    denominators: [1, 2, 3, 4],     // layer periods are n/d beats
+    minPeriod: 0.25,                // beats
+    maxPeriod: 4,
+    minSalience: 0.7,               // share of grid points a layer has to hit, beyond chance
+    minHits: 8,
+    maxRatioTerm: 8,                // largest term of a reported ratio
+    onsetThreshold: 0.8,
+    compression: 100                // flux compression of the band envelopes
+};
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Candidate layer periods in beats, as reduced fractions in increasing order
+ * @param {number[]} denominators - Allowed denominators
+ * @param {number} minPeriod - Shortest period (beats)
+ * @param {number} maxPeriod - Longest period (beats)
+ * @returns {Array<{n: number, d: number, value: number}>}
+ */
+export function candidatePeriods(denominators = DEFAULTS.denominators, minPeriod = DEFAULTS.minPeriod, maxPeriod = DEFAULTS.maxPeriod) {
+    const seen = new Map();
+    denominators.forEach(d => {
+        for (let n = 1; n / d <= maxPeriod; n++) {
+            if (n / d < minPeriod) continue;
+            const g = gcd(n, d);
+            const key = `${n / g}/${d / g}`;
+            if (!seen.has(key)) seen.set(key, { n: n / g, d: d / g, value: n / d });
+        }
+    });
+    return [...seen.values()].sort((a, b) => a.value - b.value);
+}
+
+/**
+ * Onset times as positions on the beat grid (beat i at position i)
+ * @param {number[]} beats - Beat times in seconds
+ * @param {Array<{time: number, strength: number}>} onsets - Onsets in time order
+ * @returns {{positions: number[], strengths: number[]}} Positions in beats; onsets outside the tracked beats are dropped
+ */
+export function toBeatPositions(beats, onsets) {
+    const positions = [];
+    const strengths = [];
+    let i = 0;
+    onsets.forEach(({ time, strength }) => {
+        if (time < beats[0] || time >= beats[beats.length - 1]) return;
+        while (i + 1 < beats.length && beats[i + 1] <= time) i++;
+        positions.push(i + (time - beats[i]) / (beats[i + 1] - beats[i]));
+        strengths.push(strength ?? 1);
+    });
+    return { positions, strengths };
+}
+
+/**
+ * How well a pulse of the given period and best phase explains a set of positions
+ * @param {number[]} positions - Sorted positions in beats
+ * @param {number} period - Pulse period in beats
+ * @param {number[]} strengths - Onset strengths, parallel to positions (all equal when omitted)
+ * @returns {{salience: number, hits: number, phase: number, share: number}} salience: share of grid points with
+ *   an onset, above what onsets of the same density would hit by chance; share: part of the onset strength on the grid
+ */
+export function pulseSalience(positions, period, strengths = null) {
+    if (positions.length < 2) return { salience: 0, hits: 0, phase: 0, share: 0 };
+    const tolerance = Math.min(0.06, period / 5);
+    const bins = 24;
+    const histogram = new Float32Array(bins);
+    positions.forEach(x => { histogram[Math.floor(((x % period) / period) * bins) % bins]++; });
+    let bestBin = 0;
+    let bestCount = -1;
+    for (let b = 0; b < bins; b++) {
+        const count = histogram[(b + bins - 1) % bins] + histogram[b] + histogram[(b + 1) % bins];
+        if (count > bestCount) {
+            bestCount = count;
+            bestBin = b;
+        }
+    }
+    // Refine the phase to the mean offset of the onsets near the histogram peak
+    const rough = ((bestBin + 0.5) / bins) * period;
+    const near = positions
+        .map(x => (((x - rough) % period) + 1.5 * period) % period - period / 2)
+        .filter(offset => Math.abs(offset) <= period / bins * 1.5);
+    const phase = rough + (near.length ? near.reduce((acc, v) => acc + v, 0) / near.length : 0);
+
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+    const strengthOf = (index) => (strengths ? strengths[index] : 1);
+    let j = 0;
+    let hits = 0;
+    let points = 0;
+    let onGrid = 0;
+    for (let k = Math.ceil((first - phase - tolerance) / period); phase + k * period <= last + tolerance; k++) {
+        const t = phase + k * period;
+        points++;
+        while (j < positions.length && positions[j] < t - tolerance) j++;
+        if (j < positions.length && positions[j] <= t + tolerance) hits++;
+        for (let m = j; m < positions.length && positions[m] <= t + tolerance; m++) onGrid += strengthOf(m);
+    }
+    let total = 0;
+    for (let m = 0; m < positions.length; m++) total += strengthOf(m);
+    // Dense onsets hit any grid now and then; only hits beyond that chance count
+    const density = positions.length / Math.max(period, last - first);
+    const chance = 1 - Math.exp(-density * 2 * tolerance);
+    const share = points ? hits / points : 0;
+    return {
+        salience: Math.max(0, (share - chance) / (1 - chance)),
+        hits,
+        phase: round3(((phase % period) + period) % period),
+        share: total > 0 ? onGrid / total : 0
+    };
+}
+
+/**
+ * Pulse layers of one band: the shortest salient periods that are not multiples of a shorter layer
+ * @param {number[]} positions - Sorted onset positions in beats
+ * @param {number[]} strengths - Onset strengths, parallel to positions
+ * @param {Object} options - See DEFAULTS
+ * @returns {Array<{period: number, n: number, d: number, salience: number, share: number, phase: number}>}
+ */
+export function findLayers(positions, strengths = null, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const layers = [];
+    candidatePeriods(opts.denominators, opts.minPeriod, opts.maxPeriod).forEach(candidate => {
+        // n1/d1 is a multiple of n2/d2 when n1 * d2 is divisible by d1 * n2
+        if (layers.some(layer => (candidate.n * layer.d) % (candidate.d * layer.n) === 0)) return;
+        const { salience, hits, phase, share } = pulseSalience(positions, candidate.value, strengths);
+        if (salience >= opts.minSalience && hits >= opts.minHits) {
+            layers.push({ period: round3(candidate.value), n: candidate.n, d: candidate.d, salience: round3(salience), share: round3(share), phase });
+        }
+    });
+    return layers;
+}
+
+/**
+ * Cross-rhythm between two layers, or null when one period is a whole multiple of the other
+ * @param {Object} a - Layer { n, d } (period n/d beats)
+ * @param {Object} b - Layer { n, d }
+ * @param {number} beatsPerBar - Bar length in beats, to spell ratios per bar (6:4)
+ * @param {number} maxTerm - Largest term allowed in the reduced ratio
+ * @returns {{ratio: string, label: string, cycleBeats: number, fast: Object, slow: Object}|null}
+ */
+export function crossRatio(a, b, beatsPerBar = null, maxTerm = DEFAULTS.maxRatioTerm) {
+    const [fast, slow] = a.n * b.d <= b.n * a.d ? [a, b] : [b, a];
+    // Events per common cycle: slow/fast = (ns*df)/(ds*nf)
+    let x = slow.n * fast.d;
+    let y = slow.d * fast.n;
+    const g = gcd(x, y);
+    x /= g;
+    y /= g;
+    if (y === 1 || x === y || x > maxTerm) return null;
+    const cycleBeats = (y * slow.n) / slow.d;
+    const ratio = `${x}:${y}`;
+    let label = `${ratio} cross-rhythm`;
+    const perBar = beatsPerBar ? beatsPerBar / cycleBeats : 0;
+    if (Number.isInteger(perBar) && perBar > 1 && x * perBar <= 2 * maxTerm) {
+        label = `${x * perBar}:${y * perBar}${x === 3 && y === 2 && perBar === 2 ? ' hemiola' : ' cross-rhythm'} per bar`;
+    }
+    return { ratio, label, cycleBeats: round3(cycleBeats), fast, slow };
+}
+
+/**
+ * Concurrent periodicities and the cross-rhythm ratios between them
+ * @param {Float32Array} buffer - Audio samples
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} rhythm - { beats (seconds), beatsPerBar } from the beat tracker
+ * @param {Object} options - See DEFAULTS
+ * @returns {Object} { isPolyrhythmic, dominantRatio, bands: [{ id, label, onsets, periods }],
+ *   layers: [{ band, period, periodSeconds, salience, share, heardIn }],
+ *   ratios: [{ ratio, label, confidence, cycleBeats, fast: { band, period, periodSeconds }, slow: {...} }] }
+ */
+export function analyzePolyrhythm(buffer, sampleRate, rhythm, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const beats = rhythm?.beats || [];
+    const empty = { isPolyrhythmic: false, dominantRatio: null, bands: [], layers: [], ratios: [] };
+    if (beats.length < 8) return empty;
+    const beatSeconds = (beats[beats.length - 1] - beats[0]) / (beats.length - 1);
+
+    const { bandEnvelopes, frameRate } = onsetStrength(buffer, sampleRate, {
+        bands: opts.bands.map(band => band.range),
+        compression: opts.compression
+    });
+    const bandLayers = opts.bands.map((band, i) => {
+        const onsets = pickOnsets(bandEnvelopes[i], frameRate, { onsetThreshold: opts.onsetThreshold });
+        const { positions, strengths } = toBeatPositions(beats, onsets);
+        return { band, onsets: positions.length, layers: findLayers(positions, strengths, opts) };
+    });
+
+    // Strikes leak into neighbouring bands, so a layer belongs to the band where it carries most of the onset strength
+    const byPeriod = new Map();
+    bandLayers.forEach(({ band, layers }) => layers.forEach(layer => {
+        const key = `${layer.n}/${layer.d}`;
+        const entry = byPeriod.get(key);
+        if (!entry) {
+            byPeriod.set(key, { ...layer, band: band.id, heardIn: [band.id] });
+            return;
+        }
+        entry.heardIn.push(band.id);
+        if (layer.share > entry.share) Object.assign(entry, { ...layer, band: band.id });
+    }));
+    const layers = [...byPeriod.values()]
+        .sort((a, b) => a.period - b.period)
+        .map(layer => ({ ...layer, periodSeconds: round3(layer.period * beatSeconds) }));
+
+    // Every pair of distinct periods whose ratio is not a whole number is a cross-rhythm
+    const ratios = [];
+    for (let i = 0; i < layers.length; i++) {
+        for (let j = i + 1; j < layers.length; j++) {
+            const cross = crossRatio(layers[i], layers[j], rhythm.beatsPerBar, opts.maxRatioTerm);
+            if (!cross) continue;
+            const describe = (layer) => ({ band: layer.band, period: layer.period, periodSeconds: layer.periodSeconds });
+            ratios.push({
+                ratio: cross.ratio,
+                label: cross.label,
+                confidence: round3(Math.min(layers[i].salience, layers[j].salience)),
+                cycleBeats: cross.cycleBeats,
+                fast: describe(cross.fast),
+                slow: describe(cross.slow)
+            });
+        }
+    }
+    ratios.sort((a, b) => b.confidence - a.confidence);
+
+    return {
+        isPolyrhythmic: ratios.length > 0 && ratios[0].confidence >= 0.7,
+        dominantRatio: ratios[0]?.ratio || null,
+        bands: bandLayers.map(({ band, onsets, layers: found }) => ({ id: band.id, label: band.label, onsets, periods: found.map(layer => layer.period) })),
+        layers: layers.map(({ band, period, periodSeconds, salience, share, heardIn }) => ({ band, period, periodSeconds, salience, share, heardIn })),
+        ratios: ratios.slice(0, 6)
+    };
+}
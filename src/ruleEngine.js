@@ -0,0 +1,125 @@
+/**
+ * Rule Engine Module
+ * Evaluates declarative scoring rules (see genreRules.js) against a feature set. A rule adds
+ * its score deltas when its condition holds; rules sharing a group form an if / else-if chain
+ * (only the first match fires), and a fired rule can suppress later rules by id. Every fired
+ * rule is returned so the caller can show why a score came out the way it did.
+ *
+ * Conditions are objects whose entries must all hold:
+ *   { tempo: { gte: 60, lt: 90 } }            numeric bounds (gt, gte, lt, lte)
+ *   { scale: { includes: 'Pentatonic' } }      substring; includesAny: [...] for any of several
+ *   { polyrhythmic: true, tuning: 'stable' }   equality (eq: value is the explicit form)
+ *   { any: [cond, ...] }, { all: [...] }, { not: cond }
+ *   { scores: { World: { gt: 2.5 } } }         the running score of a label
+ */
+
+const TESTS = {
+    gt: (value, bound) => value > bound,
+    gte: (value, bound) => value >= bound,
+    lt: (value, bound) => value < bound,
+    lte: (value, bound) => value <= bound,
+    eq: (value, expected) => value === expected,
+    includes: (value, text) => typeof value === 'string' && value.includes(text),
+    includesAny: (value, texts) => typeof value === 'string' && texts.some(text => value.includes(text))
+};
+
+function testValue(value, test, name) {
+    if (test === null || typeof test !== 'object') return value === test;
+    return Object.entries(test).every(([op, operand]) => {
+        if (!TESTS[op]) throw new Error(`Unknown test "${op}" for "${name}"`);
+        return TESTS[op](value, operand);
+    });
+}
+
+/**
+ * Whether a condition holds
+ * @param {Object} condition - See the module header
+ * @param {Object} features - Feature values by name
+ * @param {Object} scores - Running scores by label (for `scores` entries)
+ * @returns {boolean}
+ * @throws {Error} For a feature or test the condition names but the engine does not know
+ */
+export function evaluateCondition(condition, features, scores = {}) {
+    return Object.entries(condition || {}).every(([key, test]) => {
+        if (key === 'any') return test.some(sub => evaluateCondition(sub, features, scores));
+        if (key === 'all') return test.every(sub => evaluateCondition(sub, features, scores));
+        if (key === 'not') return !evaluateCondition(test, features, scores);
+        if (key === 'scores') {
+            return Object.entries(test).every(([label, scoreTest]) => testValue(scores[label] ?? 0, scoreTest, label));
+        }
+        if (!(key in features)) throw new Error(`Unknown feature "${key}"`);
+        return testValue(features[key], test, key);
+    });
+}
+
+/**
+ * Features a condition looks at, with derived flags expanded into the features they are built from
+ * @param {Object} condition - See the module header
+ * @param {Object} derived - Derived feature definitions ({ name: condition })
+ * @returns {string[]} Feature names in first-use order (running scores are not features and are left out)
+ */
+export function conditionFeatures(condition, derived = {}) {
+    const names = [];
+    const visit = (cond) => Object.entries(cond || {}).forEach(([key, test]) => {
+        if (key === 'any' || key === 'all') test.forEach(visit);
+        else if (key === 'not') visit(test);
+        else if (key === 'scores') return;
+        else if (derived[key]) visit(derived[key]);
+        else if (!names.includes(key)) names.push(key);
+    });
+    visit(condition);
+    return names;
+}
+
+/**
+ * Add derived boolean features, each defined by a condition over the features before it
+ * @param {Object} definitions - { name: condition } in evaluation order
+ * @param {Object} features - Feature values
+ * @returns {Object} A copy of features with the derived flags added
+ */
+export function deriveFeatures(definitions, features) {
+    const derived = { ...features };
+    Object.entries(definitions || {}).forEach(([name, condition]) => {
+        derived[name] = evaluateCondition(condition, derived);
+    });
+    return derived;
+}
+
+/**
+ * Apply rules in order to a score table
+ * @param {Array<Object>} rules - [{ id, description, group, when, scores: { label: delta }, suppresses: [ids] }]
+ * @param {Object} features - Feature values (derived flags included)
+ * @param {Object} scores - Score per label; updated in place
+ * @param {Object} derived - Derived feature definitions, to name the underlying features of fired rules
+ * @returns {Array<{id: string, group: string|null, description: string, features: string[], scores: Object}>} Fired rules in order
+ * @throws {Error} When a rule scores a label missing from the table, or its condition is malformed
+ */
+export function applyRules(rules, features, scores, derived = {}) {
+    const fired = [];
+    const matchedGroups = new Set();
+    const suppressed = new Set();
+    rules.forEach(rule => {
+        if (suppressed.has(rule.id) || (rule.group && matchedGroups.has(rule.group))) return;
+        let holds;
+        try {
+            holds = evaluateCondition(rule.when, features, scores);
+        } catch (error) {
+            throw new Error(`Rule "${rule.id}": ${error.message}`);
+        }
+        if (!holds) return;
+        Object.entries(rule.scores || {}).forEach(([label, delta]) => {
+            if (!(label in scores)) throw new Error(`Rule "${rule.id}" scores unknown label "${label}"`);
+            scores[label] += delta;
+        });
+        if (rule.group) matchedGroups.add(rule.group);
+        (rule.suppresses || []).forEach(id => suppressed.add(id));
+        fired.push({
+            id: rule.id,
+            group: rule.group || null,
+            description: rule.description,
+            features: conditionFeatures(rule.when, derived),
+            scores: { ...rule.scores }
+        });
+    });
+    return fired;
+}
@@ -0,0 +1,224 @@
+/**
+ * Harmonic/Percussive Source Separation Module
+ * Median-filtering HPSS (Fitzgerald 2010): in a spectrogram, sustained (harmonic) sounds
+ * are horizontal ridges and strikes (percussive) are vertical ones. A median along time
+ * keeps the first, a median along frequency the second; soft masks built from the two
+ * split every STFT frame, and overlap-add brings both parts back to the time domain.
+ * Frames are processed as a stream, so memory does not grow with the file length.
+ */
+
+import { fft, ifft, hannWindow } from './utils/fft.js';
+
+const DEFAULTS = {
+    frameSeconds: 0.046,        // rounded to a power of two: 2048 samples at 44.1/48 kHz
+    harmonicSeconds: 0.2,       // time-median length
+    percussiveHz: 400,          // frequency-median length
+    maskPower: 2,               // Wiener-like soft masks
+    maxEnvelopePoints: 600
+};
+
+const toDb = (value) => (value > 0 ? Math.round(200 * Math.log10(value)) / 10 : null);
+const odd = (n) => Math.max(3, Math.round(n) | 1);
+
+// Sorted run of at most `capacity` values; insertion and removal shift in place
+class SortedWindow {
+    constructor(capacity) {
+        this.values = new Float32Array(capacity);
+        this.size = 0;
+    }
+
+    indexOf(value) {
+        let lo = 0, hi = this.size;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.values[mid] < value) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    insert(value) {
+        const at = this.indexOf(value);
+        this.values.copyWithin(at + 1, at, this.size);
+        this.values[at] = value;
+        this.size++;
+    }
+
+    remove(value) {
+        const at = this.indexOf(value);
+        this.values.copyWithin(at, at + 1, this.size);
+        this.size--;
+    }
+
+    median() {
+        const n = this.size;
+        return n % 2 ? this.values[(n - 1) / 2] : (this.values[n / 2 - 1] + this.values[n / 2]) / 2;
+    }
+}
+
+/**
+ * Split a signal into harmonic and percussive components
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { frameSize, hopSize, harmonicKernel (frames), percussiveKernel (bins), maskPower }
+ *   or, scaled to the sample rate, { frameSeconds, harmonicSeconds, percussiveHz }
+ * @returns {Object} { harmonic, percussive (Float32Array, harmonic + percussive = signal), frameSize, hopSize, harmonicKernel, percussiveKernel }
+ */
+export function separateHarmonicPercussive(signal, sampleRate, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const frameSize = opts.frameSize || 2 ** Math.round(Math.log2(opts.frameSeconds * sampleRate));
+    const hopSize = opts.hopSize || frameSize / 4;
+    const harmonicKernel = odd(opts.harmonicKernel || (opts.harmonicSeconds * sampleRate) / hopSize);
+    const percussiveKernel = odd(opts.percussiveKernel || opts.percussiveHz / (sampleRate / frameSize));
+    const bins = frameSize / 2 + 1;
+    const halfTime = (harmonicKernel - 1) / 2;
+    const halfFreq = (percussiveKernel - 1) / 2;
+    const window = hannWindow(frameSize);
+
+    const length = signal.length;
+    const harmonic = new Float32Array(length);
+    const percussive = new Float32Array(length);
+    const norm = new Float32Array(length);
+    // Frames are centred on multiples of the hop so the edges are covered as well as the middle
+    const frameStart = (t) => t * hopSize - frameSize / 2;
+    const frameCount = Math.ceil((length + frameSize / 2) / hopSize);
+
+    // Ring of the last harmonicKernel + 1 frames: spectrum and magnitudes
+    const ringSize = harmonicKernel + 1;
+    const ring = Array.from({ length: ringSize }, () => ({
+        re: new Float64Array(frameSize),
+        im: new Float64Array(frameSize),
+        mags: new Float32Array(bins)
+    }));
+    // Per-bin sorted magnitudes of the frames inside the time-median window
+    const timeWindows = Array.from({ length: bins }, () => new SortedWindow(harmonicKernel));
+
+    const analyzeFrame = (t) => {
+        const slot = ring[t % ringSize];
+        const start = frameStart(t);
+        for (let i = 0; i < frameSize; i++) {
+            const index = start + i;
+            slot.re[i] = index >= 0 && index < length ? signal[index] * window[i] : 0;
+            slot.im[i] = 0;
+        }
+        fft(slot.re, slot.im);
+        for (let k = 0; k < bins; k++) {
+            slot.mags[k] = Math.sqrt(slot.re[k] * slot.re[k] + slot.im[k] * slot.im[k]);
+            timeWindows[k].insert(slot.mags[k]);
+        }
+    };
+
+    const harmonicMedian = new Float32Array(bins);
+    const frequencyWindow = new SortedWindow(percussiveKernel);
+    const synthesizeFrame = (c) => {
+        const slot = ring[c % ringSize];
+        for (let k = 0; k < bins; k++) harmonicMedian[k] = timeWindows[k].median();
+
+        // Frequency median of this frame, sliding across the bins
+        frequencyWindow.size = 0;
+        for (let k = 0; k <= Math.min(bins - 1, halfFreq); k++) frequencyWindow.insert(slot.mags[k]);
+        for (let k = 0; k < bins; k++) {
+            const h = harmonicMedian[k] ** opts.maskPower;
+            const p = frequencyWindow.median() ** opts.maskPower;
+            const mask = h + p > 0 ? h / (h + p) : 0.5;
+            slot.re[k] *= mask;
+            slot.im[k] *= mask;
+            if (k > 0 && k < bins - 1) {
+                slot.re[frameSize - k] *= mask;
+                slot.im[frameSize - k] *= mask;
+            }
+            if (k + halfFreq + 1 < bins) frequencyWindow.insert(slot.mags[k + halfFreq + 1]);
+            if (k - halfFreq >= 0) frequencyWindow.remove(slot.mags[k - halfFreq]);
+        }
+
+        // The percussive frame is what the harmonic mask leaves of the (doubly windowed) input
+        ifft(slot.re, slot.im);
+        const start = frameStart(c);
+        for (let i = 0; i < frameSize; i++) {
+            const index = start + i;
+            if (index < 0 || index >= length) continue;
+            const w = window[i];
+            const h = slot.re[i] * w;
+            harmonic[index] += h;
+            percussive[index] += signal[index] * w * w - h;
+            norm[index] += w * w;
+        }
+    };
+
+    for (let t = 0; t < frameCount + halfTime; t++) {
+        if (t < frameCount) analyzeFrame(t);
+        const c = t - halfTime;
+        if (c < 0) continue;
+        synthesizeFrame(c);
+        // Slide the time window: the frame that falls out is c - halfTime
+        const old = c - halfTime;
+        if (old >= 0) {
+            const slot = ring[old % ringSize];
+            for (let k = 0; k < bins; k++) timeWindows[k].remove(slot.mags[k]);
+        }
+    }
+
+    for (let i = 0; i < length; i++) {
+        if (norm[i] > 1e-8) {
+            harmonic[i] /= norm[i];
+            percussive[i] /= norm[i];
+        }
+    }
+    return { harmonic, percussive, frameSize, hopSize, harmonicKernel, percussiveKernel };
+}
+
+/**
+ * Share of the energy in the percussive component, over the whole signal or a stretch of it
+ * @param {Float32Array} harmonic - Harmonic component
+ * @param {Float32Array} percussive - Percussive component
+ * @param {number} start - First sample
+ * @param {number} end - Sample after the last
+ * @returns {number} 0 (all sustained) to 1 (all strikes)
+ */
+export function percussiveShare(harmonic, percussive, start = 0, end = harmonic.length) {
+    let h = 0, p = 0;
+    for (let i = start; i < end; i++) {
+        h += harmonic[i] * harmonic[i];
+        p += percussive[i] * percussive[i];
+    }
+    return h + p > 0 ? p / (h + p) : 0;
+}
+
+/**
+ * JSON-friendly summary of a separation: energy shares and the level of each part over time
+ * @param {Object} separation - Result of separateHarmonicPercussive
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { maxEnvelopePoints }
+ * @returns {Object} { percussiveShare, harmonicShare, frameSize, hopSize, harmonicKernel, percussiveKernel,
+ *   envelope: { hopSeconds, points: [{ time, harmonic, percussive }] } } with levels in dBFS (null when silent)
+ */
+export function describeSeparation(separation, sampleRate, options = {}) {
+    const { maxEnvelopePoints } = { ...DEFAULTS, ...options };
+    const { harmonic, percussive } = separation;
+    const length = harmonic.length;
+    const step = Math.max(Math.round(0.1 * sampleRate), Math.ceil(length / maxEnvelopePoints));
+    const points = [];
+    for (let start = 0; start < length; start += step) {
+        const end = Math.min(length, start + step);
+        let h = 0, p = 0;
+        for (let i = start; i < end; i++) {
+            h += harmonic[i] * harmonic[i];
+            p += percussive[i] * percussive[i];
+        }
+        points.push({
+            time: Math.round((start / sampleRate) * 1000) / 1000,
+            harmonic: toDb(Math.sqrt(h / (end - start))),
+            percussive: toDb(Math.sqrt(p / (end - start)))
+        });
+    }
+    const share = percussiveShare(harmonic, percussive);
+    return {
+        percussiveShare: Math.round(share * 1000) / 1000,
+        harmonicShare: Math.round((1 - share) * 1000) / 1000,
+        frameSize: separation.frameSize,
+        hopSize: separation.hopSize,
+        harmonicKernel: separation.harmonicKernel,
+        percussiveKernel: separation.percussiveKernel,
+        envelope: { hopSeconds: Math.round((step / sampleRate) * 1000) / 1000, points }
+    };
+}
@@ -0,0 +1,209 @@
+/**
+ * Stereo Field Analysis Module
+ * Per-channel levels, mid/side decomposition, inter-channel correlation and
+ * panning over time (overall and per frequency band), plus the choice of which
+ * signal the rest of the analysis runs on: a downmix, left, right, mid or side.
+ */
+
+import { magnitudeSpectrum } from './utils/fft.js';
+
+/**
+ * Signals the analysis can run on, with the label shown next to results and charts
+ */
+export const CHANNEL_MODES = {
+    downmix: 'Downmix',
+    left: 'Left channel',
+    right: 'Right channel',
+    mid: 'Mid (L+R)/2',
+    side: 'Side (L−R)/2'
+};
+
+// Bands in which panning is measured; instruments in different registers separate here
+export const PAN_BANDS = [
+    { id: 'bass', label: 'Bass', low: 20, high: 250 },
+    { id: 'low-mid', label: 'Low mids', low: 250, high: 1000 },
+    { id: 'high-mid', label: 'High mids', low: 1000, high: 4000 },
+    { id: 'treble', label: 'Treble', low: 4000, high: 16000 }
+];
+
+const DEFAULTS = {
+    windowSeconds: 0.5,     // resolution of the panning-over-time view
+    maxWindows: 600,        // long files get longer windows
+    frameSize: 2048,        // FFT size for the band panning
+    framesPerWindow: 4
+};
+
+const toDb = (value) => (value > 0 ? Math.round(200 * Math.log10(value)) / 10 : -Infinity);
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+function channelName(index, count) {
+    if (count === 1) return 'Mono';
+    if (count === 2) return index === 0 ? 'Left' : 'Right';
+    return `Channel ${index + 1}`;
+}
+
+/**
+ * Signal to analyze for a channel mode
+ * @param {Float32Array[]} channels - Decoded channels (first = left, second = right)
+ * @param {string} mode - One of CHANNEL_MODES; mono files always analyze their only channel
+ * @returns {{mode: string, label: string, data: Float32Array}} Resolved mode, its label and the samples
+ */
+export function selectChannel(channels, mode = 'downmix') {
+    if (!CHANNEL_MODES[mode]) {
+        throw new Error(`Unknown channel mode "${mode}" (use ${Object.keys(CHANNEL_MODES).join(', ')})`);
+    }
+    if (!channels || channels.length === 0) throw new Error('No audio channels to analyze');
+    if (channels.length === 1) return { mode: 'mono', label: 'Mono', data: channels[0] };
+
+    const [left, right] = channels;
+    if (mode === 'left') return { mode, label: CHANNEL_MODES.left, data: left };
+    if (mode === 'right') return { mode, label: CHANNEL_MODES.right, data: right };
+
+    const length = Math.min(...channels.map(channel => channel.length));
+    const data = new Float32Array(length);
+    if (mode === 'mid' || mode === 'side') {
+        const sign = mode === 'mid' ? 1 : -1;
+        for (let i = 0; i < length; i++) data[i] = (left[i] + sign * right[i]) / 2;
+        return { mode, label: CHANNEL_MODES[mode], data };
+    }
+    channels.forEach(channel => {
+        for (let i = 0; i < length; i++) data[i] += channel[i];
+    });
+    for (let i = 0; i < length; i++) data[i] /= channels.length;
+    const label = channels.length === 2 ? 'Downmix (L+R)/2' : `Downmix of ${channels.length} channels`;
+    return { mode, label, data };
+}
+
+// Energy balance between two channels: -1 hard left, 0 centre, +1 hard right
+function balance(energyLeft, energyRight) {
+    const total = energyLeft + energyRight;
+    return total > 0 ? (energyRight - energyLeft) / total : 0;
+}
+
+function bandEnergies(spectrum, sampleRate, frameSize) {
+    const binHz = sampleRate / frameSize;
+    return PAN_BANDS.map(band => {
+        const lo = Math.max(1, Math.ceil(band.low / binHz));
+        const hi = Math.min(spectrum.length - 1, Math.floor(band.high / binHz));
+        let energy = 0;
+        for (let k = lo; k <= hi; k++) energy += spectrum[k] * spectrum[k];
+        return energy;
+    });
+}
+
+/**
+ * Stereo field of a recording
+ * @param {Float32Array[]} channels - Decoded channels
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { windowSeconds, maxWindows, frameSize, framesPerWindow }
+ * @returns {Object} { channelCount, perChannel: [{ index, name, rms, peak, rmsDb, peakDb }], and for two or
+ *   more channels: correlation, balance, width (side share of mid+side energy), sideToMidDb,
+ *   bands: [{ id, label, low, high, pan, share }], windowSeconds, windows: [{ time, correlation, pan, width, levelDb, bands }] }
+ */
+export function analyzeStereoField(channels, sampleRate, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const perChannel = channels.map((data, index) => {
+        let energy = 0;
+        let peak = 0;
+        for (let i = 0; i < data.length; i++) {
+            energy += data[i] * data[i];
+            const magnitude = Math.abs(data[i]);
+            if (magnitude > peak) peak = magnitude;
+        }
+        const rms = data.length ? Math.sqrt(energy / data.length) : 0;
+        return { index, name: channelName(index, channels.length), rms: round3(rms), peak: round3(peak), rmsDb: toDb(rms), peakDb: toDb(peak) };
+    });
+    const summary = { channelCount: channels.length, perChannel };
+    if (channels.length < 2) return summary;
+
+    const [left, right] = channels;
+    const length = Math.min(left.length, right.length);
+    const duration = length / sampleRate;
+    const windowSeconds = Math.max(opts.windowSeconds, duration / opts.maxWindows);
+    const windowSize = Math.max(1, Math.round(windowSeconds * sampleRate));
+    const frameSize = Math.min(opts.frameSize, 2 ** Math.floor(Math.log2(Math.max(2, windowSize))));
+
+    let totalLL = 0, totalRR = 0, totalLR = 0;
+    const bandTotals = PAN_BANDS.map(() => ({ left: 0, right: 0 }));
+    const windows = [];
+
+    for (let start = 0; start < length; start += windowSize) {
+        const end = Math.min(length, start + windowSize);
+        let sLL = 0, sRR = 0, sLR = 0;
+        for (let i = start; i < end; i++) {
+            sLL += left[i] * left[i];
+            sRR += right[i] * right[i];
+            sLR += left[i] * right[i];
+        }
+        totalLL += sLL;
+        totalRR += sRR;
+        totalLR += sLR;
+
+        // Band energies from a few frames spread across the window
+        const frameCount = Math.max(1, Math.min(opts.framesPerWindow, Math.floor((end - start) / frameSize)));
+        const bandLeft = PAN_BANDS.map(() => 0);
+        const bandRight = PAN_BANDS.map(() => 0);
+        if (end - start >= frameSize) {
+            const step = (end - start - frameSize) / frameCount;
+            for (let f = 0; f < frameCount; f++) {
+                const frameStart = start + Math.floor(f * step);
+                const l = bandEnergies(magnitudeSpectrum(left, frameStart, frameSize), sampleRate, frameSize);
+                const r = bandEnergies(magnitudeSpectrum(right, frameStart, frameSize), sampleRate, frameSize);
+                PAN_BANDS.forEach((_, b) => {
+                    bandLeft[b] += l[b];
+                    bandRight[b] += r[b];
+                });
+            }
+        }
+        PAN_BANDS.forEach((_, b) => {
+            bandTotals[b].left += bandLeft[b];
+            bandTotals[b].right += bandRight[b];
+        });
+
+        // Mid/side energies follow from the same sums: |L±R|² / 4
+        const midEnergy = (sLL + sRR + 2 * sLR) / 4;
+        const sideEnergy = (sLL + sRR - 2 * sLR) / 4;
+        const n = end - start;
+        windows.push({
+            time: round3(start / sampleRate),
+            correlation: sLL > 0 && sRR > 0 ? round3(sLR / Math.sqrt(sLL * sRR)) : 0,
+            pan: round3(balance(sLL, sRR)),
+            width: midEnergy + sideEnergy > 0 ? round3(sideEnergy / (midEnergy + sideEnergy)) : 0,
+            levelDb: toDb(Math.sqrt((sLL + sRR) / (2 * n))),
+            bands: PAN_BANDS.map((_, b) => (bandLeft[b] + bandRight[b] > 0 ? round3(balance(bandLeft[b], bandRight[b])) : null))
+        });
+    }
+
+    const midEnergy = (totalLL + totalRR + 2 * totalLR) / 4;
+    const sideEnergy = (totalLL + totalRR - 2 * totalLR) / 4;
+    const bandEnergyTotal = bandTotals.reduce((sum, band) => sum + band.left + band.right, 0);
+
+    return {
+        ...summary,
+        correlation: totalLL > 0 && totalRR > 0 ? round3(totalLR / Math.sqrt(totalLL * totalRR)) : 0,
+        balance: round3(balance(totalLL, totalRR)),
+        width: midEnergy + sideEnergy > 0 ? round3(sideEnergy / (midEnergy + sideEnergy)) : 0,
+        sideToMidDb: midEnergy > 0 && sideEnergy > 0 ? Math.round(100 * Math.log10(sideEnergy / midEnergy)) / 10 : (sideEnergy > 0 ? Infinity : -Infinity),
+        bands: PAN_BANDS.map((band, b) => {
+            const energy = bandTotals[b].left + bandTotals[b].right;
+            return {
+                ...band,
+                pan: energy > 0 ? round3(balance(bandTotals[b].left, bandTotals[b].right)) : null,
+                share: bandEnergyTotal > 0 ? round3(energy / bandEnergyTotal) : 0
+            };
+        }),
+        windowSeconds: round3(windowSize / sampleRate),
+        windows
+    };
+}
+
+/**
+ * Describe a pan position in words
+ * @param {number|null} pan - -1 (left) to +1 (right)
+ * @returns {string} e.g. 'centre', '40% left'
+ */
+export function describePan(pan) {
+    if (pan === null || pan === undefined) return 'silent';
+    if (Math.abs(pan) < 0.1) return 'centre';
+    return `${Math.round(Math.abs(pan) * 100)}% ${pan < 0 ? 'left' : 'right'}`;
+}
@@ -0,0 +1,369 @@
+/**
+ * Structure Segmentation Module
+ * Sections of a piece from the self-similarity of its timbre (MFCC) and harmony (chroma):
+ * a checkerboard kernel slid along the diagonal of the similarity matrix peaks where one
+ * homogeneous stretch gives way to another, and sections that repeat earlier material
+ * take its letter (A, B, A′ for a varied return).
+ */
+
+import { magnitudeSpectrum } from './utils/fft.js';
+
+const DEFAULTS = {
+    blockSeconds: 0.5,          // frames are averaged into blocks of this length
+    maxBlocks: 1200,            // longer pieces get longer blocks
+    kernelSeconds: 16,          // width of the checkerboard kernel
+    minSectionSeconds: 8,
+    noveltyThreshold: 0.35,     // boundary peaks must reach this share of the highest peak
+    mfccWeight: 0.5,            // share of the timbre matrix in the combined similarity (rest: chroma)
+    sameThreshold: 0.8,         // similarity at which a section repeats an earlier one
+    variantThreshold: 0.5       // harmonic similarity at which it is a variant of it (A′)
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Krumhansl-Kessler probe-tone profiles, starting on the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const PRIMES = ['', '′', '″', '‴'];
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+function correlation(a, b) {
+    const n = a.length;
+    const meanA = a.reduce((acc, v) => acc + v, 0) / n;
+    const meanB = b.reduce((acc, v) => acc + v, 0) / n;
+    let num = 0;
+    let varA = 0;
+    let varB = 0;
+    for (let i = 0; i < n; i++) {
+        num += (a[i] - meanA) * (b[i] - meanB);
+        varA += (a[i] - meanA) ** 2;
+        varB += (b[i] - meanB) ** 2;
+    }
+    return varA > 0 && varB > 0 ? num / Math.sqrt(varA * varB) : 0;
+}
+
+/**
+ * Key of a chroma vector by correlation with the rotated major and minor profiles
+ * @param {number[]} chroma - 12 pitch-class weights starting on C
+ * @returns {{key: string, mode: string, label: string, confidence: number}|null} null for an empty vector
+ */
+export function estimateKey(chroma) {
+    if (!chroma || chroma.length !== 12 || !chroma.some(v => v > 0)) return null;
+    let best = null;
+    for (let tonic = 0; tonic < 12; tonic++) {
+        const rotated = chroma.map((_, i) => chroma[(i + tonic) % 12]);
+        [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]].forEach(([mode, profile]) => {
+            const r = correlation(rotated, profile);
+            if (!best || r > best.confidence) best = { key: NOTE_NAMES[tonic], mode, confidence: r };
+        });
+    }
+    return { ...best, label: `${best.key} ${best.mode}`, confidence: round3(best.confidence) };
+}
+
+const hertzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHertz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+/**
+ * Triangular mel filterbank over the bins of a frameSize / 2 + 1 magnitude spectrum
+ * @returns {{first: number, weights: Float32Array}[]} Per band: first bin and the weights from there on
+ */
+function melFilterbank(bins, sampleRate, bands, minFreq, maxFreq) {
+    const minMel = hertzToMel(minFreq);
+    const maxMel = hertzToMel(maxFreq);
+    const edges = Array.from({ length: bands + 2 }, (_, i) => melToHertz(minMel + (i / (bands + 1)) * (maxMel - minMel)));
+    const binHz = (sampleRate / 2) / (bins - 1);
+    return Array.from({ length: bands }, (_, b) => {
+        const [low, center, high] = [edges[b], edges[b + 1], edges[b + 2]];
+        const first = Math.max(0, Math.ceil(low / binHz));
+        const last = Math.min(bins - 1, Math.floor(high / binHz));
+        // Bands narrower than a bin take the nearest bin
+        if (last < first) return { first: Math.min(bins - 1, Math.round(center / binHz)), weights: Float32Array.of(1) };
+        const weights = new Float32Array(last - first + 1);
+        for (let bin = first; bin <= last; bin++) {
+            const freq = bin * binHz;
+            weights[bin - first] = Math.max(0, freq <= center ? (freq - low) / (center - low) : (high - freq) / (high - center));
+        }
+        return { first, weights };
+    });
+}
+
+/**
+ * First `count` DCT-II coefficients of a vector
+ */
+function dct(values, count) {
+    const n = values.length;
+    return Array.from({ length: count }, (_, k) => {
+        let sum = 0;
+        for (let i = 0; i < n; i++) sum += values[i] * Math.cos((Math.PI * k * (i + 0.5)) / n);
+        return sum * Math.sqrt((k === 0 ? 1 : 2) / n);
+    });
+}
+
+/**
+ * MFCC and chroma frames for segmentation, from the JS FFT so they are the same with or
+ * without Essentia. MFCCs are the DCT of the log energies of a triangular mel filterbank;
+ * chroma folds the 50–5000 Hz bins onto pitch classes starting on C (above that the bins
+ * hold overtones and noise rather than pitch).
+ * @param {Float32Array} buffer - Mono audio
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { frameSize (power of two), hopSize, melBands, mfccCount }
+ * @returns {Object} { mfcc: number[][], chroma: number[][], frameRate, duration } for segmentStructure
+ */
+export function extractStructureFeatures(buffer, sampleRate, options = {}) {
+    const { frameSize = 4096, hopSize = 2048, melBands = 40, mfccCount = 13 } = options;
+    const bins = frameSize / 2 + 1;
+    const binHz = (sampleRate / 2) / (bins - 1);
+    const filterbank = melFilterbank(bins, sampleRate, melBands, 20, sampleRate / 2);
+    const pitchClass = new Int8Array(bins).fill(-1);
+    for (let bin = 1; bin < bins; bin++) {
+        const freq = bin * binHz;
+        if (freq < 50 || freq > 5000) continue;
+        // MIDI note number modulo 12: C is 0
+        pitchClass[bin] = ((Math.round(69 + 12 * Math.log2(freq / 440)) % 12) + 12) % 12;
+    }
+
+    const mfcc = [];
+    const chroma = [];
+    for (let start = 0; start + frameSize <= buffer.length; start += hopSize) {
+        const spectrum = magnitudeSpectrum(buffer, start, frameSize);
+        const logMel = filterbank.map(({ first, weights }) => {
+            let energy = 0;
+            for (let i = 0; i < weights.length; i++) energy += weights[i] * spectrum[first + i] ** 2;
+            return Math.log10(Math.max(1e-10, energy));
+        });
+        mfcc.push(dct(logMel, mfccCount));
+
+        const classes = new Array(12).fill(0);
+        for (let bin = 0; bin < bins; bin++) {
+            if (pitchClass[bin] >= 0) classes[pitchClass[bin]] += spectrum[bin];
+        }
+        const peak = Math.max(...classes, 1e-10);
+        chroma.push(classes.map(v => v / peak));
+    }
+    return { mfcc, chroma, frameRate: sampleRate / hopSize, duration: buffer.length / sampleRate };
+}
+
+/**
+ * Average feature frames into fixed-length blocks
+ * @param {number[][]} frames - Feature vectors
+ * @param {number} framesPerBlock - Frames per block (rounded, at least 1)
+ * @returns {number[][]} Block means
+ */
+export function blockAverage(frames, framesPerBlock) {
+    const size = Math.max(1, Math.round(framesPerBlock));
+    const blocks = [];
+    for (let start = 0; start < frames.length; start += size) {
+        const group = frames.slice(start, start + size);
+        const mean = new Array(group[0].length).fill(0);
+        group.forEach(frame => frame.forEach((v, d) => { mean[d] += v / group.length; }));
+        blocks.push(mean);
+    }
+    return blocks;
+}
+
+// Every dimension to zero mean and unit variance across blocks, so no coefficient dominates the distances
+function standardize(blocks) {
+    const dims = blocks[0].length;
+    const result = blocks.map(block => block.slice());
+    for (let d = 0; d < dims; d++) {
+        const mean = blocks.reduce((acc, block) => acc + block[d], 0) / blocks.length;
+        const sd = Math.sqrt(blocks.reduce((acc, block) => acc + (block[d] - mean) ** 2, 0) / blocks.length);
+        result.forEach(block => { block[d] = sd > 1e-9 ? (block[d] - mean) / sd : 0; });
+    }
+    return result;
+}
+
+/**
+ * Cosine self-similarity matrix
+ * @param {number[][]} blocks - Feature vectors
+ * @returns {Float32Array} n * n similarities in [-1, 1], row-major
+ */
+export function selfSimilarity(blocks) {
+    const n = blocks.length;
+    const norms = blocks.map(block => Math.sqrt(block.reduce((acc, v) => acc + v * v, 0)) || 1);
+    const matrix = new Float32Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = i; j < n; j++) {
+            let dot = 0;
+            for (let d = 0; d < blocks[i].length; d++) dot += blocks[i][d] * blocks[j][d];
+            matrix[i * n + j] = matrix[j * n + i] = dot / (norms[i] * norms[j]);
+        }
+    }
+    return matrix;
+}
+
+/**
+ * Foote novelty: correlation of a Gaussian-tapered checkerboard kernel along the diagonal
+ * @param {Float32Array} matrix - n * n self-similarity matrix
+ * @param {number} n - Matrix size
+ * @param {number} halfWidth - Kernel half-width in blocks
+ * @returns {Float32Array} Novelty per block, normalized to a maximum of 1
+ */
+export function checkerboardNovelty(matrix, n, halfWidth) {
+    const L = Math.max(1, Math.round(halfWidth));
+    const taper = (k) => Math.exp(-(((k + 0.5) / (0.5 * L)) ** 2) / 2);
+    const novelty = new Float32Array(n);
+    for (let c = 0; c < n; c++) {
+        let sum = 0;
+        let weight = 0;
+        for (let a = -L; a < L; a++) {
+            const i = c + a;
+            if (i < 0 || i >= n) continue;
+            for (let b = -L; b < L; b++) {
+                const j = c + b;
+                if (j < 0 || j >= n) continue;
+                // Same side of the boundary: +, across it: -
+                const w = taper(a < 0 ? -a - 1 : a) * taper(b < 0 ? -b - 1 : b);
+                sum += ((a < 0) === (b < 0) ? 1 : -1) * w * matrix[i * n + j];
+                weight += w;
+            }
+        }
+        novelty[c] = weight > 0 ? Math.max(0, sum / weight) : 0;
+    }
+    const max = Math.max(...novelty);
+    return max > 0 ? novelty.map(v => v / max) : novelty;
+}
+
+/**
+ * Boundary blocks: the highest novelty peaks at least minGap blocks apart (and from either end)
+ * @param {Float32Array} novelty - Normalized novelty curve
+ * @param {number} minGap - Minimum distance between boundaries in blocks
+ * @param {number} threshold - Minimum peak height
+ * @returns {number[]} Boundary block indices in increasing order
+ */
+export function pickBoundaries(novelty, minGap, threshold = DEFAULTS.noveltyThreshold) {
+    const n = novelty.length;
+    const peaks = [];
+    for (let i = 1; i < n - 1; i++) {
+        if (novelty[i] >= threshold && novelty[i] >= novelty[i - 1] && novelty[i] > novelty[i + 1]) peaks.push(i);
+    }
+    peaks.sort((a, b) => novelty[b] - novelty[a]);
+    const chosen = [];
+    peaks.forEach(peak => {
+        if (peak < minGap || n - peak < minGap) return;
+        if (chosen.every(other => Math.abs(other - peak) >= minGap)) chosen.push(peak);
+    });
+    return chosen.sort((a, b) => a - b);
+}
+
+/**
+ * Similarity of two sections: mean along the aligned diagonal of the similarity matrix,
+ * best over a small lag so slightly misplaced boundaries do not hide a repeat
+ */
+function sectionSimilarity(matrix, n, a, b, maxLag) {
+    const length = Math.min(a.end - a.start, b.end - b.start);
+    let best = -1;
+    for (let lag = -maxLag; lag <= maxLag; lag++) {
+        let sum = 0;
+        let count = 0;
+        for (let k = 0; k < length; k++) {
+            const i = a.start + k;
+            const j = b.start + k + lag;
+            if (j < b.start || j >= b.end) continue;
+            sum += matrix[i * n + j];
+            count++;
+        }
+        if (count >= length / 2) best = Math.max(best, sum / count);
+    }
+    return best;
+}
+
+/**
+ * Letters for sections: a section close enough to an earlier group's first section repeats
+ * its letter; one whose harmony alone matches is a variant (A′, A″); otherwise it opens a new letter
+ * @param {number[][]} similarity - Section-by-section similarity (timbre and harmony)
+ * @param {number[][]} harmony - Section-by-section harmonic similarity (defaults to similarity)
+ * @param {Object} options - { sameThreshold, variantThreshold }
+ * @returns {Array<{label: string, group: string, variant: number, similarity: number|null}>}
+ */
+export function labelSections(similarity, harmony = similarity, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const groups = [];
+    return similarity.map((row, s) => {
+        let bestGroup = null;
+        let bestValue = -Infinity;
+        groups.forEach(group => {
+            if (row[group.reference] > bestValue) {
+                bestValue = row[group.reference];
+                bestGroup = group;
+            }
+        });
+        if (bestGroup && bestValue >= opts.sameThreshold) {
+            return { label: bestGroup.letter, group: bestGroup.letter, variant: 0, similarity: round3(bestValue) };
+        }
+        if (bestGroup && harmony[s][bestGroup.reference] >= opts.variantThreshold) {
+            const variant = ++bestGroup.variants;
+            const prime = PRIMES[variant] ?? `(${variant})`;
+            return { label: `${bestGroup.letter}${prime}`, group: bestGroup.letter, variant, similarity: round3(bestValue) };
+        }
+        const letter = String.fromCharCode(65 + (groups.length % 26));
+        groups.push({ letter, reference: s, variants: 0 });
+        return { label: letter, group: letter, variant: 0, similarity: bestGroup ? round3(bestValue) : null };
+    });
+}
+
+/**
+ * Sections of a piece from its MFCC and chroma frames
+ * @param {Object} features - { mfcc: number[][], chroma: number[][], frameRate (frames per second), duration (seconds) }
+ * @param {Object} options - See DEFAULTS
+ * @returns {Object} { blockSeconds, boundaries (seconds), novelty (per block), sections: [{ start, end, duration, label,
+ *   group, variant, similarity, key }], form (labels joined) }
+ */
+export function segmentStructure(features, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const { mfcc = [], chroma = [], frameRate } = features;
+    const frames = Math.min(mfcc.length, chroma.length);
+    const duration = features.duration || frames / frameRate;
+    const whole = (key) => [{ start: 0, end: round3(duration), duration: round3(duration), label: 'A', group: 'A', variant: 0, similarity: null, key }];
+    if (frames < 2 || !frameRate) {
+        return { blockSeconds: 0, boundaries: [], novelty: [], sections: whole(null), form: 'A' };
+    }
+
+    const blockSeconds = Math.max(opts.blockSeconds, duration / opts.maxBlocks, 1 / frameRate);
+    const framesPerBlock = blockSeconds * frameRate;
+    const mfccBlocks = blockAverage(mfcc.slice(0, frames), framesPerBlock);
+    const chromaBlocks = blockAverage(chroma.slice(0, frames), framesPerBlock);
+    const n = mfccBlocks.length;
+    const step = Math.max(1, Math.round(framesPerBlock)) / frameRate;
+    const meanChroma = (start, end) => {
+        const sum = new Array(12).fill(0);
+        for (let b = start; b < end; b++) chromaBlocks[b].forEach((v, d) => { sum[d] += v; });
+        return sum;
+    };
+
+    const minGap = Math.max(1, Math.round(opts.minSectionSeconds / step));
+    if (n < 2 * minGap) {
+        return { blockSeconds: round3(step), boundaries: [], novelty: [], sections: whole(estimateKey(meanChroma(0, n))), form: 'A' };
+    }
+
+    // Timbre repeats without harmony and vice versa; the weighted sum sees either
+    const timbre = selfSimilarity(standardize(mfccBlocks));
+    const harmony = selfSimilarity(standardize(chromaBlocks));
+    const matrix = new Float32Array(n * n);
+    for (let i = 0; i < matrix.length; i++) matrix[i] = opts.mfccWeight * timbre[i] + (1 - opts.mfccWeight) * harmony[i];
+
+    const novelty = checkerboardNovelty(matrix, n, opts.kernelSeconds / step / 2);
+    const boundaryBlocks = pickBoundaries(novelty, minGap, opts.noveltyThreshold);
+    const edges = [0, ...boundaryBlocks, n];
+    const spans = edges.slice(0, -1).map((start, i) => ({ start, end: edges[i + 1] }));
+
+    const maxLag = Math.max(1, Math.round(minGap / 4));
+    const similarity = spans.map(a => spans.map(b => sectionSimilarity(matrix, n, a, b, maxLag)));
+    const harmonic = spans.map(a => spans.map(b => sectionSimilarity(harmony, n, a, b, maxLag)));
+    const labels = labelSections(similarity, harmonic, opts);
+
+    const sections = spans.map((span, i) => {
+        const start = round3(span.start * step);
+        const end = round3(i === spans.length - 1 ? duration : span.end * step);
+        return { start, end, duration: round3(end - start), ...labels[i], key: estimateKey(meanChroma(span.start, span.end)) };
+    });
+    return {
+        blockSeconds: round3(step),
+        boundaries: boundaryBlocks.map(b => round3(b * step)),
+        novelty: Array.from(novelty, round3),
+        sections,
+        form: sections.map(section => section.label).join(' ')
+    };
+}
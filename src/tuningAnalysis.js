@@ -0,0 +1,304 @@
+/**
+ * Microtonal Tuning Analysis Module
+ * Builds a fine-resolution pitch histogram in cents, finds the stable scale degrees,
+ * measures their deviation from 12-TET and matches them against non-Western tuning systems
+ * (22-shruti, Arabic 24-tone, Turkish 53-comma, slendro, pelog).
+ */
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// C4 in 12-TET at A4 = 440 Hz; cents are folded into one octave above C
+const C_REFERENCE_HZ = 440 * Math.pow(2, -9 / 12);
+
+/**
+ * Tuning templates, in cents above the tonic.
+ * 'grid' systems are pitch inventories a scale picks a subset from;
+ * 'scale' systems are complete scales whose every step should be heard.
+ */
+export const TUNING_SYSTEMS = {
+    '12tet': {
+        name: '12-TET (Western equal temperament)',
+        type: 'grid',
+        steps: Array.from({ length: 12 }, (_, i) => i * 100)
+    },
+    shruti22: {
+        name: '22-shruti (Indian just intonation)',
+        type: 'grid',
+        steps: [0, 90.22, 111.73, 182.40, 203.91, 294.13, 315.64, 386.31, 407.82, 498.04, 519.55,
+            590.22, 611.73, 701.96, 792.18, 813.69, 884.36, 905.87, 996.09, 1017.60, 1088.27, 1109.78]
+    },
+    arabic24: {
+        name: 'Arabic 24-tone (quarter tones)',
+        type: 'grid',
+        steps: Array.from({ length: 24 }, (_, i) => i * 50)
+    },
+    turkish53: {
+        name: 'Turkish 53-comma (Holdrian commas)',
+        type: 'grid',
+        steps: Array.from({ length: 53 }, (_, i) => (i * 1200) / 53)
+    },
+    slendro: {
+        name: 'Slendro (Javanese gamelan, 5-tone)',
+        type: 'scale',
+        steps: [0, 240, 480, 720, 960]
+    },
+    pelog: {
+        name: 'Pelog (Javanese gamelan, 7-tone)',
+        type: 'scale',
+        steps: [0, 120, 270, 540, 670, 785, 950]
+    }
+};
+
+const mod1200 = (c) => ((c % 1200) + 1200) % 1200;
+
+// Signed shortest distance between two pitch classes in cents (-600..600]
+const circularDiff = (a, b) => {
+    const d = mod1200(a - b);
+    return d > 600 ? d - 1200 : d;
+};
+
+/**
+ * Convert a frequency to cents above C, folded into one octave
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} Pitch class in cents (0-1200)
+ */
+export function frequencyToCents(frequency) {
+    return mod1200(1200 * Math.log2(frequency / C_REFERENCE_HZ));
+}
+
+/**
+ * Describe a pitch class relative to the nearest 12-TET note
+ * @param {number} cents - Pitch class in cents above C
+ * @returns {{note: string, deviation: number}} Nearest note and signed deviation in cents
+ */
+export function nearestEqualTempered(cents) {
+    const semitone = Math.round(mod1200(cents) / 100) % 12;
+    return { note: NOTE_NAMES[semitone], deviation: circularDiff(cents, semitone * 100) };
+}
+
+/**
+ * Keep only pitches that sit on a steady note (neighbouring frames within tolerance);
+ * glides and ornaments between notes would otherwise smear the histogram
+ * @param {number[]} pitches - Frequencies in Hz, in time order
+ * @param {number} toleranceCents - Maximum frame-to-frame movement for a steady note
+ * @returns {number[]} Stable frequencies
+ */
+export function filterStablePitches(pitches, toleranceCents = 25) {
+    const valid = pitches.filter(p => Number.isFinite(p) && p > 0);
+    if (valid.length < 3) return valid;
+    const cents = valid.map(p => 1200 * Math.log2(p / C_REFERENCE_HZ));
+    return valid.filter((_, i) => {
+        const prevSteady = i > 0 && Math.abs(cents[i] - cents[i - 1]) < toleranceCents;
+        const nextSteady = i < cents.length - 1 && Math.abs(cents[i + 1] - cents[i]) < toleranceCents;
+        return prevSteady || nextSteady;
+    });
+}
+
+/**
+ * Build a smoothed, octave-folded pitch histogram in cents
+ * @param {number[]} pitches - Frequencies in Hz
+ * @param {Object} options - { resolution: cents per bin, smoothing: Gaussian sigma in cents }
+ * @returns {{resolution: number, bins: number[]}} Histogram normalized to sum 1
+ */
+export function buildCentsHistogram(pitches, options = {}) {
+    const { resolution = 5, smoothing = 10 } = options;
+    const binCount = Math.round(1200 / resolution);
+    const raw = new Array(binCount).fill(0);
+
+    for (const p of pitches) {
+        if (!Number.isFinite(p) || p <= 0) continue;
+        raw[Math.round(frequencyToCents(p) / resolution) % binCount] += 1;
+    }
+
+    // Circular Gaussian smoothing so degrees near C do not split across the octave seam
+    const sigmaBins = Math.max(0, smoothing / resolution);
+    let bins = raw;
+    if (sigmaBins > 0) {
+        const radius = Math.ceil(sigmaBins * 3);
+        const kernel = [];
+        for (let k = -radius; k <= radius; k++) kernel.push(Math.exp(-(k * k) / (2 * sigmaBins * sigmaBins)));
+        bins = raw.map((_, i) => {
+            let acc = 0;
+            for (let k = -radius; k <= radius; k++) {
+                acc += raw[(i + k + binCount) % binCount] * kernel[k + radius];
+            }
+            return acc;
+        });
+    }
+
+    const total = bins.reduce((a, b) => a + b, 0) || 1;
+    return { resolution, bins: bins.map(v => v / total) };
+}
+
+/**
+ * Find scale degrees as peaks of the cents histogram
+ * @param {{resolution: number, bins: number[]}} histogram - Output of buildCentsHistogram
+ * @param {Object} options - { minRelativeHeight, minSeparation (cents), massWindow (cents) }
+ * @returns {Array<{cents: number, weight: number, note: string, deviation: number}>} Degrees sorted by pitch
+ */
+export function findScaleDegrees(histogram, options = {}) {
+    const { minRelativeHeight = 0.12, minSeparation = 40, massWindow = 25 } = options;
+    const { resolution, bins } = histogram;
+    const n = bins.length;
+    const max = Math.max(...bins);
+    if (!(max > 0)) return [];
+
+    const peaks = [];
+    for (let i = 0; i < n; i++) {
+        const prev = bins[(i - 1 + n) % n];
+        const next = bins[(i + 1) % n];
+        if (bins[i] >= prev && bins[i] > next && bins[i] >= max * minRelativeHeight) {
+            // Parabolic interpolation for sub-bin accuracy
+            const denom = prev - 2 * bins[i] + next;
+            const delta = denom !== 0 ? 0.5 * (prev - next) / denom : 0;
+            peaks.push({ cents: mod1200((i + delta) * resolution), height: bins[i] });
+        }
+    }
+
+    // Keep the taller of any two peaks closer than minSeparation
+    peaks.sort((a, b) => b.height - a.height);
+    const kept = [];
+    for (const peak of peaks) {
+        if (kept.every(k => Math.abs(circularDiff(k.cents, peak.cents)) >= minSeparation)) kept.push(peak);
+    }
+
+    const massBins = Math.max(1, Math.round(massWindow / resolution));
+    return kept
+        .map(peak => {
+            const center = Math.round(peak.cents / resolution);
+            let weight = 0;
+            for (let k = -massBins; k <= massBins; k++) weight += bins[(center + k + n) % n];
+            const { note, deviation } = nearestEqualTempered(peak.cents);
+            return {
+                cents: Math.round(peak.cents * 10) / 10,
+                weight: Math.round(weight * 1000) / 1000,
+                note,
+                deviation: Math.round(deviation * 10) / 10
+            };
+        })
+        .sort((a, b) => a.cents - b.cents);
+}
+
+/**
+ * Score how well one tuning system explains the observed intervals
+ * @param {number[]} intervals - Degree positions in cents above the tonic
+ * @param {number[]} weights - Relative weight of each degree
+ * @param {Object} system - Entry of TUNING_SYSTEMS
+ * @returns {{score: number, fit: number, coverage: number, rotation: number}} Match quality (0-1)
+ */
+function scoreSystem(intervals, weights, system) {
+    const steps = system.steps;
+    // Scale templates may be heard from any of their steps as tonic
+    const rotations = system.type === 'scale' ? steps : [0];
+    const totalWeight = weights.reduce((a, b) => a + b, 0) || 1;
+    let best = { score: 0, fit: 0, coverage: 0, rotation: 0 };
+
+    for (const rotation of rotations) {
+        const rotated = steps.map(s => mod1200(s - rotation)).sort((a, b) => a - b);
+        let fit = 0;
+        const matchedSteps = new Set();
+
+        intervals.forEach((interval, i) => {
+            let nearest = 0;
+            let nearestErr = Infinity;
+            rotated.forEach((step, k) => {
+                const err = Math.abs(circularDiff(interval, step));
+                if (err < nearestErr) { nearestErr = err; nearest = k; }
+            });
+            // Error is judged against the local gap to the neighbouring step, so dense grids do not win by default
+            const neighbour = circularDiff(interval, rotated[nearest]) >= 0
+                ? rotated[(nearest + 1) % rotated.length]
+                : rotated[(nearest - 1 + rotated.length) % rotated.length];
+            const halfGap = Math.max(1, Math.abs(circularDiff(neighbour, rotated[nearest])) / 2);
+            fit += Math.max(0, 1 - nearestErr / halfGap) * weights[i];
+            if (nearestErr <= Math.min(30, halfGap)) matchedSteps.add(nearest);
+        });
+
+        fit /= totalWeight;
+        const coverage = system.type === 'scale' ? matchedSteps.size / rotated.length : 1;
+        // Mild preference for simpler systems when they explain the data equally well
+        const simplicity = 1 - 0.05 * Math.max(0, Math.log2(steps.length / 12));
+        const score = fit * coverage * simplicity;
+        if (score > best.score) best = { score, fit, coverage, rotation };
+    }
+    return best;
+}
+
+/**
+ * Rank tuning systems for a set of scale degrees
+ * @param {Array<{cents: number, weight: number}>} degrees - Output of findScaleDegrees
+ * @param {number} tonicCents - Tonic pitch class in cents above C
+ * @returns {Array<{id: string, system: string, score: number, fit: number, coverage: number}>} Sorted best first
+ */
+export function matchTuningSystems(degrees, tonicCents) {
+    if (!degrees || degrees.length === 0) return [];
+    const intervals = degrees.map(d => mod1200(d.cents - tonicCents));
+    const weights = degrees.map(d => d.weight || 1);
+
+    return Object.entries(TUNING_SYSTEMS)
+        .map(([id, system]) => {
+            const { score, fit, coverage } = scoreSystem(intervals, weights, system);
+            return {
+                id,
+                system: system.name,
+                score: Math.round(score * 1000) / 1000,
+                fit: Math.round(fit * 1000) / 1000,
+                coverage: Math.round(coverage * 1000) / 1000
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Full tuning analysis of a pitch sequence
+ * @param {number[]} pitches - Frequencies in Hz, in time order
+ * @param {Object} options - { tonicHz, stableOnly, resolution, smoothing, minRelativeHeight, minSeparation }
+ * @returns {Object} Histogram, degrees with 12-TET deviations, tonic and ranked tuning systems
+ */
+export function analyzeTuning(pitches, options = {}) {
+    const { tonicHz = null, stableOnly = true } = options;
+    const valid = (pitches || []).filter(p => Number.isFinite(p) && p > 0);
+    const used = stableOnly ? filterStablePitches(valid) : valid;
+
+    if (used.length < 3) {
+        return { histogram: null, degrees: [], tonic: null, meanAbsDeviation: 0, is12TET: false, matches: [], bestMatch: null, pitchCount: used.length };
+    }
+
+    const histogram = buildCentsHistogram(used, options);
+    const degrees = findScaleDegrees(histogram, options);
+
+    let tonicCents;
+    if (tonicHz > 0) {
+        tonicCents = frequencyToCents(tonicHz);
+    } else {
+        // Without a drone/tonic estimate, the most-used degree stands in for the tonic
+        tonicCents = degrees.reduce((best, d) => (d.weight > best.weight ? d : best), degrees[0]).cents;
+    }
+    const tonicInfo = nearestEqualTempered(tonicCents);
+
+    const withIntervals = degrees.map(d => ({
+        ...d,
+        intervalFromTonic: Math.round(mod1200(d.cents - tonicCents) * 10) / 10
+    }));
+
+    // Weighted deviation from the nearest 12-TET pitch, measured relative to the tonic
+    // so a whole ensemble tuned away from A440 still counts as equal-tempered
+    const totalWeight = degrees.reduce((a, d) => a + d.weight, 0) || 1;
+    const offsets = withIntervals.map(d => Math.abs(d.intervalFromTonic - Math.round(d.intervalFromTonic / 100) * 100));
+    const meanAbsDeviation = offsets.reduce((acc, off, i) => acc + off * degrees[i].weight, 0) / totalWeight;
+    // A single neutral third is enough to leave 12-TET, so judge by the share of off-grid degrees
+    const offGridWeight = offsets.reduce((acc, off, i) => acc + (off > 25 ? degrees[i].weight : 0), 0) / totalWeight;
+
+    const matches = matchTuningSystems(degrees, tonicCents);
+
+    return {
+        histogram,
+        degrees: withIntervals,
+        tonic: { cents: Math.round(tonicCents * 10) / 10, note: tonicInfo.note, deviation: Math.round(tonicInfo.deviation * 10) / 10 },
+        meanAbsDeviation: Math.round(meanAbsDeviation * 10) / 10,
+        is12TET: offGridWeight < 0.1 && meanAbsDeviation < 15,
+        matches,
+        bestMatch: matches[0] || null,
+        pitchCount: used.length
+    };
+}
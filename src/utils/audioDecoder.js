@@ -0,0 +1,581 @@
+// Utility: Audio file decoding without the Web Audio API
+// Turns the raw bytes of WAV, AIFF/AIFC and FLAC files into per-channel Float32Array PCM, so
+// files can be analyzed in Node (batch CLI, tests) and in browsers whose decodeAudioData rejects them.
+
+export class AudioDecodeError extends Error {
+  constructor(message, format = null) {
+    super(message);
+    this.name = 'AudioDecodeError';
+    this.format = format;
+  }
+}
+
+function toBytes(input) {
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  throw new AudioDecodeError('Expected an ArrayBuffer or Uint8Array of file contents');
+}
+
+function fourCC(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+// Length of a leading ID3v2 tag (taggers put them in front of FLAC files as well as MP3s)
+function id3Length(bytes) {
+  if (bytes.length < 10 || fourCC(bytes, 0).slice(0, 3) !== 'ID3') return 0;
+  const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+  return 10 + size + (bytes[5] & 0x10 ? 10 : 0);
+}
+
+// Container format from the file's magic bytes: 'wav', 'aiff', 'flac', 'mp3', 'ogg', 'mp4' or null
+export function detectAudioFormat(input) {
+  const bytes = toBytes(input);
+  if (bytes.length < 12) return null;
+  const head = fourCC(bytes, 0);
+  if ((head === 'RIFF' || head === 'RIFX') && fourCC(bytes, 8) === 'WAVE') return 'wav';
+  if (head === 'FORM' && (fourCC(bytes, 8) === 'AIFF' || fourCC(bytes, 8) === 'AIFC')) return 'aiff';
+  if (head === 'fLaC') return 'flac';
+  if (head === 'OggS') return 'ogg';
+  if (fourCC(bytes, 4) === 'ftyp') return 'mp4';
+  const tagged = id3Length(bytes);
+  if (tagged && tagged + 4 <= bytes.length && fourCC(bytes, tagged) === 'fLaC') return 'flac';
+  if (tagged || (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0)) return 'mp3';
+  return null;
+}
+
+/**
+ * Sample reader for one PCM layout, returning values in [-1, 1)
+ * @param {DataView} view - File contents
+ * @param {string} kind - 'int' (two's complement), 'uint' (offset binary, 8-bit only) or 'float'
+ * @param {number} bytesPerSample - Container size; narrower samples are left-justified in it
+ * @param {boolean} littleEndian - Byte order
+ * @returns {Function|null} (byteOffset) => sample, or null for a layout that is not supported
+ */
+function pcmSampleReader(view, kind, bytesPerSample, littleEndian) {
+  if (kind === 'float') {
+    if (bytesPerSample === 4) return (offset) => view.getFloat32(offset, littleEndian);
+    if (bytesPerSample === 8) return (offset) => view.getFloat64(offset, littleEndian);
+    return null;
+  }
+  if (kind === 'uint') {
+    return bytesPerSample === 1 ? (offset) => (view.getUint8(offset) - 128) / 128 : null;
+  }
+  switch (bytesPerSample) {
+    case 1: return (offset) => view.getInt8(offset) / 128;
+    case 2: return (offset) => view.getInt16(offset, littleEndian) / 32768;
+    case 3: return (offset) => {
+      const b0 = view.getUint8(offset);
+      const b1 = view.getUint8(offset + 1);
+      const b2 = view.getUint8(offset + 2);
+      const value = littleEndian ? (b2 << 16) | (b1 << 8) | b0 : (b0 << 16) | (b1 << 8) | b2;
+      return ((value << 8) >> 8) / 8388608;
+    };
+    case 4: return (offset) => view.getInt32(offset, littleEndian) / 2147483648;
+  }
+  return null;
+}
+
+// De-interleave frames of PCM into one Float32Array per channel
+function readInterleaved(readSample, dataOffset, length, numberOfChannels, bytesPerSample, blockAlign) {
+  const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  for (let i = 0; i < length; i++) {
+    const frame = dataOffset + i * blockAlign;
+    for (let c = 0; c < numberOfChannels; c++) {
+      channels[c][i] = readSample(frame + c * bytesPerSample);
+    }
+  }
+  return channels;
+}
+
+function decoded(format, encoding, sampleRate, channels, extra = {}) {
+  const length = channels.length ? channels[0].length : 0;
+  return {
+    format,
+    encoding,
+    sampleRate,
+    numberOfChannels: channels.length,
+    length,
+    duration: length / sampleRate,
+    channels,
+    ...extra
+  };
+}
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_ALAW = 0x0006;
+const WAVE_FORMAT_MULAW = 0x0007;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+const WAVE_CODEC_NAMES = {
+  0x0002: 'Microsoft ADPCM',
+  [WAVE_FORMAT_ALAW]: 'A-law',
+  [WAVE_FORMAT_MULAW]: 'µ-law',
+  0x0011: 'IMA ADPCM',
+  0x0031: 'GSM 6.10',
+  0x0050: 'MPEG',
+  0x0055: 'MP3',
+  0x00ff: 'AAC',
+  0x0161: 'Windows Media Audio'
+};
+
+/**
+ * Decode a RIFF/WAVE file: integer PCM at 8 to 32 bits and IEEE float at 32 or 64 bits,
+ * including WAVE_FORMAT_EXTENSIBLE headers and big-endian RIFX
+ * @param {ArrayBuffer|Uint8Array} input - File contents
+ * @returns {{format: string, encoding: string, sampleRate: number, numberOfChannels: number, length: number, duration: number, channels: Float32Array[]}}
+ */
+export function decodeWav(input) {
+  const bytes = toBytes(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (detectAudioFormat(bytes) !== 'wav') throw new AudioDecodeError('Not a RIFF/WAVE file', 'wav');
+  const littleEndian = fourCC(bytes, 0) === 'RIFF';
+
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const id = fourCC(bytes, offset);
+    const size = view.getUint32(offset + 4, littleEndian);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      let formatTag = view.getUint16(body, littleEndian);
+      // Extensible headers carry the real format in the first two bytes of the sub-format GUID
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 26) formatTag = view.getUint16(body + 24, littleEndian);
+      fmt = {
+        formatTag,
+        numberOfChannels: view.getUint16(body + 2, littleEndian),
+        sampleRate: view.getUint32(body + 4, littleEndian),
+        blockAlign: view.getUint16(body + 12, littleEndian),
+        bitsPerSample: view.getUint16(body + 14, littleEndian)
+      };
+    } else if (id === 'data') {
+      // Streams written before their length was known leave a zero or oversized size; read to the end
+      const available = bytes.length - body;
+      data = { offset: body, size: size === 0 || size > available ? available : size };
+    }
+    if (fmt && data) break;
+    offset = body + size + (size % 2);
+  }
+
+  if (!fmt) throw new AudioDecodeError('WAV file has no fmt chunk', 'wav');
+  if (!data) throw new AudioDecodeError('WAV file has no data chunk', 'wav');
+  const { formatTag, numberOfChannels, sampleRate, bitsPerSample } = fmt;
+  if (!numberOfChannels || !sampleRate) throw new AudioDecodeError('WAV file reports zero channels or sample rate', 'wav');
+
+  const bytesPerSample = Math.ceil(bitsPerSample / 8);
+  let readSample = null;
+  if (formatTag === WAVE_FORMAT_PCM) {
+    // 8-bit WAV is unsigned, wider samples are signed
+    readSample = pcmSampleReader(view, bytesPerSample === 1 ? 'uint' : 'int', bytesPerSample, littleEndian);
+  } else if (formatTag === WAVE_FORMAT_IEEE_FLOAT) {
+    readSample = pcmSampleReader(view, 'float', bytesPerSample, littleEndian);
+  }
+  if (!readSample) {
+    const codec = formatTag === WAVE_FORMAT_PCM || formatTag === WAVE_FORMAT_IEEE_FLOAT
+      ? `${bitsPerSample}-bit ${formatTag === WAVE_FORMAT_PCM ? 'PCM' : 'float'}`
+      : `${WAVE_CODEC_NAMES[formatTag] || 'compressed'} (format tag 0x${formatTag.toString(16).padStart(4, '0')})`;
+    throw new AudioDecodeError(`Unsupported WAV encoding: ${codec}. Re-export as 16/24-bit PCM or 32-bit float WAV.`, 'wav');
+  }
+
+  const blockAlign = fmt.blockAlign || bytesPerSample * numberOfChannels;
+  const length = Math.floor(data.size / blockAlign);
+  const channels = readInterleaved(readSample, data.offset, length, numberOfChannels, bytesPerSample, blockAlign);
+  const encoding = formatTag === WAVE_FORMAT_IEEE_FLOAT ? `float${bitsPerSample}` : `pcm${bitsPerSample}`;
+  return decoded('wav', encoding, sampleRate, channels);
+}
+
+// 80-bit IEEE 754 extended precision, the sample-rate field of AIFF COMM chunks
+function readExtended(view, offset) {
+  const exponent = view.getUint16(offset) & 0x7fff;
+  const mantissa = view.getUint32(offset + 2) * 2 ** 32 + view.getUint32(offset + 6);
+  if (exponent === 0 && mantissa === 0) return 0;
+  return mantissa * 2 ** (exponent - 16383 - 63);
+}
+
+// AIFC compression types that are plain PCM: [sample kind, little-endian]
+const AIFC_PCM_TYPES = {
+  NONE: ['int', false],
+  twos: ['int', false],
+  sowt: ['int', true],
+  'raw ': ['uint', false],
+  fl32: ['float', false],
+  FL32: ['float', false],
+  fl64: ['float', false],
+  FL64: ['float', false]
+};
+
+/**
+ * Decode an AIFF or AIFC file: big-endian integer PCM at 8 to 32 bits, and the uncompressed
+ * AIFC types (NONE, twos, sowt, raw, fl32, fl64)
+ * @param {ArrayBuffer|Uint8Array} input - File contents
+ * @returns {Object} See decodeWav
+ */
+export function decodeAiff(input) {
+  const bytes = toBytes(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (detectAudioFormat(bytes) !== 'aiff') throw new AudioDecodeError('Not an AIFF/AIFC file', 'aiff');
+  const isAifc = fourCC(bytes, 8) === 'AIFC';
+
+  let comm = null;
+  let sound = null;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const id = fourCC(bytes, offset);
+    const size = view.getUint32(offset + 4);
+    const body = offset + 8;
+    if (id === 'COMM') {
+      comm = {
+        numberOfChannels: view.getUint16(body),
+        frames: view.getUint32(body + 2),
+        bitsPerSample: view.getUint16(body + 6),
+        sampleRate: readExtended(view, body + 8),
+        compression: 'NONE',
+        compressionName: ''
+      };
+      if (isAifc && size >= 22) {
+        comm.compression = fourCC(bytes, body + 18);
+        const nameLength = bytes[body + 22] || 0;
+        comm.compressionName = String.fromCharCode(...bytes.subarray(body + 23, body + 23 + nameLength));
+      }
+    } else if (id === 'SSND') {
+      sound = { offset: body + 8 + view.getUint32(body), size: Math.min(size, bytes.length - body) - 8 };
+    }
+    if (comm && sound) break;
+    offset = body + size + (size % 2);
+  }
+
+  if (!comm) throw new AudioDecodeError('AIFF file has no COMM chunk', 'aiff');
+  if (!comm.numberOfChannels || !comm.sampleRate) throw new AudioDecodeError('AIFF file reports zero channels or sample rate', 'aiff');
+  const pcmType = AIFC_PCM_TYPES[comm.compression];
+  if (!pcmType) {
+    const name = comm.compressionName ? ` (${comm.compressionName})` : '';
+    throw new AudioDecodeError(`Unsupported AIFC compression '${comm.compression}'${name}. Re-export as uncompressed AIFF or PCM WAV.`, 'aiff');
+  }
+
+  const [kind, littleEndian] = pcmType;
+  const bytesPerSample = kind === 'float'
+    ? (comm.compression.toLowerCase() === 'fl64' ? 8 : 4)
+    : Math.ceil(comm.bitsPerSample / 8);
+  const readSample = pcmSampleReader(view, kind, bytesPerSample, littleEndian);
+  if (!readSample) throw new AudioDecodeError(`Unsupported AIFF sample size: ${comm.bitsPerSample} bits`, 'aiff');
+
+  const blockAlign = bytesPerSample * comm.numberOfChannels;
+  const length = sound ? Math.min(comm.frames, Math.floor(Math.max(0, sound.size) / blockAlign)) : 0;
+  const channels = readInterleaved(readSample, sound ? sound.offset : 0, length, comm.numberOfChannels, bytesPerSample, blockAlign);
+  const encoding = kind === 'float' ? `float${bytesPerSample * 8}` : `pcm${comm.bitsPerSample}`;
+  return decoded('aiff', encoding, comm.sampleRate, channels);
+}
+
+// MSB-first bit reader over a byte array, as FLAC frames are packed
+class BitReader {
+  constructor(bytes, pos = 0) {
+    this.bytes = bytes;
+    this.pos = pos;
+    this.bit = 0;
+  }
+
+  // Unsigned value of n bits (n <= 32); arithmetic stays in doubles so 32-bit values do not wrap
+  readBits(n) {
+    let value = 0;
+    while (n > 0) {
+      if (this.pos >= this.bytes.length) throw new AudioDecodeError('FLAC stream ends inside a frame', 'flac');
+      const available = 8 - this.bit;
+      const take = Math.min(available, n);
+      const bits = (this.bytes[this.pos] >> (available - take)) & ((1 << take) - 1);
+      value = value * (1 << take) + bits;
+      n -= take;
+      this.bit += take;
+      if (this.bit === 8) {
+        this.bit = 0;
+        this.pos++;
+      }
+    }
+    return value;
+  }
+
+  readSigned(n) {
+    if (n === 0) return 0;
+    const value = this.readBits(n);
+    return value >= 2 ** (n - 1) ? value - 2 ** n : value;
+  }
+
+  // Count of zero bits before the next one bit (the quotient of a Rice code)
+  readUnary() {
+    let count = 0;
+    for (;;) {
+      if (this.pos >= this.bytes.length) throw new AudioDecodeError('FLAC stream ends inside a frame', 'flac');
+      const remaining = this.bytes[this.pos] & (0xff >> this.bit);
+      if (remaining === 0) {
+        count += 8 - this.bit;
+        this.bit = 0;
+        this.pos++;
+        continue;
+      }
+      const zeros = Math.clz32(remaining) - 24 - this.bit;
+      count += zeros;
+      this.bit += zeros + 1;
+      if (this.bit === 8) {
+        this.bit = 0;
+        this.pos++;
+      }
+      return count;
+    }
+  }
+
+  alignToByte() {
+    if (this.bit) {
+      this.bit = 0;
+      this.pos++;
+    }
+  }
+
+  // Frame/sample number, coded like UTF-8 with up to 7 bytes
+  readUtf8Number() {
+    const first = this.readBits(8);
+    let extra = 0;
+    while (extra < 8 && first & (0x80 >> extra)) extra++;
+    if (extra === 1 || extra === 8) throw new AudioDecodeError('Invalid FLAC frame number', 'flac');
+    let value = extra === 0 ? first : first & (0xff >> (extra + 1));
+    for (let i = 1; i < extra; i++) value = value * 64 + (this.readBits(8) & 0x3f);
+    return value;
+  }
+}
+
+const FLAC_SAMPLE_RATES = [0, 88200, 176400, 192000, 8000, 16000, 22050, 24000, 32000, 44100, 48000, 96000];
+const FLAC_SAMPLE_SIZES = [0, 8, 12, 0, 16, 20, 24, 32];
+
+// Residual of one subframe, written into samples[predictorOrder..blockSize)
+function readFlacResidual(reader, samples, blockSize, predictorOrder) {
+  const method = reader.readBits(2);
+  if (method > 1) throw new AudioDecodeError('Reserved FLAC residual coding method', 'flac');
+  const paramBits = method === 0 ? 4 : 5;
+  const escape = method === 0 ? 15 : 31;
+  const partitionOrder = reader.readBits(4);
+  const partitionSize = blockSize >> partitionOrder;
+  let i = predictorOrder;
+  for (let p = 0; p < 1 << partitionOrder; p++) {
+    const count = p === 0 ? partitionSize - predictorOrder : partitionSize;
+    const k = reader.readBits(paramBits);
+    if (k === escape) {
+      const bits = reader.readBits(5);
+      for (let n = 0; n < count; n++) samples[i++] = reader.readSigned(bits);
+    } else {
+      const scale = 2 ** k;
+      for (let n = 0; n < count; n++) {
+        const u = reader.readUnary() * scale + reader.readBits(k);
+        samples[i++] = u % 2 ? -(u + 1) / 2 : u / 2;
+      }
+    }
+  }
+}
+
+// Fixed polynomial predictors of order 0-4
+const FLAC_FIXED_COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+function readFlacSubframe(reader, blockSize, sampleBits) {
+  if (reader.readBits(1) !== 0) throw new AudioDecodeError('Corrupt FLAC subframe header', 'flac');
+  const type = reader.readBits(6);
+  let wasted = 0;
+  if (reader.readBits(1)) wasted = reader.readUnary() + 1;
+  const bits = sampleBits - wasted;
+  const samples = new Float64Array(blockSize);
+
+  if (type === 0) {
+    samples.fill(reader.readSigned(bits));
+  } else if (type === 1) {
+    for (let i = 0; i < blockSize; i++) samples[i] = reader.readSigned(bits);
+  } else if ((type >= 8 && type <= 12) || type >= 32) {
+    const isLpc = type >= 32;
+    const order = isLpc ? type - 31 : type - 8;
+    if (order > blockSize) throw new AudioDecodeError('FLAC predictor order exceeds the block size', 'flac');
+    for (let i = 0; i < order; i++) samples[i] = reader.readSigned(bits);
+
+    let coefficients = FLAC_FIXED_COEFFICIENTS[order];
+    let divisor = 1;
+    if (isLpc) {
+      const precision = reader.readBits(4) + 1;
+      if (precision === 16) throw new AudioDecodeError('Invalid FLAC LPC coefficient precision', 'flac');
+      const shift = reader.readSigned(5);
+      if (shift < 0) throw new AudioDecodeError('Negative FLAC LPC shift', 'flac');
+      coefficients = Array.from({ length: order }, () => reader.readSigned(precision));
+      divisor = 2 ** shift;
+    }
+
+    readFlacResidual(reader, samples, blockSize, order);
+    for (let i = order; i < blockSize; i++) {
+      let prediction = 0;
+      for (let j = 0; j < order; j++) prediction += coefficients[j] * samples[i - 1 - j];
+      // Arithmetic right shift of the prediction, as the encoder computed it
+      samples[i] += isLpc ? Math.floor(prediction / divisor) : prediction;
+    }
+  } else {
+    throw new AudioDecodeError(`Reserved FLAC subframe type ${type}`, 'flac');
+  }
+
+  if (wasted) {
+    const scale = 2 ** wasted;
+    for (let i = 0; i < blockSize; i++) samples[i] *= scale;
+  }
+  return samples;
+}
+
+function readFlacFrame(reader, streamInfo) {
+  if (reader.readBits(14) !== 0x3ffe) return null;
+  reader.readBits(2); // reserved bit, blocking strategy
+  const blockSizeCode = reader.readBits(4);
+  const rateCode = reader.readBits(4);
+  const channelCode = reader.readBits(4);
+  const sizeCode = reader.readBits(3);
+  reader.readBits(1);
+  reader.readUtf8Number();
+
+  let blockSize;
+  if (blockSizeCode === 0) throw new AudioDecodeError('Reserved FLAC block size', 'flac');
+  else if (blockSizeCode === 1) blockSize = 192;
+  else if (blockSizeCode <= 5) blockSize = 576 << (blockSizeCode - 2);
+  else if (blockSizeCode === 6) blockSize = reader.readBits(8) + 1;
+  else if (blockSizeCode === 7) blockSize = reader.readBits(16) + 1;
+  else blockSize = 256 << (blockSizeCode - 8);
+
+  if (rateCode === 12) reader.readBits(8);
+  else if (rateCode === 13 || rateCode === 14) reader.readBits(16);
+  else if (rateCode === 15) throw new AudioDecodeError('Invalid FLAC sample rate code', 'flac');
+
+  const sampleBits = sizeCode === 0 ? streamInfo.bitsPerSample : FLAC_SAMPLE_SIZES[sizeCode];
+  if (!sampleBits) throw new AudioDecodeError('Reserved FLAC sample size', 'flac');
+  if (channelCode > 10) throw new AudioDecodeError('Reserved FLAC channel assignment', 'flac');
+  reader.readBits(8); // header CRC-8
+
+  const channelCount = channelCode < 8 ? channelCode + 1 : 2;
+  // The side channel of a stereo pair needs one more bit
+  const sideIndex = channelCode === 8 || channelCode === 10 ? 1 : channelCode === 9 ? 0 : -1;
+  const subframes = [];
+  for (let c = 0; c < channelCount; c++) {
+    subframes.push(readFlacSubframe(reader, blockSize, sampleBits + (c === sideIndex ? 1 : 0)));
+  }
+  reader.alignToByte();
+  reader.readBits(16); // frame CRC-16
+
+  const [a, b] = subframes;
+  if (channelCode === 8) {
+    for (let i = 0; i < blockSize; i++) b[i] = a[i] - b[i];
+  } else if (channelCode === 9) {
+    for (let i = 0; i < blockSize; i++) a[i] += b[i];
+  } else if (channelCode === 10) {
+    for (let i = 0; i < blockSize; i++) {
+      const side = b[i];
+      const mid = a[i] * 2 + (side % 2 !== 0 ? 1 : 0);
+      a[i] = (mid + side) / 2;
+      b[i] = (mid - side) / 2;
+    }
+  }
+  return { blockSize, sampleBits, subframes };
+}
+
+/**
+ * Decode a native FLAC file (any block size, fixed and LPC subframes, all stereo decorrelation
+ * modes, 8 to 32 bits); a leading ID3v2 tag is skipped. Ogg-wrapped FLAC is not supported.
+ * @param {ArrayBuffer|Uint8Array} input - File contents
+ * @returns {Object} See decodeWav, plus truncated: true when the stream ended inside a frame
+ */
+export function decodeFlac(input) {
+  const bytes = toBytes(input);
+  const start = id3Length(bytes);
+  if (bytes.length < start + 8 || fourCC(bytes, start) !== 'fLaC') throw new AudioDecodeError('Not a FLAC file', 'flac');
+
+  // Metadata blocks; only STREAMINFO matters for decoding
+  let offset = start + 4;
+  let streamInfo = null;
+  for (let last = false; !last;) {
+    if (offset + 4 > bytes.length) throw new AudioDecodeError('Invalid FLAC file: metadata runs past the end', 'flac');
+    last = (bytes[offset] & 0x80) !== 0;
+    const type = bytes[offset] & 0x7f;
+    const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+    if (type === 0) {
+      const info = new BitReader(bytes, offset + 4);
+      info.readBits(16 + 16 + 24 + 24); // block and frame size bounds
+      const sampleRate = info.readBits(20);
+      const numberOfChannels = info.readBits(3) + 1;
+      const bitsPerSample = info.readBits(5) + 1;
+      const totalSamples = info.readBits(4) * 2 ** 32 + info.readBits(32);
+      streamInfo = { sampleRate, numberOfChannels, bitsPerSample, totalSamples };
+    } else if (!streamInfo) {
+      throw new AudioDecodeError('Invalid FLAC file: first metadata block is not STREAMINFO', 'flac');
+    }
+    offset += 4 + length;
+  }
+  if (!streamInfo || !streamInfo.sampleRate) throw new AudioDecodeError('Invalid FLAC file: STREAMINFO has no sample rate', 'flac');
+
+  const { numberOfChannels, totalSamples } = streamInfo;
+  let capacity = totalSamples || streamInfo.sampleRate * 60;
+  let channels = Array.from({ length: numberOfChannels }, () => new Float32Array(capacity));
+  let length = 0;
+  let truncated = false;
+  const reader = new BitReader(bytes, offset);
+
+  while (reader.pos + 2 <= bytes.length && (!totalSamples || length < totalSamples)) {
+    let frame;
+    try {
+      frame = readFlacFrame(reader, streamInfo);
+    } catch (error) {
+      if (length === 0) throw error;
+      truncated = true;
+      break;
+    }
+    // Anything that is not a frame (e.g. a trailing ID3v1 tag) ends the audio
+    if (!frame) break;
+    if (frame.subframes.length !== numberOfChannels) throw new AudioDecodeError('FLAC frame channel count differs from STREAMINFO', 'flac');
+
+    const count = totalSamples ? Math.min(frame.blockSize, totalSamples - length) : frame.blockSize;
+    if (length + count > capacity) {
+      capacity = Math.max(capacity * 2, length + count);
+      channels = channels.map(channel => {
+        const grown = new Float32Array(capacity);
+        grown.set(channel.subarray(0, length));
+        return grown;
+      });
+    }
+    const scale = 2 ** (frame.sampleBits - 1);
+    frame.subframes.forEach((samples, c) => {
+      const target = channels[c];
+      for (let i = 0; i < count; i++) target[length + i] = samples[i] / scale;
+    });
+    length += count;
+  }
+
+  if (length === 0) throw new AudioDecodeError('FLAC file contains no audio frames', 'flac');
+  const trimmed = channels.map(channel => (channel.length === length ? channel : channel.slice(0, length)));
+  return decoded('flac', `flac${streamInfo.bitsPerSample}`, streamInfo.sampleRate, trimmed, truncated ? { truncated } : {});
+}
+
+const DECODERS = {
+  wav: decodeWav,
+  aiff: decodeAiff,
+  flac: decodeFlac
+};
+
+const UNSUPPORTED_FORMATS = {
+  mp3: 'MP3',
+  ogg: 'Ogg (Vorbis/Opus)',
+  mp4: 'MP4/M4A (AAC)'
+};
+
+/**
+ * Decode an audio file from its bytes, dispatching on the container format
+ * @param {ArrayBuffer|Uint8Array} input - File contents
+ * @returns {Object} See decodeWav
+ * @throws {AudioDecodeError} For unknown or unsupported formats and codecs, naming what was found
+ */
+export function decodeAudio(input) {
+  const format = detectAudioFormat(input);
+  if (!format) throw new AudioDecodeError('Unrecognized audio file (no WAV, AIFF, FLAC, MP3, Ogg or MP4 header found)');
+  const decoder = DECODERS[format];
+  if (!decoder) {
+    throw new AudioDecodeError(`${UNSUPPORTED_FORMATS[format]} is a compressed format the built-in decoder does not handle; convert to WAV, AIFF or FLAC.`, format);
+  }
+  return decoder(input);
+}
+
+export const SUPPORTED_FORMATS = Object.keys(DECODERS);
@@ -0,0 +1,96 @@
+// Utility: MAEST embedding files
+// Reads the embeddings Essentia's TensorflowPredictMAEST computes for a recording, saved with
+// numpy.save (.npy) or as nested JSON arrays, so the genre_discogs400 head can classify them in
+// the browser and the CLIs. The last axis holds the 768 values of a token, the one before it the
+// tokens of a 30 s patch, and any axes in front count patches. Only the first two tokens of each
+// patch (class and distillation) are kept: they are all the classification head reads.
+
+const EMBEDDING_SIZE = 768;
+const KEPT_TOKENS = 2;
+
+function toBytes(input) {
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  throw new Error('Expected an ArrayBuffer or Uint8Array of file contents');
+}
+
+const isNpy = (bytes) => bytes.length >= 10 && bytes[0] === 0x93 && String.fromCharCode(...bytes.subarray(1, 6)) === 'NUMPY';
+
+// Shape and values of a .npy array of float32 or float64 in C order
+function readNpy(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const major = bytes[6];
+  const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+  const dataOffset = (major === 1 ? 10 : 12) + headerLength;
+  const header = new TextDecoder().decode(bytes.subarray(major === 1 ? 10 : 12, dataOffset));
+
+  const descr = /'descr':\s*'([<>|=])(f[48])'/.exec(header);
+  if (!descr) throw new Error(`Embeddings must be float32 or float64 (.npy header: ${header.trim()})`);
+  if (/'fortran_order':\s*True/.test(header)) throw new Error('Embeddings saved in Fortran order are not supported; save a C-ordered array');
+  const shape = (/'shape':\s*\(([^)]*)\)/.exec(header)?.[1] || '').split(',').map(s => s.trim()).filter(Boolean).map(Number);
+
+  const littleEndian = descr[1] !== '>';
+  const bytesPerValue = descr[2] === 'f4' ? 4 : 8;
+  const count = shape.reduce((acc, n) => acc * n, 1);
+  if (dataOffset + count * bytesPerValue > bytes.length) throw new Error('Embeddings file is truncated');
+  const values = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    const offset = dataOffset + i * bytesPerValue;
+    values[i] = bytesPerValue === 4 ? view.getFloat32(offset, littleEndian) : view.getFloat64(offset, littleEndian);
+  }
+  return { shape, values };
+}
+
+// Shape and values of nested JSON arrays, optionally under an "embeddings" key
+function readJson(bytes) {
+  let data;
+  try {
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error('Embeddings file is neither a .npy array nor JSON');
+  }
+  if (data && !Array.isArray(data)) data = data.embeddings;
+  if (!Array.isArray(data)) throw new Error('JSON embeddings must be an array, or an object with an "embeddings" array');
+
+  const shape = [];
+  for (let level = data; Array.isArray(level); level = level[0]) shape.push(level.length);
+  const values = new Float32Array(shape.reduce((acc, n) => acc * n, 1));
+  let index = 0;
+  const walk = (node, depth) => {
+    if (depth === shape.length) {
+      if (typeof node !== 'number') throw new Error('JSON embeddings must hold numbers only');
+      values[index++] = node;
+      return;
+    }
+    if (!Array.isArray(node) || node.length !== shape[depth]) throw new Error('JSON embeddings must be a rectangular array');
+    node.forEach(child => walk(child, depth + 1));
+  };
+  walk(data, 0);
+  return { shape, values };
+}
+
+/**
+ * Parse a MAEST embeddings file
+ * @param {ArrayBuffer|Uint8Array} input - File contents (.npy, or JSON text)
+ * @returns {{patches: Float32Array[], tokens: number, shape: number[]}} The class and distillation tokens of
+ *   every patch (2 × 768 values each), the tokens per patch in the file and the file's array shape
+ * @throws {Error} When the file is not a float array whose last axis holds 768-value tokens, at least two per patch
+ */
+export function parseEmbeddingsFile(input) {
+  const bytes = toBytes(input);
+  const { shape, values } = isNpy(bytes) ? readNpy(bytes) : readJson(bytes);
+  if (shape.length < 2 || shape[shape.length - 1] !== EMBEDDING_SIZE) {
+    throw new Error(`Embeddings must end in ${EMBEDDING_SIZE}-value tokens; got shape (${shape.join(', ')})`);
+  }
+  const tokens = shape[shape.length - 2];
+  if (tokens < KEPT_TOKENS) throw new Error(`Each patch needs at least the class and distillation tokens; got ${tokens}`);
+
+  const patchSize = tokens * EMBEDDING_SIZE;
+  const patches = [];
+  for (let start = 0; start < values.length; start += patchSize) {
+    patches.push(values.slice(start, start + KEPT_TOKENS * EMBEDDING_SIZE));
+  }
+  if (!patches.length) throw new Error('Embeddings file holds no patches');
+  return { patches, tokens, shape };
+}
@@ -0,0 +1,84 @@
+// Utility: Fast Fourier transform and short-time spectra
+// Pure-JS radix-2 FFT so spectral analyses also run where Essentia.js is unavailable (tests, Node).
+
+const hannCache = new Map();
+
+export function hannWindow(size) {
+  if (!hannCache.has(size)) {
+    const w = new Float32Array(size);
+    for (let i = 0; i < size; i++) w[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (size - 1)));
+    hannCache.set(size, w);
+  }
+  return hannCache.get(size);
+}
+
+// In-place iterative FFT; length must be a power of two
+export function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = (-2 * Math.PI) / len;
+    const wr = Math.cos(angle);
+    const wi = Math.sin(angle);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        const next = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = next;
+      }
+    }
+  }
+}
+
+// Inverse FFT via the conjugate trick; result is scaled by 1/n
+export function ifft(re, im) {
+  for (let i = 0; i < im.length; i++) im[i] = -im[i];
+  fft(re, im);
+  const n = re.length;
+  for (let i = 0; i < n; i++) {
+    re[i] /= n;
+    im[i] = -im[i] / n;
+  }
+}
+
+// Hann-windowed magnitude spectrum (frameSize / 2 + 1 bins) of the frame starting at `start`
+export function magnitudeSpectrum(buffer, start, frameSize) {
+  const window = hannWindow(frameSize);
+  const re = new Float32Array(frameSize);
+  const im = new Float32Array(frameSize);
+  for (let i = 0; i < frameSize; i++) {
+    const idx = start + i;
+    re[i] = idx < buffer.length ? buffer[idx] * window[i] : 0;
+  }
+  fft(re, im);
+  const mags = new Float32Array(frameSize / 2 + 1);
+  for (let k = 0; k < mags.length; k++) mags[k] = Math.hypot(re[k], im[k]);
+  return mags;
+}
+
+// Magnitude spectrogram: one Float32Array per frame, frames `hopSize` apart
+export function stft(buffer, frameSize = 2048, hopSize = frameSize / 2) {
+  const frames = [];
+  for (let start = 0; start + frameSize <= buffer.length; start += hopSize) {
+    frames.push(magnitudeSpectrum(buffer, start, frameSize));
+  }
+  return frames;
+}
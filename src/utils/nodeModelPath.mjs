@@ -0,0 +1,16 @@
+/**
+ * Node Model Path
+ * Filesystem path of a model under public/, resolved against this module rather than the
+ * working directory, so CLIs and tests find the bundled models from any directory.
+ * Node only: genreMLModel.js imports it on demand, outside the webpack bundle.
+ */
+
+import { fileURLToPath } from 'node:url';
+
+/**
+ * @param {string} relativePath - Path under public/, e.g. 'models/genre_discogs400/model.onnx'
+ * @returns {string} Absolute filesystem path
+ */
+export function modelFilePath(relativePath) {
+    return fileURLToPath(new URL(`../../public/${relativePath.replace(/^\/+/, '')}`, import.meta.url));
+}
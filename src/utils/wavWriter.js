@@ -0,0 +1,52 @@
+// Utility: WAV file encoding
+// Writes per-channel Float32Array PCM as a 16-bit (or 24-bit) little-endian RIFF/WAVE file, so
+// derived signals such as separated components can be played back and downloaded.
+
+/**
+ * Encode PCM as a WAV file
+ * @param {Float32Array|Float32Array[]} channels - Mono samples, or one array per channel, in [-1, 1]
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { bitDepth: 16 | 24 }
+ * @returns {Uint8Array} File bytes
+ */
+export function encodeWav(channels, sampleRate, { bitDepth = 16 } = {}) {
+  const list = channels instanceof Float32Array ? [channels] : Array.from(channels);
+  if (bitDepth !== 16 && bitDepth !== 24) throw new Error(`Unsupported WAV bit depth ${bitDepth} (use 16 or 24)`);
+  const frames = Math.min(...list.map(channel => channel.length));
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = bytesPerSample * list.length;
+  const dataSize = frames * blockAlign;
+  const bytes = new Uint8Array(44 + dataSize);
+  const view = new DataView(bytes.buffer);
+  const ascii = (offset, text) => [...text].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, list.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  ascii(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const scale = 2 ** (bitDepth - 1) - 1;
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (const channel of list) {
+      const value = Math.round(Math.max(-1, Math.min(1, channel[i])) * scale);
+      if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        view.setUint8(offset, value & 0xff);
+        view.setInt16(offset + 1, value >> 8, true);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return bytes;
+}
@@ -0,0 +1,162 @@
+/**
+ * @jest-environment node
+ */
+
+jest.mock('essentia.js/dist/essentia-wasm.web.js', () => {
+  return function MockEssentia() {
+    this.ready = Promise.resolve();
+  };
+});
+
+// A few seconds of plucked notes: enough for every stage to run
+function renderMelody(sampleRate, seconds) {
+  const buffer = new Float32Array(sampleRate * seconds);
+  const notes = [220, 247.5, 275, 293.3, 330];
+  for (let k = 0; k * 0.5 < seconds; k++) {
+    const start = Math.floor(k * 0.5 * sampleRate);
+    const f = notes[k % notes.length];
+    for (let j = 0; j < 0.45 * sampleRate && start + j < buffer.length; j++) {
+      buffer[start + j] = 0.5 * Math.exp(-j / (0.3 * sampleRate)) * Math.sin((2 * Math.PI * f * j) / sampleRate);
+    }
+  }
+  return buffer;
+}
+
+describe('runAnalysisPipeline', () => {
+  let AudioAnalyzer, runAnalysisPipeline, ANALYSIS_STAGES, AnalysisCancelledError, resolveAnalysisStages;
+  const sampleRate = 8000;
+
+  beforeAll(() => {
+    global.navigator = { userAgent: 'node-jest' };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    ({ AudioAnalyzer, runAnalysisPipeline, ANALYSIS_STAGES, AnalysisCancelledError, resolveAnalysisStages } = require('../src/audioAnalyzer.js'));
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('reports every stage in order and returns the full result without a DOM', async () => {
+    const progress = [];
+    const result = await runAnalysisPipeline(renderMelody(sampleRate, 4), sampleRate, 'melody.wav', {
+      analyzer: new AudioAnalyzer(),
+      timeline: true,
+      windowSeconds: 2,
+      onProgress: p => progress.push(p)
+    });
+
+    expect(progress.map(p => p.stage)).toEqual([...ANALYSIS_STAGES.map(s => s.id), 'done']);
+    expect(progress[progress.length - 1].progress).toBe(1);
+    progress.slice(1).forEach((p, i) => expect(p.progress).toBeGreaterThan(progress[i].progress));
+
+    expect(result.fileName).toBe('melody.wav');
+    expect(result.sampleRate).toBe(sampleRate);
+    expect(result.rhythmAnalysis.peakCount).toBeGreaterThan(0);
+    expect(result.transcription.notes.length).toBeGreaterThan(0);
+    expect(result.timeline.segments.length).toBeGreaterThan(0);
+    expect(result.structure.sections[0]).toMatchObject({ start: 0, label: 'A' });
+    expect(result.genreExplanation.genres[0].genre).toBe(result.genreExplanation.runnerUp.leader);
+    // The result crosses the worker boundary, so it must survive structured cloning
+    expect(() => structuredClone(result)).not.toThrow();
+  });
+
+  test('measures rhythm on the percussive part and hands the separated signals to onComponents', async () => {
+    const melody = renderMelody(sampleRate, 2);
+    let components = null;
+    const result = await runAnalysisPipeline(melody, sampleRate, 'melody.wav', {
+      analyzer: new AudioAnalyzer(),
+      onComponents: separated => { components = separated; }
+    });
+
+    expect(components.harmonic).toHaveLength(melody.length);
+    expect(components.percussive).toHaveLength(melody.length);
+    expect(result.separation.percussiveShare).toBeGreaterThanOrEqual(0);
+    expect(result.rhythmAnalysis.percussiveShare).toBe(result.separation.percussiveShare);
+    // The genre rules' percussiveness is not the energy share
+    expect(result.rhythmAnalysis.percussiveness).toBeUndefined();
+    // Cross-rhythm ratios are reported without switching on the genre rules' polyrhythmic flag
+    expect(result.rhythmAnalysis.polyrhythm.ratios).toEqual(expect.any(Array));
+    expect(result.rhythmAnalysis.polyrhythmic).toBeUndefined();
+    expect(['percussive', 'mix']).toContain(result.rhythmAnalysis.source);
+    // The signals themselves stay out of the result (and the JSON export)
+    expect(result.separation.harmonic).toBeUndefined();
+    expect(result.separation.envelope.points.length).toBeGreaterThan(0);
+  });
+
+  test('analyzes the chosen signal of a stereo file and records which one', async () => {
+    const melody = renderMelody(sampleRate, 2);
+    const quiet = melody.map(v => v * 0.1);
+    const result = await runAnalysisPipeline([melody, quiet], sampleRate, 'stereo.wav', {
+      analyzer: new AudioAnalyzer(),
+      channelMode: 'side'
+    });
+
+    expect(result).toMatchObject({ channelMode: 'side', channelLabel: 'Side (L−R)/2' });
+    expect(result.channelAnalysis.perChannel.map(ch => ch.name)).toEqual(['Left', 'Right']);
+    expect(result.channelAnalysis.balance).toBeLessThan(-0.9);
+    expect(result.channelAnalysis.correlation).toBeCloseTo(1, 2);
+    expect(result.loudnessAnalysis.integrated).toBeLessThan(0);
+    expect(result.loudnessAnalysis.envelope.points.length).toBeGreaterThan(0);
+    expect(result.transcription.notes.length).toBeGreaterThan(0);
+  });
+
+  test('runs only the selected stages and the ones they read', async () => {
+    expect([...resolveAnalysisStages(['transcription'])].sort()).toEqual(['pitch', 'scale', 'separation', 'tonic', 'transcription']);
+    expect([...resolveAnalysisStages(['loudness'])]).toEqual(['loudness']);
+    expect(resolveAnalysisStages().size).toBe(ANALYSIS_STAGES.length);
+    expect(() => resolveAnalysisStages(['tempo'])).toThrow('Unknown analysis stage "tempo"');
+
+    const analyzer = new AudioAnalyzer();
+    const trackPitchContour = jest.spyOn(analyzer, 'trackPitchContour');
+    const progress = [];
+    const result = await runAnalysisPipeline(renderMelody(sampleRate, 2), sampleRate, 'melody.wav', {
+      analyzer,
+      stages: ['cycle', 'loudness'],
+      timeline: true,
+      windowSeconds: 1,
+      onProgress: p => progress.push(p.stage)
+    });
+
+    expect(progress).toEqual(['loudness', 'separation', 'rhythm', 'cycle', 'done']);
+    expect(trackPitchContour).not.toHaveBeenCalled();
+    expect(result.loudnessAnalysis.integrated).toBeLessThan(0);
+    expect(result.rhythmAnalysis.peakCount).toBeGreaterThan(0);
+    expect(result.rhythmAnalysis.source).toBe('percussive');
+    expect(result).toMatchObject({ channelAnalysis: null, spectralAnalysis: null, genre: null, topGenres: [], pitches: [],
+      pitchContour: null, scaleAnalysis: null, transcription: null, structure: null, timeline: null });
+  });
+
+  test('keeps the 20 ms contour hop on long recordings', async () => {
+    // Ten minutes of silence with a held note at the end
+    const buffer = new Float32Array(sampleRate * 600);
+    const tail = renderMelody(sampleRate, 2);
+    buffer.set(tail, buffer.length - tail.length);
+    const analyzer = new AudioAnalyzer();
+    // Ten minutes of HPSS would dominate the test; without it the contour is tracked on the mix
+    jest.spyOn(analyzer, 'separateHarmonicPercussive').mockImplementation(() => { throw new Error('skipped'); });
+    const result = await runAnalysisPipeline(buffer, sampleRate, 'long.wav', { analyzer, stages: ['pitch'] });
+
+    expect(result.pitchContour.hopSeconds).toBe(0.02);
+    expect(result.pitchContour.frames.length).toBeGreaterThan(29000);
+    expect(result.pitchContour.frames.filter(f => f.voiced).length).toBeGreaterThan(50);
+  });
+
+  test('stops before the next stage once aborted', async () => {
+    const controller = new AbortController();
+    const stages = [];
+    const run = runAnalysisPipeline(renderMelody(sampleRate, 2), sampleRate, 'melody.wav', {
+      analyzer: new AudioAnalyzer(),
+      signal: controller.signal,
+      onProgress: ({ stage }) => {
+        stages.push(stage);
+        if (stage === 'genre') controller.abort();
+      }
+    });
+
+    await expect(run).rejects.toBeInstanceOf(AnalysisCancelledError);
+    expect(stages[stages.length - 1]).toBe('genre');
+    expect(stages).not.toContain('pitch');
+  });
+});
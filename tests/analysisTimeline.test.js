@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+
+jest.mock('essentia.js/dist/essentia-wasm.web.js', () => {
+  return function MockEssentia() {
+    this.ready = Promise.resolve();
+  };
+});
+
+// Decaying 440 Hz plucks at a steady tempo
+function renderPulse(buffer, sampleRate, bpm, fromSec, toSec) {
+  const period = Math.round((60 / bpm) * sampleRate);
+  const decay = Math.round(0.2 * sampleRate);
+  for (let onset = Math.round(fromSec * sampleRate); onset < toSec * sampleRate; onset += period) {
+    for (let j = 0; j < decay && onset + j < buffer.length; j++) {
+      buffer[onset + j] += 0.8 * Math.exp(-j / (decay / 2)) * Math.sin((2 * Math.PI * 440 * j) / sampleRate);
+    }
+  }
+}
+
+describe('Windowed timeline analysis', () => {
+  let AudioAnalyzer;
+  const sampleRate = 8000;
+
+  beforeAll(() => {
+    global.navigator = { userAgent: 'node-jest' };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ AudioAnalyzer } = require('../src/audioAnalyzer.js'));
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test('reports one segment per window and follows a tempo change', async () => {
+    const analyzer = new AudioAnalyzer();
+    analyzer.audioContext = { sampleRate };
+
+    const buffer = new Float32Array(sampleRate * 40);
+    renderPulse(buffer, sampleRate, 120, 0, 20);
+    renderPulse(buffer, sampleRate, 70, 20, 40);
+
+    const timeline = await analyzer.analyzeTimeline(buffer, sampleRate, { windowSeconds: 10, hopSeconds: 10 });
+
+    expect(timeline.segments).toHaveLength(4);
+    expect(timeline.segments[0].start).toBe(0);
+    expect(timeline.segments[3].end).toBeCloseTo(40, 5);
+    // The onset picker misses the odd pulse, so compare sections rather than exact BPM
+    expect(timeline.segments[0].tempo).toBeGreaterThan(0);
+    expect(timeline.segments[3].tempo).toBeGreaterThan(0);
+    expect(timeline.segments[0].tempo - timeline.segments[3].tempo).toBeGreaterThan(15);
+    timeline.segments.forEach(seg => {
+      expect(typeof seg.genre).toBe('string');
+      expect(typeof seg.scale).toBe('string');
+    });
+  });
+
+  test('overlapping windows do not emit a short trailing segment', async () => {
+    const analyzer = new AudioAnalyzer();
+    analyzer.audioContext = { sampleRate };
+
+    const buffer = new Float32Array(sampleRate * 25);
+    renderPulse(buffer, sampleRate, 100, 0, 25);
+
+    const timeline = await analyzer.analyzeTimeline(buffer, sampleRate, { windowSeconds: 10, hopSeconds: 5 });
+    const starts = timeline.segments.map(s => s.start);
+
+    expect(starts).toEqual([0, 5, 10, 15]);
+    expect(timeline.segments[timeline.segments.length - 1].end).toBeCloseTo(25, 5);
+  });
+});
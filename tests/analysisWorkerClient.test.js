@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+
+jest.mock('essentia.js/dist/essentia-wasm.web.js', () => {
+  return function MockEssentia() {
+    this.ready = Promise.resolve();
+  };
+});
+
+// Records what the client posts; tests play the worker's side through reply()
+class FakeWorker {
+  constructor() {
+    this.posted = [];
+    this.terminated = false;
+  }
+
+  postMessage(message, transfer = []) {
+    this.posted.push({ message, transfer });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  reply(data) {
+    this.onmessage({ data });
+  }
+}
+
+describe('AnalysisWorkerClient', () => {
+  let AnalysisWorkerClient, AnalysisWorkerError, AnalysisCancelledError;
+  let workers, client;
+
+  beforeAll(() => {
+    global.navigator = { userAgent: 'node-jest' };
+    ({ AnalysisWorkerClient, AnalysisWorkerError } = require('../src/analysisWorkerClient.js'));
+    ({ AnalysisCancelledError } = require('../src/audioAnalyzer.js'));
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    workers = [];
+    client = new AnalysisWorkerClient(() => {
+      const worker = new FakeWorker();
+      workers.push(worker);
+      return worker;
+    }, { cancelGraceMs: 100 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('transfers the PCM buffers and relays progress and the result', async () => {
+    const channels = [new Float32Array(16), new Float32Array(16)];
+    const progress = [];
+    const promise = client.analyze(channels, 8000, 'tala.wav', { onProgress: p => progress.push(p.stage), timeline: false });
+
+    const [{ message, transfer }] = workers[0].posted;
+    expect(message).toMatchObject({ type: 'analyze', fileName: 'tala.wav', sampleRate: 8000, options: { timeline: false } });
+    expect(transfer).toEqual(channels.map(c => c.buffer));
+
+    workers[0].reply({ type: 'progress', id: message.id, stage: 'rhythm', progress: 0 });
+    workers[0].reply({ type: 'progress', id: message.id, stage: 'genre', progress: 0.4 });
+    workers[0].reply({ type: 'result', id: message.id, result: { fileName: 'tala.wav' }, channels });
+
+    await expect(promise).resolves.toEqual({ result: { fileName: 'tala.wav' }, channels });
+    expect(progress).toEqual(['rhythm', 'genre']);
+  });
+
+  test('cancel rejects at once and terminates a worker stuck inside a stage', async () => {
+    const promise = client.analyze([new Float32Array(16)], 8000, 'long.wav');
+    const { id } = workers[0].posted[0].message;
+
+    client.cancel();
+    await expect(promise).rejects.toBeInstanceOf(AnalysisCancelledError);
+    expect(workers[0].posted[1].message).toEqual({ type: 'cancel', id });
+    expect(workers[0].terminated).toBe(false);
+
+    jest.advanceTimersByTime(100);
+    expect(workers[0].terminated).toBe(true);
+
+    // The next analysis gets a fresh worker
+    client.analyze([new Float32Array(16)], 8000, 'next.wav');
+    expect(workers).toHaveLength(2);
+  });
+
+  test('keeps a worker that stops within the grace period', async () => {
+    const promise = client.analyze([new Float32Array(16)], 8000, 'a.wav');
+    const { id } = workers[0].posted[0].message;
+    client.cancel();
+    await expect(promise).rejects.toBeInstanceOf(AnalysisCancelledError);
+
+    workers[0].reply({ type: 'cancelled', id });
+    jest.advanceTimersByTime(100);
+    expect(workers[0].terminated).toBe(false);
+  });
+
+  test('cancels through an AbortSignal', async () => {
+    const controller = new AbortController();
+    const promise = client.analyze([new Float32Array(16)], 8000, 'a.wav', { signal: controller.signal });
+    controller.abort();
+    await expect(promise).rejects.toBeInstanceOf(AnalysisCancelledError);
+    expect(workers[0].posted[1].message.type).toBe('cancel');
+  });
+
+  test('ignores messages from a superseded job', async () => {
+    const first = client.analyze([new Float32Array(16)], 8000, 'a.wav');
+    const second = client.analyze([new Float32Array(16)], 8000, 'b.wav');
+    await expect(first).rejects.toBeInstanceOf(AnalysisCancelledError);
+
+    const latest = workers[workers.length - 1];
+    const { id } = latest.posted[latest.posted.length - 1].message;
+    latest.reply({ type: 'result', id: id - 1, result: { fileName: 'a.wav' }, channels: [] });
+    latest.reply({ type: 'result', id, result: { fileName: 'b.wav' }, channels: [] });
+    await expect(second).resolves.toMatchObject({ result: { fileName: 'b.wav' } });
+  });
+
+  test('reports analysis errors and worker failures differently', async () => {
+    const failing = client.analyze([new Float32Array(16)], 8000, 'a.wav');
+    workers[0].reply({ type: 'error', id: workers[0].posted[0].message.id, message: 'decode failed' });
+    await expect(failing).rejects.toThrow('decode failed');
+
+    const crashed = client.analyze([new Float32Array(16)], 8000, 'b.wav');
+    workers[0].onerror({ message: 'script error' });
+    await expect(crashed).rejects.toBeInstanceOf(AnalysisWorkerError);
+    expect(workers[0].terminated).toBe(true);
+  });
+});
@@ -0,0 +1,355 @@
+import { decodeWav, decodeAiff, decodeFlac, decodeAudio, detectAudioFormat, AudioDecodeError } from '../src/utils/audioDecoder.js';
+
+// Build a RIFF/WAVE file; writeSample(view, offset, value) stores one sample
+function buildWav({ sampleRate = 8000, channels, bits, formatTag = 1, extensible = false, writeSample }) {
+  const frames = channels[0].length;
+  const bytesPerSample = bits / 8;
+  const fmtSize = extensible ? 40 : 16;
+  const dataSize = frames * channels.length * bytesPerSample;
+  const buffer = new ArrayBuffer(12 + 8 + fmtSize + 8 + dataSize);
+  const view = new DataView(buffer);
+  const writeId = (offset, id) => [...id].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+
+  writeId(0, 'RIFF');
+  view.setUint32(4, buffer.byteLength - 8, true);
+  writeId(8, 'WAVE');
+  writeId(12, 'fmt ');
+  view.setUint32(16, fmtSize, true);
+  view.setUint16(20, extensible ? 0xfffe : formatTag, true);
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels.length * bytesPerSample, true);
+  view.setUint16(32, channels.length * bytesPerSample, true);
+  view.setUint16(34, bits, true);
+  if (extensible) {
+    view.setUint16(36, 22, true);
+    view.setUint16(38, bits, true);
+    view.setUint16(44, formatTag, true);
+  }
+  const dataStart = 20 + fmtSize;
+  writeId(dataStart, 'data');
+  view.setUint32(dataStart + 4, dataSize, true);
+  for (let i = 0; i < frames; i++) {
+    channels.forEach((channel, c) => writeSample(view, dataStart + 8 + (i * channels.length + c) * bytesPerSample, channel[i]));
+  }
+  return buffer;
+}
+
+const ramp = [-1, -0.5, 0, 0.25, 0.5];
+
+describe('decodeWav', () => {
+  test.each([
+    [8, (v, o, x) => v.setUint8(o, Math.round(x * 127) + 128), 1 / 64],
+    [16, (v, o, x) => v.setInt16(o, Math.round(x * 32767), true), 1e-4],
+    [24, (v, o, x) => {
+      const n = Math.round(x * 8388607);
+      v.setUint8(o, n & 0xff);
+      v.setUint8(o + 1, (n >> 8) & 0xff);
+      v.setUint8(o + 2, (n >> 16) & 0xff);
+    }, 1e-6],
+    [32, (v, o, x) => v.setInt32(o, Math.round(x * 2147483647), true), 1e-6]
+  ])('decodes %i-bit integer PCM', (bits, writeSample, tolerance) => {
+    const decoded = decodeWav(buildWav({ channels: [ramp], bits, writeSample }));
+    expect(decoded).toMatchObject({ format: 'wav', encoding: `pcm${bits}`, sampleRate: 8000, numberOfChannels: 1, length: ramp.length });
+    decoded.channels[0].forEach((value, i) => expect(Math.abs(value - ramp[i])).toBeLessThanOrEqual(tolerance));
+  });
+
+  test('decodes 32- and 64-bit float, including extensible headers', () => {
+    const float32 = decodeWav(buildWav({ channels: [ramp], bits: 32, formatTag: 3, extensible: true, writeSample: (v, o, x) => v.setFloat32(o, x, true) }));
+    expect(float32.encoding).toBe('float32');
+    expect(Array.from(float32.channels[0])).toEqual(ramp);
+
+    const float64 = decodeWav(buildWav({ channels: [ramp], bits: 64, formatTag: 3, writeSample: (v, o, x) => v.setFloat64(o, x, true) }));
+    expect(float64.encoding).toBe('float64');
+    expect(Array.from(float64.channels[0])).toEqual(ramp);
+  });
+
+  test('de-interleaves stereo into one array per channel', () => {
+    const left = [0.5, 0.5, 0.5];
+    const right = [-0.25, -0.25, -0.25];
+    const decoded = decodeWav(buildWav({ sampleRate: 44100, channels: [left, right], bits: 32, formatTag: 3, writeSample: (v, o, x) => v.setFloat32(o, x, true) }));
+    expect(decoded.numberOfChannels).toBe(2);
+    expect(decoded.duration).toBeCloseTo(3 / 44100, 10);
+    expect(Array.from(decoded.channels[0])).toEqual(left);
+    expect(Array.from(decoded.channels[1])).toEqual(right);
+  });
+
+  test('names the codec of compressed WAV files it cannot decode', () => {
+    // 0x0055 is MPEG Layer 3 inside a WAV container
+    const wav = buildWav({ channels: [[0, 0]], bits: 16, formatTag: 0x55, writeSample: () => {} });
+    expect(() => decodeWav(wav)).toThrow(AudioDecodeError);
+    expect(() => decodeWav(wav)).toThrow(/0x0055/);
+  });
+});
+
+describe('decodeAudio', () => {
+  test('detects containers from their magic bytes', () => {
+    const bytes = (text) => new Uint8Array([...text].map(ch => ch.charCodeAt(0)).concat(new Array(12).fill(0)));
+    expect(detectAudioFormat(bytes('fLaC'))).toBe('flac');
+    expect(detectAudioFormat(bytes('OggS'))).toBe('ogg');
+    expect(detectAudioFormat(bytes('ID3'))).toBe('mp3');
+    expect(detectAudioFormat(bytes('????'))).toBeNull();
+  });
+
+  test('reports formats without a built-in decoder', () => {
+    const ogg = new Uint8Array(64);
+    ogg.set([0x4f, 0x67, 0x67, 0x53]);
+    expect(() => decodeAudio(ogg)).toThrow(AudioDecodeError);
+    expect(() => decodeAudio(ogg)).toThrow(/Ogg .* convert to WAV, AIFF or FLAC/);
+    expect(() => decodeAudio(new Uint8Array(64))).toThrow(/Unrecognized audio file/);
+  });
+});
+
+// Big-endian AIFF/AIFC with 16-bit frames unless a compression type says otherwise
+function buildAiff({ sampleRate = 44100, channels, compression = null, compressionName = '', bits = 16, writeSample }) {
+  const bytesPerSample = compression === 'fl32' ? 4 : bits / 8;
+  const frames = channels[0].length;
+  const name = compression ? [compressionName.length, ...[...compressionName].map(ch => ch.charCodeAt(0))] : [];
+  if (name.length % 2) name.push(0);
+  const commSize = 18 + (compression ? 4 + name.length : 0);
+  const dataSize = frames * channels.length * bytesPerSample;
+  const buffer = new ArrayBuffer(12 + 8 + commSize + 16 + dataSize);
+  const view = new DataView(buffer);
+  const writeId = (offset, id) => [...id].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+
+  writeId(0, 'FORM');
+  view.setUint32(4, buffer.byteLength - 8);
+  writeId(8, compression ? 'AIFC' : 'AIFF');
+  writeId(12, 'COMM');
+  view.setUint32(16, commSize);
+  view.setUint16(20, channels.length);
+  view.setUint32(22, frames);
+  view.setUint16(26, bits);
+  // 80-bit extended sample rate: exponent, then the integer rate left-justified in the mantissa
+  const exponent = Math.floor(Math.log2(sampleRate));
+  view.setUint16(28, 16383 + exponent);
+  view.setUint32(30, sampleRate * 2 ** (31 - exponent));
+  if (compression) {
+    writeId(38, compression);
+    name.forEach((byte, i) => view.setUint8(42 + i, byte));
+  }
+  const ssnd = 20 + commSize;
+  writeId(ssnd, 'SSND');
+  view.setUint32(ssnd + 4, 8 + dataSize);
+  for (let i = 0; i < frames; i++) {
+    channels.forEach((channel, c) => writeSample(view, ssnd + 16 + (i * channels.length + c) * bytesPerSample, channel[i]));
+  }
+  return buffer;
+}
+
+describe('decodeAiff', () => {
+  test('decodes big-endian AIFF and reads the 80-bit sample rate', () => {
+    const aiff = buildAiff({ channels: [ramp, ramp.map(x => -x)], writeSample: (v, o, x) => v.setInt16(o, Math.round(x * 32767)) });
+    const decoded = decodeAudio(aiff);
+    expect(decoded).toMatchObject({ format: 'aiff', encoding: 'pcm16', sampleRate: 44100, numberOfChannels: 2, length: ramp.length });
+    decoded.channels[1].forEach((value, i) => expect(value).toBeCloseTo(-ramp[i], 4));
+  });
+
+  test('decodes little-endian (sowt) and float (fl32) AIFC', () => {
+    const sowt = decodeAiff(buildAiff({ sampleRate: 48000, channels: [ramp], compression: 'sowt', compressionName: 'little-endian', writeSample: (v, o, x) => v.setInt16(o, Math.round(x * 32767), true) }));
+    expect(sowt.sampleRate).toBe(48000);
+    sowt.channels[0].forEach((value, i) => expect(value).toBeCloseTo(ramp[i], 4));
+
+    const fl32 = decodeAiff(buildAiff({ channels: [ramp], compression: 'fl32', bits: 32, writeSample: (v, o, x) => v.setFloat32(o, x) }));
+    expect(fl32.encoding).toBe('float32');
+    expect(Array.from(fl32.channels[0])).toEqual(ramp);
+  });
+
+  test('names compressed AIFC codecs it cannot decode', () => {
+    const ulaw = buildAiff({ channels: [[0, 0]], compression: 'ulaw', compressionName: 'µLaw 2:1', bits: 16, writeSample: () => {} });
+    expect(() => decodeAiff(ulaw)).toThrow(/Unsupported AIFC compression 'ulaw'/);
+  });
+});
+
+// Minimal FLAC encoder for the tests: explicit subframe types, Rice-coded residuals, no CRCs
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.current = 0;
+    this.count = 0;
+  }
+
+  write(value, bits) {
+    const unsigned = value < 0 ? value + 2 ** bits : value;
+    for (let i = bits - 1; i >= 0; i--) {
+      this.current = (this.current << 1) | (Math.floor(unsigned / 2 ** i) % 2);
+      if (++this.count === 8) {
+        this.bytes.push(this.current);
+        this.current = 0;
+        this.count = 0;
+      }
+    }
+  }
+
+  writeUnary(zeros) {
+    for (let i = 0; i < zeros; i++) this.write(0, 1);
+    this.write(1, 1);
+  }
+
+  align() {
+    while (this.count) this.write(0, 1);
+  }
+}
+
+const FIXED = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+function writeSubframe(out, samples, bits, spec) {
+  const { type, order = 0, coefficients = [], shift = 0, precision = 12, partitionOrder = 0, escape = false, wasted = 0 } = spec;
+  const typeCode = { constant: 0, verbatim: 1, fixed: 8 + order, lpc: 31 + coefficients.length }[type];
+  out.write(0, 1);
+  out.write(typeCode, 6);
+  out.write(wasted ? 1 : 0, 1);
+  if (wasted) out.writeUnary(wasted - 1);
+  const values = wasted ? samples.map(s => s / 2 ** wasted) : samples;
+  const width = bits - wasted;
+
+  if (type === 'constant') return out.write(values[0], width);
+  if (type === 'verbatim') return values.forEach(v => out.write(v, width));
+
+  const coefs = type === 'lpc' ? coefficients : FIXED[order];
+  const predictorOrder = coefs.length;
+  values.slice(0, predictorOrder).forEach(v => out.write(v, width));
+  if (type === 'lpc') {
+    out.write(precision - 1, 4);
+    out.write(shift, 5);
+    coefs.forEach(c => out.write(c, precision));
+  }
+  const residual = values.slice(predictorOrder).map((v, n) => {
+    const i = n + predictorOrder;
+    const prediction = coefs.reduce((sum, c, j) => sum + c * values[i - 1 - j], 0);
+    return v - (type === 'lpc' ? Math.floor(prediction / 2 ** shift) : prediction);
+  });
+
+  out.write(0, 2);
+  out.write(partitionOrder, 4);
+  const partitionSize = values.length >> partitionOrder;
+  let r = 0;
+  for (let p = 0; p < 1 << partitionOrder; p++) {
+    const chunk = residual.slice(r, r + (p === 0 ? partitionSize - predictorOrder : partitionSize));
+    r += chunk.length;
+    if (escape) {
+      out.write(15, 4);
+      out.write(width + 1, 5);
+      chunk.forEach(v => out.write(v, width + 1));
+      continue;
+    }
+    const mean = chunk.reduce((sum, v) => sum + Math.abs(v), 0) / Math.max(1, chunk.length);
+    const k = Math.min(14, Math.max(0, Math.floor(Math.log2(mean + 1))));
+    out.write(k, 4);
+    chunk.forEach(v => {
+      const u = v >= 0 ? 2 * v : -2 * v - 1;
+      out.writeUnary(Math.floor(u / 2 ** k));
+      out.write(u % 2 ** k, k);
+    });
+  }
+}
+
+// frames: [{ channelCode, subframes: [spec per channel] }]; channels are integer samples
+function encodeFlac({ sampleRate, bits, channels, blockSize, frames, id3 = false }) {
+  const out = new BitWriter();
+  const total = channels[0].length;
+  if (id3) [0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, 4, 1, 2, 3, 4].forEach(b => out.write(b, 8));
+  [0x66, 0x4c, 0x61, 0x43].forEach(b => out.write(b, 8));
+  out.write(1, 1);
+  out.write(0, 7);
+  out.write(34, 24);
+  out.write(blockSize, 16);
+  out.write(blockSize, 16);
+  out.write(0, 24);
+  out.write(0, 24);
+  out.write(sampleRate, 20);
+  out.write(channels.length - 1, 3);
+  out.write(bits - 1, 5);
+  out.write(0, 4);
+  out.write(total, 32);
+  for (let i = 0; i < 16; i++) out.write(0, 8);
+
+  frames.forEach(({ channelCode = channels.length - 1, subframes }, index) => {
+    const start = index * blockSize;
+    const size = Math.min(blockSize, total - start);
+    out.write(0x3ffe, 14);
+    out.write(0, 2);
+    out.write(7, 4);
+    out.write(0, 4);
+    out.write(channelCode, 4);
+    out.write(0, 4);
+    out.write(index, 8);
+    out.write(size - 1, 16);
+    out.write(0, 8);
+
+    let block = channels.map(channel => channel.slice(start, start + size));
+    if (channelCode >= 8) {
+      const [left, right] = block;
+      const side = left.map((l, i) => l - right[i]);
+      if (channelCode === 8) block = [left, side];
+      if (channelCode === 9) block = [side, right];
+      if (channelCode === 10) block = [left.map((l, i) => Math.floor((l + right[i]) / 2)), side];
+    }
+    const sideIndex = channelCode === 8 || channelCode === 10 ? 1 : channelCode === 9 ? 0 : -1;
+    block.forEach((samples, c) => writeSubframe(out, samples, bits + (c === sideIndex ? 1 : 0), subframes[c]));
+    out.align();
+    out.write(0, 16);
+  });
+  return new Uint8Array(out.bytes);
+}
+
+function testSignal(length, amplitude, frequency, seed = 1) {
+  return Array.from({ length }, (_, i) => {
+    seed = (seed * 16807) % 2147483647;
+    return Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i) + (seed % 200) - 100);
+  });
+}
+
+describe('decodeFlac', () => {
+  test('decodes every subframe type, escaped partitions and wasted bits', () => {
+    const blockSize = 64;
+    // The last frame is short; its partition order must still divide its size
+    const signal = testSignal(blockSize * 8 - 10, 12000, 0.01);
+    // A constant block, then a block of multiples of 4 (two wasted low bits) kept inside 16 bits
+    signal.fill(-1234, blockSize, 2 * blockSize);
+    for (let i = 2 * blockSize; i < 3 * blockSize; i++) signal[i] = Math.max(-32768, Math.min(32764, signal[i] * 4));
+    const frames = [
+      { subframes: [{ type: 'verbatim' }] },
+      { subframes: [{ type: 'constant' }] },
+      { subframes: [{ type: 'verbatim', wasted: 2 }] },
+      { subframes: [{ type: 'fixed', order: 0 }] },
+      { subframes: [{ type: 'fixed', order: 1, partitionOrder: 2 }] },
+      { subframes: [{ type: 'fixed', order: 2, escape: true }] },
+      { subframes: [{ type: 'lpc', coefficients: [3500, -1800], shift: 11, precision: 13, partitionOrder: 3 }] },
+      { subframes: [{ type: 'fixed', order: 4, partitionOrder: 1 }] }
+    ];
+
+    const decoded = decodeFlac(encodeFlac({ sampleRate: 22050, bits: 16, channels: [signal], blockSize, frames }));
+    expect(decoded).toMatchObject({ format: 'flac', encoding: 'flac16', sampleRate: 22050, numberOfChannels: 1, length: signal.length });
+    expect(decoded.truncated).toBeUndefined();
+    expect(Array.from(decoded.channels[0], v => Math.round(v * 32768))).toEqual(signal);
+  });
+
+  test('undoes left/side, side/right and mid/side stereo at 24 bits', () => {
+    const blockSize = 48;
+    const left = testSignal(blockSize * 4, 3000000, 0.013, 7);
+    const right = testSignal(blockSize * 4, 2500000, 0.017, 11);
+    const frames = [1, 8, 9, 10].map(channelCode => ({
+      channelCode,
+      subframes: [{ type: 'fixed', order: 2, partitionOrder: 1 }, { type: 'fixed', order: 3 }]
+    }));
+
+    const decoded = decodeAudio(encodeFlac({ sampleRate: 96000, bits: 24, channels: [left, right], blockSize, frames, id3: true }));
+    expect(decoded).toMatchObject({ format: 'flac', numberOfChannels: 2, sampleRate: 96000 });
+    expect(Array.from(decoded.channels[0], v => Math.round(v * 8388608))).toEqual(left);
+    expect(Array.from(decoded.channels[1], v => Math.round(v * 8388608))).toEqual(right);
+  });
+
+  test('keeps the audio before a cut-off frame and rejects broken headers', () => {
+    const blockSize = 32;
+    const signal = testSignal(blockSize * 3, 8000, 0.02);
+    const bytes = encodeFlac({ sampleRate: 8000, bits: 16, channels: [signal], blockSize, frames: Array(3).fill({ subframes: [{ type: 'verbatim' }] }) });
+    const cut = decodeFlac(bytes.subarray(0, bytes.length - 20));
+    expect(cut.truncated).toBe(true);
+    expect(cut.length).toBe(2 * blockSize);
+
+    const noStreamInfo = Uint8Array.from(bytes);
+    noStreamInfo[4] = 0x84;
+    expect(() => decodeFlac(noStreamInfo)).toThrow(/STREAMINFO/);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * @jest-environment node
+ */
+
+jest.mock('essentia.js/dist/essentia-wasm.web.js', () => {
+  return function MockEssentia() {
+    this.ready = Promise.resolve();
+  };
+});
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// 16-bit mono WAV of plucked notes
+function writeWav(file, sampleRate, seconds, frequency) {
+  const frames = sampleRate * seconds;
+  const buffer = Buffer.alloc(44 + frames * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + frames * 2, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(frames * 2, 40);
+  for (let i = 0; i < frames; i++) {
+    const t = (i % (sampleRate / 2)) / sampleRate;
+    buffer.writeInt16LE(Math.round(16000 * Math.exp(-t / 0.3) * Math.sin(2 * Math.PI * frequency * t)), 44 + i * 2);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, buffer);
+}
+
+describe('batch analyzer', () => {
+  let batch, AudioAnalyzer, analyzer, dir;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    ({ AudioAnalyzer } = require('../src/audioAnalyzer.js'));
+    batch = require('../src/batchAnalyzer.js');
+    analyzer = new AudioAnalyzer();
+    await analyzer.initialize();
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethno-batch-'));
+    writeWav(path.join(dir, 'a.wav'), 8000, 2, 220);
+    writeWav(path.join(dir, 'field', 'b.WAV'), 8000, 2, 330);
+    fs.writeFileSync(path.join(dir, 'field', 'c.flac'), Buffer.concat([Buffer.from('fLaC'), Buffer.alloc(60)]));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not audio');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('collects audio files, descending into subdirectories only when recursive', async () => {
+    expect(await batch.collectAudioFiles([dir])).toEqual([path.join(dir, 'a.wav')]);
+    expect(await batch.collectAudioFiles([dir], { recursive: true })).toEqual([
+      path.join(dir, 'a.wav'),
+      path.join(dir, 'field', 'b.WAV'),
+      path.join(dir, 'field', 'c.flac')
+    ]);
+  });
+
+  test('parses feature lists and rejects unknown groups', () => {
+    expect(batch.parseFeatureList()).toEqual(batch.DEFAULT_FEATURES);
+    expect(batch.parseFeatureList('genre, rhythm')).toEqual(['rhythm', 'genre']);
+    expect(batch.parseFeatureList('all')).toEqual(Object.keys(batch.BATCH_FEATURES));
+    expect(() => batch.parseFeatureList('rhythm,tempo')).toThrow(/Unknown feature\(s\): tempo/);
+  });
+
+  test('quotes CSV fields that need it and reads them back', () => {
+    const columns = ['file', 'status', 'error'];
+    const line = batch.formatRow({ file: 'a, "live".wav', status: 'error', error: 'bad\nheader' }, columns, 'csv');
+    expect(line).toBe('"a, ""live"".wav",error,bad header');
+    expect(batch.parseCsvLine(line)).toEqual(['a, "live".wav', 'error', 'bad header']);
+  });
+
+  test('writes one CSV row per file and resumes an interrupted run', async () => {
+    const files = await batch.collectAudioFiles([dir], { recursive: true });
+    const output = path.join(dir, 'results.csv');
+    const features = ['rhythm', 'genre'];
+
+    const first = await batch.analyzeFiles(files, { features, format: 'csv', output, analyzer });
+    expect(first).toEqual({ analyzed: 2, failed: 1, skipped: 0 });
+
+    const columns = batch.batchColumns(features);
+    const [header, ...rows] = fs.readFileSync(output, 'utf8').trim().split('\n');
+    expect(header).toBe(columns.join(','));
+    const parsed = rows.map(row => Object.fromEntries(batch.parseCsvLine(row).map((value, i) => [columns[i], value])));
+    expect(parsed.map(row => row.status)).toEqual(['ok', 'ok', 'error']);
+    expect(Number(parsed[0].tempo)).toBeGreaterThan(0);
+    expect(parsed[0].genre).not.toBe('');
+    expect(parsed[2].error).toMatch(/FLAC/);
+
+    // Simulate a run killed mid-write, then resume: finished files are skipped, the failed one is retried
+    fs.appendFileSync(output, `${path.join(dir, 'x.wav')},ok,,2`);
+    const seen = [];
+    const resumed = await batch.analyzeFiles(files, {
+      features, format: 'csv', output, analyzer, resume: true,
+      onFile: ({ file, skipped }) => seen.push([path.basename(file), skipped])
+    });
+    expect(resumed).toEqual({ analyzed: 0, failed: 1, skipped: 2 });
+    expect(seen).toEqual([['a.wav', true], ['b.WAV', true], ['c.flac', false]]);
+
+    const lines = fs.readFileSync(output, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(4);
+    expect(lines.some(line => line.includes('x.wav'))).toBe(false);
+
+    await expect(batch.analyzeFiles(files, { features: ['rhythm'], format: 'csv', output, analyzer, resume: true }))
+      .rejects.toThrow(/different columns/);
+  });
+
+  test('writes JSON lines with the selected features only', async () => {
+    const chunks = [];
+    await batch.analyzeFiles([path.join(dir, 'a.wav')], {
+      features: ['scale'], format: 'json', analyzer, stream: { write: (text) => chunks.push(text) }
+    });
+    const row = JSON.parse(chunks.join(''));
+    expect(Object.keys(row)).toEqual(batch.batchColumns(['scale']));
+    expect(row).toMatchObject({ status: 'ok', sampleRate: 8000, channels: 1 });
+    expect(row.tempo).toBeUndefined();
+  });
+
+  test('classifies the files that have MAEST embeddings with the Discogs style model', async () => {
+    const embeddingsDir = path.join(dir, 'embeddings');
+    fs.mkdirSync(embeddingsDir, { recursive: true });
+    fs.writeFileSync(path.join(embeddingsDir, 'a.json'), JSON.stringify([Array(768).fill(0.1), Array(768).fill(0.2)]));
+    fs.writeFileSync(path.join(embeddingsDir, 'b.npy'), 'not embeddings');
+
+    const highlife = { genre: 'World', confidence: 81, style: 'Highlife', parent: 'Folk, World, & Country', discogsLabel: 'Folk, World, & Country---Highlife' };
+    const classifyGenre = jest.spyOn(analyzer, 'classifyGenre').mockImplementation(async (rhythm, scale, spectral, essentia, options) => (
+      options.maestEmbeddings ? [highlife] : [{ genre: 'Folk', confidence: 40 }]
+    ));
+    const chunks = [];
+    await batch.analyzeFiles([path.join(dir, 'a.wav'), path.join(dir, 'field', 'b.WAV')], {
+      features: ['genre'], format: 'json', analyzer, embeddingsDir, stream: { write: (text) => chunks.push(text) }
+    });
+    const [a, b] = chunks.join('').trim().split('\n').map(line => JSON.parse(line));
+    expect(classifyGenre.mock.calls[0][4].maestEmbeddings.patches).toHaveLength(1);
+    expect(a).toMatchObject({ status: 'ok', genre: 'World', style: 'Folk, World, & Country---Highlife' });
+    expect(b.status).toBe('error');
+    expect(b.error).toContain('b.npy');
+
+    chunks.length = 0;
+    await batch.analyzeFiles([path.join(dir, 'field', 'b.WAV')], {
+      features: ['genre'], format: 'json', analyzer, stream: { write: (text) => chunks.push(text) }
+    });
+    expect(JSON.parse(chunks.join(''))).toMatchObject({ status: 'ok', genre: 'Folk', style: null });
+    classifyGenre.mockRestore();
+  });
+
+  test('runs only the pipeline stages the selected features read', async () => {
+    expect(batch.featureStages(['rhythm', 'groove', 'stereo'])).toEqual(['rhythm', 'channels']);
+
+    const analyzeRhythm = jest.spyOn(analyzer, 'analyzeRhythm');
+    const trackPitchContour = jest.spyOn(analyzer, 'trackPitchContour');
+    const chunks = [];
+    await batch.analyzeFiles([path.join(dir, 'a.wav')], {
+      features: ['loudness'], format: 'json', analyzer, stream: { write: (text) => chunks.push(text) }
+    });
+    expect(JSON.parse(chunks.join('')).integratedLufs).toBeLessThan(0);
+    expect(analyzeRhythm).not.toHaveBeenCalled();
+    expect(trackPitchContour).not.toHaveBeenCalled();
+    analyzeRhythm.mockRestore();
+    trackPitchContour.mockRestore();
+  });
+});
@@ -0,0 +1,103 @@
+import { trackBeats, estimateTempo, alignBeats, onsetStrength } from '../src/beatTracker.js';
+
+const sampleRate = 22050;
+
+// Hi-hat style ticks on every beat with a low kick on the first beat of each bar; beat n falls at times[n]
+function pattern(times, beatsPerBar, seconds) {
+  const buffer = new Float32Array(Math.round(seconds * sampleRate));
+  let seed = 7;
+  const noise = () => (seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5;
+  times.forEach((time, n) => {
+    const start = Math.round(time * sampleRate);
+    const downbeat = n % beatsPerBar === 0;
+    for (let i = 0; i < 1500 && start + i < buffer.length; i++) {
+      let value = 0.3 * noise() * Math.exp(-i / 150);
+      if (downbeat) value += 0.8 * Math.sin((2 * Math.PI * 60 * i) / sampleRate) * Math.exp(-i / 500);
+      buffer[start + i] += value;
+    }
+  });
+  return buffer;
+}
+
+function steady(bpm, beatsPerBar, seconds, offset = 0.5) {
+  const times = [];
+  for (let t = offset; t < seconds - 0.2; t += 60 / bpm) times.push(t);
+  return { times, buffer: pattern(times, beatsPerBar, seconds) };
+}
+
+function nearest(list, time) {
+  return list.reduce((best, value) => (Math.abs(value - time) < Math.abs(best - time) ? value : best), Infinity);
+}
+
+describe('beat tracking', () => {
+  test('follows a steady beat and finds the bar in 4/4', () => {
+    const { times, buffer } = steady(100, 4, 16);
+    const result = trackBeats(buffer, sampleRate);
+
+    expect(result.tempo).toBeGreaterThan(98);
+    expect(result.tempo).toBeLessThan(102);
+    expect(result.beats.length).toBeGreaterThanOrEqual(times.length - 2);
+    const misses = times.filter(time => Math.abs(nearest(result.beats, time) - time) > 0.05);
+    expect(misses.length).toBeLessThanOrEqual(2);
+
+    expect(result.beatsPerBar).toBe(4);
+    const bars = times.filter((_, n) => n % 4 === 0);
+    for (const downbeat of result.downbeats) {
+      expect(Math.abs(nearest(bars, downbeat) - downbeat)).toBeLessThan(0.05);
+    }
+  });
+
+  test('recognizes three beats to the bar', () => {
+    const { buffer } = steady(150, 3, 14);
+    const result = trackBeats(buffer, sampleRate);
+    expect(result.tempo).toBeGreaterThan(146);
+    expect(result.tempo).toBeLessThan(154);
+    expect(result.beatsPerBar).toBe(3);
+    expect(result.downbeats.length).toBeGreaterThan(0);
+  });
+
+  test('tempo curve follows an accelerando', () => {
+    // Beat rate rising linearly from 90 to 130 BPM over 24 s
+    const seconds = 24;
+    const times = [];
+    for (let t = 0.5; t < seconds - 0.2;) {
+      times.push(t);
+      t += 60 / (90 + (40 * t) / seconds);
+    }
+    const result = trackBeats(pattern(times, 4, seconds), sampleRate);
+    const curve = result.tempoCurve;
+    expect(curve.length).toBeGreaterThan(3);
+    expect(curve[0].bpm).toBeLessThan(curve[curve.length - 1].bpm - 15);
+    const misses = times.filter(time => Math.abs(nearest(result.beats, time) - time) > 0.05);
+    expect(misses.length).toBeLessThanOrEqual(3);
+  });
+
+  test('estimateTempo reads the period of a pulse train', () => {
+    const frameRate = 100;
+    const envelope = new Float32Array(1000);
+    for (let t = 10; t < envelope.length; t += 50) envelope[t] = 1;
+    const tempo = estimateTempo(envelope, frameRate);
+    expect(tempo.tempo).toBeCloseTo(120, 0);
+    expect(tempo.period).toBeCloseTo(50, 0);
+    expect(tempo.curve.length).toBeGreaterThan(0);
+  });
+
+  test('alignBeats lands on the pulses', () => {
+    const envelope = new Float32Array(600);
+    const pulses = [];
+    for (let t = 25; t < envelope.length; t += 40) {
+      envelope[t] = 1;
+      pulses.push(t);
+    }
+    const beats = alignBeats(envelope, new Float32Array(envelope.length).fill(40));
+    expect(beats).toEqual(pulses);
+  });
+
+  test('silence yields no beats', () => {
+    const silent = new Float32Array(sampleRate * 4);
+    const result = trackBeats(silent, sampleRate);
+    expect(result.beats).toEqual([]);
+    expect(result.tempo).toBe(0);
+    expect(onsetStrength(silent, sampleRate).envelope.every(value => value === 0)).toBe(true);
+  });
+});
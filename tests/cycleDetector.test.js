@@ -0,0 +1,50 @@
+import { detectCycle, CYCLE_LIBRARY } from '../src/cycleDetector.js';
+
+const SR = 8000;
+const PULSE = 0.2;
+
+// Render a cycle as short plucks whose loudness follows the accent profile; quiet pulses are rests
+function renderCycle(accents, cycles, startPulse = 0) {
+  const n = accents.length;
+  const total = Math.ceil(n * cycles * PULSE * SR) + SR;
+  const buf = new Float32Array(total);
+  for (let k = 0; k < n * cycles; k++) {
+    const accent = accents[(k + startPulse) % n];
+    if (accent < 0.3) continue;
+    const start = Math.floor(k * PULSE * SR);
+    for (let j = 0; j < 0.08 * SR && start + j < total; j++) {
+      buf[start + j] += 0.3 * accent * Math.exp(-j / (0.02 * SR)) * Math.sin(2 * Math.PI * 600 * j / SR);
+    }
+  }
+  return buf;
+}
+
+describe('detectCycle', () => {
+  test.each(Object.keys(CYCLE_LIBRARY))('matches %s from the library', (id) => {
+    const cycle = CYCLE_LIBRARY[id];
+    const result = detectCycle(renderCycle(cycle.accents, 6), SR);
+    expect(result.bestMatch.id).toBe(id);
+    expect(result.periodBeats).toBe(cycle.pulses);
+    expect(result.cycleDuration).toBeCloseTo(cycle.pulses * PULSE, 1);
+    expect(result.samTime).toBeLessThan(0.05);
+  });
+
+  test('locates the sam when the recording starts mid-cycle', () => {
+    // Start on matra 4 of teentaal: the next sam is 13 pulses in
+    const result = detectCycle(renderCycle(CYCLE_LIBRARY.teentaal.accents, 6, 3), SR);
+    expect(result.bestMatch.id).toBe('teentaal');
+    expect(result.samTime).toBeCloseTo(13 * PULSE, 1);
+  });
+
+  test('ranks every library cycle', () => {
+    const result = detectCycle(renderCycle(CYCLE_LIBRARY.aksak9.accents, 6), SR);
+    expect(result.matches.map(m => m.id).sort()).toEqual(Object.keys(CYCLE_LIBRARY).sort());
+    expect(result.matches[0].score).toBeGreaterThan(result.matches[1].score);
+  });
+
+  test('returns an empty result for silence', () => {
+    const result = detectCycle(new Float32Array(SR * 5), SR);
+    expect(result.bestMatch).toBeNull();
+    expect(result.periodBeats).toBe(0);
+  });
+});
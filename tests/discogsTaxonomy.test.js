@@ -0,0 +1,47 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { DISCOGS_LABELS, DISCOGS_STYLES, parseDiscogsLabel, discogsGenre, formatDiscogsLabel } from '../src/discogsTaxonomy.js';
+import { GENRE_LABELS } from '../src/genreRules.js';
+
+const metadata = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'public', 'models', 'genre_discogs400', 'metadata.json'), 'utf8'));
+
+describe('Discogs taxonomy', () => {
+  test('lists the model\'s 400 labels in output order', () => {
+    expect(DISCOGS_LABELS).toHaveLength(400);
+    expect(DISCOGS_LABELS).toEqual(metadata.classes);
+    expect(Object.keys(DISCOGS_STYLES)).toHaveLength(15);
+  });
+
+  test('splits a label into parent and style', () => {
+    expect(parseDiscogsLabel('Folk, World, & Country---Highlife')).toEqual({
+      label: 'Folk, World, & Country---Highlife',
+      parent: 'Folk, World, & Country',
+      style: 'Highlife'
+    });
+    expect(parseDiscogsLabel('Jazz')).toEqual({ label: 'Jazz', parent: 'Jazz', style: null });
+    expect(formatDiscogsLabel('Latin---Son Montuno')).toBe('Son Montuno (Latin)');
+    expect(formatDiscogsLabel('Reggae')).toBe('Reggae');
+  });
+
+  test('maps styles onto the app genres', () => {
+    expect(discogsGenre('Classical---Baroque')).toBe('European Classical');
+    expect(discogsGenre('Funk / Soul---Neo Soul')).toBe('R&B/Soul');
+    expect(discogsGenre('Rock---Doom Metal')).toBe('Metal');
+    expect(discogsGenre('Rock---Grindcore')).toBe('Metal');
+    expect(discogsGenre('Rock---Post-Hardcore')).toBe('Rock');
+    expect(discogsGenre('Folk, World, & Country---Bluegrass')).toBe('Country');
+    expect(discogsGenre('Folk, World, & Country---Hindustani')).toBe('Indian Classical');
+    expect(discogsGenre('Folk, World, & Country---Celtic')).toBe('Folk');
+    expect(discogsGenre('Folk, World, & Country---Soukous')).toBe('World');
+    expect(discogsGenre('Stage & Screen---Soundtrack')).toBe('Stage & Screen');
+  });
+
+  test('every style of a music parent lands on an app genre', () => {
+    const nonMusic = ['Brass & Military', "Children's", 'Non-Music', 'Stage & Screen'];
+    DISCOGS_LABELS.forEach(label => {
+      const { parent } = parseDiscogsLabel(label);
+      const genre = discogsGenre(label);
+      expect(nonMusic.includes(parent) ? genre === parent : GENRE_LABELS.includes(genre)).toBe(true);
+    });
+  });
+});
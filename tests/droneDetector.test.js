@@ -0,0 +1,61 @@
+import { detectDrone, estimateTonic } from '../src/droneDetector.js';
+
+const SR = 16000;
+
+// Add a harmonic tone (1/h partial amplitudes) to the buffer
+function addTone(buf, freq, amp, start, dur, harmonics = 6) {
+  const from = Math.floor(start * SR);
+  const to = Math.min(buf.length, Math.floor((start + dur) * SR));
+  for (let i = from; i < to; i++) {
+    const t = i / SR;
+    let v = 0;
+    for (let h = 1; h <= harmonics; h++) v += Math.sin(2 * Math.PI * freq * h * t) / h;
+    buf[i] += amp * v;
+  }
+}
+
+const SA = 146.83; // D3
+const cents = (base, c) => base * Math.pow(2, c / 1200);
+
+describe('drone and tonic detection', () => {
+  test('finds a tanpura-style drone under a louder melody and tracks the melody separately', () => {
+    const dur = 12;
+    const buf = new Float32Array(dur * SR);
+    // Sa, Pa and upper Sa sounding throughout
+    addTone(buf, SA, 0.15, 0, dur);
+    addTone(buf, SA * 1.5, 0.08, 0, dur);
+    addTone(buf, SA * 2, 0.08, 0, dur);
+    // Melody in the octave above, moving through Bilawal
+    const degrees = [200, 400, 500, 700, 900, 1100];
+    for (let k = 0; k < 24; k++) addTone(buf, cents(SA * 2, degrees[k % degrees.length]), 0.3, k * 0.5, 0.45);
+
+    const result = estimateTonic(buf, SR);
+    expect(result.method).toBe('drone');
+    expect(result.drone.present).toBe(true);
+    expect(result.tonic.note).toBe('D');
+    expect(Math.abs(1200 * Math.log2(result.tonic.frequency / SA))).toBeLessThan(15);
+
+    // The separated melody follows the moving notes, not the drone
+    const melodyCents = result.melodyTrack.map(p => 1200 * Math.log2(p.frequency / (SA * 2)));
+    const onDrone = melodyCents.filter(c => Math.abs(((c % 1200) + 1200) % 1200) < 30).length;
+    expect(result.melodyTrack.length).toBeGreaterThan(15);
+    expect(onDrone / melodyCents.length).toBeLessThan(0.2);
+  });
+
+  test('a melody that keeps returning to Sa is not mistaken for a drone', () => {
+    const buf = new Float32Array(12 * SR);
+    const path = [0, 200, 0, 400, 0, 700, 0, 500];
+    for (let k = 0; k < 24; k++) addTone(buf, cents(SA * 2, path[k % path.length]), 0.3, k * 0.5, 0.45);
+
+    const result = estimateTonic(buf, SR);
+    expect(result.drone.present).toBe(false);
+    expect(result.method).toBe('melody');
+    expect(result.tonic.note).toBe('D');
+  });
+
+  test('silence has no drone', () => {
+    const result = detectDrone(new Float32Array(SR * 3), SR);
+    expect(result.present).toBe(false);
+    expect(result.melodyTrack).toEqual([]);
+  });
+});
@@ -0,0 +1,69 @@
+import { parseEmbeddingsFile } from '../src/utils/embeddingsFile.js';
+
+// Build a .npy file as numpy.save writes it: magic, version, padded header, then the values
+function buildNpy(shape, values, { descr = '<f4', major = 1, fortran = false } = {}) {
+  const dict = `{'descr': '${descr}', 'fortran_order': ${fortran ? 'True' : 'False'}, 'shape': (${shape.join(', ')}${shape.length === 1 ? ',' : ''}), }`;
+  const prefix = major === 1 ? 10 : 12;
+  const header = `${dict}${' '.repeat(64 - ((prefix + dict.length + 1) % 64))}\n`;
+  const bytesPerValue = descr.endsWith('f8') ? 8 : 4;
+  const buffer = new ArrayBuffer(prefix + header.length + values.length * bytesPerValue);
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  bytes.set([0x93, ...'NUMPY'.split('').map(ch => ch.charCodeAt(0)), major, 0]);
+  if (major === 1) view.setUint16(8, header.length, true);
+  else view.setUint32(8, header.length, true);
+  bytes.set([...header].map(ch => ch.charCodeAt(0)), prefix);
+  const littleEndian = descr[0] !== '>';
+  values.forEach((value, i) => {
+    const offset = prefix + header.length + i * bytesPerValue;
+    if (bytesPerValue === 8) view.setFloat64(offset, value, littleEndian);
+    else view.setFloat32(offset, value, littleEndian);
+  });
+  return buffer;
+}
+
+// Token t of patch p holds p * 10 + t in every value
+const sequence = (patches, tokens) => Array.from({ length: patches * tokens * 768 }, (_, i) => Math.floor(i / (tokens * 768)) * 10 + Math.floor(i / 768) % tokens);
+
+describe('embeddings files', () => {
+  test('reads float32 and float64 .npy arrays, keeping the class and distillation tokens', () => {
+    const single = parseEmbeddingsFile(buildNpy([1, 3, 768], sequence(1, 3)));
+    expect(single.shape).toEqual([1, 3, 768]);
+    expect(single.tokens).toBe(3);
+    expect(single.patches).toHaveLength(1);
+    expect(single.patches[0]).toHaveLength(2 * 768);
+    expect([single.patches[0][0], single.patches[0][768], single.patches[0][2 * 768 - 1]]).toEqual([0, 1, 1]);
+
+    const doubles = parseEmbeddingsFile(new Uint8Array(buildNpy([3, 768], sequence(1, 3), { descr: '<f8', major: 2 })));
+    expect(doubles.patches[0]).toEqual(single.patches[0]);
+    const bigEndian = parseEmbeddingsFile(buildNpy([3, 768], sequence(1, 3), { descr: '>f4' }));
+    expect(bigEndian.patches[0]).toEqual(single.patches[0]);
+  });
+
+  test('splits leading axes into one patch each', () => {
+    const { patches } = parseEmbeddingsFile(buildNpy([2, 2, 4, 768], sequence(4, 4)));
+    expect(patches).toHaveLength(4);
+    expect(patches.map(patch => [patch[0], patch[768]])).toEqual([[0, 1], [10, 11], [20, 21], [30, 31]]);
+  });
+
+  test('reads nested JSON arrays, bare or under "embeddings"', () => {
+    const tokens = [Array(768).fill(0.5), Array(768).fill(-0.5)];
+    const bare = parseEmbeddingsFile(Buffer.from(JSON.stringify(tokens)));
+    expect(bare.shape).toEqual([2, 768]);
+    expect([bare.patches[0][0], bare.patches[0][768]]).toEqual([0.5, -0.5]);
+    const wrapped = parseEmbeddingsFile(Buffer.from(JSON.stringify({ embeddings: [tokens, tokens] })));
+    expect(wrapped.patches).toHaveLength(2);
+  });
+
+  test('rejects files that are not MAEST token embeddings', () => {
+    expect(() => parseEmbeddingsFile(Buffer.from('not json'))).toThrow('neither a .npy array nor JSON');
+    expect(() => parseEmbeddingsFile(Buffer.from('{"mfcc": []}'))).toThrow('"embeddings" array');
+    expect(() => parseEmbeddingsFile(Buffer.from(JSON.stringify([Array(768).fill(0), Array(767).fill(0)])))).toThrow('rectangular');
+    expect(() => parseEmbeddingsFile(buildNpy([2, 512], Array(1024).fill(0)))).toThrow('got shape (2, 512)');
+    expect(() => parseEmbeddingsFile(buildNpy([1, 768], Array(768).fill(0)))).toThrow('got 1');
+    expect(() => parseEmbeddingsFile(buildNpy([2, 768], Array(1536).fill(0), { descr: '<i4' }))).toThrow('float32 or float64');
+    expect(() => parseEmbeddingsFile(buildNpy([2, 768], Array(1536).fill(0), { fortran: true }))).toThrow('Fortran order');
+    expect(() => parseEmbeddingsFile(buildNpy([2, 768], Array(1536).fill(0)).slice(0, 200))).toThrow('truncated');
+    expect(() => parseEmbeddingsFile('[]')).toThrow('ArrayBuffer or Uint8Array');
+  });
+});
@@ -40,4 +40,36 @@ describe('Genre classification robustness', () => {
     const results = await analyzer.classifyGenre(rhythm, scale, spectral);
     expect(results.length).toBeGreaterThan(0);
   });
+
+  test('keeps a beat-tracked tempo instead of guessing an octave error', async () => {
+    const analyzer = new AudioAnalyzer();
+    const rhythm = { tempo: 174, tempoSource: 'beats', regularity: 0.8, percussiveness: 0.2, temporalComplexity: 0.3, polyrhythmic: false };
+    const results = await analyzer.classifyGenre(rhythm, { scale: 'major' }, { brightness: 0.5 });
+    expect(results.__debug.earlyCorrection).toBeFalsy();
+    expect(results.__debug.input.tempoCorrected).toBe(174);
+  });
+
+  test('reports the rules that fired in the debug output', async () => {
+    const analyzer = new AudioAnalyzer();
+    const rhythm = { tempo: 75, regularity: 0.3, percussiveness: 0.1, temporalComplexity: 0.4, polyrhythmic: false };
+    const results = await analyzer.classifyGenre(rhythm, { scale: 'A Minor' }, { brightness: 0.3 });
+    const ids = results.__debug.rules.map(rule => rule.id);
+    expect(ids).toEqual(expect.arrayContaining(['tempo-slow', 'regularity-loose', 'regularity-loose-reggae', 'scale-minor', 'blues-signature']));
+    expect(ids).not.toContain('tempo-moderate');
+    expect(results.__debug.rules.find(rule => rule.id === 'tempo-slow').scores.Reggae).toBe(0.8);
+  });
+
+  test('records a contribution for everything that moved a score', async () => {
+    const analyzer = new AudioAnalyzer();
+    const rhythm = { tempo: 75, regularity: 0.3, percussiveness: 0.1, temporalComplexity: 0.4, polyrhythmic: false };
+    const results = await analyzer.classifyGenre(rhythm, { scale: 'A Minor' }, { brightness: 0.3 });
+    const { rawScores, contributions } = results.__debug;
+    Object.entries(rawScores).forEach(([genre, score]) => {
+      const sum = contributions[genre].reduce((acc, item) => acc + item.delta, 0);
+      expect(sum).toBeCloseTo(score, 2);
+    });
+    const blues = contributions.Blues.find(item => item.id === 'blues-signature');
+    expect(blues).toMatchObject({ source: 'rule' });
+    expect(blues.features).toEqual(['tempo', 'brightness']);
+  });
 });
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+
+jest.mock('essentia.js/dist/essentia-wasm.web.js', () => {
+  return function MockEssentia() {
+    this.ready = Promise.resolve();
+  };
+});
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'genre');
+
+describe('genre evaluation', () => {
+  let evaluation;
+
+  beforeAll(() => {
+    global.navigator = { userAgent: 'node-jest' };
+    evaluation = require('../src/genreEvaluation.js');
+  });
+
+  test('a blend counts as both of its genres, leader first', () => {
+    const ranked = evaluation.rankedGenres([{ genre: 'Hip Hop-R&B/Soul' }, { genre: 'Jazz' }, { genre: 'Hip Hop' }]);
+    expect(ranked).toEqual(['Hip Hop', 'R&B/Soul', 'Jazz']);
+  });
+
+  test('scores accuracy, confusion and per-genre precision / recall', () => {
+    const metrics = evaluation.scoreClassifications([
+      { id: 'a', genre: 'Jazz', predicted: ['Jazz', 'Blues'] },
+      { id: 'b', genre: 'Jazz', predicted: ['Blues', 'Rock', 'Jazz'] },
+      { id: 'c', genre: 'Blues', predicted: ['Blues'] },
+      { id: 'd', genre: 'Rock', predicted: [] }
+    ]);
+    expect(metrics).toMatchObject({ count: 4, top1: 0.5, top3: 0.75 });
+    expect(metrics.labels).toEqual(['Jazz', 'Rock', 'Blues', '(none)']);
+    expect(metrics.confusion).toEqual({ Jazz: { Jazz: 1, Blues: 1 }, Blues: { Blues: 1 }, Rock: { '(none)': 1 } });
+    expect(metrics.perGenre.Blues).toEqual({ support: 1, predicted: 2, precision: 0.5, recall: 1 });
+    expect(metrics.perGenre.Rock).toEqual({ support: 1, predicted: 0, precision: null, recall: 0 });
+  });
+
+  test('a drop below the baseline is a regression', () => {
+    const baseline = { count: 4, top1: 0.5, top3: 0.75, perGenre: { Jazz: { precision: 1, recall: 0.5 }, Rock: { precision: null, recall: 0 } } };
+    const metrics = { count: 4, top1: 0.25, top3: 1, perGenre: { Jazz: { precision: null, recall: 0.5 } } };
+    const { regressions, improvements } = evaluation.compareToBaseline(metrics, baseline);
+    expect(regressions).toEqual([
+      { metric: 'top1', baseline: 0.5, current: 0.25 },
+      { metric: 'Jazz precision', baseline: 1, current: 0 }
+    ]);
+    expect(improvements).toEqual([{ metric: 'top3', baseline: 0.75, current: 1 }]);
+    expect(evaluation.compareToBaseline({ ...metrics, count: 5 }, baseline).regressions[0].metric).toBe('count');
+  });
+
+  test('rejects a manifest entry without features or audio', async () => {
+    const file = path.join(require('node:os').tmpdir(), `genre-manifest-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ entries: [{ id: 'x', genre: 'Jazz' }] }));
+    await expect(evaluation.loadManifest(file)).rejects.toThrow('x needs either features or audio');
+    fs.rmSync(file);
+  });
+
+  test('passes an entry\'s MAEST embeddings file to the classifier under ml only', async () => {
+    const dir = fs.mkdtempSync(path.join(require('node:os').tmpdir(), 'genre-manifest-'));
+    fs.writeFileSync(path.join(dir, 'x.json'), JSON.stringify([Array(768).fill(0.1), Array(768).fill(0.2)]));
+    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({
+      entries: [{ id: 'x', genre: 'Jazz', features: { rhythm: { tempo: 120 }, tuning: 'stable' }, embeddings: 'x.json' }]
+    }));
+    const { entries: [entry] } = await evaluation.loadManifest(path.join(dir, 'manifest.json'));
+    expect(entry.embeddings).toBe(path.join(dir, 'x.json'));
+
+    const analyzer = { classifyGenre: jest.fn(async () => [{ genre: 'Jazz', confidence: 50 }]) };
+    await evaluation.classifyEntry(entry, { analyzer, ml: true });
+    expect(analyzer.classifyGenre.mock.calls[0][4]).toMatchObject({ tuning: 'stable', maestEmbeddings: { tokens: 2 } });
+    await evaluation.classifyEntry(entry, { analyzer });
+    expect(analyzer.classifyGenre.mock.calls[1][4]).toEqual({ tuning: 'stable' });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('the labelled corpus does not fall below its baseline', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const manifest = await evaluation.loadManifest(path.join(FIXTURES, 'manifest.json'));
+    const run = await evaluation.evaluateGenreCorpus(manifest);
+    console.log.mockRestore();
+    console.warn.mockRestore();
+
+    const baseline = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'baseline.json'), 'utf8'));
+    const { regressions } = evaluation.compareToBaseline(run.metrics, baseline);
+    expect(run.predictions.every(p => p.error === null)).toBe(true);
+    expect(regressions).toEqual([]);
+  });
+});
@@ -0,0 +1,61 @@
+import { describeFeature, explainGenreResults } from '../src/genreExplanation.js';
+
+const classified = (debug) => Object.assign(
+  [{ genre: 'Blues', confidence: 40 }, { genre: 'Jazz', confidence: 35 }],
+  { __debug: debug }
+);
+
+const trail = {
+  input: { tempoAfterEarlyCorrection: 74.6, brightness: 0.28, scale: 'A Minor Pentatonic', polyrhythmic: false },
+  rawScores: { Blues: 1.4, Jazz: 1.1, Rock: -0.2 },
+  contributions: {
+    Blues: [
+      { source: 'rule', id: 'tempo-slow', description: 'Slow tempo', features: ['tempo'], delta: 0.5 },
+      { source: 'rule', id: 'blues-signature', description: 'Slow and dark', features: ['tempo', 'brightness'], delta: 0.4 },
+      { source: 'mfcc', id: 'mfcc-warm', description: 'Warm, rounded timbre (MFCC 2)', features: ['mfcc'], delta: 0.6 },
+      { source: 'adaptive', id: 'adaptive-profile', description: 'Fit to the Blues profile', features: ['tempo'], delta: -0.1 }
+    ],
+    Jazz: [
+      { source: 'rule', id: 'tempo-slow', description: 'Slow tempo', features: ['tempo'], delta: 0.5 },
+      { source: 'mfcc', id: 'mfcc-warm', description: 'Warm, rounded timbre (MFCC 2)', features: ['mfcc'], delta: 0.6 }
+    ],
+    Rock: [
+      { source: 'rule', id: 'blues-signature', description: 'Slow and dark', features: ['tempo', 'brightness'], delta: -0.2 }
+    ]
+  },
+  mode: 'HEURISTIC_ADAPTIVE'
+};
+
+describe('genre explanation', () => {
+  test('features are described with their values', () => {
+    expect(describeFeature('tempo', trail.input)).toBe('tempo 75 BPM');
+    expect(describeFeature('brightness', trail.input)).toBe('brightness 0.28');
+    expect(describeFeature('scale', trail.input)).toBe('scale: A Minor Pentatonic');
+    expect(describeFeature('polyrhythmic', trail.input)).toBe('polyrhythmic: no');
+    expect(describeFeature('spectralCentroid', {})).toBe('spectral centroid');
+  });
+
+  test('breaks each top genre into contributions, largest first', () => {
+    const explanation = explainGenreResults(classified(trail), { topN: 2 });
+    expect(explanation.genres.map(entry => entry.genre)).toEqual(['Blues', 'Jazz']);
+    const [blues] = explanation.genres;
+    expect(blues).toMatchObject({ score: 1.4, confidence: 40, added: 1.5, subtracted: -0.1 });
+    expect(blues.contributions.map(item => item.id)).toEqual(['mfcc-warm', 'tempo-slow', 'blues-signature', 'adaptive-profile']);
+    expect(blues.contributions[2]).toMatchObject({ sourceLabel: 'Rule', evidence: ['tempo 75 BPM', 'brightness 0.28'] });
+  });
+
+  test('names what put the leader ahead of the runner-up', () => {
+    const { runnerUp, note } = explainGenreResults(classified(trail));
+    expect(note).toBeNull();
+    expect(runnerUp).toMatchObject({ leader: 'Blues', genre: 'Jazz', scoreGap: 0.3 });
+    expect(runnerUp.closeness).toBeCloseTo(1.1 / 1.4, 3);
+    // Shared contributions cancel out; only the signature rule separates the two
+    expect(runnerUp.deciding).toEqual([{ source: 'rule', id: 'blues-signature', description: 'Slow and dark', delta: 0.4 }]);
+  });
+
+  test('notes an override and needs the score trail', () => {
+    expect(explainGenreResults(classified({ ...trail, mode: 'ESSENTIA_OVERRIDE' })).note).toMatch(/Essentia/);
+    expect(explainGenreResults([{ genre: 'Pop', confidence: 80 }])).toBeNull();
+    expect(explainGenreResults(null)).toBeNull();
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * @jest-environment node
+ */
+
+jest.mock('essentia.js/dist/essentia-wasm.web.js', () => {
+  return function MockEssentia() {
+    this.ready = Promise.resolve();
+  };
+});
+
+const path = require('node:path');
+const { execFileSync } = require('node:child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+// Stands in for an onnxruntime-web session: a fixed activation per label, and the feeds it was given
+function fakeSession(activations) {
+  const session = {
+    inputNames: ['embeddings'],
+    outputNames: ['logits', 'activations'],
+    inputMetadata: [{ name: 'embeddings', isTensor: true, type: 'float32', shape: ['batch_size', 1685, 768] }],
+    feeds: null,
+    run: async (feeds) => {
+      session.feeds = feeds;
+      return { activations: { data: Float32Array.from(activations) } };
+    }
+  };
+  return session;
+}
+
+describe('genre_discogs400 ONNX backend', () => {
+  let GenreMLClassifier, DISCOGS_LABELS, classifier, session;
+
+  // Highlife, Neo Soul, Doom Metal and Baroque stand out; everything else is quiet
+  const activations = () => {
+    const values = DISCOGS_LABELS.map(() => 0.01);
+    values[DISCOGS_LABELS.indexOf('Funk / Soul---Neo Soul')] = 0.42;
+    values[DISCOGS_LABELS.indexOf('Folk, World, & Country---Highlife')] = 0.81;
+    values[DISCOGS_LABELS.indexOf('Rock---Doom Metal')] = 0.3;
+    values[DISCOGS_LABELS.indexOf('Classical---Baroque')] = 0.2;
+    return values;
+  };
+  const token = (offset) => Float32Array.from({ length: 768 }, (_, i) => offset + i / 768);
+
+  beforeAll(() => {
+    global.navigator = { userAgent: 'node-jest' };
+    ({ GenreMLClassifier } = require('../src/genreMLModel.js'));
+    ({ DISCOGS_LABELS } = require('../src/discogsTaxonomy.js'));
+  });
+
+  beforeEach(() => {
+    classifier = new GenreMLClassifier();
+    session = fakeSession(activations());
+    classifier.ortSession = session;
+    classifier.ortInput = classifier.getOrtInputSpec();
+    classifier.ortReady = true;
+    classifier.isLoaded = true;
+  });
+
+  test('reads the input name and shape from the session metadata', () => {
+    expect(classifier.ortInput).toEqual({ name: 'embeddings', shape: [1, 1685, 768] });
+  });
+
+  test('predictions carry the Discogs style and the app genre', async () => {
+    const result = await classifier.classifyEmbeddings([token(1), token(2)], { topN: 3 });
+    expect(result).toMatchObject({
+      topGenre: 'World',
+      topStyle: 'Highlife',
+      label: 'Folk, World, & Country---Highlife',
+      backend: 'onnx',
+      modelTrained: true
+    });
+    expect(result.confidence).toBeCloseTo(0.81, 5);
+    expect(result.predictions.map(p => [p.genre, p.parent, p.style])).toEqual([
+      ['World', 'Folk, World, & Country', 'Highlife'],
+      ['R&B/Soul', 'Funk / Soul', 'Neo Soul'],
+      ['Metal', 'Rock', 'Doom Metal']
+    ]);
+  });
+
+  test('pads the class and distillation tokens to the full input', async () => {
+    await classifier.classifyEmbeddings([token(1), token(2)]);
+    const tensor = session.feeds.embeddings;
+    expect(tensor.dims).toEqual([1, 1685, 768]);
+    expect(tensor.data[0]).toBe(1);
+    expect(tensor.data[768]).toBe(2);
+    expect(tensor.data[2 * 768]).toBe(0);
+
+    const flat = new Float32Array(2 * 768);
+    flat.set(token(1));
+    flat.set(token(2), 768);
+    await classifier.classifyEmbeddings(flat);
+    expect(session.feeds.embeddings.data.every((value, i) => value === tensor.data[i])).toBe(true);
+  });
+
+  test('averages the activations of every patch of an embeddings file', async () => {
+    const { parseEmbeddingsFile } = require('../src/utils/embeddingsFile.js');
+    const quiet = DISCOGS_LABELS.map(() => 0.01);
+    const loud = activations();
+    let call = 0;
+    session.run = async (feeds) => {
+      session.feeds = feeds;
+      return { activations: { data: Float32Array.from(call++ === 0 ? loud : quiet) } };
+    };
+    const json = JSON.stringify([[Array.from(token(1)), Array.from(token(2))], [Array.from(token(3)), Array.from(token(4))]]);
+
+    const result = await classifier.classifyEmbeddings(parseEmbeddingsFile(Buffer.from(json)), { topN: 2 });
+    expect(call).toBe(2);
+    expect(session.feeds.embeddings.data[0]).toBe(3);
+    expect(result.topStyle).toBe('Highlife');
+    expect(result.confidence).toBeCloseTo((0.81 + 0.01) / 2, 5);
+    await expect(classifier.classifyEmbeddings({ patches: [] })).rejects.toThrow('no patches');
+  });
+
+  test('rejects embeddings of the wrong size', async () => {
+    await expect(classifier.classifyEmbeddings([token(1)])).rejects.toThrow('class and distillation tokens');
+    await expect(classifier.classifyEmbeddings([token(1), new Float32Array(512)])).rejects.toThrow('token 1 has 512 values');
+    await expect(classifier.classifyEmbeddings(new Float32Array(1000))).rejects.toThrow('got 1000 values');
+  });
+
+  test('loads the ONNX model on first use, and reports a failed load without retrying', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+    const fresh = new GenreMLClassifier();
+    await fresh.loadModel();
+    expect(fresh.ortLoading).toBeNull();
+    expect(fresh.modelMetadata.classes).toHaveLength(15);
+
+    const loadOnnxModel = jest.spyOn(fresh, 'loadOnnxModel').mockRejectedValue(new Error('no wasm backend'));
+    await expect(fresh.classifyEmbeddings([token(1), token(2)])).rejects.toThrow('no wasm backend');
+    expect(await fresh.classifyGenre({ tempo: 100, maestEmbeddings: [token(1), token(2)] })).toMatchObject({ modelTrained: false });
+    expect(loadOnnxModel).toHaveBeenCalledTimes(1);
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    console.debug.mockRestore();
+  });
+
+  test('loads the model and the wasm runtime from the served app folder in the browser', async () => {
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+    const ort = require('onnxruntime-web');
+    const wasmPaths = ort.env.wasm.wasmPaths;
+    const create = jest.spyOn(ort.InferenceSession, 'create').mockResolvedValue(fakeSession(activations()));
+    global.window = {};
+    global.location = { pathname: '/world-ethnomusic-lab/analyze.html' };
+    try {
+      const fresh = new GenreMLClassifier();
+      expect((await fresh.classifyEmbeddings([token(1), token(2)])).topStyle).toBe('Highlife');
+      const modelUrl = '/world-ethnomusic-lab/models/genre_discogs400/genre_discogs400-discogs-maest-30s-pw-1.onnx';
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(create).toHaveBeenCalledWith(modelUrl, expect.objectContaining({ executionProviders: ['wasm'] }));
+      expect(ort.env.wasm.wasmPaths).toBe('/world-ethnomusic-lab/ort/');
+      expect(fresh.ortReady).toBe(true);
+
+      // webpack serves public/models as models/ and onnxruntime-web/dist as ort/ (webpack.config.js)
+      const fs = require('node:fs');
+      expect(fs.existsSync(path.join(ROOT, 'public', modelUrl.replace('/world-ethnomusic-lab/', '')))).toBe(true);
+      expect(fs.existsSync(path.join(ROOT, 'node_modules', 'onnxruntime-web', 'dist', 'ort-wasm-simd-threaded.wasm'))).toBe(true);
+    } finally {
+      delete global.window;
+      delete global.location;
+      ort.env.wasm.wasmPaths = wasmPaths;
+      create.mockRestore();
+      console.debug.mockRestore();
+    }
+  });
+
+  test('classifyGenre falls back to the heuristic predictor without embeddings', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const features = { tempo: 100, regularity: 0.1, percussiveness: 0.05, spectralCentroid: 9000, brightness: 0.5, complexity: 0.6 };
+    expect((await classifier.classifyGenre(features)).modelTrained).toBe(false);
+    expect((await classifier.classifyGenre({ ...features, maestEmbeddings: [token(1), token(2)] })).backend).toBe('onnx');
+    console.warn.mockRestore();
+  });
+
+  test('the analyzer reports the Discogs style when it has MAEST embeddings', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { AudioAnalyzer } = require('../src/audioAnalyzer.js');
+    const analyzer = new AudioAnalyzer();
+    analyzer.mlClassifier = classifier;
+    analyzer.mlClassifierReady = true;
+
+    const results = await analyzer.classifyGenre(
+      { tempo: 120, regularity: 0.3, percussiveness: 0.2, complexity: 0.5 },
+      { scale: 'C Major' },
+      { brightness: 0.5, centroid: 2000 },
+      null,
+      { maestEmbeddings: [token(1), token(2)] }
+    );
+    console.log.mockRestore();
+
+    expect(results.__debug.mode).toBe('ML_OVERRIDE');
+    expect(results[0]).toEqual({
+      genre: 'World',
+      confidence: 81,
+      style: 'Highlife',
+      parent: 'Folk, World, & Country',
+      discogsLabel: 'Folk, World, & Country---Highlife'
+    });
+  });
+
+  test('runs the shipped model from its local path in Node, from any working directory', () => {
+    // onnxruntime-web loads its wasm glue with import(), which Jest's sandbox rejects
+    const output = JSON.parse(execFileSync(
+      process.execPath,
+      ['--disable-warning=MODULE_TYPELESS_PACKAGE_JSON', path.join(ROOT, 'tests', 'helpers', 'onnxGenre.mjs')],
+      { cwd: require('node:os').tmpdir(), encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 60000 }
+    ));
+    expect(output.loadedAtStartup).toBe(false);
+    expect(output.input).toEqual({ name: 'embeddings', shape: [1, 1685, 768] });
+
+    const { predictions } = output.tokens;
+    expect(predictions).toHaveLength(5);
+    predictions.forEach((p, i) => {
+      expect(DISCOGS_LABELS).toContain(p.label);
+      expect(p.confidence).toBeGreaterThan(0);
+      expect(p.confidence).toBeLessThan(1);
+      if (i > 0) expect(p.confidence).toBeLessThanOrEqual(predictions[i - 1].confidence);
+    });
+    // Tokens past the first two do not change the result
+    expect(output.full).toEqual(output.tokens);
+  });
+});
@@ -0,0 +1,103 @@
+import { analyzeGroove, chooseSubdivision, swingRatio, durationProfile } from '../src/grooveAnalysis.js';
+import { trackBeats } from '../src/beatTracker.js';
+
+// Beat grid and onsets for `bars` bars of a repeating pattern; positions are fractions of the bar
+function performance(positions, { bpm = 120, beatsPerBar = 4, bars = 8, beatPositions = null } = {}) {
+  const bar = (beatsPerBar * 60) / bpm;
+  const beatsInBar = beatPositions || Array.from({ length: beatsPerBar }, (_, i) => i / beatsPerBar);
+  const beats = [];
+  const onsets = [];
+  for (let b = 0; b <= bars; b++) {
+    const start = 0.5 + b * bar;
+    beatsInBar.forEach(p => beats.push(start + p * bar));
+    if (b < bars) positions.forEach((p, i) => onsets.push({ time: start + p * bar, strength: i === 0 ? 4 : 2 }));
+  }
+  const downbeats = beats.filter((_, i) => i % beatsPerBar === 0);
+  return { rhythm: { beats, downbeats, beatsPerBar }, onsets };
+}
+
+describe('groove analysis', () => {
+  test('measures the swing ratio of swung eighth notes', () => {
+    // Off-beats two thirds of the way through each beat
+    const positions = [0, 1, 2, 3].flatMap(beat => [beat / 4, (beat + 2 / 3) / 4]);
+    const { rhythm, onsets } = performance(positions);
+    const groove = analyzeGroove(rhythm, onsets);
+
+    expect(groove.subdivisions).toBe(3);
+    expect(groove.swingRatio).toBeCloseTo(2, 1);
+    expect(groove.swingFeel).toBe('triplet swing');
+    expect(groove.feels).toContain('Swing');
+    expect(groove.microtimingMs).toBeLessThan(1);
+  });
+
+  test('straight eighths have no swing and an even profile', () => {
+    const positions = Array.from({ length: 8 }, (_, i) => i / 8);
+    const { rhythm, onsets } = performance(positions);
+    const groove = analyzeGroove(rhythm, onsets);
+    expect(groove.subdivisions).toBe(2);
+    expect(groove.swingRatio).toBeCloseTo(1, 2);
+    expect(groove.swingFeel).toBe('straight');
+    expect(groove.beatProfile.pattern).toBe('MMMM');
+    expect(groove.template).toHaveLength(8);
+    groove.template.forEach(slot => expect(slot.occupancy).toBe(1));
+  });
+
+  test('finds the anticipated second beat of a Viennese waltz', () => {
+    // Beat two early, beat three nearly on time
+    const beatPositions = [0, 0.29, 0.67];
+    const { rhythm, onsets } = performance(beatPositions, { bpm: 180, beatsPerBar: 3, beatPositions });
+    const groove = analyzeGroove(rhythm, onsets);
+
+    expect(groove.beatsPerBar).toBe(3);
+    expect(groove.beatProfile.pattern).toBe('SLM');
+    expect(groove.beatProfile.durations[0]).toBeCloseTo(0.29, 2);
+    expect(groove.feels).toContain('Viennese waltz');
+    // In a one-second bar the second beat comes (1/3 - 0.29) * 1000 ms early
+    const second = groove.template.find(slot => slot.beat === 2 && slot.subdivision === 1);
+    expect(second.offsetMs).toBeCloseTo(-43.3, 0);
+  });
+
+  test('reads the short-medium-long pulses of a ternary jembe beat', () => {
+    const positions = [0, 1, 2, 3].flatMap(beat => [0, 0.28, 0.61].map(p => (beat + p) / 4));
+    const { rhythm, onsets } = performance(positions, { bpm: 110 });
+    const groove = analyzeGroove(rhythm, onsets);
+    expect(groove.subdivisions).toBe(3);
+    expect(groove.subdivisionProfile.pattern).toBe('SML');
+    expect(groove.subdivisionProfile.durations[2]).toBeCloseTo(0.39, 2);
+    expect(groove.feels).toContain('Malian jembe (ternary)');
+    expect(groove.swingRatio).toBeNull();
+  });
+
+  test('helpers', () => {
+    expect(chooseSubdivision([0, 0.25, 0.5, 0.75, 0, 0.25, 0.5, 0.75])).toBe(4);
+    expect(chooseSubdivision([0, 0, 0, 0])).toBe(1);
+    expect(swingRatio([[{ phase: 0.6 }], [{ phase: 0.6 }], [{ phase: 0.6 }]])).toBeNull();
+    expect(swingRatio(Array.from({ length: 4 }, () => [{ phase: 0 }, { phase: 0.6 }]))).toBeCloseTo(1.5, 2);
+    expect(durationProfile([0, 0.25, 0.5, 0.75])).toEqual({ durations: [0.25, 0.25, 0.25, 0.25], pattern: 'MMMM', asymmetry: 0 });
+    expect(analyzeGroove({ beats: [0, 1] }, [{ time: 0, strength: 1 }])).toBeNull();
+  });
+
+  test('works from the beat tracker on rendered audio', () => {
+    const sampleRate = 22050;
+    const seconds = 16;
+    const buffer = new Float32Array(seconds * sampleRate);
+    let seed = 3;
+    const noise = () => (seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5;
+    // Swung eighths at 120 BPM with a kick on every bar
+    for (let beat = 0; beat < 30; beat++) {
+      [0, 2 / 3].forEach(p => {
+        const start = Math.round((0.5 + (beat + p) * 0.5) * sampleRate);
+        for (let i = 0; i < 1500 && start + i < buffer.length; i++) {
+          let value = 0.3 * noise() * Math.exp(-i / 150);
+          if (p === 0 && beat % 4 === 0) value += 0.8 * Math.sin((2 * Math.PI * 60 * i) / sampleRate) * Math.exp(-i / 500);
+          buffer[start + i] += value;
+        }
+      });
+    }
+    const tracked = trackBeats(buffer, sampleRate);
+    const groove = analyzeGroove(tracked, tracked.onsets);
+    expect(groove.swingRatio).toBeGreaterThan(1.7);
+    expect(groove.swingRatio).toBeLessThan(2.3);
+    expect(groove.feels).toContain('Swing');
+  });
+});
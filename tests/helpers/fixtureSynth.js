@@ -0,0 +1,221 @@
+/**
+ * Fixture synthesizer: renders deterministic PCM from a musical spec so analyzer tests can
+ * check against known answers without shipping recordings.
+ *
+ *   const { samples, sampleRate, beats, notes } = renderFixture({
+ *     tempo: 96, meter: 4, bars: 8,
+ *     voices: [
+ *       { sound: 'kick', pattern: 'x...' },                       // one step per beat, cycling
+ *       { sound: 'hat', pattern: 'x.', stepsPerBeat: 3 },         // every 2/3 beat: 3:2 against the kick
+ *       { sound: 'pluck', tonic: 'D4', scale: 'major', degrees: [0, 1, 2, 3, 4, 5, 6, 7], noteBeats: 1 }
+ *     ],
+ *     drone: { note: 'D3', fifth: true }, noise: 0.01, reverb: { seconds: 1.2, mix: 0.2 }
+ *   });
+ *
+ * Patterns: 'x' hit, 'X' accent, '.' rest; the pattern repeats through the piece. Scales are
+ * names from SCALES or a list of cents above the tonic, so non-12-TET tunings (slendro,
+ * shruti) can be written directly. Degrees index the scale and wrap into higher or lower octaves.
+ */
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Cents above the tonic
+export const SCALES = {
+  major: [0, 200, 400, 500, 700, 900, 1100],
+  minor: [0, 200, 300, 500, 700, 800, 1000],
+  dorian: [0, 200, 300, 500, 700, 900, 1000],
+  phrygian: [0, 100, 300, 500, 700, 800, 1000],
+  mixolydian: [0, 200, 400, 500, 700, 900, 1000],
+  harmonicMinor: [0, 200, 300, 500, 700, 800, 1100],
+  pentatonicMajor: [0, 200, 400, 700, 900],
+  pentatonicMinor: [0, 300, 500, 700, 1000],
+  blues: [0, 300, 500, 600, 700, 1000],
+  // Equal five-tone approximation of Javanese slendro
+  slendro: [0, 240, 480, 720, 960]
+};
+
+/**
+ * Frequency of a note name ("A4", "C#3") or a number of Hz
+ * @param {string|number} note
+ * @returns {number} Hz
+ */
+export function noteFrequency(note) {
+  if (typeof note === 'number') return note;
+  const match = /^([A-G]#?)(-?\d)$/.exec(note);
+  if (!match) throw new Error(`Unknown note "${note}"`);
+  const midi = NOTE_NAMES.indexOf(match[1]) + 12 * (Number(match[2]) + 1);
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Frequency of a scale degree
+ * @param {number} tonicHz - Tonic frequency
+ * @param {number[]} cents - Scale steps in cents above the tonic, within one octave
+ * @param {number} degree - Index into the scale; wraps into other octaves
+ * @returns {number} Hz
+ */
+export function degreeFrequency(tonicHz, cents, degree) {
+  const octave = Math.floor(degree / cents.length);
+  const step = degree - octave * cents.length;
+  return tonicHz * Math.pow(2, octave + cents[step] / 1200);
+}
+
+function seededNoise(seed) {
+  let state = seed;
+  return () => (state = (state * 16807) % 2147483647) / 2147483647 * 2 - 1;
+}
+
+// One strike, `length` samples long, of a drum-like sound
+function strike(sound, sampleRate, gain, noise) {
+  const length = Math.round(0.25 * sampleRate);
+  const out = new Float32Array(length);
+  const attack = 0.003 * sampleRate;
+  for (let i = 0; i < length; i++) {
+    const t = i / sampleRate;
+    const rise = Math.min(1, i / attack);
+    let value;
+    if (sound === 'kick') value = Math.sin(2 * Math.PI * (50 + 40 * Math.exp(-t / 0.03)) * t) * Math.exp(-t / 0.09);
+    else if (sound === 'snare') value = 0.6 * noise() * Math.exp(-t / 0.05) + 0.4 * Math.sin(2 * Math.PI * 190 * t) * Math.exp(-t / 0.04);
+    else if (sound === 'hat') value = 0.5 * noise() * Math.exp(-t / 0.008);
+    else if (sound === 'bell') value = Math.sin(2 * Math.PI * 600 * t) * Math.exp(-t / 0.03);
+    else throw new Error(`Unknown percussion sound "${sound}"`);
+    out[i] = gain * rise * value;
+  }
+  return out;
+}
+
+// A pitched note with a short attack and release; 'pluck' decays, 'tone' and 'sine' sustain
+function tone(sound, frequency, seconds, sampleRate, gain) {
+  const length = Math.round(seconds * sampleRate);
+  const out = new Float32Array(length);
+  const partials = sound === 'sine' ? [1] : [1, 0.5, 0.3, 0.15];
+  const edge = Math.min(0.01 * sampleRate, length / 4);
+  for (let i = 0; i < length; i++) {
+    const t = i / sampleRate;
+    const envelope = Math.min(1, i / edge, (length - i) / edge) * (sound === 'pluck' ? Math.exp(-t / 0.4) : 1);
+    let value = 0;
+    partials.forEach((amplitude, k) => {
+      if (frequency * (k + 1) < sampleRate / 2) value += amplitude * Math.sin(2 * Math.PI * frequency * (k + 1) * t);
+    });
+    out[i] = gain * envelope * value / partials.length;
+  }
+  return out;
+}
+
+function mix(target, source, start) {
+  for (let i = 0; i < source.length && start + i < target.length; i++) {
+    if (start + i >= 0) target[start + i] += source[i];
+  }
+}
+
+/**
+ * Schroeder reverb: four parallel feedback combs into two allpasses, mixed with the dry signal
+ * @param {Float32Array} samples - Dry signal (should already include room for the tail)
+ * @param {number} sampleRate
+ * @param {Object} options - { seconds: decay time to -60 dB, mix: wet share 0-1 }
+ * @returns {Float32Array}
+ */
+export function reverberate(samples, sampleRate, { seconds = 1.2, mix: wet = 0.25 } = {}) {
+  const combs = [0.0297, 0.0371, 0.0411, 0.0437].map(delay => {
+    const length = Math.round(delay * sampleRate);
+    return { buffer: new Float32Array(length), index: 0, gain: Math.pow(10, (-3 * delay) / seconds) };
+  });
+  const allpasses = [0.005, 0.0017].map(delay => ({ buffer: new Float32Array(Math.round(delay * sampleRate)), index: 0, gain: 0.7 }));
+  const out = new Float32Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    let value = 0;
+    combs.forEach(comb => {
+      const delayed = comb.buffer[comb.index];
+      comb.buffer[comb.index] = samples[i] + delayed * comb.gain;
+      comb.index = (comb.index + 1) % comb.buffer.length;
+      value += delayed / combs.length;
+    });
+    allpasses.forEach(pass => {
+      const delayed = pass.buffer[pass.index];
+      const input = value + delayed * pass.gain;
+      pass.buffer[pass.index] = input;
+      pass.index = (pass.index + 1) % pass.buffer.length;
+      value = delayed - pass.gain * input;
+    });
+    out[i] = (1 - wet) * samples[i] + wet * value;
+  }
+  return out;
+}
+
+/**
+ * Render a fixture
+ * @param {Object} spec - { sampleRate = 22050, tempo = 120, meter = 4, bars = 8, start = 0.5 (seconds before the
+ *   first beat), voices: [{ sound, pattern, stepsPerBeat = 1, gain } | { sound: 'pluck' | 'tone' | 'sine', tonic,
+ *   scale, degrees, noteBeats = 1, gain }], drone: { note, fifth, gain }, noise (white noise level),
+ *   reverb: { seconds, mix }, seed }
+ * @returns {{samples: Float32Array, sampleRate: number, duration: number, beats: number[], downbeats: number[],
+ *   hits: Array<{voice: number, time: number}>, notes: Array<{voice: number, time: number, duration: number, frequency: number}>}}
+ *   The known answers: beat and downbeat times, every percussion hit and every note
+ */
+export function renderFixture(spec = {}) {
+  const {
+    sampleRate = 22050,
+    tempo = 120,
+    meter = 4,
+    bars = 8,
+    start = 0.5,
+    voices = [],
+    drone = null,
+    noise = 0,
+    reverb = null,
+    seed = 7
+  } = spec;
+  const beatSeconds = 60 / tempo;
+  const totalBeats = bars * meter;
+  const tail = reverb ? reverb.seconds || 1.2 : 0.5;
+  const duration = start + totalBeats * beatSeconds + tail;
+  let samples = new Float32Array(Math.round(duration * sampleRate));
+  const random = seededNoise(seed);
+
+  const beats = Array.from({ length: totalBeats }, (_, n) => start + n * beatSeconds);
+  const downbeats = beats.filter((_, n) => n % meter === 0);
+  const hits = [];
+  const notes = [];
+
+  voices.forEach((voice, index) => {
+    const gain = voice.gain ?? 0.5;
+    if (voice.pattern) {
+      const stepsPerBeat = voice.stepsPerBeat || 1;
+      const stepSeconds = beatSeconds / stepsPerBeat;
+      for (let step = 0; step < totalBeats * stepsPerBeat; step++) {
+        const symbol = voice.pattern[step % voice.pattern.length];
+        if (symbol === '.') continue;
+        const time = start + step * stepSeconds;
+        hits.push({ voice: index, time });
+        mix(samples, strike(voice.sound, sampleRate, symbol === 'X' ? gain * 1.6 : gain, random), Math.round(time * sampleRate));
+      }
+      return;
+    }
+    const tonicHz = noteFrequency(voice.tonic ?? 'A3');
+    const cents = Array.isArray(voice.scale) ? voice.scale : SCALES[voice.scale || 'major'];
+    if (!cents) throw new Error(`Unknown scale "${voice.scale}"`);
+    const noteSeconds = (voice.noteBeats || 1) * beatSeconds;
+    const degrees = voice.degrees || cents.map((_, i) => i);
+    for (let n = 0; n * noteSeconds < totalBeats * beatSeconds - 1e-9; n++) {
+      const time = start + n * noteSeconds;
+      const frequency = degreeFrequency(tonicHz, cents, degrees[n % degrees.length]);
+      notes.push({ voice: index, time, duration: noteSeconds, frequency });
+      mix(samples, tone(voice.sound || 'tone', frequency, noteSeconds, sampleRate, gain), Math.round(time * sampleRate));
+    }
+  });
+
+  if (drone) {
+    const root = noteFrequency(drone.note ?? 'A2');
+    const level = drone.gain ?? 0.2;
+    const body = tone('tone', root, duration - tail / 2, sampleRate, level);
+    mix(samples, body, 0);
+    if (drone.fifth) mix(samples, tone('tone', root * 1.5, duration - tail / 2, sampleRate, level * 0.6), 0);
+  }
+
+  if (noise > 0) {
+    for (let i = 0; i < samples.length; i++) samples[i] += noise * random();
+  }
+  if (reverb) samples = reverberate(samples, sampleRate, reverb);
+
+  return { samples, sampleRate, duration, beats, downbeats, hits, notes };
+}
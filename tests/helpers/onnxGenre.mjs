@@ -0,0 +1,31 @@
+/**
+ * Runs the genre_discogs400 ONNX model in plain Node and prints the results as JSON, for
+ * tests/genreMLModel.test.js. onnxruntime-web loads its wasm glue with a dynamic import(),
+ * which Jest's module sandbox does not allow, so the test runs this in a child process.
+ *
+ *   node tests/helpers/onnxGenre.mjs [modelPath]   (the shipped model when omitted)
+ */
+
+import { GenreMLClassifier, MAEST_TOKENS, MAEST_EMBEDDING_SIZE } from '../../src/genreMLModel.js';
+
+// The class and distillation tokens: fixed, deterministic values
+const tokens = [0, 1].map(t => Float32Array.from({ length: MAEST_EMBEDDING_SIZE }, (_, i) => Math.sin(0.37 * (i + t * MAEST_EMBEDDING_SIZE))));
+
+console.log = () => {};
+console.debug = () => {};
+
+const classifier = new GenreMLClassifier();
+if (process.argv[2]) classifier.onnxModelPath = process.argv[2];
+await classifier.loadModel();
+
+// loadModel leaves ONNX alone; the first classification loads it
+const output = { loadedAtStartup: classifier.ortReady };
+output.tokens = await classifier.classifyEmbeddings(tokens, { topN: 5 });
+output.input = classifier.ortInput;
+
+// The same two tokens followed by the rest of a full-length embedding, which the head ignores
+const full = new Float32Array(MAEST_TOKENS * MAEST_EMBEDDING_SIZE);
+for (let i = 0; i < full.length; i++) full[i] = i < 2 * MAEST_EMBEDDING_SIZE ? tokens[Math.floor(i / MAEST_EMBEDDING_SIZE)][i % MAEST_EMBEDDING_SIZE] : Math.cos(i);
+output.full = await classifier.classifyEmbeddings(full, { topN: 5 });
+
+process.stdout.write(JSON.stringify(output));
@@ -0,0 +1,24 @@
+/**
+ * Synthetic pitch contours for the ornament and transcription tests: frames shaped like
+ * trackPitchContour output, built from pieces of { seconds, cents(t) } relative to the tonic.
+ */
+
+export const TONIC = 220;
+export const HOP = 0.01;
+
+// A null from cents(t) is an unvoiced frame; t is the time since the start of the piece
+export function contourFrom(pieces) {
+  const frames = [];
+  let time = 0;
+  for (const { seconds, cents } of pieces) {
+    const n = Math.round(seconds / HOP);
+    for (let i = 0; i < n; i++) {
+      const c = cents(i * HOP);
+      frames.push(c === null
+        ? { time, frequency: 0, voicing: 0, voiced: false }
+        : { time, frequency: TONIC * Math.pow(2, c / 1200), voicing: 0.9, voiced: true });
+      time = Math.round((time + HOP) * 1000) / 1000;
+    }
+  }
+  return { hopSeconds: HOP, frames };
+}
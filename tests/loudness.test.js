@@ -0,0 +1,77 @@
+import { analyzeLoudness, kWeightingFilters, estimateTruePeak } from '../src/loudness.js';
+
+const sampleRate = 48000;
+
+function tone(frequency, seconds, dbfs, phase = 0) {
+  const amplitude = 10 ** (dbfs / 20);
+  const buffer = new Float32Array(Math.round(sampleRate * seconds));
+  for (let i = 0; i < buffer.length; i++) buffer[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate + phase);
+  return buffer;
+}
+
+function concat(...parts) {
+  const buffer = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    buffer.set(part, offset);
+    offset += part.length;
+  });
+  return buffer;
+}
+
+describe('kWeightingFilters', () => {
+  test('reproduces the BS.1770 coefficients at 48 kHz', () => {
+    const [shelf, highPass] = kWeightingFilters(48000);
+    [1.53512485958697, -2.69169618940638, 1.19839281085285].forEach((b, i) => expect(shelf.b[i]).toBeCloseTo(b, 10));
+    [-1.69065929318241, 0.73248077421585].forEach((a, i) => expect(shelf.a[i + 1]).toBeCloseTo(a, 10));
+    expect(highPass.b).toEqual([1, -2, 1]);
+    [-1.99004745483398, 0.99007225036621].forEach((a, i) => expect(highPass.a[i + 1]).toBeCloseTo(a, 10));
+  });
+});
+
+describe('analyzeLoudness', () => {
+  test('measures a -20 dBFS 1 kHz sine at -23 LUFS in mono and -20 LUFS on both stereo channels', () => {
+    const sine = tone(1000, 10, -20);
+    const mono = analyzeLoudness([sine], sampleRate);
+    expect(mono.integrated).toBeCloseTo(-23, 0);
+    expect(mono.maxMomentary).toBeCloseTo(-23, 0);
+    expect(mono.maxShortTerm).toBeCloseTo(-23, 0);
+    expect(mono.loudnessRange).toBeCloseTo(0, 0);
+    expect(mono.crestFactor).toBeCloseTo(3, 0);
+    expect(analyzeLoudness([sine, sine], sampleRate).integrated).toBeCloseTo(-20, 0);
+  });
+
+  test('gates silence out of the integrated loudness and reports the loudness range of alternating levels', () => {
+    const gated = analyzeLoudness([concat(tone(1000, 10, -20), new Float32Array(sampleRate * 10))], sampleRate);
+    expect(gated.integrated).toBeCloseTo(-23, 0);
+
+    // EBU Tech 3342 case 1: 20 s at -20 dBFS then 20 s at -30 dBFS gives LRA 10 LU
+    const stepped = concat(tone(1000, 20, -20), tone(1000, 20, -30));
+    const result = analyzeLoudness([stepped, stepped], sampleRate);
+    expect(result.loudnessRange).toBeGreaterThan(9);
+    expect(result.loudnessRange).toBeLessThan(11);
+  });
+
+  test('returns a JSON-friendly dynamics envelope and nulls for silence', () => {
+    const result = analyzeLoudness([concat(tone(440, 3, -12), tone(440, 3, -30))], sampleRate, { maxEnvelopePoints: 30 });
+    expect(result.envelope.points.length).toBeLessThanOrEqual(30);
+    expect(result.envelope.hopSeconds).toBeCloseTo(0.2, 3);
+    const first = result.envelope.points[2];
+    const last = result.envelope.points[result.envelope.points.length - 1];
+    expect(first.rms - last.rms).toBeCloseTo(18, 0);
+    expect(first.peak).toBeCloseTo(-12, 0);
+    expect(() => JSON.parse(JSON.stringify(result))).not.toThrow();
+
+    const silent = analyzeLoudness([new Float32Array(sampleRate)], sampleRate);
+    expect(silent).toMatchObject({ integrated: null, loudnessRange: null, truePeak: null, crestFactor: null });
+  });
+});
+
+describe('estimateTruePeak', () => {
+  test('finds the inter-sample peak of a quarter-sample-rate sine sampled off its crest', () => {
+    const { samplePeak, truePeak } = estimateTruePeak(tone(12000, 1, -6, Math.PI / 4), sampleRate);
+    expect(20 * Math.log10(samplePeak)).toBeCloseTo(-9, 0);
+    expect(20 * Math.log10(truePeak)).toBeGreaterThan(-6.5);
+    expect(20 * Math.log10(truePeak)).toBeLessThan(-5.5);
+  });
+});
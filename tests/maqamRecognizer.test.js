@@ -0,0 +1,60 @@
+import { recognizeMaqam, MAQAM_TEMPLATES } from '../src/maqamRecognizer.js';
+
+const C4 = 440 * Math.pow(2, -9 / 12);
+
+// Ascend and descend the maqam from its tonic, lingering on the tonic and ending there (qarar)
+function maqamPhrase(steps, tonicCentsFromC, framesPerNote = 5) {
+  const path = [...steps, ...steps.slice(0, -1).reverse(), 0, 0];
+  const pitches = [];
+  for (const step of path) {
+    const hz = C4 * Math.pow(2, (tonicCentsFromC + step) / 1200);
+    for (let f = 0; f < framesPerNote; f++) pitches.push(hz);
+  }
+  return pitches;
+}
+
+describe('recognizeMaqam', () => {
+  test.each([
+    ['Rast', 0, 'C'],
+    ['Bayati', 200, 'D'],
+    ['Hijaz', 200, 'D'],
+    ['Saba', 200, 'D'],
+    ['Nahawand', 0, 'C'],
+    ['Kurd', 200, 'D'],
+    ['Ajam', 500, 'F'],
+  ])('recognizes %s on its tonic', (name, tonicCents, tonicNote) => {
+    const result = recognizeMaqam(maqamPhrase(MAQAM_TEMPLATES[name].steps, tonicCents));
+    expect(result.best.maqam).toBe(name);
+    expect(result.best.tonic.note).toBe(tonicNote);
+  });
+
+  test('Sikah is placed on the half-flat tonic', () => {
+    // E half-flat is 350 cents above C
+    const result = recognizeMaqam(maqamPhrase(MAQAM_TEMPLATES.Sikah.steps, 350));
+    expect(result.best.maqam).toBe('Sikah');
+    expect(result.best.tonic.note).toBe('E');
+    expect(result.best.tonic.deviation).toBeCloseTo(-50, -1);
+  });
+
+  test('a supplied tonic disambiguates maqamat sharing a pitch set', () => {
+    // Rast on C and Sikah on E half-flat use the same notes
+    const pitches = maqamPhrase(MAQAM_TEMPLATES.Rast.steps, 0);
+    const tonicHz = C4 * Math.pow(2, 350 / 1200);
+    const result = recognizeMaqam(pitches, { tonicHz });
+    expect(result.best.maqam).toBe('Sikah');
+  });
+
+  test('confidences are ranked and normalized', () => {
+    const result = recognizeMaqam(maqamPhrase(MAQAM_TEMPLATES.Hijaz.steps, 200), { topN: 10 });
+    expect(result.maqamat).toHaveLength(Object.keys(MAQAM_TEMPLATES).length);
+    const sum = result.maqamat.reduce((a, m) => a + m.confidence, 0);
+    expect(sum).toBeCloseTo(1, 2);
+    for (let i = 1; i < result.maqamat.length; i++) {
+      expect(result.maqamat[i - 1].confidence).toBeGreaterThanOrEqual(result.maqamat[i].confidence);
+    }
+  });
+
+  test('returns an empty ranking without enough stable pitches', () => {
+    expect(recognizeMaqam([220, 330])).toEqual({ tonic: null, maqamat: [], best: null });
+  });
+});
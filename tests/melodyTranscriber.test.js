@@ -0,0 +1,85 @@
+import { transcribeNotes } from '../src/melodyTranscriber.js';
+import { contourFrom, TONIC } from './helpers/pitchContour.js';
+
+describe('transcribeNotes', () => {
+  test('splits a legato line at pitch changes', () => {
+    const contour = contourFrom([
+      { seconds: 0.5, cents: () => 0 },
+      { seconds: 0.5, cents: () => 200 },
+      { seconds: 0.5, cents: () => 400 },
+    ]);
+    const { notes, rests } = transcribeNotes(contour, [], { tonicHz: TONIC });
+    expect(notes.map(n => n.cents)).toEqual([0, 200, 400]);
+    expect(notes.map(n => n.boundary)).toEqual(['voicing', 'pitch', 'pitch']);
+    expect(notes[1].start).toBeCloseTo(0.5, 2);
+    expect(notes[1].duration).toBeCloseTo(0.5, 2);
+    expect(notes[0].note).toBe('A3');
+    expect(notes[0].confidence).toBeCloseTo(0.9, 3);
+    expect(rests).toEqual([]);
+  });
+
+  test('keeps vibrato within one note', () => {
+    const contour = contourFrom([
+      { seconds: 1, cents: t => 40 * Math.sin(2 * Math.PI * 6 * t) },
+    ]);
+    const { notes } = transcribeNotes(contour, [], { tonicHz: TONIC });
+    expect(notes).toHaveLength(1);
+    expect(Math.abs(notes[0].cents)).toBeLessThan(15);
+  });
+
+  test('separates repeated notes by onsets and by short gaps', () => {
+    const contour = contourFrom([
+      { seconds: 0.4, cents: () => 700 },
+      { seconds: 0.4, cents: () => 700 },
+      { seconds: 0.03, cents: () => null },
+      { seconds: 0.4, cents: () => 700 },
+    ]);
+    const { notes, rests } = transcribeNotes(contour, [0, 0.4], { tonicHz: TONIC });
+    expect(notes).toHaveLength(3);
+    expect(notes.map(n => n.boundary)).toEqual(['voicing', 'onset', 'voicing']);
+    expect(notes[1].start).toBeCloseTo(0.4, 2);
+    expect(notes.every(n => n.cents === 700)).toBe(true);
+    // A 30 ms break separates the notes but is too short to be a rest
+    expect(rests).toEqual([]);
+  });
+
+  test('reports rests between phrases', () => {
+    const contour = contourFrom([
+      { seconds: 0.5, cents: () => 0 },
+      { seconds: 0.4, cents: () => null },
+      { seconds: 0.5, cents: () => 500 },
+    ]);
+    const { notes, rests } = transcribeNotes(contour, [], { tonicHz: TONIC });
+    expect(notes).toHaveLength(2);
+    expect(rests).toHaveLength(1);
+    expect(rests[0].start).toBeCloseTo(0.5, 2);
+    expect(rests[0].duration).toBeCloseTo(0.4, 2);
+  });
+
+  test('names the nearest degree of a microtonal scale', () => {
+    // Rast-like neutral third at 350 cents above the tonic, sung a little flat
+    const contour = contourFrom([
+      { seconds: 0.5, cents: () => 1200 },
+      { seconds: 0.5, cents: () => 340 },
+    ]);
+    const { notes } = transcribeNotes(contour, [], { tonicHz: TONIC, scaleDegrees: [0, 200, 350, 500, 700, 900, 1050] });
+    expect(notes[0].degree).toEqual({ interval: 0, octave: 1, deviation: 0 });
+    expect(notes[1].degree).toEqual({ interval: 350, octave: 0, deviation: -10 });
+  });
+
+  test('absorbs fragments shorter than a note', () => {
+    const contour = contourFrom([
+      { seconds: 0.5, cents: () => 0 },
+      { seconds: 0.04, cents: () => 300 },
+      { seconds: 0.5, cents: () => 0 },
+    ]);
+    const { notes } = transcribeNotes(contour, [], { tonicHz: TONIC });
+    expect(notes).toHaveLength(1);
+    expect(notes[0].duration).toBeCloseTo(1.04, 2);
+  });
+
+  test('returns no notes for an unvoiced contour', () => {
+    const contour = contourFrom([{ seconds: 1, cents: () => null }]);
+    expect(transcribeNotes(contour, [0.2]).notes).toEqual([]);
+  });
+});
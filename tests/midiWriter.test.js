@@ -0,0 +1,130 @@
+import { writeMidiFile, pitchBendValue, meterFromAnalysis, notesFromTranscription } from '../src/midiWriter.js';
+
+// Minimal SMF reader: header fields plus every track's events with absolute ticks
+function readMidi(bytes) {
+  let pos = 0;
+  const u32 = () => { const v = (bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]; pos += 4; return v >>> 0; };
+  const u16 = () => { const v = (bytes[pos] << 8) | bytes[pos + 1]; pos += 2; return v; };
+  const tag = () => { const t = String.fromCharCode(...bytes.slice(pos, pos + 4)); pos += 4; return t; };
+  const vlq = () => { let v = 0, b; do { b = bytes[pos++]; v = (v << 7) | (b & 0x7f); } while (b & 0x80); return v; };
+
+  expect(tag()).toBe('MThd');
+  expect(u32()).toBe(6);
+  const format = u16();
+  const trackCount = u16();
+  const division = u16();
+  const tracks = [];
+  for (let t = 0; t < trackCount; t++) {
+    expect(tag()).toBe('MTrk');
+    const end = u32() + pos;
+    const events = [];
+    let tick = 0;
+    while (pos < end) {
+      tick += vlq();
+      const status = bytes[pos++];
+      if (status === 0xff) {
+        const type = bytes[pos++];
+        const length = vlq();
+        events.push({ tick, meta: type, data: Array.from(bytes.slice(pos, pos + length)) });
+        pos += length;
+      } else {
+        const size = (status & 0xf0) === 0xc0 || (status & 0xf0) === 0xd0 ? 1 : 2;
+        events.push({ tick, type: status & 0xf0, channel: status & 0x0f, data: Array.from(bytes.slice(pos, pos + size)) });
+        pos += size;
+      }
+    }
+    tracks.push(events);
+  }
+  return { format, trackCount, division, tracks };
+}
+
+describe('writeMidiFile', () => {
+  test('writes tempo, time signature and track name on the conductor track', () => {
+    const midi = readMidi(writeMidiFile([], { tempo: 90, timeSignature: [7, 8], trackName: 'Rupak' }));
+    expect(midi.format).toBe(1);
+    expect(midi.trackCount).toBe(2);
+    expect(midi.division).toBe(480);
+    const [conductor] = midi.tracks;
+    const tempo = conductor.find(e => e.meta === 0x51).data;
+    expect((tempo[0] << 16) | (tempo[1] << 8) | tempo[2]).toBe(Math.round(60000000 / 90));
+    expect(conductor.find(e => e.meta === 0x58).data).toEqual([7, 3, 24, 8]);
+    expect(String.fromCharCode(...conductor.find(e => e.meta === 0x03).data)).toBe('Rupak');
+    expect(conductor[conductor.length - 1].meta).toBe(0x2f);
+  });
+
+  test('places notes on the tick grid from their times in seconds', () => {
+    const notes = [
+      { start: 0, duration: 0.5, midi: 60 },
+      { start: 0.5, duration: 1, midi: 62, velocity: 100 },
+    ];
+    const track = readMidi(writeMidiFile(notes, { tempo: 120 })).tracks[1];
+    const ons = track.filter(e => e.type === 0x90);
+    const offs = track.filter(e => e.type === 0x80);
+    expect(ons.map(e => [e.tick, e.data[0]])).toEqual([[0, 60], [480, 62]]);
+    expect(offs.map(e => [e.tick, e.data[0]])).toEqual([[480, 60], [1440, 62]]);
+    expect(ons[1].data[1]).toBe(100);
+    // A monophonic line stays on one channel, and the note-off comes before the next note-on
+    expect(new Set(ons.map(e => e.channel))).toEqual(new Set([0]));
+    const at480 = track.filter(e => e.tick === 480 && e.type !== undefined).map(e => e.type);
+    expect(at480.indexOf(0x80)).toBeLessThan(at480.indexOf(0x90));
+  });
+
+  test('encodes microtonal pitches with pitch bend and sets the bend range', () => {
+    // A quarter-flat E (maqam Rast third) and a shruti-style 22-cent inflection
+    const notes = [
+      { start: 0, duration: 0.5, midi: 63.5 },
+      { start: 0.5, duration: 0.5, frequency: 440 * Math.pow(2, 22 / 1200) },
+    ];
+    const track = readMidi(writeMidiFile(notes, { pitchBendRange: 2 })).tracks[1];
+    const bends = track.filter(e => e.type === 0xe0).map(e => e.data[0] | (e.data[1] << 7));
+    const keys = track.filter(e => e.type === 0x90).map(e => e.data[0]);
+    expect(keys).toEqual([64, 69]);
+    expect(bends[0]).toBe(pitchBendValue(-0.5, 2));
+    expect(bends[1]).toBe(pitchBendValue(0.22, 2));
+    const rpn = track.filter(e => e.type === 0xb0 && e.channel === 0).map(e => e.data);
+    expect(rpn).toEqual([[101, 0], [100, 0], [6, 2], [38, 0]]);
+  });
+
+  test('puts overlapping notes on separate channels so each keeps its own bend', () => {
+    const notes = [
+      { start: 0, duration: 1, midi: 60 },
+      { start: 0.25, duration: 1, midi: 63.5 },
+      { start: 0.5, duration: 1, midi: 67.2 },
+    ];
+    const track = readMidi(writeMidiFile(notes)).tracks[1];
+    const channels = track.filter(e => e.type === 0x90).map(e => e.channel);
+    expect(new Set(channels).size).toBe(3);
+    expect(channels).not.toContain(9);
+  });
+});
+
+describe('pitchBendValue', () => {
+  test('maps the bend range onto 14 bits', () => {
+    expect(pitchBendValue(0)).toBe(8192);
+    expect(pitchBendValue(2, 2)).toBe(16383);
+    expect(pitchBendValue(-2, 2)).toBe(0);
+    expect(pitchBendValue(0.5, 2)).toBe(10240);
+  });
+});
+
+describe('meterFromAnalysis', () => {
+  test('uses the detected cycle for the time signature', () => {
+    const rupak = { cycleAnalysis: { bestMatch: { name: 'Rupak' }, pulseBPM: 180, periodBeats: 7 } };
+    expect(meterFromAnalysis(rupak)).toEqual({ tempo: 90, timeSignature: [7, 8], cycleName: 'Rupak' });
+    const teentaal = { cycleAnalysis: { bestMatch: { name: 'Teentaal' }, pulseBPM: 100, periodBeats: 16 } };
+    expect(meterFromAnalysis(teentaal).timeSignature).toEqual([4, 4]);
+  });
+
+  test('falls back to the measured tempo in 4/4', () => {
+    expect(meterFromAnalysis({ rhythmAnalysis: { tempo: 96 }, cycleAnalysis: null })).toEqual({ tempo: 96, timeSignature: [4, 4], cycleName: null });
+    expect(meterFromAnalysis({ rhythmAnalysis: { tempo: 0 } }).tempo).toBe(120);
+  });
+});
+
+describe('notesFromTranscription', () => {
+  test('keeps fractional MIDI pitches and scales velocity by confidence', () => {
+    const notes = notesFromTranscription({ notes: [{ start: 1, duration: 0.5, midi: 63.5, confidence: 1 }, { start: 2, duration: 0.5, midi: 60, confidence: 0.2 }] });
+    expect(notes[0]).toEqual({ start: 1, duration: 0.5, midi: 63.5, velocity: 110 });
+    expect(notes[1].velocity).toBe(70);
+  });
+});
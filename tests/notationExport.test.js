@@ -0,0 +1,104 @@
+import { toMusicXML, toABC, keyFromScale, notationOptionsFromAnalysis } from '../src/notationExport.js';
+
+// At 60 bpm a quarter note lasts one second
+const note = (start, duration, midi) => ({ start, duration, midi });
+
+describe('keyFromScale', () => {
+  test.each([
+    ['C Major (Western)', { fifths: 0, mode: 'major', tonic: 'C' }],
+    ['A Minor (Western)', { fifths: 0, mode: 'minor', tonic: 'A' }],
+    ['D Dorian', { fifths: 0, mode: 'dorian', tonic: 'D' }],
+    ['F# Major (Western)', { fifths: 6, mode: 'major', tonic: 'F#' }],
+    ['A# Minor (Western)', { fifths: -5, mode: 'minor', tonic: 'Bb' }],
+    ['G Mixolydian', { fifths: 0, mode: 'mixolydian', tonic: 'G' }],
+    ['E Pentatonic Minor', { fifths: 1, mode: 'minor', tonic: 'E' }],
+  ])('%s', (label, expected) => {
+    expect(keyFromScale(label)).toEqual(expected);
+  });
+
+  test('leaves chromatic and unknown scales without a key', () => {
+    expect(keyFromScale('Chromatic')).toEqual({ fifths: 0, mode: null, tonic: null });
+    expect(keyFromScale(undefined).mode).toBeNull();
+  });
+});
+
+describe('toMusicXML', () => {
+  test('writes a MusicXML 4.0 score with key, time and tempo', () => {
+    const xml = toMusicXML([note(0, 1, 62), note(1, 1, 64)], { tempo: 60, timeSignature: [3, 4], scale: 'D Dorian', title: 'R&B <test>' });
+    expect(xml).toContain('<score-partwise version="4.0">');
+    expect(xml).toContain('MusicXML 4.0 Partwise');
+    expect(xml).toContain('<work-title>R&amp;B &lt;test&gt;</work-title>');
+    expect(xml).toContain('<key><fifths>0</fifths><mode>dorian</mode></key>');
+    expect(xml).toContain('<time><beats>3</beats><beat-type>4</beat-type></time>');
+    expect(xml).toContain('<per-minute>60</per-minute>');
+    // Two quarter notes and a quarter rest fill the 3/4 bar
+    expect(xml.match(/<type>quarter<\/type>/g)).toHaveLength(3);
+    expect(xml.match(/<measure /g)).toHaveLength(1);
+    expect(xml).toContain('<rest/>');
+  });
+
+  test('ties notes across barlines', () => {
+    const xml = toMusicXML([note(0, 3, 60), note(3, 1, 67)], { tempo: 60, timeSignature: [2, 4] });
+    expect(xml.match(/<measure /g)).toHaveLength(2);
+    expect(xml.match(/<tie type="start"\/>/g)).toHaveLength(1);
+    expect(xml.match(/<tie type="stop"\/>/g)).toHaveLength(1);
+  });
+
+  test('spells notes from the key signature and writes accidentals once per bar', () => {
+    const xml = toMusicXML([note(0, 1, 70), note(1, 1, 66), note(2, 1, 66), note(3, 1, 71)], { tempo: 60, scale: 'F Major (Western)' });
+    expect(xml).toContain('<key><fifths>-1</fifths><mode>major</mode></key>');
+    // Bb is in the key: no accidental; Gb is not; B natural needs one
+    expect(xml).toContain('<step>B</step><alter>-1</alter><octave>4</octave></pitch><duration>4</duration><type>quarter</type></note>');
+    expect(xml.match(/<accidental>flat<\/accidental>/g)).toHaveLength(1);
+    expect(xml).toContain('<accidental>natural</accidental>');
+  });
+
+  test('writes quarter-tone accidentals only for microtonal tunings', () => {
+    const notes = [note(0, 1, 63.5), note(1, 1, 69)];
+    const micro = toMusicXML(notes, { tempo: 60, microtonal: true });
+    expect(micro).toContain('<step>E</step><alter>-0.5</alter><octave>4</octave>');
+    expect(micro).toContain('<accidental>quarter-flat</accidental>');
+    const tempered = toMusicXML(notes, { tempo: 60, microtonal: false });
+    expect(tempered).not.toContain('quarter-flat');
+  });
+
+  test('aligns barlines with the sam', () => {
+    // Sam at 1 s: the note at 0 s is a pickup two beats into a 3/4 bar
+    const xml = toMusicXML([note(0, 1, 60), note(1, 1, 62)], { tempo: 60, timeSignature: [3, 4], samTime: 1 });
+    const firstMeasure = xml.split('<measure number="2">')[0];
+    expect(firstMeasure).toContain('<type>half</type>');
+    expect(firstMeasure).toContain('<step>C</step>');
+  });
+});
+
+describe('toABC', () => {
+  test('writes the header, key and sixteenth-based lengths', () => {
+    const abc = toABC([note(0, 1, 62), note(1, 0.5, 74), note(1.5, 0.5, 50)], { tempo: 60, timeSignature: [2, 4], scale: 'D Dorian', title: 'Tune' });
+    const lines = abc.trim().split('\n');
+    expect(lines.slice(0, 6)).toEqual(['X:1', 'T:Tune', 'M:2/4', 'L:1/16', 'Q:1/4=60', 'K:Ddor']);
+    expect(lines[6]).toBe('D4 d2 D,2 |]');
+  });
+
+  test('writes half-flats, ties and rests', () => {
+    const abc = toABC([note(0, 2.5, 63.5), note(3, 0.5, 60)], { tempo: 60, timeSignature: [2, 4], microtonal: true });
+    expect(abc).toContain('K:C');
+    const body = abc.trim().split('\n').pop();
+    expect(body).toBe('_/E8- | _/E2 z2 C2 z2 |]');
+  });
+
+  test('uses bass clef for low lines', () => {
+    expect(toABC([note(0, 1, 40), note(1, 1, 43)], { tempo: 60 })).toContain('clef=bass');
+  });
+});
+
+describe('notationOptionsFromAnalysis', () => {
+  test('takes meter, key and tuning from the analysis', () => {
+    const options = notationOptionsFromAnalysis({
+      fileName: 'rast.wav',
+      cycleAnalysis: { bestMatch: { name: 'Aksak 9/8' }, pulseBPM: 240, periodBeats: 9, samTime: 0.4 },
+      scaleAnalysis: { scale: 'C Major (Western)' },
+      tuningAnalysis: { is12TET: false },
+    });
+    expect(options).toEqual({ title: 'rast.wav', tempo: 120, timeSignature: [9, 8], scale: 'C Major (Western)', microtonal: true, samTime: 0.4 });
+  });
+});
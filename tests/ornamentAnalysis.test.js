@@ -0,0 +1,61 @@
+import { analyzeOrnaments } from '../src/ornamentAnalysis.js';
+import { contourFrom, TONIC } from './helpers/pitchContour.js';
+
+const types = (result) => result.events.map(e => e.type);
+
+describe('analyzeOrnaments', () => {
+  test('separates held notes from a meend between them', () => {
+    const contour = contourFrom([
+      { seconds: 0.8, cents: () => 0 },
+      { seconds: 0.3, cents: t => (t / 0.3) * 500 },
+      { seconds: 0.8, cents: () => 500 },
+    ]);
+    const result = analyzeOrnaments(contour, { tonicHz: TONIC });
+    expect(types(result)).toEqual(['steady', 'glide', 'steady']);
+    const glide = result.events[1];
+    expect(glide.parameters.direction).toBe('up');
+    expect(glide.parameters.interval).toBeGreaterThan(350);
+    expect(glide.start).toBeGreaterThan(0.7);
+    expect(glide.end).toBeLessThan(1.2);
+    expect(result.events[2].cents).toBeCloseTo(500, -1);
+  });
+
+  test('measures vibrato rate and extent', () => {
+    const contour = contourFrom([{ seconds: 1.5, cents: t => 700 + 30 * Math.sin(2 * Math.PI * 6 * t) }]);
+    const result = analyzeOrnaments(contour, { tonicHz: TONIC });
+    const vibrato = result.events.find(e => e.type === 'vibrato');
+    expect(vibrato).toBeDefined();
+    expect(vibrato.parameters.rate).toBeGreaterThan(5);
+    expect(vibrato.parameters.rate).toBeLessThan(7);
+    expect(vibrato.parameters.extent).toBeGreaterThan(20);
+    expect(vibrato.parameters.extent).toBeLessThan(40);
+    expect(result.summary.vibrato).toBeGreaterThanOrEqual(1);
+  });
+
+  test('wide slow oscillation between notes is a gamaka', () => {
+    const contour = contourFrom([{ seconds: 1.5, cents: t => 400 + 150 * Math.sin(2 * Math.PI * 4 * t) }]);
+    const result = analyzeOrnaments(contour, { tonicHz: TONIC });
+    expect(types(result)).toContain('gamaka');
+    expect(types(result)).not.toContain('vibrato');
+  });
+
+  test('a short touch of a neighbouring note is a grace note', () => {
+    const contour = contourFrom([
+      { seconds: 0.08, cents: () => 900 },
+      { seconds: 0.8, cents: () => 700 },
+    ]);
+    const result = analyzeOrnaments(contour, { tonicHz: TONIC });
+    expect(result.events[0].type).toBe('grace');
+    expect(result.events[result.events.length - 1].type).toBe('steady');
+  });
+
+  test('rests split the contour and unvoiced input yields no events', () => {
+    const contour = contourFrom([
+      { seconds: 0.5, cents: () => 0 },
+      { seconds: 0.3, cents: () => null },
+      { seconds: 0.5, cents: () => 200 },
+    ]);
+    expect(types(analyzeOrnaments(contour, { tonicHz: TONIC }))).toEqual(['steady', 'steady']);
+    expect(analyzeOrnaments({ frames: [] }).events).toEqual([]);
+  });
+});
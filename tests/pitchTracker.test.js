@@ -0,0 +1,70 @@
+import { trackPitch, contourToPitchTrack } from '../src/pitchTracker.js';
+
+const SR = 16000;
+
+// Harmonic tone following a frequency function of time; null frequency = silence
+function render(seconds, freqAt, sampleRate = SR) {
+  const buf = new Float32Array(Math.floor(seconds * sampleRate));
+  let phase = 0;
+  for (let i = 0; i < buf.length; i++) {
+    const f = freqAt(i / sampleRate);
+    if (!f) continue;
+    phase += (2 * Math.PI * f) / sampleRate;
+    buf[i] = 0.3 * (Math.sin(phase) + 0.5 * Math.sin(2 * phase) + 0.3 * Math.sin(3 * phase));
+  }
+  return buf;
+}
+
+const centsOff = (a, b) => Math.abs(1200 * Math.log2(a / b));
+
+describe('trackPitch', () => {
+  test('tracks steady notes and marks silence as unvoiced', () => {
+    const buf = render(3, t => (t < 1 ? 220 : t < 1.5 ? null : 330));
+    const contour = trackPitch(buf, SR);
+    const at = (t) => contour.frames.find(f => f.time >= t);
+
+    expect(contour.hopSeconds).toBeCloseTo(0.01, 3);
+    expect(at(0.5).voiced).toBe(true);
+    expect(centsOff(at(0.5).frequency, 220)).toBeLessThan(5);
+    expect(at(1.25).voiced).toBe(false);
+    expect(at(1.25).frequency).toBe(0);
+    expect(at(2.5).voiced).toBe(true);
+    expect(centsOff(at(2.5).frequency, 330)).toBeLessThan(5);
+    expect(at(0.5).voicing).toBeGreaterThan(0.9);
+  });
+
+  test('follows a glide and picks up again right after a melodic leap', () => {
+    // One-second glide from 200 to 300 Hz, then a leap up a fifth
+    const buf = render(2, t => (t < 1 ? 200 * Math.pow(1.5, t) : 450));
+    const contour = trackPitch(buf, SR);
+    // Frames whose analysis window straddles the leap hold two pitches and are rightly unvoiced
+    const inside = contour.frames.filter(f => f.time > 0.1 && f.time < 1.9 && Math.abs(f.time - 1) > 0.05);
+    expect(inside.every(f => f.voiced)).toBe(true);
+    const mid = contour.frames.find(f => f.time >= 0.5);
+    expect(centsOff(mid.frequency, 200 * Math.pow(1.5, mid.time))).toBeLessThan(15);
+  });
+
+  test('decimates high sample rates and still reports pitch in Hz', () => {
+    const buf = render(1, () => 261.63, 44100);
+    const contour = trackPitch(buf, 44100);
+    const voiced = contour.frames.filter(f => f.voiced);
+    expect(voiced.length).toBeGreaterThan(contour.frames.length * 0.8);
+    expect(centsOff(voiced[Math.floor(voiced.length / 2)].frequency, 261.63)).toBeLessThan(5);
+  });
+
+  test('contourToPitchTrack keeps voiced frames at the requested spacing', () => {
+    const contour = {
+      frames: [
+        { time: 0, frequency: 200, voiced: true },
+        { time: 0.02, frequency: 201, voiced: true },
+        { time: 0.06, frequency: 0, voiced: false },
+        { time: 0.08, frequency: 202, voiced: true },
+        { time: 0.1, frequency: 203, voiced: true },
+      ],
+    };
+    expect(contourToPitchTrack(contour, 0.05)).toEqual([
+      { time: 0, frequency: 200 },
+      { time: 0.08, frequency: 202 },
+    ]);
+  });
+});
@@ -0,0 +1,80 @@
+import { analyzePolyrhythm, candidatePeriods, pulseSalience, findLayers, crossRatio, toBeatPositions } from '../src/polyrhythm.js';
+import { trackBeats } from '../src/beatTracker.js';
+
+const sampleRate = 22050;
+
+// Layers of strikes: low drum (70 Hz), mid bell (600 Hz) or high shaker (noise), each with its own period in seconds
+function render(layers, seconds = 20) {
+  const buffer = new Float32Array(seconds * sampleRate);
+  let seed = 7;
+  const noise = () => (seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5;
+  layers.forEach(({ period, kind }) => {
+    for (let t = 0.5; t < seconds - 0.1; t += period) {
+      const start = Math.round(t * sampleRate);
+      for (let i = 0; i < 2000 && start + i < buffer.length; i++) {
+        const attack = Math.min(1, i / (0.004 * sampleRate));
+        if (kind === 'low') buffer[start + i] += 0.6 * attack * Math.sin((2 * Math.PI * 70 * i) / sampleRate) * Math.exp(-i / 600);
+        if (kind === 'mid') buffer[start + i] += 0.6 * attack * Math.sin((2 * Math.PI * 600 * i) / sampleRate) * Math.exp(-i / 400);
+        if (kind === 'high') buffer[start + i] += 0.3 * noise() * Math.exp(-i / 120);
+      }
+    }
+  });
+  return buffer;
+}
+
+function analyze(buffer) {
+  return analyzePolyrhythm(buffer, sampleRate, trackBeats(buffer, sampleRate));
+}
+
+describe('polyrhythm analysis', () => {
+  test('finds 3:2 between a low drum and a high shaker', () => {
+    const result = analyze(render([{ period: 0.6, kind: 'low' }, { period: 0.4, kind: 'high' }]));
+    expect(result.isPolyrhythmic).toBe(true);
+    expect(result.dominantRatio).toBe('3:2');
+    expect(result.ratios[0].fast.band).toBe('high');
+    expect(result.ratios[0].slow.band).toBe('low');
+    expect(result.ratios[0].slow.periodSeconds).toBeCloseTo(0.6, 1);
+    expect(result.ratios[0].confidence).toBeGreaterThan(0.8);
+  });
+
+  test('finds 4:3 between a low drum and a mid bell', () => {
+    const result = analyze(render([{ period: 0.8, kind: 'low' }, { period: 0.6, kind: 'mid' }]));
+    expect(result.dominantRatio).toBe('4:3');
+    expect(new Set([result.ratios[0].fast.band, result.ratios[0].slow.band])).toEqual(new Set(['low', 'mid']));
+  });
+
+  test('reports nothing for layers in whole-number ratios', () => {
+    const result = analyze(render([{ period: 0.5, kind: 'low' }, { period: 0.25, kind: 'high' }, { period: 1, kind: 'mid' }]));
+    expect(result.isPolyrhythmic).toBe(false);
+    expect(result.ratios).toEqual([]);
+  });
+
+  test('needs tracked beats', () => {
+    expect(analyzePolyrhythm(new Float32Array(sampleRate), sampleRate, { beats: [] })).toMatchObject({ isPolyrhythmic: false, ratios: [] });
+  });
+
+  test('layer helpers', () => {
+    const periods = candidatePeriods([1, 2, 3], 0.5, 2).map(p => `${p.n}/${p.d}`);
+    expect(periods).toEqual(['1/2', '2/3', '1/1', '4/3', '3/2', '5/3', '2/1']);
+
+    // Onsets every beat plus every two thirds of a beat: two layers, nothing in between
+    const positions = [];
+    for (let x = 0; x < 24; x += 1) positions.push(x);
+    for (let x = 0; x < 24; x += 2 / 3) if (Math.abs(x - Math.round(x)) > 0.01) positions.push(x);
+    positions.sort((a, b) => a - b);
+    expect(pulseSalience(positions, 1).salience).toBeGreaterThan(0.9);
+    expect(pulseSalience(positions, 0.5).salience).toBeLessThan(0.7);
+    expect(findLayers(positions).map(layer => layer.period)).toEqual([0.667, 1]);
+
+    expect(toBeatPositions([0, 1, 2], [{ time: 0.5, strength: 2 }, { time: 3 }])).toEqual({ positions: [0.5], strengths: [2] });
+  });
+
+  test('spells cross ratios and hemiolas', () => {
+    expect(crossRatio({ n: 1, d: 1 }, { n: 3, d: 2 }).ratio).toBe('3:2');
+    expect(crossRatio({ n: 3, d: 4 }, { n: 1, d: 1 }).ratio).toBe('4:3');
+    expect(crossRatio({ n: 1, d: 2 }, { n: 2, d: 1 })).toBeNull();
+    // Two 3:2 cycles in a six-beat bar
+    expect(crossRatio({ n: 1, d: 1 }, { n: 3, d: 2 }, 6).label).toBe('6:4 hemiola per bar');
+    expect(crossRatio({ n: 1, d: 1 }, { n: 3, d: 2 }, 3).label).toBe('3:2 cross-rhythm');
+  });
+});
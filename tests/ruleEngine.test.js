@@ -0,0 +1,79 @@
+import { applyRules, conditionFeatures, deriveFeatures, evaluateCondition } from '../src/ruleEngine.js';
+import { GENRE_LABELS, GENRE_RULES, DERIVED_FEATURES } from '../src/genreRules.js';
+
+const table = () => ({ A: 0, B: 0, C: 0 });
+
+describe('rule engine', () => {
+  test('conditions combine bounds, text, equality and any/all/not', () => {
+    const features = { tempo: 96, scale: 'C Pentatonic Major', polyrhythmic: true, tuning: 'stable' };
+    expect(evaluateCondition({ tempo: { gte: 90, lt: 120 } }, features)).toBe(true);
+    expect(evaluateCondition({ tempo: { gt: 96 } }, features)).toBe(false);
+    expect(evaluateCondition({ scale: { includes: 'Pentatonic' }, polyrhythmic: true }, features)).toBe(true);
+    expect(evaluateCondition({ scale: { includesAny: ['Dorian', 'Blues'] } }, features)).toBe(false);
+    expect(evaluateCondition({ tuning: 'experimental' }, features)).toBe(false);
+    expect(evaluateCondition({ any: [{ tempo: { lt: 60 } }, { tuning: { eq: 'stable' } }] }, features)).toBe(true);
+    expect(evaluateCondition({ not: { polyrhythmic: true } }, features)).toBe(false);
+    expect(evaluateCondition({ scores: { A: { gt: 1 } } }, features, { A: 1.5 })).toBe(true);
+    expect(() => evaluateCondition({ tempi: { gt: 1 } }, features)).toThrow('Unknown feature "tempi"');
+    expect(() => evaluateCondition({ tempo: { above: 1 } }, features)).toThrow('Unknown test "above"');
+  });
+
+  test('a group fires only its first matching rule', () => {
+    const rules = [
+      { id: 'fast', group: 'tempo', when: { tempo: { gt: 140 } }, scores: { A: 1 } },
+      { id: 'medium', group: 'tempo', when: { tempo: { gt: 90 } }, scores: { B: 1 } },
+      { id: 'any', group: 'tempo', when: {}, scores: { C: 1 } }
+    ];
+    const scores = table();
+    const fired = applyRules(rules, { tempo: 100 }, scores);
+    expect(fired.map(rule => rule.id)).toEqual(['medium']);
+    expect(scores).toEqual({ A: 0, B: 1, C: 0 });
+  });
+
+  test('suppressions and running scores', () => {
+    const rules = [
+      { id: 'lock', when: { flag: true }, scores: { A: 2 }, suppresses: ['bias'] },
+      { id: 'bias', when: {}, scores: { B: 3 } },
+      { id: 'guard', when: { scores: { A: { gt: 1 } } }, scores: { C: -1 } }
+    ];
+    let scores = table();
+    expect(applyRules(rules, { flag: true }, scores).map(rule => rule.id)).toEqual(['lock', 'guard']);
+    expect(scores).toEqual({ A: 2, B: 0, C: -1 });
+    scores = table();
+    expect(applyRules(rules, { flag: false }, scores).map(rule => rule.id)).toEqual(['bias']);
+  });
+
+  test('errors name the rule', () => {
+    expect(() => applyRules([{ id: 'typo', when: {}, scores: { D: 1 } }], {}, table())).toThrow('Rule "typo" scores unknown label "D"');
+    expect(() => applyRules([{ id: 'bad', when: { missing: 1 } }], {}, table())).toThrow('Rule "bad": Unknown feature "missing"');
+  });
+
+  test('conditionFeatures expands derived flags and skips running scores', () => {
+    const derived = { free: { regularity: { lt: 0.1 } } };
+    const condition = { tempo: { gt: 60 }, any: [{ free: true }, { scale: { includes: 'Blues' } }], not: { tempo: { gt: 200 } }, scores: { A: { gt: 1 } } };
+    expect(conditionFeatures(condition, derived)).toEqual(['tempo', 'regularity', 'scale']);
+    const [fired] = applyRules([{ id: 'r', when: condition, scores: { B: 1 } }], { tempo: 90, regularity: 0.05, scale: '', free: true }, { A: 2, B: 0 }, derived);
+    expect(fired.features).toEqual(['tempo', 'regularity', 'scale']);
+  });
+
+  test('derived features build on each other', () => {
+    const features = deriveFeatures({ slow: { tempo: { lt: 90 } }, slowAndFree: { slow: true, regularity: { lt: 0.1 } } }, { tempo: 70, regularity: 0.05 });
+    expect(features).toMatchObject({ tempo: 70, slow: true, slowAndFree: true });
+  });
+
+  test('the genre rule set is well-formed', () => {
+    const ids = GENRE_RULES.map(rule => rule.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    GENRE_RULES.forEach(rule => {
+      expect(typeof rule.description).toBe('string');
+      Object.keys(rule.scores).forEach(label => expect(GENRE_LABELS).toContain(label));
+      (rule.suppresses || []).forEach(id => expect(ids.indexOf(id)).toBeGreaterThan(ids.indexOf(rule.id)));
+    });
+    // Every feature a condition names is one the classifier provides
+    const features = deriveFeatures(DERIVED_FEATURES, {
+      tempo: 100, regularity: 0.3, brightness: 0.5, percussiveness: 0.05, complexity: 0.5,
+      polyrhythmic: false, scale: 'C Major', spectralCentroid: 2000, tuning: 'stable'
+    });
+    GENRE_RULES.forEach(rule => conditionFeatures(rule.when, DERIVED_FEATURES).forEach(key => expect(Object.keys(features)).toContain(key)));
+  });
+});
@@ -0,0 +1,70 @@
+import { separateHarmonicPercussive, percussiveShare, describeSeparation } from '../src/sourceSeparation.js';
+
+const sampleRate = 22050;
+const length = sampleRate * 3;
+
+function tone(frequency, amplitude = 0.3) {
+  const buffer = new Float32Array(length);
+  for (let i = 0; i < length; i++) buffer[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+  return buffer;
+}
+
+// Decaying noise bursts twice a second, from a fixed-seed generator
+function strikes() {
+  const buffer = new Float32Array(length);
+  let seed = 1;
+  const noise = () => (seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5;
+  for (let hit = 0; hit < 6; hit++) {
+    const start = Math.round((hit + 0.25) * sampleRate / 2);
+    for (let i = 0; i < 400; i++) buffer[start + i] += 0.8 * noise() * Math.exp(-i / 60);
+  }
+  return buffer;
+}
+
+function correlation(a, b) {
+  let ab = 0, aa = 0, bb = 0;
+  for (let i = 0; i < a.length; i++) {
+    ab += a[i] * b[i];
+    aa += a[i] * a[i];
+    bb += b[i] * b[i];
+  }
+  return ab / Math.sqrt(aa * bb);
+}
+
+describe('separateHarmonicPercussive', () => {
+  const sustained = tone(440);
+  const hits = strikes();
+  const mix = sustained.map((v, i) => v + hits[i]);
+  const separation = separateHarmonicPercussive(mix, sampleRate);
+
+  test('puts the sustained tone in the harmonic part and the strikes in the percussive part', () => {
+    expect(separation).toMatchObject({ frameSize: 1024, hopSize: 256 });
+    expect(correlation(separation.harmonic, sustained)).toBeGreaterThan(0.99);
+    expect(correlation(separation.percussive, hits)).toBeGreaterThan(0.9);
+  });
+
+  test('splits without loss: the two parts add up to the input', () => {
+    let error = 0;
+    for (let i = 0; i < length; i++) error = Math.max(error, Math.abs(separation.harmonic[i] + separation.percussive[i] - mix[i]));
+    expect(error).toBeLessThan(1e-5);
+  });
+
+  test('measures the percussive share over the whole signal and per stretch', () => {
+    expect(percussiveShare(separation.harmonic, separation.percussive)).toBeCloseTo(percussiveShare(sustained, hits), 2);
+    const betweenHits = percussiveShare(separation.harmonic, separation.percussive, sampleRate * 0.3, sampleRate * 0.6);
+    const onHit = percussiveShare(separation.harmonic, separation.percussive, Math.round(sampleRate * 0.125), Math.round(sampleRate * 0.145));
+    expect(onHit).toBeGreaterThan(betweenHits * 10);
+  });
+
+  test('summarizes the separation as JSON-friendly levels over time', () => {
+    const summary = describeSeparation(separation, sampleRate, { maxEnvelopePoints: 10 });
+    expect(summary.envelope.points.length).toBeLessThanOrEqual(10);
+    expect(summary.percussiveShare + summary.harmonicShare).toBeCloseTo(1, 3);
+    expect(summary.envelope.points[0].harmonic).toBeCloseTo(-13.5, 0);
+    expect(JSON.parse(JSON.stringify(summary))).toEqual(summary);
+
+    const silent = describeSeparation(separateHarmonicPercussive(new Float32Array(4096), sampleRate), sampleRate);
+    expect(silent.percussiveShare).toBe(0);
+    expect(silent.envelope.points[0]).toMatchObject({ harmonic: null, percussive: null });
+  });
+});
@@ -0,0 +1,93 @@
+import { selectChannel, analyzeStereoField, describePan, PAN_BANDS } from '../src/stereoAnalysis.js';
+
+const sampleRate = 16000;
+
+function tone(frequency, seconds, amplitude = 0.5) {
+  const buffer = new Float32Array(Math.round(sampleRate * seconds));
+  for (let i = 0; i < buffer.length; i++) buffer[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+  return buffer;
+}
+
+const add = (a, b) => a.map((v, i) => v + b[i]);
+
+describe('selectChannel', () => {
+  const left = Float32Array.from([1, 0.5, 0]);
+  const right = Float32Array.from([0, 0.5, 1]);
+
+  test('derives downmix, mid and side from left and right', () => {
+    expect(Array.from(selectChannel([left, right]).data)).toEqual([0.5, 0.5, 0.5]);
+    expect(selectChannel([left, right], 'left').data).toBe(left);
+    expect(selectChannel([left, right], 'right').data).toBe(right);
+    expect(Array.from(selectChannel([left, right], 'side').data)).toEqual([0.5, 0, -0.5]);
+    expect(selectChannel([left, right], 'mid')).toMatchObject({ mode: 'mid', label: 'Mid (L+R)/2' });
+  });
+
+  test('averages every channel of a multichannel downmix and keeps mono as is', () => {
+    const third = Float32Array.from([1, 1, 1]);
+    expect(selectChannel([left, right, third])).toMatchObject({ mode: 'downmix', label: 'Downmix of 3 channels' });
+    expect(Array.from(selectChannel([left, right, third]).data)).toEqual([2 / 3, 2 / 3, 2 / 3].map(v => Math.fround(v)));
+    expect(selectChannel([left], 'side')).toEqual({ mode: 'mono', label: 'Mono', data: left });
+    expect(() => selectChannel([left, right], 'surround')).toThrow(/Unknown channel mode/);
+  });
+});
+
+describe('analyzeStereoField', () => {
+  test('reports levels only for mono', () => {
+    const field = analyzeStereoField([tone(440, 1)], sampleRate);
+    expect(field.channelCount).toBe(1);
+    expect(field.perChannel[0]).toMatchObject({ name: 'Mono', peak: 0.5 });
+    expect(field.perChannel[0].rmsDb).toBeCloseTo(-9, 0);
+    expect(field.windows).toBeUndefined();
+  });
+
+  test('measures correlation and width of identical, inverted and unrelated channels', () => {
+    const signal = tone(440, 1);
+    const same = analyzeStereoField([signal, signal], sampleRate);
+    expect(same).toMatchObject({ correlation: 1, width: 0, balance: 0 });
+
+    const inverted = analyzeStereoField([signal, signal.map(v => -v)], sampleRate);
+    expect(inverted).toMatchObject({ correlation: -1, width: 1 });
+
+    const unrelated = analyzeStereoField([tone(440, 1), tone(523, 1)], sampleRate);
+    expect(Math.abs(unrelated.correlation)).toBeLessThan(0.05);
+    expect(unrelated.width).toBeCloseTo(0.5, 1);
+  });
+
+  test('places instruments in different registers at different pan positions', () => {
+    // Bass drone hard left, treble melody mostly right, a shared centre voice in the mids
+    const bass = tone(110, 2);
+    const treble = tone(6000, 2, 0.3);
+    const voice = tone(500, 2, 0.3);
+    const left = add(add(bass, voice), treble.map(v => v * 0.2));
+    const right = add(voice, treble);
+    const field = analyzeStereoField([left, right], sampleRate);
+
+    const pans = Object.fromEntries(field.bands.map(band => [band.id, band.pan]));
+    expect(pans.bass).toBeLessThan(-0.9);
+    expect(Math.abs(pans['low-mid'])).toBeLessThan(0.1);
+    expect(pans.treble).toBeGreaterThan(0.8);
+    expect(field.bands.map(band => band.id)).toEqual(PAN_BANDS.map(band => band.id));
+    expect(describePan(pans.bass)).toMatch(/% left$/);
+    expect(describePan(pans['low-mid'])).toBe('centre');
+  });
+
+  test('follows a source panned from left to right over time', () => {
+    const signal = tone(300, 4);
+    const left = signal.map((v, i) => v * (1 - i / signal.length));
+    const right = signal.map((v, i) => v * (i / signal.length));
+    const field = analyzeStereoField([left, right], sampleRate, { windowSeconds: 0.5 });
+
+    expect(field.windowSeconds).toBe(0.5);
+    expect(field.windows).toHaveLength(8);
+    expect(field.windows[0].pan).toBeLessThan(-0.8);
+    expect(field.windows[7].pan).toBeGreaterThan(0.8);
+    field.windows.slice(1).forEach((w, i) => expect(w.pan).toBeGreaterThan(field.windows[i].pan));
+  });
+
+  test('lengthens the windows of long files to bound the view', () => {
+    const signal = tone(200, 10);
+    const field = analyzeStereoField([signal, signal], sampleRate, { windowSeconds: 0.1, maxWindows: 20 });
+    expect(field.windows.length).toBeLessThanOrEqual(20);
+    expect(field.windowSeconds).toBeCloseTo(0.5, 2);
+  });
+});
@@ -0,0 +1,96 @@
+import { segmentStructure, extractStructureFeatures, estimateKey, labelSections, pickBoundaries } from '../src/structureSegmentation.js';
+
+const sampleRate = 22050;
+
+// Sustained chords pulsing twice a second; each part has its own chord and overtone mix
+function render(parts) {
+  const total = parts.reduce((acc, part) => acc + part.seconds, 0);
+  const buffer = new Float32Array(total * sampleRate);
+  let offset = 0;
+  parts.forEach(({ seconds, chord, harmonics }) => {
+    for (let i = 0; i < seconds * sampleRate; i++) {
+      const t = i / sampleRate;
+      const envelope = 0.6 + 0.4 * Math.exp(-(t % 0.5) * 8);
+      let value = 0;
+      chord.forEach(f => harmonics.forEach((a, h) => { value += a * Math.sin(2 * Math.PI * f * (h + 1) * t); }));
+      buffer[offset + i] = 0.1 * envelope * value;
+    }
+    offset += seconds * sampleRate;
+  });
+  return buffer;
+}
+
+const features = (buffer) => extractStructureFeatures(buffer, sampleRate, { frameSize: 4096, hopSize: 4096 });
+
+const C_MAJOR = [261.6, 329.6, 392];
+const F_SHARP_MINOR = [185, 220, 277.2];
+
+describe('structure segmentation', () => {
+  test('finds the sections of A B A′ B and labels the repeats', () => {
+    const buffer = render([
+      { seconds: 16, chord: C_MAJOR, harmonics: [1, 0.7, 0.5, 0.4, 0.3] },
+      { seconds: 16, chord: F_SHARP_MINOR, harmonics: [1, 0.1] },
+      // Same chord with another overtone mix: a varied return
+      { seconds: 16, chord: C_MAJOR, harmonics: [1, 0.3, 0.6] },
+      { seconds: 16, chord: F_SHARP_MINOR, harmonics: [1, 0.1] }
+    ]);
+    const structure = segmentStructure(features(buffer));
+
+    expect(structure.form).toBe('A B A′ B');
+    [16, 32, 48].forEach((time, i) => expect(Math.abs(structure.boundaries[i] - time)).toBeLessThan(1));
+    expect(structure.sections[0].start).toBe(0);
+    expect(structure.sections[3].end).toBe(64);
+    expect(structure.sections[2]).toMatchObject({ group: 'A', variant: 1 });
+    expect(structure.sections[3].similarity).toBeGreaterThan(0.9);
+    // The F# minor triad and its overtones
+    expect(structure.sections[1].key.key).toBe('F#');
+    expect(() => structuredClone(structure)).not.toThrow();
+  });
+
+  test('a piece shorter than two sections is one section', () => {
+    const buffer = render([{ seconds: 10, chord: C_MAJOR, harmonics: [1, 0.5] }]);
+    const structure = segmentStructure(features(buffer));
+    expect(structure.form).toBe('A');
+    expect(structure.sections).toHaveLength(1);
+    expect(structure.sections[0].end).toBe(10);
+    expect(segmentStructure({ mfcc: [], chroma: [], frameRate: 10 }).sections).toHaveLength(1);
+  });
+
+  test('estimateKey matches the Krumhansl profiles', () => {
+    // Pitch-class weights of a C major scale with a strong tonic triad
+    const cMajor = [5, 0, 2, 0, 4, 2, 0, 4, 0, 2, 0, 1];
+    expect(estimateKey(cMajor)).toMatchObject({ key: 'C', mode: 'major', label: 'C major' });
+    const aMinor = cMajor.map((_, i) => [5, 0, 2, 4, 0, 2, 0, 4, 2, 0, 1, 0][(i + 3) % 12]);
+    expect(estimateKey(aMinor)).toMatchObject({ key: 'A', mode: 'minor' });
+    expect(estimateKey(new Array(12).fill(0))).toBeNull();
+  });
+
+  test('chroma bins start on C and every frame has 13 MFCCs', () => {
+    const buffer = new Float32Array(sampleRate * 2);
+    for (let i = 0; i < buffer.length; i++) buffer[i] = 0.5 * Math.sin((2 * Math.PI * 440 * i) / sampleRate);
+    const { mfcc, chroma, frameRate, duration } = extractStructureFeatures(buffer, sampleRate);
+    expect(frameRate).toBeCloseTo(sampleRate / 2048);
+    expect(duration).toBe(2);
+    expect(chroma.length).toBe(mfcc.length);
+    expect(chroma.every(frame => frame.indexOf(1) === 9)).toBe(true);
+    expect(mfcc.every(frame => frame.length === 13 && frame.every(Number.isFinite))).toBe(true);
+  });
+
+  test('labelSections and pickBoundaries', () => {
+    const similarity = [
+      [1, 0, 0.9, 0.3],
+      [0, 1, 0.1, 0.2],
+      [0.9, 0.1, 1, 0.3],
+      [0.3, 0.2, 0.3, 1]
+    ];
+    const harmony = similarity.map(row => row.slice());
+    harmony[3][0] = 0.6;
+    expect(labelSections(similarity, harmony).map(s => s.label)).toEqual(['A', 'B', 'A', 'A′']);
+    expect(labelSections(similarity).map(s => s.label)).toEqual(['A', 'B', 'A', 'C']);
+
+    const novelty = Float32Array.from([0, 0.2, 1, 0.2, 0, 0.6, 0.1, 0.8, 0.1, 0, 0, 0]);
+    expect(pickBoundaries(novelty, 2, 0.3)).toEqual([2, 5, 7]);
+    // Too close to the start, or to a higher peak
+    expect(pickBoundaries(novelty, 3, 0.3)).toEqual([7]);
+  });
+});
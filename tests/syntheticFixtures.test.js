@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+
+jest.mock('essentia.js/dist/essentia-wasm.web.js', () => {
+  return function MockEssentia() {
+    this.ready = Promise.resolve();
+  };
+});
+
+import { renderFixture, noteFrequency, degreeFrequency, SCALES } from './helpers/fixtureSynth.js';
+
+const sampleRate = 22050;
+
+describe('fixture synthesizer', () => {
+  test('renders the same samples for the same spec and reports what it played', () => {
+    const spec = { tempo: 120, meter: 3, bars: 2, voices: [{ sound: 'hat', pattern: 'x.', stepsPerBeat: 2 }], noise: 0.01 };
+    const first = renderFixture(spec);
+    expect(renderFixture(spec).samples).toEqual(first.samples);
+    expect(first.beats).toEqual([0.5, 1, 1.5, 2, 2.5, 3]);
+    expect(first.downbeats).toEqual([0.5, 2]);
+    expect(first.hits.map(hit => hit.time)).toEqual(first.beats);
+    expect(first.samples.length).toBe(Math.round(first.duration * sampleRate));
+  });
+
+  test('notes follow the scale, in cents, across octaves', () => {
+    expect(noteFrequency('A4')).toBeCloseTo(440, 6);
+    expect(noteFrequency('C#3')).toBeCloseTo(138.59, 2);
+    expect(degreeFrequency(200, SCALES.slendro, 1)).toBeCloseTo(200 * Math.pow(2, 240 / 1200), 6);
+    expect(degreeFrequency(200, SCALES.major, 7)).toBeCloseTo(400, 6);
+    expect(degreeFrequency(200, SCALES.major, -1)).toBeCloseTo(100 * Math.pow(2, 1100 / 1200), 6);
+
+    const { notes } = renderFixture({ tempo: 60, bars: 1, voices: [{ sound: 'sine', tonic: 'D4', scale: 'pentatonicMinor', degrees: [0, 2, 5] }] });
+    expect(notes.map(note => note.time)).toEqual([0.5, 1.5, 2.5, 3.5]);
+    expect(notes.map(note => Math.round(note.frequency))).toEqual([294, 392, 587, 294]);
+  });
+
+  test('a reverb tail keeps ringing after the last strike', () => {
+    const spec = { tempo: 120, bars: 1, voices: [{ sound: 'bell', pattern: 'x' }] };
+    const tailEnergy = ({ samples }) => samples.subarray(Math.round(2.9 * sampleRate)).reduce((acc, v) => acc + v * v, 0);
+    expect(tailEnergy(renderFixture({ ...spec, reverb: { seconds: 1.5, mix: 0.3 } }))).toBeGreaterThan(100 * tailEnergy(renderFixture(spec)) + 1e-6);
+  });
+});
+
+describe('analyzer on synthetic fixtures', () => {
+  let analyzer;
+
+  beforeAll(() => {
+    global.navigator = { userAgent: 'node-jest' };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { AudioAnalyzer } = require('../src/audioAnalyzer.js');
+    analyzer = new AudioAnalyzer();
+    analyzer.audioContext = { sampleRate };
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  const voicedPitches = (samples) => analyzer.trackPitchContour(samples, sampleRate, { hopSeconds: 0.02 })
+    .frames.filter(frame => frame.voiced).map(frame => frame.frequency);
+
+  test('detectPitch finds a sustained A3', () => {
+    const { samples } = renderFixture({ tempo: 60, bars: 1, voices: [{ sound: 'tone', tonic: 'A3', degrees: [0], noteBeats: 4 }] });
+    expect(analyzer.detectPitch(samples.subarray(sampleRate, sampleRate + 4096))).toBeCloseTo(220, 0);
+  });
+
+  test('analyzeRhythm recovers tempo and meter through noise and reverb', () => {
+    const common = { noise: 0.005, reverb: { seconds: 0.8, mix: 0.15 } };
+    const fourFour = renderFixture({ ...common, tempo: 96, meter: 4, bars: 8, voices: [{ sound: 'kick', pattern: 'X...' }, { sound: 'hat', pattern: 'x' }] });
+    expect(analyzer.analyzeRhythm(fourFour.samples, sampleRate)).toMatchObject({ tempo: 96, tempoSource: 'beats', beatsPerBar: 4 });
+
+    const waltz = renderFixture({ ...common, tempo: 132, meter: 3, bars: 10, voices: [{ sound: 'kick', pattern: 'x..' }, { sound: 'snare', pattern: '.x.' }, { sound: 'hat', pattern: 'x' }] });
+    expect(analyzer.analyzeRhythm(waltz.samples, sampleRate)).toMatchObject({ tempo: 132, beatsPerBar: 3 });
+  });
+
+  test('identifyScale names the scale the melody was written in', () => {
+    const major = renderFixture({ tempo: 90, bars: 4, voices: [{ sound: 'tone', tonic: 'D4', scale: 'major', degrees: [0, 1, 2, 3, 4, 5, 6, 7, 6, 5, 4, 3, 2, 1, 0, 4] }] });
+    expect(analyzer.identifyScale(voicedPitches(major.samples)).scale).toBe('D Major (Western)');
+
+    const harmonicMinor = renderFixture({
+      tempo: 120,
+      bars: 4,
+      voices: [{ sound: 'pluck', tonic: 'A3', scale: 'harmonicMinor', degrees: [0, 1, 2, 3, 4, 5, 6, 7, 4, 6, 2, 0] }],
+      noise: 0.003,
+      reverb: { seconds: 1, mix: 0.2 }
+    });
+    expect(analyzer.identifyScale(voicedPitches(harmonicMinor.samples)).scale).toBe('A Harmonic Minor');
+  });
+
+  test('estimateTonic takes Sa from a drone under the melody', () => {
+    const { samples } = renderFixture({
+      tempo: 90,
+      bars: 4,
+      voices: [{ sound: 'tone', tonic: 'D4', scale: 'major', degrees: [0, 2, 4, 5, 4, 2, 1, 0] }],
+      drone: { note: 'D3', fifth: true }
+    });
+    const { method, tonic } = analyzer.estimateTonic(samples, sampleRate);
+    expect(method).toBe('drone');
+    expect(tonic.note).toBe('D');
+  });
+
+  test('detectPolyrhythm recovers 3:2 and 4:3 cross-rhythms', () => {
+    const threeTwo = renderFixture({ tempo: 100, bars: 8, voices: [{ sound: 'kick', pattern: 'x' }, { sound: 'hat', pattern: 'x.', stepsPerBeat: 3 }] });
+    const result = analyzer.detectPolyrhythm(threeTwo.samples, sampleRate);
+    expect(result).toMatchObject({ isPolyrhythmic: true, dominantRatio: '3:2' });
+    expect(result.ratios[0].slow).toMatchObject({ band: 'low', periodSeconds: 0.6 });
+
+    const fourThree = renderFixture({ tempo: 90, bars: 8, voices: [{ sound: 'kick', pattern: 'x' }, { sound: 'bell', pattern: 'x..', stepsPerBeat: 4 }] });
+    expect(analyzer.detectPolyrhythm(fourThree.samples, sampleRate).dominantRatio).toBe('4:3');
+  });
+});
@@ -0,0 +1,89 @@
+import {
+  analyzeTuning,
+  buildCentsHistogram,
+  findScaleDegrees,
+  frequencyToCents,
+  nearestEqualTempered,
+} from '../src/tuningAnalysis.js';
+
+const A4 = 440;
+const C4 = 440 * Math.pow(2, -9 / 12);
+
+// Hold each scale degree for several frames, like a sung or bowed melody
+function heldMelody(centsFromC, framesPerNote = 6, base = C4) {
+  const pitches = [];
+  for (let round = 0; round < 3; round++) {
+    for (const cents of centsFromC) {
+      for (let f = 0; f < framesPerNote; f++) pitches.push(base * Math.pow(2, cents / 1200));
+    }
+  }
+  return pitches;
+}
+
+describe('cents helpers', () => {
+  test('folds frequencies into one octave above C', () => {
+    expect(frequencyToCents(C4)).toBeCloseTo(0, 5);
+    expect(frequencyToCents(A4)).toBeCloseTo(900, 5);
+    expect(frequencyToCents(A4 * 2)).toBeCloseTo(900, 5);
+  });
+
+  test('reports signed deviation from the nearest 12-TET note', () => {
+    expect(nearestEqualTempered(350)).toEqual({ note: 'E', deviation: -50 });
+    expect(nearestEqualTempered(1190).note).toBe('C');
+    expect(nearestEqualTempered(1190).deviation).toBeCloseTo(-10, 5);
+  });
+
+  test('histogram peaks resolve quarter-tone degrees', () => {
+    const hist = buildCentsHistogram(heldMelody([0, 150, 350]));
+    expect(hist.bins).toHaveLength(240);
+    const degrees = findScaleDegrees(hist);
+    expect(degrees.map(d => Math.round(d.cents))).toEqual([0, 150, 350]);
+  });
+});
+
+describe('analyzeTuning', () => {
+  test('major scale in 12-TET matches equal temperament', () => {
+    const result = analyzeTuning(heldMelody([0, 200, 400, 500, 700, 900, 1100]));
+    expect(result.degrees).toHaveLength(7);
+    expect(result.is12TET).toBe(true);
+    expect(result.bestMatch.id).toBe('12tet');
+  });
+
+  test('Rast-like scale with neutral thirds and sevenths matches Arabic 24-tone', () => {
+    // Rast on C: C D E-half-flat F G A B-half-flat
+    const result = analyzeTuning(heldMelody([0, 200, 350, 500, 700, 900, 1050]));
+    expect(result.is12TET).toBe(false);
+    expect(result.bestMatch.id).toBe('arabic24');
+    const eHalfFlat = result.degrees.find(d => Math.abs(d.cents - 350) < 5);
+    expect(eHalfFlat.note).toBe('E');
+    expect(eHalfFlat.deviation).toBeCloseTo(-50, 0);
+  });
+
+  test('just-intonation raga degrees match the 22-shruti grid', () => {
+    // Bilawal with pure thirds and sixths: 1, 9/8, 5/4, 4/3, 3/2, 5/3, 15/8
+    const ratios = [1, 9 / 8, 5 / 4, 4 / 3, 3 / 2, 5 / 3, 15 / 8];
+    const result = analyzeTuning(heldMelody(ratios.map(r => 1200 * Math.log2(r))), { tonicHz: C4 });
+    expect(result.bestMatch.id).toBe('shruti22');
+  });
+
+  test('equal five-tone scale matches slendro and ignores the tuning offset', () => {
+    // Gamelans are not tuned to A440; shift the whole set by 37 cents
+    const result = analyzeTuning(heldMelody([0, 240, 480, 720, 960], 6, C4 * Math.pow(2, 37 / 1200)));
+    expect(result.degrees).toHaveLength(5);
+    expect(result.bestMatch.id).toBe('slendro');
+  });
+
+  test('glides between notes are excluded from the histogram', () => {
+    const pitches = heldMelody([0, 700]);
+    // A continuous slide of single frames from C up to G
+    for (let c = 0; c < 700; c += 60) pitches.push(C4 * Math.pow(2, c / 1200));
+    const result = analyzeTuning(pitches);
+    expect(result.degrees.map(d => Math.round(d.cents))).toEqual([0, 700]);
+  });
+
+  test('too few pitches return an empty analysis', () => {
+    const result = analyzeTuning([440, -1]);
+    expect(result.degrees).toEqual([]);
+    expect(result.bestMatch).toBeNull();
+  });
+});
@@ -0,0 +1,23 @@
+import { encodeWav } from '../src/utils/wavWriter.js';
+import { decodeWav } from '../src/utils/audioDecoder.js';
+
+describe('encodeWav', () => {
+  const left = Float32Array.from([0, 0.5, -0.5, 1, -1]);
+  const right = Float32Array.from([0.25, -0.25, 0, 2, -2]);
+
+  test('writes 16-bit stereo PCM that the built-in decoder reads back', () => {
+    const decoded = decodeWav(encodeWav([left, right], 22050));
+    expect(decoded.sampleRate).toBe(22050);
+    expect(decoded.channels).toHaveLength(2);
+    Array.from(decoded.channels[0]).forEach((v, i) => expect(v).toBeCloseTo(left[i], 3));
+    // Out-of-range samples are clipped
+    Array.from(decoded.channels[1]).forEach((v, i) => expect(v).toBeCloseTo(Math.max(-1, Math.min(1, right[i])), 3));
+  });
+
+  test('writes 24-bit mono and rejects other bit depths', () => {
+    const decoded = decodeWav(encodeWav(left, 48000, { bitDepth: 24 }));
+    expect(decoded.channels).toHaveLength(1);
+    Array.from(decoded.channels[0]).forEach((v, i) => expect(v).toBeCloseTo(left[i], 6));
+    expect(() => encodeWav(left, 48000, { bitDepth: 8 })).toThrow(/Unsupported WAV bit depth/);
+  });
+});